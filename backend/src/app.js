@@ -8,6 +8,8 @@ import decksRouter from './routes/decks.js';
 import slidesRouter from './routes/slides.js';
 import settingsRouter from './routes/settings.js';
 import imagesRouter from './routes/images.js';
+import usageRouter from './routes/usage.js';
+import trashRouter from './routes/trash.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
@@ -31,6 +33,8 @@ app.get('/health', (req, res) => {
 app.use('/api/decks', decksRouter);
 app.use('/api/decks/:deckId/slides', slidesRouter);
 app.use('/api/settings', settingsRouter);
+app.use('/api/usage', usageRouter);
+app.use('/api/trash', trashRouter);
 app.use('/api', imagesRouter);
 
 // Export routes (will be added later)
@@ -1,4 +1,13 @@
 import Joi from 'joi';
+import {
+  ASPECT_RATIOS,
+  RESOLUTIONS,
+  CROP_STRATEGIES,
+  DEFAULT_ASPECT_RATIO,
+  DEFAULT_RESOLUTION,
+  DEFAULT_CROP_STRATEGY
+} from '../utils/imageFormat.js';
+import { PROMPT_PLACEHOLDERS, ENTITY_IMAGE_MODES, getUnknownPlaceholders } from '../utils/promptParser.js';
 
 // Entity name pattern: alphanumeric + hyphens, no spaces
 const entityNamePattern = /^[a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]$/;
@@ -18,9 +27,75 @@ const entitySchema = Joi.object({
   images: Joi.array()
     .items(Joi.string())
     .min(1)
-    .required()
+    .required(),
+  aliases: Joi.array().items(Joi.string().pattern(entityNamePattern).max(50)),
+  description: Joi.string().allow('').max(500),
+  imageMode: Joi.string().valid(...ENTITY_IMAGE_MODES),
+  imageLabels: Joi.object().pattern(Joi.string(), Joi.string())
 });
 
+// Label of an entity image, used in references (@Bob:side-profile)
+const entityImageLabelSchema = Joi.string()
+  .pattern(entityNamePattern)
+  .max(50)
+  .allow('')
+  .messages({
+    'string.pattern.base': 'Image label must contain only letters, numbers, and hyphens (no spaces)',
+    'string.max': 'Image label must not exceed 50 characters'
+  });
+
+// Image format fields (shared by deck schemas)
+const aspectRatioSchema = Joi.string()
+  .valid(...ASPECT_RATIOS)
+  .messages({
+    'any.only': `Aspect ratio must be one of: ${ASPECT_RATIOS.join(', ')}`
+  });
+
+const resolutionSchema = Joi.string()
+  .valid(...Object.keys(RESOLUTIONS))
+  .messages({
+    'any.only': `Resolution must be one of: ${Object.keys(RESOLUTIONS).join(', ')}`
+  });
+
+export const cropStrategySchema = Joi.string()
+  .valid(...CROP_STRATEGIES)
+  .messages({
+    'any.only': `Crop strategy must be one of: ${CROP_STRATEGIES.join(', ')}`
+  });
+
+// Reference to a global style preset (null = use the free-text style)
+export const stylePresetIdSchema = Joi.string()
+  .uuid()
+  .allow(null)
+  .messages({
+    'string.guid': 'Style preset ID must be a valid UUID'
+  });
+
+// Prompt template with {placeholder}s (null = default template)
+export const promptTemplateSchema = Joi.string()
+  .trim()
+  .max(2000)
+  .allow(null, '')
+  .custom((value, helpers) => {
+    const unknown = getUnknownPlaceholders(value);
+    return unknown.length > 0
+      ? helpers.error('promptTemplate.placeholder', { unknown: unknown.map(name => `{${name}}`).join(', ') })
+      : value;
+  })
+  .messages({
+    'string.max': 'Prompt template must not exceed 2000 characters',
+    'promptTemplate.placeholder': `Unknown prompt template placeholder(s): {#unknown}. Available: ${PROMPT_PLACEHOLDERS.join(', ')}`
+  });
+
+// What generated images should not contain
+export const negativePromptSchema = Joi.string()
+  .trim()
+  .max(500)
+  .allow('')
+  .messages({
+    'string.max': 'Negative prompt must not exceed 500 characters'
+  });
+
 // Deck schema
 export const deckSchema = Joi.object({
   id: Joi.string()
@@ -47,6 +122,9 @@ export const deckSchema = Joi.object({
     .messages({
       'string.max': 'Visual style must not exceed 1000 characters'
     }),
+  stylePresetId: stylePresetIdSchema.default(null),
+  promptTemplate: promptTemplateSchema.default(null),
+  negativePrompt: negativePromptSchema.default(''),
   entities: Joi.object()
     .pattern(
       entityNamePattern,
@@ -60,6 +138,9 @@ export const deckSchema = Joi.object({
     .messages({
       'array.max': 'Maximum 10 theme images allowed per deck'
     }),
+  aspectRatio: aspectRatioSchema.default(DEFAULT_ASPECT_RATIO),
+  resolution: resolutionSchema.default(DEFAULT_RESOLUTION),
+  cropStrategy: cropStrategySchema.default(DEFAULT_CROP_STRATEGY),
   isTest: Joi.boolean()
     .default(false),
   slides: Joi.array()
@@ -85,6 +166,10 @@ export const createDeckSchema = Joi.object({
     .messages({
       'string.max': 'Visual style must not exceed 1000 characters'
     }),
+  stylePresetId: stylePresetIdSchema.default(null),
+  aspectRatio: aspectRatioSchema.default(DEFAULT_ASPECT_RATIO),
+  resolution: resolutionSchema.default(DEFAULT_RESOLUTION),
+  cropStrategy: cropStrategySchema.default(DEFAULT_CROP_STRATEGY),
   isTest: Joi.boolean()
     .default(false)
 });
@@ -104,6 +189,12 @@ export const updateDeckSchema = Joi.object({
     .messages({
       'string.max': 'Visual style must not exceed 1000 characters'
     }),
+  stylePresetId: stylePresetIdSchema,
+  promptTemplate: promptTemplateSchema,
+  negativePrompt: negativePromptSchema,
+  aspectRatio: aspectRatioSchema,
+  resolution: resolutionSchema,
+  cropStrategy: cropStrategySchema,
   isTest: Joi.boolean()
 }).min(1); // At least one field must be present
 
@@ -133,6 +224,63 @@ export const entityNameSchema = Joi.string()
     'any.required': 'Entity name is required'
   });
 
+// Validation for updating an entity (deck or global)
+export const updateEntitySchema = Joi.object({
+  aliases: Joi.array()
+    .items(
+      Joi.string()
+        .pattern(entityNamePattern)
+        .max(50)
+        .messages({
+          'string.pattern.base': 'Aliases must contain only letters, numbers, and hyphens (no spaces)',
+          'string.max': 'Aliases must not exceed 50 characters'
+        })
+    )
+    .max(20)
+    .messages({
+      'array.max': 'Maximum 20 aliases allowed per entity'
+    }),
+  description: Joi.string()
+    .allow('')
+    .max(500)
+    .messages({
+      'string.max': 'Entity description must not exceed 500 characters'
+    }),
+  imageMode: Joi.string()
+    .valid(...ENTITY_IMAGE_MODES)
+    .messages({
+      'any.only': `Image mode must be one of: ${ENTITY_IMAGE_MODES.join(', ')}`
+    })
+}).min(1);
+
+// Validation for adding an entity image (multipart fields)
+export const addEntityImageSchema = Joi.object({
+  label: entityImageLabelSchema
+});
+
+// Validation for adding a global entity image (JSON with base64 image data)
+export const addGlobalEntityImageSchema = addEntityImageSchema.keys({
+  imageData: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'imageData is required'
+    })
+});
+
+// Validation for updating an entity image
+export const updateEntityImageSchema = Joi.object({
+  label: entityImageLabelSchema,
+  primary: Joi.boolean()
+}).min(1);
+
+// Text import formats: 'text' (one slide per line) or 'markdown'
+export const textFormatSchema = Joi.string()
+  .valid('text', 'markdown')
+  .default('text')
+  .messages({
+    'any.only': 'Format must be one of: text, markdown'
+  });
+
 // Validation for creating deck from text
 export const createDeckFromTextSchema = Joi.object({
   name: Joi.string()
@@ -151,6 +299,7 @@ export const createDeckFromTextSchema = Joi.object({
       'string.min': 'Text content is required',
       'any.required': 'Text content is required'
     }),
+  format: textFormatSchema,
   visualStyle: Joi.string()
     .max(1000)
     .allow('')
@@ -158,15 +307,153 @@ export const createDeckFromTextSchema = Joi.object({
     .messages({
       'string.max': 'Visual style must not exceed 1000 characters'
     }),
+  aspectRatio: aspectRatioSchema.default(DEFAULT_ASPECT_RATIO),
+  resolution: resolutionSchema.default(DEFAULT_RESOLUTION),
+  cropStrategy: cropStrategySchema.default(DEFAULT_CROP_STRATEGY),
   isTest: Joi.boolean()
     .default(false)
 });
 
+// Validation for previewing the slides parsed from text
+export const previewTextSchema = Joi.object({
+  text: Joi.string()
+    .allow('')
+    .required()
+    .messages({
+      'any.required': 'Text content is required'
+    }),
+  format: textFormatSchema
+});
+
+// Validation for duplicating a deck
+export const duplicateDeckSchema = Joi.object({
+  name: Joi.string()
+    .min(1)
+    .max(200)
+    .messages({
+      'string.min': 'Deck name must be at least 1 character',
+      'string.max': 'Deck name must not exceed 200 characters'
+    }),
+  visualStyle: Joi.string()
+    .max(1000)
+    .allow('')
+    .messages({
+      'string.max': 'Visual style must not exceed 1000 characters'
+    }),
+  slides: Joi.boolean()
+    .default(true),
+  images: Joi.string()
+    .valid('none', 'pinned', 'all')
+    .default('pinned')
+    .messages({
+      'any.only': 'images must be one of: none, pinned, all'
+    }),
+  entities: Joi.boolean()
+    .default(true),
+  themeImages: Joi.boolean()
+    .default(true)
+});
+
+// Validation for creating a snapshot
+export const createSnapshotSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .messages({
+      'string.empty': 'Snapshot name must not be empty',
+      'string.max': 'Snapshot name must not exceed 100 characters'
+    })
+});
+
+// Validation for exporting a deck bundle (query string)
+export const deckBundleSchema = Joi.object({
+  images: Joi.string()
+    .valid('pinned', 'all')
+    .default('pinned')
+    .messages({
+      'any.only': 'images must be one of: pinned, all'
+    })
+});
+
+// Validation for importing a deck bundle
+export const importDeckBundleSchema = Joi.object({
+  entityConflict: Joi.string()
+    .valid('deck', 'replace', 'keep')
+    .default('deck')
+    .messages({
+      'any.only': 'entityConflict must be one of: deck, replace, keep'
+    })
+});
+
+// Validation for importing a PowerPoint file (multipart fields)
+// Name and aspect ratio default to the presentation's title and slide size
+export const importPptxSchema = Joi.object({
+  name: Joi.string()
+    .min(1)
+    .max(200)
+    .messages({
+      'string.min': 'Deck name must be at least 1 character',
+      'string.max': 'Deck name must not exceed 200 characters'
+    }),
+  visualStyle: Joi.string()
+    .max(1000)
+    .allow('')
+    .default('')
+    .messages({
+      'string.max': 'Visual style must not exceed 1000 characters'
+    }),
+  aspectRatio: aspectRatioSchema,
+  resolution: resolutionSchema.default(DEFAULT_RESOLUTION),
+  cropStrategy: cropStrategySchema.default(DEFAULT_CROP_STRATEGY)
+});
+
+// Validation for importing a Google Slides presentation
+// Name and aspect ratio default to the presentation's title and page size
+export const importGoogleSlidesSchema = Joi.object({
+  url: Joi.string()
+    .pattern(/\/presentation\/d\/[a-zA-Z0-9-_]+/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid Google Slides URL',
+      'string.empty': 'Presentation URL is required',
+      'any.required': 'Presentation URL is required'
+    }),
+  name: Joi.string()
+    .min(1)
+    .max(200)
+    .messages({
+      'string.min': 'Deck name must be at least 1 character',
+      'string.max': 'Deck name must not exceed 200 characters'
+    }),
+  visualStyle: Joi.string()
+    .max(1000)
+    .allow('')
+    .default('')
+    .messages({
+      'string.max': 'Visual style must not exceed 1000 characters'
+    }),
+  aspectRatio: aspectRatioSchema,
+  resolution: resolutionSchema.default(DEFAULT_RESOLUTION),
+  cropStrategy: cropStrategySchema.default(DEFAULT_CROP_STRATEGY)
+});
+
 export default {
   deckSchema,
   createDeckSchema,
   updateDeckSchema,
   addEntitySchema,
   entityNameSchema,
-  createDeckFromTextSchema
+  updateEntitySchema,
+  addEntityImageSchema,
+  addGlobalEntityImageSchema,
+  updateEntityImageSchema,
+  createDeckFromTextSchema,
+  previewTextSchema,
+  duplicateDeckSchema,
+  createSnapshotSchema,
+  deckBundleSchema,
+  importDeckBundleSchema,
+  importPptxSchema,
+  importGoogleSlidesSchema
 };
@@ -1,4 +1,8 @@
 import Joi from 'joi';
+import { imageServiceSchema } from './Slide.js';
+
+// Days deleted decks, slides and images stay in the trash when not configured
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
 
 // Google OAuth credentials schema
 const googleCredentialsSchema = Joi.object({
@@ -18,11 +22,10 @@ const googleCredentialsSchema = Joi.object({
 
 // Settings schema
 export const settingsSchema = Joi.object({
-  defaultService: Joi.string()
-    .valid('gemini-flash', 'gemini-pro')
+  defaultService: imageServiceSchema
     .required()
     .messages({
-      'any.only': 'Default service must be gemini-flash or gemini-pro',
+      'any.only': 'Default service must be one of: {#services}',
       'any.required': 'Default service is required'
     }),
   defaultVariantCount: Joi.number()
@@ -68,15 +71,46 @@ export const settingsSchema = Joi.object({
         'number.integer': 'Template slide index must be an integer',
         'number.min': 'Template slide index must be at least 1'
       })
-  }).default({ templateFilename: null, templateSlideIndex: 1 })
+  }).default({ templateFilename: null, templateSlideIndex: 1 }),
+  usageBudgets: Joi.object({
+    dailyImages: Joi.number()
+      .integer()
+      .min(0)
+      .allow(null)
+      .default(null),
+    dailyDescriptions: Joi.number()
+      .integer()
+      .min(0)
+      .allow(null)
+      .default(null)
+  }).default({ dailyImages: null, dailyDescriptions: null }),
+  storage: Joi.object({
+    // Delete kept originals of unpinned images after this many days (null = keep forever)
+    pruneOriginalsAfterDays: Joi.number()
+      .integer()
+      .min(0)
+      .allow(null)
+      .default(null),
+    // Purge trash items after this many days (null = keep until emptied)
+    trashRetentionDays: Joi.number()
+      .integer()
+      .min(0)
+      .allow(null)
+      .default(DEFAULT_TRASH_RETENTION_DAYS)
+  }).default({ pruneOriginalsAfterDays: null, trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS }),
+  prompts: Joi.object({
+    // Condense visual styles with the description service when a prompt is too long
+    // (instead of cutting them off)
+    summarizeLongStyles: Joi.boolean()
+      .default(false)
+  }).default({ summarizeLongStyles: false })
 });
 
 // Validation for updating settings
 export const updateSettingsSchema = Joi.object({
-  defaultService: Joi.string()
-    .valid('gemini-flash', 'gemini-pro')
+  defaultService: imageServiceSchema
     .messages({
-      'any.only': 'Default service must be gemini-flash or gemini-pro'
+      'any.only': 'Default service must be one of: {#services}'
     }),
   defaultVariantCount: Joi.number()
     .integer()
@@ -108,9 +142,100 @@ export const updateSettingsSchema = Joi.object({
       'number.base': 'PowerPoint template slide index must be a number',
       'number.integer': 'PowerPoint template slide index must be an integer',
       'number.min': 'PowerPoint template slide index must be at least 1'
+    }),
+  dailyImageBudget: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .messages({
+      'number.base': 'Daily image budget must be a number',
+      'number.integer': 'Daily image budget must be an integer',
+      'number.min': 'Daily image budget must be at least 0'
+    }),
+  dailyDescriptionBudget: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .messages({
+      'number.base': 'Daily description budget must be a number',
+      'number.integer': 'Daily description budget must be an integer',
+      'number.min': 'Daily description budget must be at least 0'
+    }),
+  pruneOriginalsAfterDays: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .messages({
+      'number.base': 'Prune originals after days must be a number',
+      'number.integer': 'Prune originals after days must be an integer',
+      'number.min': 'Prune originals after days must be at least 0'
+    }),
+  trashRetentionDays: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .messages({
+      'number.base': 'Trash retention days must be a number',
+      'number.integer': 'Trash retention days must be an integer',
+      'number.min': 'Trash retention days must be at least 0'
+    }),
+  summarizeLongStyles: Joi.boolean()
+    .messages({
+      'boolean.base': 'Summarize long styles must be true or false'
     })
 }).min(1); // At least one field must be present
 
+// Style preset fields
+const stylePresetNameSchema = Joi.string()
+  .trim()
+  .min(1)
+  .max(100)
+  .messages({
+    'string.empty': 'Preset name is required',
+    'string.max': 'Preset name must not exceed 100 characters'
+  });
+
+const stylePresetStyleSchema = Joi.string()
+  .min(1)
+  .max(1000)
+  .messages({
+    'string.empty': 'Style text is required',
+    'string.max': 'Style text must not exceed 1000 characters'
+  });
+
+// Validation for creating a style preset
+export const createStylePresetSchema = Joi.object({
+  name: stylePresetNameSchema
+    .required()
+    .messages({ 'any.required': 'Preset name is required' }),
+  style: stylePresetStyleSchema
+    .required()
+    .messages({ 'any.required': 'Style text is required' }),
+  preferredService: imageServiceSchema
+    .allow(null)
+    .default(null)
+});
+
+// Validation for updating a style preset
+export const updateStylePresetSchema = Joi.object({
+  name: stylePresetNameSchema,
+  style: stylePresetStyleSchema,
+  preferredService: imageServiceSchema
+    .allow(null)
+}).min(1); // At least one field must be present
+
+// Validation for pruning kept originals
+export const pruneOriginalsSchema = Joi.object({
+  olderThanDays: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.base': 'olderThanDays must be a number',
+      'number.integer': 'olderThanDays must be an integer',
+      'number.min': 'olderThanDays must be at least 0'
+    })
+});
 
 // Validation for export request
 export const exportDeckSchema = Joi.object({
@@ -135,6 +260,14 @@ export const exportDeckSchema = Joi.object({
     })
 });
 
+/**
+ * Get the trash retention (null = keep until emptied)
+ */
+export function getTrashRetentionDays(settings) {
+  const days = settings.storage?.trashRetentionDays;
+  return days === undefined ? DEFAULT_TRASH_RETENTION_DAYS : days;
+}
+
 /**
  * Mask settings for client response
  */
@@ -150,6 +283,14 @@ export function maskSettings(settings) {
     powerPoint: {
       templateFilename: settings.powerPoint?.templateFilename || null,
       templateSlideIndex: settings.powerPoint?.templateSlideIndex || 1
+    },
+    usageBudgets: {
+      dailyImages: settings.usageBudgets?.dailyImages ?? null,
+      dailyDescriptions: settings.usageBudgets?.dailyDescriptions ?? null
+    },
+    storage: {
+      pruneOriginalsAfterDays: settings.storage?.pruneOriginalsAfterDays ?? null,
+      trashRetentionDays: getTrashRetentionDays(settings)
     }
   };
 }
@@ -157,6 +298,10 @@ export function maskSettings(settings) {
 export default {
   settingsSchema,
   updateSettingsSchema,
+  createStylePresetSchema,
+  updateStylePresetSchema,
+  pruneOriginalsSchema,
   exportDeckSchema,
+  getTrashRetentionDays,
   maskSettings
 };
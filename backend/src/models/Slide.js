@@ -1,4 +1,33 @@
 import Joi from 'joi';
+import { hasProvider, getProviderIds } from '../services/imageProviders/index.js';
+import {
+  cropStrategySchema,
+  textFormatSchema,
+  stylePresetIdSchema,
+  promptTemplateSchema,
+  negativePromptSchema
+} from './Deck.js';
+
+// Image service must be a registered image provider
+// (checked at validation time so newly registered providers are accepted)
+export const imageServiceSchema = Joi.string()
+  .custom((value, helpers) => (
+    hasProvider(value)
+      ? value
+      : helpers.error('any.only', { services: getProviderIds().join(', ') })
+  ))
+  .messages({
+    'any.only': 'Service must be one of: {#services}'
+  });
+
+// Focal point to keep in frame when cropping (fractions of the original's width / height)
+const focalPointSchema = Joi.object({
+  x: Joi.number().min(0).max(1).required(),
+  y: Joi.number().min(0).max(1).required()
+}).messages({
+  'number.min': 'Focal point coordinates must be between 0 and 1',
+  'number.max': 'Focal point coordinates must be between 0 and 1'
+});
 
 // Image metadata schema
 const imageMetadataSchema = Joi.object({
@@ -11,27 +40,53 @@ const imageMetadataSchema = Joi.object({
     .messages({
       'string.pattern.base': 'Image filename must match pattern: image-###.jpg'
     }),
+  originalFilename: Joi.string()
+    .pattern(/^image-\d{3}-original\.(png|jpg|webp)$/)
+    .allow(null)
+    .default(null),
+  originalPrunedAt: Joi.date()
+    .iso(),
   createdAt: Joi.date()
     .iso()
     .required(),
-  service: Joi.string()
-    .valid('gemini-flash', 'gemini-pro')
-    .required()
-    .messages({
-      'any.only': 'Service must be gemini-flash or gemini-pro'
-    }),
-  prompt: Joi.string()
-    .min(1)
-    .max(2000)
-    .required()
-    .messages({
-      'string.min': 'Prompt must be at least 1 character',
-      'string.max': 'Prompt must not exceed 2000 characters'
-    }),
+  updatedAt: Joi.date()
+    .iso(),
+  // Imported images (e.g. pictures from a PowerPoint file) have no service or prompt
+  source: Joi.string()
+    .valid('generated', 'import')
+    .default('generated'),
+  service: Joi.when('source', {
+    is: 'import',
+    then: Joi.valid(null).required(),
+    otherwise: imageServiceSchema.required()
+  }),
+  // Fitted to the service's limit when generated (see imageProviders maxPromptLength)
+  prompt: Joi.when('source', {
+    is: 'import',
+    then: Joi.valid(null).required(),
+    otherwise: Joi.string()
+      .min(1)
+      .max(20000)
+      .required()
+      .messages({
+        'string.min': 'Prompt must be at least 1 character',
+        'string.max': 'Prompt must not exceed 20000 characters'
+      })
+  }),
+  negativePrompt: Joi.string()
+    .max(500)
+    .allow(null)
+    .default(null),
   sourceImageId: Joi.string()
     .uuid()
     .allow(null)
     .default(null),
+  crop: Joi.object({
+    strategy: cropStrategySchema.required(),
+    focalPoint: focalPointSchema.allow(null).default(null)
+  })
+    .allow(null)
+    .default(null),
   isPinned: Joi.boolean()
     .required()
 });
@@ -88,12 +143,20 @@ export const slideSchema = Joi.object({
     .messages({
       'string.max': 'Scene visual style must not exceed 1000 characters'
     }),
+  overrideStylePresetId: stylePresetIdSchema
+    .default(null),
+  sceneStylePresetId: stylePresetIdSchema
+    .default(null),
   descriptionHistory: Joi.array()
     .items(Joi.string().max(2000))
     .default([]),
   generatedImages: Joi.array()
     .items(imageMetadataSchema)
-    .default([])
+    .default([]),
+  // Highest image file number used so far (numbers of deleted images are not reused)
+  lastImageNumber: Joi.number()
+    .integer()
+    .min(0)
 });
 
 // Validation for slide creation
@@ -166,6 +229,8 @@ export const updateSlideSchema = Joi.object({
     .messages({
       'string.max': 'Scene visual style must not exceed 1000 characters'
     }),
+  overrideStylePresetId: stylePresetIdSchema,
+  sceneStylePresetId: stylePresetIdSchema,
   order: Joi.number()
     .integer()
     .min(0)
@@ -188,6 +253,94 @@ export const reorderSlidesSchema = Joi.object({
     })
 });
 
+// Validation for batch slide operations
+// Order is set by 'move' operations, so it cannot be updated directly
+const slideIdsSchema = Joi.array()
+  .items(Joi.string().pattern(/^slide-\d{3}$/))
+  .min(1)
+  .unique()
+  .required()
+  .messages({
+    'array.min': 'At least one slide ID is required',
+    'array.unique': 'Slide IDs must be unique',
+    'any.required': 'Slide IDs array is required',
+    'string.pattern.base': 'Slide ID must match pattern: slide-###'
+  });
+
+const batchOperationSchema = Joi.object({
+  type: Joi.string()
+    .valid('update', 'delete', 'move')
+    .required()
+    .messages({
+      'any.only': 'Operation type must be one of: update, delete, move',
+      'any.required': 'Operation type is required'
+    }),
+  slideIds: slideIdsSchema,
+  updates: Joi.when('type', {
+    is: 'update',
+    then: updateSlideSchema
+      .fork(['order', 'pushDescriptionToHistory'], schema => schema.forbidden())
+      .required()
+      .messages({ 'any.required': 'Updates are required for update operations' }),
+    otherwise: Joi.forbidden()
+  }),
+  afterSlideId: Joi.when('type', {
+    is: 'move',
+    then: Joi.string()
+      .pattern(/^slide-\d{3}$/)
+      .allow(null)
+      .default(null)
+      .messages({
+        'string.pattern.base': 'afterSlideId must be a slide ID'
+      }),
+    otherwise: Joi.forbidden()
+  })
+});
+
+export const batchSlidesSchema = Joi.object({
+  operations: Joi.array()
+    .items(batchOperationSchema)
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'array.min': 'At least one operation is required',
+      'array.max': 'A batch must not exceed 100 operations',
+      'any.required': 'Operations array is required'
+    })
+});
+
+// Validation for inserting slides parsed from text into a deck
+export const insertSlidesFromTextSchema = Joi.object({
+  text: Joi.string()
+    .min(1)
+    .required()
+    .messages({
+      'string.empty': 'Text content is required',
+      'any.required': 'Text content is required'
+    }),
+  format: textFormatSchema,
+  afterSlideId: Joi.string()
+    .pattern(/^slide-\d{3}$/)
+    .allow(null)
+    .default(null)
+    .messages({
+      'string.pattern.base': 'afterSlideId must be a slide ID'
+    })
+});
+
+// Validation for syncing a deck with edited text (preview and apply)
+export const syncTextSchema = Joi.object({
+  text: Joi.string()
+    .min(1)
+    .required()
+    .messages({
+      'string.empty': 'Text content is required',
+      'any.required': 'Text content is required'
+    }),
+  format: textFormatSchema
+});
+
 // Validation for image generation
 export const generateImagesSchema = Joi.object({
   count: Joi.number()
@@ -200,12 +353,26 @@ export const generateImagesSchema = Joi.object({
       'number.min': 'Count must be at least 1',
       'number.max': 'Count must not exceed 10'
     }),
-  service: Joi.string()
-    .valid('openai-gpt-image', 'gemini-flash', 'gemini-pro')
-    .default('gemini-pro')
+  // Default: the preferred service of the slide's style preset, else DEFAULT_PROVIDER_ID
+  service: imageServiceSchema
+});
+
+// Validation for previewing a deck's prompt template on one of its slides
+// (unsaved template values override the deck's)
+export const promptPreviewSchema = Joi.object({
+  promptTemplate: promptTemplateSchema,
+  negativePrompt: negativePromptSchema,
+  slideId: Joi.string()
+    .pattern(/^slide-\d{3}$/)
     .messages({
-      'any.only': 'Service must be openai-gpt-image, gemini-flash, or gemini-pro'
-    })
+      'string.pattern.base': 'Slide ID must match pattern: slide-###'
+    }),
+  service: imageServiceSchema
+});
+
+// Validation for previewing what a slide's image generation would send (query)
+export const slidePromptPreviewSchema = Joi.object({
+  service: imageServiceSchema
 });
 
 // Validation for image tweak
@@ -237,11 +404,28 @@ export const tweakImageSchema = Joi.object({
     })
 });
 
+// Validation for re-cropping an image from its original
+// A focal point overrides the strategy
+export const cropImageSchema = Joi.object({
+  strategy: cropStrategySchema
+    .default('center'),
+  focalPoint: focalPointSchema
+    .allow(null)
+    .default(null)
+});
+
 export default {
+  imageServiceSchema,
   slideSchema,
   createSlideSchema,
   updateSlideSchema,
   reorderSlidesSchema,
+  batchSlidesSchema,
+  insertSlidesFromTextSchema,
+  syncTextSchema,
   generateImagesSchema,
-  tweakImageSchema
+  promptPreviewSchema,
+  slidePromptPreviewSchema,
+  tweakImageSchema,
+  cropImageSchema
 };
@@ -0,0 +1,33 @@
+import Joi from 'joi';
+
+// Day in YYYY-MM-DD format that exists in the calendar (e.g. not 2026-13-45)
+// Kept as a string: the ledger compares days as strings
+const daySchema = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .custom((value, helpers) => {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value
+      ? value
+      : helpers.error('string.pattern.base');
+  });
+
+// Validation for usage report query
+export const usageQuerySchema = Joi.object({
+  deckId: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'deckId must be a valid deck ID'
+    }),
+  from: daySchema
+    .messages({
+      'string.pattern.base': 'from must be a date in YYYY-MM-DD format'
+    }),
+  to: daySchema
+    .messages({
+      'string.pattern.base': 'to must be a date in YYYY-MM-DD format'
+    })
+});
+
+export default {
+  usageQuerySchema
+};
@@ -2,14 +2,38 @@ import express from 'express';
 import multer from 'multer';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { validate } from '../middleware/validation.js';
-import { createDeckSchema, updateDeckSchema, addEntitySchema, entityNameSchema, createDeckFromTextSchema } from '../models/Deck.js';
+import {
+  createDeckSchema,
+  updateDeckSchema,
+  addEntitySchema,
+  entityNameSchema,
+  updateEntitySchema,
+  addEntityImageSchema,
+  updateEntityImageSchema,
+  createDeckFromTextSchema,
+  previewTextSchema,
+  duplicateDeckSchema,
+  createSnapshotSchema,
+  deckBundleSchema,
+  importDeckBundleSchema,
+  importPptxSchema,
+  importGoogleSlidesSchema
+} from '../models/Deck.js';
+import { promptPreviewSchema } from '../models/Slide.js';
 import { exportDeckSchema } from '../models/Settings.js';
 import * as fileSystem from '../services/fileSystem.js';
-import { parseTextToSlides } from '../utils/textParser.js';
+import { parseSlides } from '../utils/textParser.js';
 import * as openaiDescriptions from '../services/openaiDescriptions.js';
+import * as usageLedger from '../services/usageLedger.js';
 import { executeInParallel } from '../utils/asyncPool.js';
 import { exportToGoogleSlides } from '../services/googleSlidesExport.js';
 import { exportToPowerPointBuffer } from '../services/powerpointExport.js';
+import { createDeckBundle, importDeckBundle } from '../services/deckBundle.js';
+import * as snapshots from '../services/snapshots.js';
+import { importPptx } from '../services/pptxImport.js';
+import { importFromGoogleSlides } from '../services/googleSlidesImport.js';
+import { buildSlidePrompt } from '../services/slidePrompt.js';
+import * as bulkGeneration from '../services/bulkGeneration.js';
 
 const router = express.Router();
 
@@ -28,6 +52,34 @@ const upload = multer({
   }
 });
 
+// Configure multer for deck bundle uploads
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 500 * 1024 * 1024 // 500 MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (!file.originalname.toLowerCase().endsWith('.zip')) {
+      return cb(new Error('Only deck bundles (.zip) are allowed'), false);
+    }
+    cb(null, true);
+  }
+});
+
+// Configure multer for PowerPoint uploads
+const pptxUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 200 * 1024 * 1024 // 200 MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (!file.originalname.toLowerCase().endsWith('.pptx')) {
+      return cb(new Error('Only PowerPoint files (.pptx) are allowed'), false);
+    }
+    cb(null, true);
+  }
+});
+
 /**
  * GET /api/decks
  * List all decks
@@ -53,34 +105,41 @@ router.get('/:deckId', asyncHandler(async (req, res) => {
  * Create new deck
  */
 router.post('/', validate(createDeckSchema), asyncHandler(async (req, res) => {
-  const { name, visualStyle, isTest } = req.body;
-  const deck = await fileSystem.createDeck(name, visualStyle, isTest);
+  const { name, visualStyle, stylePresetId, isTest, aspectRatio, resolution, cropStrategy } = req.body;
+  const deck = await fileSystem.createDeck(name, visualStyle, isTest, { aspectRatio, resolution, cropStrategy }, stylePresetId);
   res.status(201).json(deck);
 }));
 
+/**
+ * POST /api/decks/from-text/preview
+ * Parse text into slides without creating anything
+ */
+router.post('/from-text/preview', validate(previewTextSchema), asyncHandler(async (req, res) => {
+  const slides = parseSlides(req.body.text, req.body.format);
+  res.json({ slides });
+}));
+
 /**
  * POST /api/decks/from-text
  * Create new deck from text block
- * Each line/bullet becomes a slide
- * Lines with bullets (* or -) = content slides (with images)
- * Lines without bullets = scene starts (no images, reset context)
+ * format 'text' (default): each line/bullet becomes a slide
+ *   - Lines with bullets (* or -) = content slides (with images)
+ *   - Lines without bullets = scene starts (no images, reset context)
+ * format 'markdown': headings are scenes, bullets are slides, nested bullets notes,
+ *   > quotes image descriptions and <!-- comments --> scene styles (see parseMarkdownToSlides)
  * ~name is converted to @name entity references
  */
 router.post('/from-text', validate(createDeckFromTextSchema), asyncHandler(async (req, res) => {
-  const { name, text, visualStyle, isTest } = req.body;
+  const { name, text, format, visualStyle, isTest, aspectRatio, resolution, cropStrategy } = req.body;
 
   // Create the deck
-  const deck = await fileSystem.createDeck(name, visualStyle || '', isTest || false);
+  const deck = await fileSystem.createDeck(name, visualStyle || '', isTest || false, { aspectRatio, resolution, cropStrategy });
 
-  // Parse text into slide objects (with text, noImages, and sceneStart flags)
-  const slideObjects = parseTextToSlides(text);
+  // Parse text into slide objects
+  const slideObjects = parseSlides(text, format);
 
   // Create slides with appropriate noImages and sceneStart settings
-  const createdSlides = [];
-  for (const slideObj of slideObjects) {
-    const slide = await fileSystem.createSlide(deck.id, slideObj.text, '', slideObj.noImages, slideObj.sceneStart);
-    createdSlides.push(slide);
-  }
+  const createdSlides = await fileSystem.insertSlides(deck.id, slideObjects);
 
   // Get updated deck with slides
   const updatedDeck = await fileSystem.getDeck(deck.id);
@@ -91,6 +150,64 @@ router.post('/from-text', validate(createDeckFromTextSchema), asyncHandler(async
   });
 }));
 
+/**
+ * POST /api/decks/import-bundle
+ * Import a deck bundle (multipart field "bundle") as a new deck
+ * Body options:
+ *   - entityConflict: 'deck' (default), 'replace' or 'keep' - how to handle
+ *     global entities that exist with a different image
+ */
+router.post(
+  '/import-bundle',
+  bundleUpload.single('bundle'),
+  validate(importDeckBundleSchema),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Deck bundle file is required' });
+    }
+
+    const result = await importDeckBundle(req.file.buffer, { entityConflict: req.body.entityConflict });
+    res.status(201).json(result);
+  })
+);
+
+/**
+ * POST /api/decks/import-pptx
+ * Create a deck from a PowerPoint file (multipart field "file")
+ * One slide per page with its notes as speaker notes and its pictures as pinned images
+ * Body options: name, visualStyle, aspectRatio, resolution, cropStrategy
+ */
+router.post(
+  '/import-pptx',
+  pptxUpload.single('file'),
+  validate(importPptxSchema),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'PowerPoint file is required' });
+    }
+
+    const result = await importPptx(req.file.buffer, { ...req.body, fileName: req.file.originalname });
+    res.status(201).json(result);
+  })
+);
+
+/**
+ * POST /api/decks/import-google-slides
+ * Create a deck from a Google Slides presentation (one slide per page with its speaker notes)
+ * Uses the Google credentials from settings, like the export
+ * Body: { url, name, visualStyle, aspectRatio, resolution, cropStrategy }
+ */
+router.post('/import-google-slides', validate(importGoogleSlidesSchema), asyncHandler(async (req, res) => {
+  const settings = await fileSystem.getSettings();
+  const { url, ...options } = req.body;
+
+  const result = await importFromGoogleSlides(url, {
+    ...options,
+    credentials: settings.googleSlides?.credentials || null
+  });
+  res.status(201).json(result);
+}));
+
 /**
  * PUT /api/decks/:deckId
  * Update deck metadata
@@ -100,15 +217,120 @@ router.put('/:deckId', validate(updateDeckSchema), asyncHandler(async (req, res)
   res.json(deck);
 }));
 
+/**
+ * POST /api/decks/:deckId/prompt-preview
+ * Render the deck's prompt template for one slide without generating
+ * Body (all optional):
+ *   - promptTemplate / negativePrompt: Unsaved values to preview (default: the deck's)
+ *   - slideId: Slide to render (default: first slide with an image description)
+ *   - service: Image service (default: style preset's preferred service, else the default)
+ */
+router.post('/:deckId/prompt-preview', validate(promptPreviewSchema), asyncHandler(async (req, res) => {
+  const { deckId } = req.params;
+  const deck = await fileSystem.getDeck(deckId);
+  const slides = await fileSystem.getSlides(deckId);
+
+  const slide = req.body.slideId
+    ? await fileSystem.getSlide(deckId, req.body.slideId)
+    : slides.find(s => s.imageDescription?.trim()) || slides[0];
+  if (!slide) {
+    return res.status(400).json({ error: 'Deck has no slides to preview' });
+  }
+
+  let built;
+  try {
+    built = await buildSlidePrompt(deck, slide, await fileSystem.getMergedEntities(deckId), {
+      ...(req.body.promptTemplate !== undefined && { promptTemplate: req.body.promptTemplate }),
+      ...(req.body.negativePrompt !== undefined && { negativePrompt: req.body.negativePrompt }),
+      service: req.body.service,
+      // Previews are rendered while typing, so they do not call the description service
+      summarize: false
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.json({
+    slideId: slide.id,
+    prompt: built.prompt,
+    negativePrompt: built.negativePrompt,
+    unknownEntities: built.unknownEntities,
+    warnings: built.warnings,
+    service: built.service,
+    // What the service receives (negative prompt appended if it has no separate one)
+    providerPrompt: built.providerPrompt
+  });
+}));
+
 /**
  * DELETE /api/decks/:deckId
- * Delete deck
+ * Delete deck (moves it to the trash after cancelling its bulk jobs)
  */
 router.delete('/:deckId', asyncHandler(async (req, res) => {
+  // Running bulk jobs would otherwise keep writing into the trashed deck
+  // (and recreate its folder, which blocks restoring it)
+  await bulkGeneration.cancelDeckJobs(req.params.deckId);
   await fileSystem.deleteDeck(req.params.deckId);
   res.json({ success: true });
 }));
 
+/**
+ * POST /api/decks/:deckId/duplicate
+ * Copy a deck under a new ID (e.g. to try another visual style)
+ * Body options:
+ *   - name: New deck name (default: "<name> (Copy)")
+ *   - visualStyle: Visual style for the copy (default: copied)
+ *   - slides: Copy slides (default true)
+ *   - images: 'none', 'pinned' (default) or 'all'
+ *   - entities / themeImages: Copy deck entities / theme images (default true)
+ */
+router.post('/:deckId/duplicate', validate(duplicateDeckSchema), asyncHandler(async (req, res) => {
+  const deck = await fileSystem.duplicateDeck(req.params.deckId, req.body);
+  res.status(201).json(deck);
+}));
+
+/**
+ * GET /api/decks/:deckId/snapshots
+ * List snapshots (newest first)
+ */
+router.get('/:deckId/snapshots', asyncHandler(async (req, res) => {
+  const list = await snapshots.listSnapshots(req.params.deckId);
+  res.json(list);
+}));
+
+/**
+ * POST /api/decks/:deckId/snapshots
+ * Create a named snapshot of the deck and its slides
+ */
+router.post('/:deckId/snapshots', validate(createSnapshotSchema), asyncHandler(async (req, res) => {
+  const snapshot = await snapshots.createSnapshot(req.params.deckId, { name: req.body.name });
+  res.status(201).json(snapshot);
+}));
+
+/**
+ * POST /api/decks/:deckId/snapshots/:snapshotId/restore
+ * Restore the deck to a snapshot (the current state is snapshotted first)
+ * Running and paused bulk jobs of the deck are cancelled first
+ */
+router.post('/:deckId/snapshots/:snapshotId/restore', asyncHandler(async (req, res) => {
+  const { deckId, snapshotId } = req.params;
+  await fileSystem.getSnapshot(deckId, snapshotId);
+  // A job would otherwise keep adding images to slides the restore replaces or removes
+  await bulkGeneration.cancelDeckJobs(deckId);
+  const result = await snapshots.restoreSnapshot(deckId, snapshotId);
+  res.json(result);
+}));
+
+/**
+ * DELETE /api/decks/:deckId/snapshots/:snapshotId
+ * Delete a snapshot
+ */
+router.delete('/:deckId/snapshots/:snapshotId', asyncHandler(async (req, res) => {
+  const { deckId, snapshotId } = req.params;
+  await snapshots.deleteSnapshot(deckId, snapshotId);
+  res.json({ success: true });
+}));
+
 /**
  * POST /api/decks/:deckId/entities
  * Add entity to deck
@@ -159,6 +381,68 @@ router.delete('/:deckId/entities/:entityName', asyncHandler(async (req, res) =>
   res.json(deck);
 }));
 
+/**
+ * PUT /api/decks/:deckId/entities/:entityName
+ * Update an entity's aliases, description or image mode
+ */
+router.put('/:deckId/entities/:entityName', validate(updateEntitySchema), asyncHandler(async (req, res) => {
+  const { deckId, entityName } = req.params;
+  const deck = await fileSystem.updateEntity(deckId, entityName, req.body);
+  res.json(deck);
+}));
+
+/**
+ * POST /api/decks/:deckId/entities/:entityName/images
+ * Add a reference image to an entity, optionally labelled (for @Entity:label)
+ */
+router.post(
+  '/:deckId/entities/:entityName/images',
+  upload.single('image'),
+  validate(addEntityImageSchema),
+  asyncHandler(async (req, res) => {
+    const { deckId, entityName } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Image file is required' });
+    }
+
+    const imageExtension = req.file.mimetype.split('/')[1] || 'jpg';
+    const deck = await fileSystem.addEntityImage(
+      deckId,
+      entityName,
+      req.file.buffer,
+      imageExtension,
+      req.body.label
+    );
+
+    res.status(201).json(deck);
+  })
+);
+
+/**
+ * PUT /api/decks/:deckId/entities/:entityName/images/:filename
+ * Label an entity image or make it the primary image
+ */
+router.put(
+  '/:deckId/entities/:entityName/images/:filename',
+  validate(updateEntityImageSchema),
+  asyncHandler(async (req, res) => {
+    const { deckId, entityName, filename } = req.params;
+    const deck = await fileSystem.updateEntityImage(deckId, entityName, filename, req.body);
+    res.json(deck);
+  })
+);
+
+/**
+ * DELETE /api/decks/:deckId/entities/:entityName/images/:filename
+ * Remove a reference image from an entity (not its only image)
+ */
+router.delete('/:deckId/entities/:entityName/images/:filename', asyncHandler(async (req, res) => {
+  const { deckId, entityName, filename } = req.params;
+  const deck = await fileSystem.removeEntityImage(deckId, entityName, filename);
+  res.json(deck);
+}));
+
 /**
  * GET /api/decks/:deckId/entities/:entityName/:filename
  * Get entity image file
@@ -232,9 +516,9 @@ router.get('/:deckId/theme-images/:filename', asyncHandler(async (req, res) => {
 router.post('/:deckId/regenerate-descriptions', asyncHandler(async (req, res) => {
   const { deckId } = req.params;
 
-  if (!process.env.OPENAI_API_KEY) {
+  if (!openaiDescriptions.isConfigured()) {
     return res.status(400).json({
-      error: 'OPENAI_API_KEY not configured in environment. Please add it to your .env file.'
+      error: 'OPENAI_API_KEY not configured in environment. Please add it to your .env file (or set MOCK_DESCRIPTIONS=true).'
     });
   }
 
@@ -252,13 +536,22 @@ router.post('/:deckId/regenerate-descriptions', asyncHandler(async (req, res) =>
     });
   }
 
+  // Refuse runs that would go over today's description budget
+  const budget = await usageLedger.checkDailyBudget('descriptions', unlockedSlides.length);
+  if (!budget.allowed) {
+    return res.status(429).json({ error: budget.message, budget });
+  }
+
+  // Allow undoing the bulk overwrite
+  await snapshots.createAutomaticSnapshot(deckId, 'regenerate-descriptions');
+
   // Get merged entities
   const mergedEntities = await fileSystem.getMergedEntities(deckId);
 
   // Create tasks for parallel execution
   const tasks = unlockedSlides.map(slide => async () => {
-    // Get effective visual style (considers slide override, scene style, deck style)
-    const visualStyle = await fileSystem.getEffectiveVisualStyle(deckId, slide.id);
+    // Get effective style (considers slide override, scene style, deck style and their presets)
+    const { visualStyle, stylePreset } = await fileSystem.getEffectiveStyle(deckId, slide.id);
 
     // Get speaker notes from previous slides for context
     // Skip if slide has noContext flag set
@@ -288,9 +581,10 @@ router.post('/:deckId/regenerate-descriptions', asyncHandler(async (req, res) =>
       slide.speakerNotes,
       visualStyle,
       mergedEntities,
-      deck.themeImages || [],
+      [...(deck.themeImages || []), ...(stylePreset?.themeImages || [])],
       process.env.OPENAI_API_KEY,
-      previousSlideNotes
+      previousSlideNotes,
+      { deckId, slideId: slide.id }
     );
 
     // Update the slide
@@ -506,4 +800,19 @@ router.post('/:deckId/export-pptx', validate(exportDeckSchema), asyncHandler(asy
   res.send(result.buffer);
 }));
 
+/**
+ * GET /api/decks/:deckId/bundle
+ * Download the deck as a portable bundle (.zip)
+ * Query params: images=pinned (default) or all
+ */
+router.get('/:deckId/bundle', validate(deckBundleSchema, 'query'), asyncHandler(async (req, res) => {
+  const { deckId } = req.params;
+  const { buffer, fileName } = await createDeckBundle(deckId, { images: req.query.images });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.send(buffer);
+}));
+
 export default router;
@@ -5,25 +5,26 @@ import { asyncHandler } from '../middleware/errorHandler.js';
 import { validate } from '../middleware/validation.js';
 import { generateImagesSchema, tweakImageSchema } from '../models/Slide.js';
 import * as fileSystem from '../services/fileSystem.js';
-import * as geminiNanoBanana from '../services/geminiNanoBanana.js';
+import * as imageProviders from '../services/imageProviders/index.js';
 import * as imageProcessor from '../services/imageProcessor.js';
-import { buildFullPrompt, getReferencedEntityImages, parseEntityReferences } from '../utils/promptParser.js';
+import { parseEntityReferences } from '../utils/promptParser.js';
 import { executeInParallel } from '../utils/asyncPool.js';
+import { getDeckImageFormat } from '../utils/imageFormat.js';
+import * as jobManager from '../services/jobManager.js';
+import * as bulkGeneration from '../services/bulkGeneration.js';
+import * as usageLedger from '../services/usageLedger.js';
+import * as snapshots from '../services/snapshots.js';
+import { buildSlidePrompt, getEntityReferenceImages, loadReferenceImages } from '../services/slidePrompt.js';
 
 const router = express.Router();
 
-// Job storage (in-memory for now)
-const jobs = new Map();
-
-// Cleanup old jobs after 1 hour
-setInterval(() => {
-  const oneHourAgo = Date.now() - 60 * 60 * 1000;
-  for (const [jobId, job] of jobs.entries()) {
-    if (new Date(job.createdAt).getTime() < oneHourAgo) {
-      jobs.delete(jobId);
-    }
-  }
-}, 5 * 60 * 1000); // Check every 5 minutes
+/**
+ * GET /api/providers
+ * List registered image providers and their capabilities
+ */
+router.get('/providers', (req, res) => {
+  res.json(imageProviders.listProviders());
+});
 
 /**
  * POST /api/decks/:deckId/slides/:slideId/generate
@@ -34,7 +35,7 @@ router.post(
   validate(generateImagesSchema),
   asyncHandler(async (req, res) => {
     const { deckId, slideId } = req.params;
-    const { count, service } = req.body;
+    const { count } = req.body;
 
     // Get deck and slide
     const deck = await fileSystem.getDeck(deckId);
@@ -51,131 +52,43 @@ router.post(
     // Get merged entities (deck + global)
     const mergedEntities = await fileSystem.getMergedEntities(deckId);
 
-    // Get effective visual style (considers slide override, scene style, deck style)
-    const visualStyle = await fileSystem.getEffectiveVisualStyle(deckId, slideId);
-
-    // Build full prompt (including theme images)
-    const { prompt, unknownEntities } = buildFullPrompt(
-      visualStyle,
-      slide.imageDescription,
-      mergedEntities,
-      deck.themeImages || []
-    );
+    // Build full prompt from the deck's template and the effective style
+    // (slide override, scene style, deck style and their presets), fitted to the service's limit
+    const { prompt, negativePrompt, unknownEntities, referenceImages, service, warnings } =
+      await buildSlidePrompt(deck, slide, mergedEntities, { service: req.body.service });
+    const imageFormat = getDeckImageFormat(deck);
 
     // Warn about unknown entities
     if (unknownEntities.length > 0) {
       console.warn(`Unknown entities in slide ${slideId}:`, unknownEntities);
     }
+    warnings.forEach(warning => console.warn(`[Generate] Slide ${slideId}: ${warning}`));
 
-    // Get referenced entity images
-    const referencedEntities = getReferencedEntityImages(
-      slide.imageDescription,
-      mergedEntities,
-      deckId
-    );
-
-    // Load entity image buffers
-    const entityImageBuffers = [];
-    const globalEntities = await fileSystem.getGlobalEntities();
-
-    console.log(`[Generate] Slide ${slideId}: Found ${referencedEntities.length} entity reference(s) in description`);
-    if (referencedEntities.length > 0) {
-      console.log(`[Generate] Entity refs: ${referencedEntities.map(e => e.entityName).join(', ')}`);
-    }
-
-    for (const entity of referencedEntities) {
-      try {
-        let imagePath;
-        let source;
-
-        // Check if entity is deck-specific or global
-        if (deck.entities[entity.entityName]) {
-          // Deck-specific entity
-          imagePath = fileSystem.getEntityImagePath(deckId, entity.imageFilename);
-          source = 'deck';
-        } else if (globalEntities[entity.entityName]) {
-          // Global entity
-          imagePath = fileSystem.getGlobalEntityImagePath(entity.imageFilename);
-          source = 'global';
-        } else {
-          console.warn(`[Generate] Entity "${entity.entityName}" not found in deck or global entities`);
-          console.warn(`[Generate]   Available deck entities: ${Object.keys(deck.entities).join(', ') || '(none)'}`);
-          console.warn(`[Generate]   Available global entities: ${Object.keys(globalEntities).join(', ') || '(none)'}`);
-          continue;
-        }
-
-        const buffer = await fs.readFile(imagePath);
-        entityImageBuffers.push({
-          buffer,
-          label: entity.displayName
-        });
-        console.log(`[Generate] Loaded entity "${entity.entityName}" from ${source}: ${entity.imageFilename}`);
-      } catch (error) {
-        console.error(`[Generate] FAILED to load entity image "${entity.entityName}" (${entity.imageFilename}):`, error.message);
-      }
-    }
-
-    // Load theme image buffers
-    const themeImageBuffers = [];
-    if (deck.themeImages && deck.themeImages.length > 0) {
-      for (const themeImageFilename of deck.themeImages) {
-        try {
-          const imagePath = fileSystem.getThemeImagePath(deckId, themeImageFilename);
-          const buffer = await fs.readFile(imagePath);
-          themeImageBuffers.push({
-            buffer,
-            label: 'Theme Reference'
-          });
-        } catch (error) {
-          console.warn(`Failed to load theme image ${themeImageFilename}:`, error.message);
-        }
-      }
-    }
-
-    // Combine entity and theme images
-    const allReferenceImages = [...entityImageBuffers, ...themeImageBuffers];
-
-    console.log(`Generating images with ${entityImageBuffers.length} entity reference(s) and ${themeImageBuffers.length} theme image(s)`);
+    // Load entity and theme reference images
+    const allReferenceImages = await loadReferenceImages(referenceImages, '[Generate]');
+    console.log(`[Generate] Slide ${slideId}: ${allReferenceImages.length} reference image(s)`);
 
     // Generate images in parallel
     const tasks = Array.from({ length: count }, () => async () => {
-      let imageBuffer;
-
-      if (service === 'gemini-flash') {
-        if (!process.env.GEMINI_API_KEY) {
-          throw new Error('GEMINI_API_KEY not configured in environment');
-        }
-        imageBuffer = await geminiNanoBanana.generateImage(prompt, {
-          apiKey: process.env.GEMINI_API_KEY,
-          model: geminiNanoBanana.MODELS.FLASH,
-          aspectRatio: '16:9',
-          resolution: '2K',
-          referenceImages: allReferenceImages.length > 0 ? allReferenceImages : null
-        });
-      } else if (service === 'gemini-pro') {
-        if (!process.env.GEMINI_API_KEY) {
-          throw new Error('GEMINI_API_KEY not configured in environment');
-        }
-        imageBuffer = await geminiNanoBanana.generateImage(prompt, {
-          apiKey: process.env.GEMINI_API_KEY,
-          model: geminiNanoBanana.MODELS.PRO,
-          aspectRatio: '16:9',
-          resolution: '2K',
-          referenceImages: allReferenceImages.length > 0 ? allReferenceImages : null
-        });
-      } else {
-        throw new Error(`Unknown service: ${service}`);
-      }
-
-      // Process image (enforce 16:9, convert to JPEG, optimize)
-      const processedBuffer = await imageProcessor.processImage(imageBuffer);
-
-      // Save to file system
+      const imageBuffer = await imageProviders.generateImage(service, prompt, {
+        ...imageFormat,
+        referenceImages: allReferenceImages,
+        negativePrompt,
+        deckId,
+        slideId
+      });
+
+      // Process image (enforce deck aspect ratio, convert to JPEG, optimize)
+      const processedBuffer = await imageProcessor.processImage(imageBuffer, imageFormat);
+
+      // Save to file system (with the original for re-cropping)
       const imageMetadata = await fileSystem.addGeneratedImage(deckId, slideId, processedBuffer, {
         id: uuidv4(),
         service,
-        prompt
-      });
+        prompt,
+        negativePrompt,
+        crop: { strategy: imageFormat.cropStrategy, focalPoint: null }
+      }, imageBuffer);
 
       return imageMetadata;
     });
@@ -190,7 +103,10 @@ router.post(
       images: successful,
       failed: failed.length > 0 ? failed.map(r => r.error) : undefined,
       unknownEntities: unknownEntities.length > 0 ? unknownEntities : undefined,
-      prompt: prompt // Return the prompt that was used
+      // e.g. the prompt was shortened to fit the service's limit
+      warnings: warnings.length > 0 ? warnings : undefined,
+      prompt: prompt, // Return the prompt that was used
+      negativePrompt
     });
   })
 );
@@ -215,36 +131,29 @@ router.post(
       return res.status(404).json({ error: 'Source image not found' });
     }
 
+    if (sourceImage.source === 'import') {
+      return res.status(400).json({ error: 'Imported images cannot be tweaked' });
+    }
+
+    // Tweaking re-uses the service that generated the source image
+    if (!imageProviders.hasProvider(sourceImage.service) ||
+        !imageProviders.getProvider(sourceImage.service).capabilities?.edit) {
+      return res.status(400).json({
+        error: `Image service "${sourceImage.service}" does not support tweaking`
+      });
+    }
+
     // Get merged entities for parsing @references in tweak prompt
     const mergedEntities = await fileSystem.getMergedEntities(deckId);
-    const globalEntities = await fileSystem.getGlobalEntities();
 
     // Parse entity references in the tweak prompt (just replace @Entity with readable names)
     const { parsedText: parsedPrompt, unknownEntities } = parseEntityReferences(prompt, mergedEntities);
 
-    // Get referenced entity images from the tweak prompt
-    const referencedEntities = getReferencedEntityImages(prompt, mergedEntities, deckId);
-
-    // Load entity image buffers
-    const entityImageBuffers = [];
-    for (const entity of referencedEntities) {
-      try {
-        let imagePath;
-        if (deck.entities[entity.entityName]) {
-          imagePath = fileSystem.getEntityImagePath(deckId, entity.imageFilename);
-        } else if (globalEntities[entity.entityName]) {
-          imagePath = fileSystem.getGlobalEntityImagePath(entity.imageFilename);
-        } else {
-          console.warn(`[Tweak] Entity "${entity.entityName}" not found`);
-          continue;
-        }
-        const buffer = await fs.readFile(imagePath);
-        entityImageBuffers.push({ buffer, label: entity.displayName });
-        console.log(`[Tweak] Loaded entity "${entity.entityName}": ${entity.imageFilename}`);
-      } catch (error) {
-        console.error(`[Tweak] Failed to load entity image "${entity.entityName}":`, error.message);
-      }
-    }
+    // Load the images of entities referenced in the tweak prompt
+    const entityImageBuffers = await loadReferenceImages(
+      getEntityReferenceImages(deck, prompt, mergedEntities),
+      '[Tweak]'
+    );
 
     if (unknownEntities.length > 0) {
       console.warn(`[Tweak] Unknown entities in prompt:`, unknownEntities);
@@ -252,48 +161,32 @@ router.post(
 
     console.log(`[Tweak] Tweaking with ${entityImageBuffers.length} entity reference(s)`);
 
+    // Tweaks keep the deck's current image format
+    const imageFormat = getDeckImageFormat(deck);
+
     // Read source image file
     const sourceImagePath = fileSystem.getImagePath(deckId, slideId, sourceImage.filename);
     const sourceImageBuffer = await fs.readFile(sourceImagePath);
 
     // Generate tweaked images in parallel
     const tasks = Array.from({ length: count }, () => async () => {
-      let imageBuffer;
-
-      if (sourceImage.service === 'gemini-flash') {
-        if (!process.env.GEMINI_API_KEY) {
-          throw new Error('GEMINI_API_KEY not configured in environment');
-        }
-        imageBuffer = await geminiNanoBanana.editImage(sourceImageBuffer, parsedPrompt, {
-          apiKey: process.env.GEMINI_API_KEY,
-          model: geminiNanoBanana.MODELS.FLASH,
-          aspectRatio: '16:9',
-          resolution: '2K'
-        });
-      } else if (sourceImage.service === 'gemini-pro') {
-        if (!process.env.GEMINI_API_KEY) {
-          throw new Error('GEMINI_API_KEY not configured in environment');
-        }
-        imageBuffer = await geminiNanoBanana.editImage(sourceImageBuffer, parsedPrompt, {
-          apiKey: process.env.GEMINI_API_KEY,
-          model: geminiNanoBanana.MODELS.PRO,
-          aspectRatio: '16:9',
-          resolution: '2K'
-        });
-      } else {
-        throw new Error(`Unknown service: ${sourceImage.service}`);
-      }
+      const imageBuffer = await imageProviders.editImage(sourceImage.service, sourceImageBuffer, parsedPrompt, {
+        ...imageFormat,
+        deckId,
+        slideId
+      });
 
       // Process image
-      const processedBuffer = await imageProcessor.processImage(imageBuffer);
+      const processedBuffer = await imageProcessor.processImage(imageBuffer, imageFormat);
 
-      // Save to file system
+      // Save to file system (with the original for re-cropping)
       const imageMetadata = await fileSystem.addGeneratedImage(deckId, slideId, processedBuffer, {
         id: uuidv4(),
         service: sourceImage.service,
         prompt: prompt,
-        sourceImageId: imageId
-      });
+        sourceImageId: imageId,
+        crop: { strategy: imageFormat.cropStrategy, focalPoint: null }
+      }, imageBuffer);
 
       return imageMetadata;
     });
@@ -329,7 +222,8 @@ router.post(
     const { deckId } = req.params;
     const { count, service } = req.body;
 
-    const deck = await fileSystem.getDeck(deckId);
+    // Ensure deck exists
+    await fileSystem.getDeck(deckId);
     const allSlides = await fileSystem.getSlides(deckId);
 
     // Filter out slides marked as "no images"
@@ -342,29 +236,17 @@ router.post(
       });
     }
 
-    // Create job
-    const jobId = uuidv4();
-    const job = {
-      jobId,
-      deckId,
-      type: 'generate-all',
-      status: 'running',
-      createdAt: new Date().toISOString(),
-      completedAt: null,
-      config: { count, service },
-      progress: {
-        total: slides.length,
-        completed: 0,
-        failed: 0,
-        pending: slides.length
-      },
-      results: []
-    };
-
-    jobs.set(jobId, job);
-
-    // Start generation in background
-    generateAllInBackground(jobId, deck, slides, count, service);
+    // Refuse jobs that would go over today's image budget
+    const budget = await usageLedger.checkDailyBudget('images', slides.length * count);
+    if (!budget.allowed) {
+      return res.status(429).json({ error: budget.message, budget });
+    }
+
+    // Keep the state before the bulk run restorable
+    await snapshots.createAutomaticSnapshot(deckId, 'generate-all');
+
+    // Create job and start generation in background
+    const { jobId } = await bulkGeneration.startBulkJob(deckId, 'generate-all', slides, { count, service });
 
     res.json({ jobId });
   })
@@ -381,7 +263,8 @@ router.post(
     const { deckId } = req.params;
     const { count, service } = req.body;
 
-    const deck = await fileSystem.getDeck(deckId);
+    // Ensure deck exists
+    await fileSystem.getDeck(deckId);
     const allSlides = await fileSystem.getSlides(deckId);
 
     // Filter slides without images
@@ -394,29 +277,17 @@ router.post(
       });
     }
 
-    // Create job
-    const jobId = uuidv4();
-    const job = {
-      jobId,
-      deckId,
-      type: 'generate-missing',
-      status: 'running',
-      createdAt: new Date().toISOString(),
-      completedAt: null,
-      config: { count, service },
-      progress: {
-        total: slidesWithoutImages.length,
-        completed: 0,
-        failed: 0,
-        pending: slidesWithoutImages.length
-      },
-      results: []
-    };
-
-    jobs.set(jobId, job);
-
-    // Start generation in background
-    generateAllInBackground(jobId, deck, slidesWithoutImages, count, service);
+    // Refuse jobs that would go over today's image budget
+    const budget = await usageLedger.checkDailyBudget('images', slidesWithoutImages.length * count);
+    if (!budget.allowed) {
+      return res.status(429).json({ error: budget.message, budget });
+    }
+
+    // Keep the state before the bulk run restorable
+    await snapshots.createAutomaticSnapshot(deckId, 'generate-missing');
+
+    // Create job and start generation in background
+    const { jobId } = await bulkGeneration.startBulkJob(deckId, 'generate-missing', slidesWithoutImages, { count, service });
 
     res.json({ jobId });
   })
@@ -428,7 +299,7 @@ router.post(
  */
 router.get('/jobs/:jobId', asyncHandler(async (req, res) => {
   const { jobId } = req.params;
-  const job = jobs.get(jobId);
+  const job = jobManager.getJob(jobId);
 
   if (!job) {
     return res.status(404).json({ error: 'Job not found or expired' });
@@ -438,144 +309,124 @@ router.get('/jobs/:jobId', asyncHandler(async (req, res) => {
 }));
 
 /**
- * Background function to generate images for multiple slides
+ * GET /api/jobs/:jobId/events
+ * Server-Sent Events stream of job progress
+ * Sends a 'snapshot' event with the full job first, then per-slide events
+ * (slide-started, slide-completed with image metadata, slide-failed,
+ * slide-cancelled), 'status' on pause/resume and 'done' when the job ends
  */
-async function generateAllInBackground(jobId, deck, slides, count, service) {
-  const job = jobs.get(jobId);
-  if (!job) return;
-
-  try {
-    // Get merged entities once (for all slides)
-    const mergedEntities = await fileSystem.getMergedEntities(deck.id);
-    const globalEntities = await fileSystem.getGlobalEntities();
-
-    // Generate for each slide sequentially (to respect rate limits)
-    for (const slide of slides) {
-      try {
-        // Get effective visual style (considers slide override, scene style, deck style)
-        const visualStyle = await fileSystem.getEffectiveVisualStyle(deck.id, slide.id);
-
-        // Build prompt
-        const { prompt } = buildFullPrompt(
-          visualStyle,
-          slide.imageDescription,
-          mergedEntities,
-          deck.themeImages || []
-        );
-
-        // Get referenced entity images for this slide
-        const referencedEntities = getReferencedEntityImages(
-          slide.imageDescription,
-          mergedEntities,
-          deck.id
-        );
-
-        // Load entity image buffers
-        const entityImageBuffers = [];
-        for (const entity of referencedEntities) {
-          try {
-            let imagePath;
-            if (deck.entities[entity.entityName]) {
-              imagePath = fileSystem.getEntityImagePath(deck.id, entity.imageFilename);
-            } else if (globalEntities[entity.entityName]) {
-              imagePath = fileSystem.getGlobalEntityImagePath(entity.imageFilename);
-            } else {
-              console.warn(`[Bulk] Entity ${entity.entityName} not found in deck or global entities`);
-              continue;
-            }
-            const buffer = await fs.readFile(imagePath);
-            entityImageBuffers.push({ buffer, label: entity.displayName });
-          } catch (error) {
-            console.warn(`[Bulk] Failed to load entity image ${entity.imageFilename}:`, error.message);
-          }
-        }
-
-        // Load theme image buffers
-        const themeImageBuffers = [];
-        if (deck.themeImages && deck.themeImages.length > 0) {
-          for (const themeImageFilename of deck.themeImages) {
-            try {
-              const imagePath = fileSystem.getThemeImagePath(deck.id, themeImageFilename);
-              const buffer = await fs.readFile(imagePath);
-              themeImageBuffers.push({ buffer, label: 'Theme Reference' });
-            } catch (error) {
-              console.warn(`[Bulk] Failed to load theme image ${themeImageFilename}:`, error.message);
-            }
-          }
-        }
-
-        const allReferenceImages = [...entityImageBuffers, ...themeImageBuffers];
-        console.log(`[Bulk] Slide ${slide.id}: ${entityImageBuffers.length} entity ref(s), ${themeImageBuffers.length} theme image(s)`);
-
-        // Generate images
-        const tasks = Array.from({ length: count }, () => async () => {
-          let imageBuffer;
-
-          if (service === 'gemini-flash') {
-            if (!process.env.GEMINI_API_KEY) {
-              throw new Error('GEMINI_API_KEY not configured in environment');
-            }
-            imageBuffer = await geminiNanoBanana.generateImage(prompt, {
-              apiKey: process.env.GEMINI_API_KEY,
-              model: geminiNanoBanana.MODELS.FLASH,
-              aspectRatio: '16:9',
-              resolution: '2K',
-              referenceImages: allReferenceImages.length > 0 ? allReferenceImages : null
-            });
-          } else if (service === 'gemini-pro') {
-            if (!process.env.GEMINI_API_KEY) {
-              throw new Error('GEMINI_API_KEY not configured in environment');
-            }
-            imageBuffer = await geminiNanoBanana.generateImage(prompt, {
-              apiKey: process.env.GEMINI_API_KEY,
-              model: geminiNanoBanana.MODELS.PRO,
-              aspectRatio: '16:9',
-              resolution: '2K',
-              referenceImages: allReferenceImages.length > 0 ? allReferenceImages : null
-            });
-          } else {
-            throw new Error(`Unknown service: ${service}`);
-          }
-
-          const processedBuffer = await imageProcessor.processImage(imageBuffer);
-
-          return fileSystem.addGeneratedImage(deck.id, slide.id, processedBuffer, {
-            id: uuidv4(),
-            service,
-            prompt
-          });
-        });
-
-        const results = await executeInParallel(tasks);
-        const imageCount = results.filter(r => r.status === 'success').length;
-
-        job.results.push({
-          slideId: slide.id,
-          status: 'success',
-          imageCount
-        });
-
-        job.progress.completed++;
-        job.progress.pending--;
-      } catch (error) {
-        job.results.push({
-          slideId: slide.id,
-          status: 'failed',
-          error: error.message
-        });
-
-        job.progress.failed++;
-        job.progress.pending--;
-      }
+router.get('/jobs/:jobId/events', (req, res) => {
+  const { jobId } = req.params;
+  const job = jobManager.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('snapshot', job);
+
+  if (!['running', 'paused', 'cancelling'].includes(job.status)) {
+    return res.end();
+  }
+
+  // Keep connection alive through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 30 * 1000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  const unsubscribe = jobManager.subscribeToJob(jobId, (event) => {
+    send(event.type, event);
+    if (event.type === 'done') {
+      cleanup();
+      res.end();
     }
+  });
+
+  req.on('close', cleanup);
+});
+
+/**
+ * GET /api/decks/:deckId/jobs
+ * List bulk jobs for a deck (newest first)
+ */
+router.get('/decks/:deckId/jobs', asyncHandler(async (req, res) => {
+  const { deckId } = req.params;
+
+  // Ensure deck exists
+  await fileSystem.getDeck(deckId);
+
+  res.json(jobManager.getJobsForDeck(deckId));
+}));
+
+/**
+ * POST /api/jobs/:jobId/cancel
+ * Cancel a running or paused job
+ */
+router.post('/jobs/:jobId/cancel', asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+  const job = jobManager.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
 
-    job.status = 'completed';
-    job.completedAt = new Date().toISOString();
-  } catch (error) {
-    job.status = 'failed';
-    job.error = error.message;
-    job.completedAt = new Date().toISOString();
+  if (job.status !== 'running' && job.status !== 'paused') {
+    return res.status(400).json({ error: `Job is already ${job.status}` });
   }
-}
+
+  res.json(await bulkGeneration.cancelJob(jobId));
+}));
+
+/**
+ * POST /api/jobs/:jobId/pause
+ * Pause a running job (in-flight images still finish)
+ */
+router.post('/jobs/:jobId/pause', asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+  const job = jobManager.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+
+  if (job.status !== 'running') {
+    return res.status(400).json({ error: `Only running jobs can be paused (job is ${job.status})` });
+  }
+
+  res.json(await bulkGeneration.pauseJob(jobId));
+}));
+
+/**
+ * POST /api/jobs/:jobId/resume
+ * Resume a paused job
+ */
+router.post('/jobs/:jobId/resume', asyncHandler(async (req, res) => {
+  const { jobId } = req.params;
+  const job = jobManager.getJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found or expired' });
+  }
+
+  if (job.status !== 'paused') {
+    return res.status(400).json({ error: `Only paused jobs can be resumed (job is ${job.status})` });
+  }
+
+  res.json(await bulkGeneration.resumeJob(jobId));
+}));
 
 export default router;
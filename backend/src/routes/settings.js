@@ -2,7 +2,8 @@ import express from 'express';
 import multer from 'multer';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { validate } from '../middleware/validation.js';
-import { updateSettingsSchema, maskSettings } from '../models/Settings.js';
+import { updateSettingsSchema, pruneOriginalsSchema, createStylePresetSchema, updateStylePresetSchema, maskSettings } from '../models/Settings.js';
+import { updateEntitySchema, addGlobalEntityImageSchema, updateEntityImageSchema } from '../models/Deck.js';
 import * as fileSystem from '../services/fileSystem.js';
 
 const router = express.Router();
@@ -24,6 +25,20 @@ const templateUpload = multer({
   }
 });
 
+// Configure multer for style preset reference images
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10 MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(new Error('Only image files are allowed'), false);
+    }
+    cb(null, true);
+  }
+});
+
 /**
  * GET /api/settings
  * Get settings (with masked API keys)
@@ -73,11 +88,65 @@ router.put('/', validate(updateSettingsSchema), asyncHandler(async (req, res) =>
     updates.powerPoint.templateSlideIndex = req.body.powerPointTemplateIndex || 1;
   }
 
+  // Daily budgets (null = unlimited)
+  if (req.body.dailyImageBudget !== undefined || req.body.dailyDescriptionBudget !== undefined) {
+    updates.usageBudgets = { dailyImages: null, dailyDescriptions: null, ...updates.usageBudgets };
+    if (req.body.dailyImageBudget !== undefined) {
+      updates.usageBudgets.dailyImages = req.body.dailyImageBudget;
+    }
+    if (req.body.dailyDescriptionBudget !== undefined) {
+      updates.usageBudgets.dailyDescriptions = req.body.dailyDescriptionBudget;
+    }
+  }
+
+  // Originals retention (null = keep forever)
+  if (req.body.pruneOriginalsAfterDays !== undefined) {
+    updates.storage = {
+      ...updates.storage,
+      pruneOriginalsAfterDays: req.body.pruneOriginalsAfterDays
+    };
+  }
+
+  // Trash retention (null = keep until emptied)
+  if (req.body.trashRetentionDays !== undefined) {
+    updates.storage = {
+      ...updates.storage,
+      trashRetentionDays: req.body.trashRetentionDays
+    };
+  }
+
+  // Long prompts: condense the style instead of cutting it off
+  if (req.body.summarizeLongStyles !== undefined) {
+    updates.prompts = {
+      ...updates.prompts,
+      summarizeLongStyles: req.body.summarizeLongStyles
+    };
+  }
+
   const savedSettings = await fileSystem.saveSettings(updates);
   const maskedSettings = maskSettings(savedSettings);
   res.json(maskedSettings);
 }));
 
+/**
+ * GET /api/settings/originals
+ * Get storage used by kept original images
+ */
+router.get('/originals', asyncHandler(async (req, res) => {
+  const usage = await fileSystem.getOriginalsUsage();
+  res.json(usage);
+}));
+
+/**
+ * POST /api/settings/originals/prune
+ * Delete kept originals of unpinned images
+ */
+router.post('/originals/prune', validate(pruneOriginalsSchema), asyncHandler(async (req, res) => {
+  const pruned = await fileSystem.pruneOriginals({ olderThanDays: req.body.olderThanDays });
+  const usage = await fileSystem.getOriginalsUsage();
+  res.json({ pruned, usage });
+}));
+
 /**
  * POST /api/settings/powerpoint-template
  * Upload PowerPoint template file
@@ -281,6 +350,51 @@ router.delete('/global-entities/:entityName', asyncHandler(async (req, res) => {
   res.json(entities);
 }));
 
+/**
+ * PUT /api/settings/global-entities/:entityName
+ * Update a global entity's aliases, description or image mode
+ */
+router.put('/global-entities/:entityName', validate(updateEntitySchema), asyncHandler(async (req, res) => {
+  const entities = await fileSystem.updateGlobalEntity(req.params.entityName, req.body);
+  res.json(entities);
+}));
+
+/**
+ * POST /api/settings/global-entities/:entityName/images
+ * Add a reference image (base64 imageData) to a global entity, optionally labelled
+ */
+router.post('/global-entities/:entityName/images', validate(addGlobalEntityImageSchema), asyncHandler(async (req, res) => {
+  const { imageData, label } = req.body;
+  const imageBuffer = Buffer.from(imageData, 'base64');
+
+  const entities = await fileSystem.addGlobalEntityImage(req.params.entityName, imageBuffer, 'jpg', label);
+  res.status(201).json(entities);
+}));
+
+/**
+ * PUT /api/settings/global-entities/:entityName/images/:imageFilename
+ * Label a global entity image or make it the primary image
+ */
+router.put(
+  '/global-entities/:entityName/images/:imageFilename',
+  validate(updateEntityImageSchema),
+  asyncHandler(async (req, res) => {
+    const { entityName, imageFilename } = req.params;
+    const entities = await fileSystem.updateGlobalEntityImage(entityName, imageFilename, req.body);
+    res.json(entities);
+  })
+);
+
+/**
+ * DELETE /api/settings/global-entities/:entityName/images/:imageFilename
+ * Remove a reference image from a global entity (not its only image)
+ */
+router.delete('/global-entities/:entityName/images/:imageFilename', asyncHandler(async (req, res) => {
+  const { entityName, imageFilename } = req.params;
+  const entities = await fileSystem.removeGlobalEntityImage(entityName, imageFilename);
+  res.json(entities);
+}));
+
 /**
  * GET /api/settings/global-entities/:entityName/:imageFilename
  * Get global entity image file
@@ -296,4 +410,96 @@ router.get('/global-entities/:entityName/:imageFilename', asyncHandler(async (re
   });
 }));
 
+/**
+ * GET /api/settings/style-presets
+ * List style presets (sorted by name)
+ */
+router.get('/style-presets', asyncHandler(async (req, res) => {
+  const presets = await fileSystem.getStylePresets();
+  res.json(presets);
+}));
+
+/**
+ * POST /api/settings/style-presets
+ * Create a style preset
+ */
+router.post('/style-presets', validate(createStylePresetSchema), asyncHandler(async (req, res) => {
+  const preset = await fileSystem.createStylePreset(req.body);
+  res.status(201).json(preset);
+}));
+
+/**
+ * GET /api/settings/style-presets/:presetId
+ * Get a style preset
+ */
+router.get('/style-presets/:presetId', asyncHandler(async (req, res) => {
+  const preset = await fileSystem.getStylePreset(req.params.presetId);
+  res.json(preset);
+}));
+
+/**
+ * PUT /api/settings/style-presets/:presetId
+ * Update a style preset; decks and slides using it pick up the change
+ */
+router.put('/style-presets/:presetId', validate(updateStylePresetSchema), asyncHandler(async (req, res) => {
+  const preset = await fileSystem.updateStylePreset(req.params.presetId, req.body);
+  res.json(preset);
+}));
+
+/**
+ * DELETE /api/settings/style-presets/:presetId
+ * Delete a style preset
+ * Decks, scenes and slides using it keep its style text as their own style
+ */
+router.delete('/style-presets/:presetId', asyncHandler(async (req, res) => {
+  const detached = await fileSystem.deleteStylePreset(req.params.presetId);
+  res.json({ success: true, detached });
+}));
+
+/**
+ * POST /api/settings/style-presets/:presetId/images
+ * Upload a reference theme image for a style preset
+ */
+router.post(
+  '/style-presets/:presetId/images',
+  imageUpload.single('image'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Image file is required' });
+    }
+
+    const imageExtension = req.file.mimetype.split('/')[1] || 'jpg';
+    const preset = await fileSystem.addStylePresetImage(req.params.presetId, req.file.buffer, imageExtension);
+    res.status(201).json(preset);
+  })
+);
+
+/**
+ * DELETE /api/settings/style-presets/:presetId/images/:filename
+ * Remove a reference theme image from a style preset
+ */
+router.delete('/style-presets/:presetId/images/:filename', asyncHandler(async (req, res) => {
+  const { presetId, filename } = req.params;
+  const preset = await fileSystem.removeStylePresetImage(presetId, filename);
+  res.json(preset);
+}));
+
+/**
+ * GET /api/settings/style-presets/:presetId/images/:filename
+ * Get a style preset's reference image file
+ */
+router.get('/style-presets/:presetId/images/:filename', asyncHandler(async (req, res) => {
+  const { presetId, filename } = req.params;
+  const preset = await fileSystem.getStylePreset(presetId);
+  if (!preset.themeImages.includes(filename)) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+
+  res.sendFile(fileSystem.getStylePresetImagePath(presetId, filename), (err) => {
+    if (err) {
+      res.status(404).json({ error: 'Image file not found' });
+    }
+  });
+}));
+
 export default router;
@@ -1,11 +1,20 @@
 import express from 'express';
+import { promises as fs } from 'fs';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { validate } from '../middleware/validation.js';
-import { createSlideSchema, updateSlideSchema, reorderSlidesSchema } from '../models/Slide.js';
+import { createSlideSchema, updateSlideSchema, reorderSlidesSchema, batchSlidesSchema, insertSlidesFromTextSchema, syncTextSchema, cropImageSchema, slidePromptPreviewSchema } from '../models/Slide.js';
 import { exportDeckSchema } from '../models/Settings.js';
 import * as fileSystem from '../services/fileSystem.js';
+import * as imageProcessor from '../services/imageProcessor.js';
+import { getDeckImageFormat } from '../utils/imageFormat.js';
+import { parseSlides } from '../utils/textParser.js';
+import { validateEntityReferences } from '../utils/promptParser.js';
+import * as imageProviders from '../services/imageProviders/index.js';
+import { buildSlidePrompt } from '../services/slidePrompt.js';
 import * as openaiDescriptions from '../services/openaiDescriptions.js';
 import * as googleSlidesExport from '../services/googleSlidesExport.js';
+import * as textSync from '../services/textSync.js';
+import * as bulkGeneration from '../services/bulkGeneration.js';
 
 const router = express.Router({ mergeParams: true });
 
@@ -41,6 +50,58 @@ router.get('/:slideId', asyncHandler(async (req, res) => {
   res.json(slide);
 }));
 
+/**
+ * GET /api/decks/:deckId/slides/:slideId/prompt-preview
+ * Show what generating images for the slide would send, without generating
+ * Query:
+ *   - service: Image service (default: style preset's preferred service, else the default)
+ * Prompts over the service's limit are shown shortened, as generation would send them
+ * (without calling the description service to summarize the style)
+ */
+router.get('/:slideId/prompt-preview', validate(slidePromptPreviewSchema, 'query'), asyncHandler(async (req, res) => {
+  const { deckId, slideId } = req.params;
+  const deck = await fileSystem.getDeck(deckId);
+  const slide = await fileSystem.getSlide(deckId, slideId);
+
+  let built;
+  try {
+    built = await buildSlidePrompt(deck, slide, await fileSystem.getMergedEntities(deckId), {
+      service: req.query.service,
+      summarize: false
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const { style, service, providerPrompt } = built;
+  // Negative prompts appended for services without separate ones count towards the length
+  const appendedLength = providerPrompt.prompt.length - built.prompt.length;
+  const provider = imageProviders.listProviders().find(p => p.id === service);
+
+  res.json({
+    slideId,
+    style: {
+      visualStyle: style.visualStyle,
+      source: style.source,
+      stylePreset: style.stylePreset ? { id: style.stylePreset.id, name: style.stylePreset.name } : null
+    },
+    description: built.parsedDescription,
+    prompt: built.prompt,
+    negativePrompt: built.negativePrompt,
+    providerPrompt,
+    length: providerPrompt.prompt.length,
+    originalLength: (built.truncation?.originalLength ?? built.prompt.length) + appendedLength,
+    maxLength: built.maxLength,
+    truncation: built.truncation,
+    warnings: built.warnings,
+    unknownEntities: built.unknownEntities,
+    service,
+    // Services without reference image support ignore them
+    referenceImagesSupported: provider.capabilities.referenceImages,
+    referenceImages: built.referenceImages.map(({ path, ...image }) => image)
+  });
+}));
+
 /**
  * POST /api/decks/:deckId/slides
  * Create new slide
@@ -52,6 +113,64 @@ router.post('/', validate(createSlideSchema), asyncHandler(async (req, res) => {
   res.status(201).json(slide);
 }));
 
+/**
+ * POST /api/decks/:deckId/slides/from-text
+ * Insert slides parsed from text (same formats as POST /api/decks/from-text)
+ * after afterSlideId, or at the end of the deck
+ * Returns the new slides and the @entity names they reference that have no
+ * deck or global entity yet, so the UI can ask for their images
+ */
+router.post('/from-text', validate(insertSlidesFromTextSchema), asyncHandler(async (req, res) => {
+  const { deckId } = req.params;
+  const { text, format, afterSlideId } = req.body;
+
+  const slideObjects = parseSlides(text, format);
+  if (slideObjects.length === 0) {
+    return res.status(400).json({ error: 'No slides found in text' });
+  }
+
+  const slides = await fileSystem.insertSlides(deckId, slideObjects, afterSlideId);
+
+  const entities = await fileSystem.getMergedEntities(deckId);
+  const referenced = slides.map(slide => `${slide.speakerNotes}\n${slide.imageDescription}`).join('\n');
+  const missingEntities = validateEntityReferences(referenced, entities);
+
+  res.status(201).json({ slides, missingEntities });
+}));
+
+/**
+ * POST /api/decks/:deckId/slides/sync-text/preview
+ * Diff edited text against the current slides without changing anything
+ * Returns { changes, summary } (see textSync.diffSlides)
+ */
+router.post('/sync-text/preview', validate(syncTextSchema), asyncHandler(async (req, res) => {
+  const result = await textSync.previewTextSync(req.params.deckId, req.body.text, req.body.format);
+  res.json(result);
+}));
+
+/**
+ * POST /api/decks/:deckId/slides/sync-text
+ * Re-sync the deck with edited text: update changed speaker notes (unlocking
+ * their descriptions), insert new slides and remove dropped ones
+ * Matched slides keep their images; the deck is snapshotted first and its
+ * running and paused bulk jobs are cancelled
+ */
+router.post('/sync-text', validate(syncTextSchema), asyncHandler(async (req, res) => {
+  const { deckId } = req.params;
+  const { text, format } = req.body;
+
+  if (parseSlides(text, format).length === 0) {
+    return res.status(400).json({ error: 'No slides found in text' });
+  }
+
+  // A job would otherwise keep adding images to slides the sync removes or rewrites
+  await fileSystem.getDeck(deckId);
+  await bulkGeneration.cancelDeckJobs(deckId);
+
+  const result = await textSync.applyTextSync(deckId, text, format);
+  res.json(result);
+}));
+
 /**
  * PUT /api/decks/:deckId/slides/:slideId
  * Update slide content
@@ -71,9 +190,9 @@ router.post('/:slideId/generate-description', asyncHandler(async (req, res) => {
   const { deckId, slideId } = req.params;
   const { speakerNotes: providedSpeakerNotes } = req.body || {};
 
-  if (!process.env.OPENAI_API_KEY) {
+  if (!openaiDescriptions.isConfigured()) {
     return res.status(400).json({
-      error: 'OPENAI_API_KEY not configured in environment. Please add it to your .env file.'
+      error: 'OPENAI_API_KEY not configured in environment. Please add it to your .env file (or set MOCK_DESCRIPTIONS=true).'
     });
   }
 
@@ -87,8 +206,8 @@ router.post('/:slideId/generate-description', asyncHandler(async (req, res) => {
   // Get merged entities (deck + global)
   const mergedEntities = await fileSystem.getMergedEntities(deckId);
 
-  // Get effective visual style (considers slide override, scene style, deck style)
-  const visualStyle = await fileSystem.getEffectiveVisualStyle(deckId, slideId);
+  // Get effective style (considers slide override, scene style, deck style and their presets)
+  const { visualStyle, stylePreset } = await fileSystem.getEffectiveStyle(deckId, slideId);
 
   // Get speaker notes from previous slides for context
   // Skip if slide has noContext flag set
@@ -118,9 +237,10 @@ router.post('/:slideId/generate-description', asyncHandler(async (req, res) => {
     currentSpeakerNotes,
     visualStyle,
     mergedEntities,
-    deck.themeImages || [],
+    [...(deck.themeImages || []), ...(stylePreset?.themeImages || [])],
     process.env.OPENAI_API_KEY,
-    previousSlideNotes
+    previousSlideNotes,
+    { deckId, slideId }
   );
 
   res.json({ description });
@@ -147,6 +267,18 @@ router.post('/reorder', validate(reorderSlidesSchema), asyncHandler(async (req,
   res.json({ success: true });
 }));
 
+/**
+ * POST /api/decks/:deckId/slides/batch
+ * Apply operations (update, delete, move) to many slides at once
+ * The whole batch is validated first; if any operation is invalid nothing changes
+ * Returns the deck's slides after the batch
+ */
+router.post('/batch', validate(batchSlidesSchema), asyncHandler(async (req, res) => {
+  const { deckId } = req.params;
+  const slides = await fileSystem.batchUpdateSlides(deckId, req.body.operations);
+  res.json({ slides });
+}));
+
 /**
  * GET /api/decks/:deckId/slides/:slideId/images/:imageId
  * Get image file
@@ -169,6 +301,65 @@ router.get('/:slideId/images/:imageId', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/decks/:deckId/slides/:slideId/images/:imageId/original
+ * Get the untouched original of an image
+ */
+router.get('/:slideId/images/:imageId/original', asyncHandler(async (req, res) => {
+  const { deckId, slideId, imageId } = req.params;
+  const slide = await fileSystem.getSlide(deckId, slideId);
+
+  const image = slide.generatedImages.find(img => img.id === imageId);
+  if (!image) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  if (!image.originalFilename) {
+    return res.status(404).json({ error: 'Original image not available' });
+  }
+
+  const imagePath = fileSystem.getImagePath(deckId, slideId, image.originalFilename);
+
+  res.sendFile(imagePath, (err) => {
+    if (err) {
+      res.status(404).json({ error: 'Image file not found' });
+    }
+  });
+}));
+
+/**
+ * PUT /api/decks/:deckId/slides/:slideId/images/:imageId/crop
+ * Re-derive the processed JPEG from the original with a new crop
+ * Body: { strategy: 'center' | 'attention' | 'entropy', focalPoint: { x, y } | null }
+ */
+router.put('/:slideId/images/:imageId/crop', validate(cropImageSchema), asyncHandler(async (req, res) => {
+  const { deckId, slideId, imageId } = req.params;
+  const { strategy, focalPoint } = req.body;
+
+  const deck = await fileSystem.getDeck(deckId);
+  const slide = await fileSystem.getSlide(deckId, slideId);
+
+  const image = slide.generatedImages.find(img => img.id === imageId);
+  if (!image) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  if (!image.originalFilename) {
+    return res.status(400).json({ error: 'Original image not available, this image cannot be re-cropped' });
+  }
+
+  const originalBuffer = await fs.readFile(fileSystem.getImagePath(deckId, slideId, image.originalFilename));
+  const processedBuffer = await imageProcessor.processImage(originalBuffer, {
+    ...getDeckImageFormat(deck),
+    cropStrategy: strategy,
+    focalPoint
+  });
+
+  const updatedSlide = await fileSystem.updateImageCrop(deckId, slideId, imageId, processedBuffer, {
+    strategy,
+    focalPoint
+  });
+  res.json(updatedSlide);
+}));
+
 /**
  * PUT /api/decks/:deckId/slides/:slideId/images/:imageId/pin
  * Pin an image
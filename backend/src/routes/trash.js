@@ -0,0 +1,45 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getTrashRetentionDays } from '../models/Settings.js';
+import * as fileSystem from '../services/fileSystem.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/trash
+ * List deleted decks, slides and images (most recently deleted first)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const items = await fileSystem.getTrashItems();
+  const retentionDays = getTrashRetentionDays(await fileSystem.getSettings());
+  res.json({ items, retentionDays });
+}));
+
+/**
+ * DELETE /api/trash
+ * Empty the trash
+ */
+router.delete('/', asyncHandler(async (req, res) => {
+  const purged = await fileSystem.purgeTrash();
+  res.json({ purged });
+}));
+
+/**
+ * POST /api/trash/:trashId/restore
+ * Restore a deleted item to where it was deleted from
+ */
+router.post('/:trashId/restore', asyncHandler(async (req, res) => {
+  const result = await fileSystem.restoreTrashItem(req.params.trashId);
+  res.json(result);
+}));
+
+/**
+ * DELETE /api/trash/:trashId
+ * Permanently delete one item
+ */
+router.delete('/:trashId', asyncHandler(async (req, res) => {
+  await fileSystem.purgeTrashItem(req.params.trashId);
+  res.json({ success: true });
+}));
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validate } from '../middleware/validation.js';
+import { usageQuerySchema } from '../models/Usage.js';
+import * as usageLedger from '../services/usageLedger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/usage
+ * Usage report aggregated per service, per deck and per day
+ * Query params: deckId, from, to (YYYY-MM-DD, inclusive; defaults to the last 30 days)
+ */
+router.get('/', validate(usageQuerySchema, 'query'), asyncHandler(async (req, res) => {
+  const { deckId, from, to } = req.query;
+
+  if (from && to && from > to) {
+    return res.status(400).json({ error: 'from must not be after to' });
+  }
+
+  const summary = await usageLedger.getUsageSummary({ deckId, from, to });
+  const budget = await usageLedger.getDailyBudgetStatus();
+
+  res.json({ ...summary, budget });
+}));
+
+export default router;
@@ -4,6 +4,8 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import app from './app.js';
+import { resumeInterruptedJobs } from './services/bulkGeneration.js';
+import { startStorageMaintenance } from './services/storageMaintenance.js';
 
 const PORT = process.env.PORT || 3001;
 
@@ -11,4 +13,12 @@ const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Pick up bulk jobs that were interrupted by a restart
+  resumeInterruptedJobs().catch(error => {
+    console.error('Failed to resume interrupted jobs:', error.message);
+  });
+
+  // Apply the originals retention setting
+  startStorageMaintenance();
 });
@@ -0,0 +1,317 @@
+import { v4 as uuidv4 } from 'uuid';
+import * as fileSystem from './fileSystem.js';
+import * as imageProviders from './imageProviders/index.js';
+import * as imageProcessor from './imageProcessor.js';
+import * as jobManager from './jobManager.js';
+import { buildSlidePrompt, loadReferenceImages } from './slidePrompt.js';
+import { executeInParallel } from '../utils/asyncPool.js';
+import { getDeckImageFormat } from '../utils/imageFormat.js';
+
+/**
+ * Bulk Generation Service
+ * Runs generate-all / generate-missing jobs in the background
+ */
+
+// Jobs with an active runner in this process (jobId -> { waiters, done })
+// Paused jobs keep their runner waiting on `waiters` until resumed or cancelled;
+// `done` resolves when the runner has finished the job
+const activeRunners = new Map();
+
+/**
+ * Create a bulk job and start it in the background
+ * @param {string} deckId - Deck ID
+ * @param {string} type - Job type ('generate-all' or 'generate-missing')
+ * @param {Array<Object>} slides - Slides to generate images for
+ * @param {Object} config - { count, service }
+ * @returns {Promise<Object>} - Created job
+ */
+export async function startBulkJob(deckId, type, slides, config) {
+  const job = await jobManager.createJob(
+    deckId,
+    type,
+    config,
+    slides.map(slide => slide.id)
+  );
+
+  // Start generation in background
+  runJob(job);
+
+  return job;
+}
+
+/**
+ * Resume jobs that were running when the server stopped
+ * Slides that already finished are skipped; interrupted slides are retried
+ * @returns {Promise<number>} - Number of resumed jobs
+ */
+export async function resumeInterruptedJobs() {
+  const interrupted = await jobManager.loadJobs();
+
+  for (const job of interrupted) {
+    if (job.status === 'cancelling') {
+      await cancelRemainingSlides(job);
+      await jobManager.finishJob(job, 'cancelled');
+      continue;
+    }
+
+    for (const entry of job.slides) {
+      if (entry.status === 'running') {
+        entry.status = 'pending';
+      }
+    }
+    job.resumedAt = new Date().toISOString();
+
+    const remaining = job.slides.filter(s => s.status === 'pending').length;
+    console.log(`[Bulk] Resuming job ${job.jobId} (${remaining} slide(s) left)`);
+    runJob(job);
+  }
+
+  return interrupted.length;
+}
+
+/**
+ * Cancel a running or paused job
+ * In-flight image requests finish; no new slides or tasks are started
+ * @returns {Promise<Object>} - Updated job
+ */
+export async function cancelJob(jobId) {
+  const job = getControllableJob(jobId);
+
+  if (activeRunners.has(jobId)) {
+    // Runner marks remaining slides and finishes the job
+    await jobManager.setJobStatus(job, 'cancelling');
+    wakeRunner(jobId);
+  } else {
+    // Paused job restored from disk, nothing is running
+    await cancelRemainingSlides(job);
+    await jobManager.finishJob(job, 'cancelled');
+  }
+
+  return job;
+}
+
+/**
+ * Cancel a deck's running and paused jobs and wait until they have stopped
+ * Used before a deck is deleted, so no job writes into its folder afterwards
+ * @param {string} deckId - Deck ID
+ * @returns {Promise<number>} - Number of stopped jobs
+ */
+export async function cancelDeckJobs(deckId) {
+  const jobs = jobManager.getJobsForDeck(deckId)
+    .filter(job => ['running', 'paused', 'cancelling'].includes(job.status));
+
+  for (const job of jobs) {
+    if (job.status !== 'cancelling') {
+      await cancelJob(job.jobId);
+    }
+  }
+  await Promise.all(jobs.map(job => activeRunners.get(job.jobId)?.done));
+
+  return jobs.length;
+}
+
+/**
+ * Pause a running job
+ * Tasks already sent to the provider finish; new ones wait until resumed
+ * @returns {Promise<Object>} - Updated job
+ */
+export async function pauseJob(jobId) {
+  const job = getControllableJob(jobId);
+
+  if (job.status !== 'running') {
+    throw new Error(`Job cannot be paused while ${job.status}`);
+  }
+
+  await jobManager.setJobStatus(job, 'paused');
+  return job;
+}
+
+/**
+ * Resume a paused job
+ * @returns {Promise<Object>} - Updated job
+ */
+export async function resumeJob(jobId) {
+  const job = getControllableJob(jobId);
+
+  if (job.status !== 'paused') {
+    throw new Error(`Job cannot be resumed while ${job.status}`);
+  }
+
+  await jobManager.setJobStatus(job, 'running');
+
+  if (activeRunners.has(jobId)) {
+    wakeRunner(jobId);
+  } else {
+    // Paused before a restart - start a new runner
+    runJob(job);
+  }
+
+  return job;
+}
+
+/**
+ * Get a job that can still be controlled (running or paused)
+ */
+function getControllableJob(jobId) {
+  const job = jobManager.getJob(jobId);
+
+  if (!job) {
+    throw new Error('Job not found or expired');
+  }
+  if (!['running', 'paused'].includes(job.status)) {
+    throw new Error(`Job is already ${job.status}`);
+  }
+
+  return job;
+}
+
+/**
+ * Release everything waiting on a paused job
+ */
+function wakeRunner(jobId) {
+  const runner = activeRunners.get(jobId);
+  if (!runner) return;
+
+  const waiters = runner.waiters;
+  runner.waiters = [];
+  waiters.forEach(resolve => resolve());
+}
+
+/**
+ * Wait while the job is paused
+ * @returns {Promise<boolean>} - false if the job was cancelled
+ */
+async function waitUntilRunnable(job) {
+  const runner = activeRunners.get(job.jobId);
+
+  while (job.status === 'paused') {
+    await new Promise(resolve => runner.waiters.push(resolve));
+  }
+
+  return job.status === 'running';
+}
+
+/**
+ * Mark all slides that have not finished as cancelled
+ */
+async function cancelRemainingSlides(job) {
+  for (const entry of job.slides) {
+    if (entry.status === 'pending' || entry.status === 'running') {
+      await jobManager.updateSlideStatus(job, entry.slideId, {
+        status: 'cancelled',
+        error: 'Cancelled by user'
+      });
+    }
+  }
+}
+
+/**
+ * Generate images for every pending slide of a job
+ */
+async function runJob(job) {
+  const { count, service } = job.config;
+  let finished;
+  activeRunners.set(job.jobId, { waiters: [], done: new Promise(resolve => { finished = resolve; }) });
+
+  try {
+    const deck = await fileSystem.getDeck(job.deckId);
+
+    // Get merged entities once (for all slides)
+    const mergedEntities = await fileSystem.getMergedEntities(deck.id);
+    const shouldRun = () => waitUntilRunnable(job);
+
+    // Generate for each slide sequentially (to respect rate limits)
+    for (const entry of job.slides) {
+      if (entry.status !== 'pending') {
+        continue;
+      }
+      if (!(await shouldRun())) {
+        break;
+      }
+
+      await jobManager.updateSlideStatus(job, entry.slideId, { status: 'running' });
+
+      try {
+        const slide = await fileSystem.getSlide(deck.id, entry.slideId);
+        const images = await generateForSlide(deck, slide, count, service, mergedEntities, shouldRun);
+
+        if (images.length === 0 && job.status === 'cancelling') {
+          // Cancelled before any image for this slide was generated
+          continue;
+        }
+
+        await jobManager.updateSlideStatus(
+          job,
+          slide.id,
+          { status: 'success', imageCount: images.length },
+          { images }
+        );
+      } catch (error) {
+        await jobManager.updateSlideStatus(job, entry.slideId, { status: 'failed', error: error.message });
+      }
+    }
+
+    if (job.status === 'cancelling') {
+      await cancelRemainingSlides(job);
+      await jobManager.finishJob(job, 'cancelled');
+    } else {
+      await jobManager.finishJob(job, 'completed');
+    }
+  } catch (error) {
+    await jobManager.finishJob(job, 'failed', error.message);
+  } finally {
+    activeRunners.delete(job.jobId);
+    finished();
+  }
+}
+
+/**
+ * Generate images for a single slide
+ * @returns {Promise<Array<Object>>} - Metadata of successfully generated images
+ */
+async function generateForSlide(deck, slide, count, service, mergedEntities, shouldRun) {
+  // Build prompt from the deck's template and the effective style
+  // (slide override, scene style, deck style and their presets), fitted to the service's limit
+  const { prompt, negativePrompt, referenceImages, service: slideService, warnings } =
+    await buildSlidePrompt(deck, slide, mergedEntities, { service });
+  warnings.forEach(warning => console.warn(`[Bulk] Slide ${slide.id}: ${warning}`));
+  const imageFormat = getDeckImageFormat(deck);
+
+  // Load entity and theme reference images
+  const allReferenceImages = await loadReferenceImages(referenceImages, '[Bulk]');
+  console.log(`[Bulk] Slide ${slide.id}: ${allReferenceImages.length} reference image(s)`);
+
+  // Generate images
+  const tasks = Array.from({ length: count }, () => async () => {
+    const imageBuffer = await imageProviders.generateImage(slideService, prompt, {
+      ...imageFormat,
+      referenceImages: allReferenceImages,
+      negativePrompt,
+      deckId: deck.id,
+      slideId: slide.id
+    });
+
+    const processedBuffer = await imageProcessor.processImage(imageBuffer, imageFormat);
+
+    return fileSystem.addGeneratedImage(deck.id, slide.id, processedBuffer, {
+      id: uuidv4(),
+      service: slideService,
+      prompt,
+      negativePrompt,
+      crop: { strategy: imageFormat.cropStrategy, focalPoint: null }
+    }, imageBuffer);
+  });
+
+  // shouldRun holds back tasks that have not started yet while paused / cancelled
+  const results = await executeInParallel(tasks, undefined, { shouldRun });
+  return results.filter(r => r.status === 'success').map(r => r.data);
+}
+
+export default {
+  startBulkJob,
+  resumeInterruptedJobs,
+  cancelJob,
+  cancelDeckJobs,
+  pauseJob,
+  resumeJob
+};
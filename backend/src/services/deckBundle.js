@@ -0,0 +1,430 @@
+import JSZip from 'jszip';
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import * as fileSystem from './fileSystem.js';
+import { deckSchema } from '../models/Deck.js';
+import { slideSchema } from '../models/Slide.js';
+import { extractEntityReferences, findEntity } from '../utils/promptParser.js';
+
+/**
+ * Deck Bundle Service
+ * Packs a deck into a portable zip archive and imports it again under new IDs
+ *
+ * Archive layout:
+ *   bundle.json                    { format, version, exportedAt, images }
+ *   deck/deck.json
+ *   deck/entities/<file>           deck entity images
+ *   deck/theme/<file>              theme images
+ *   deck/slide-###/slide.json
+ *   deck/slide-###/<file>          generated images and their originals
+ *   global-entities/entities.json  global entities referenced by the deck
+ *   global-entities/<file>
+ */
+
+const BUNDLE_FORMAT = 'ai-image-deck-bundle';
+const BUNDLE_VERSION = 1;
+
+// Plain file names only - bundle contents must never point outside their folder
+const SAFE_FILENAME = /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/;
+
+// Slide folders and their image files (other names would land in the deck's
+// own folders such as jobs/ or entities/, or be files the app never serves)
+const SLIDE_ID = /^slide-\d{3}$/;
+const IMAGE_FILENAME = /^image-\d{3}\.jpg$/;
+const ORIGINAL_FILENAME = /^image-\d{3}-original\.(png|jpg|webp)$/;
+
+/**
+ * Create an error for a malformed bundle (reported as 400)
+ */
+function bundleError(message) {
+  const error = new Error(`Invalid deck bundle: ${message}`);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Read a file if it exists
+ * @returns {Promise<Buffer|null>}
+ */
+async function readOptional(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get global entities referenced by a deck's slides that the deck does not override
+ */
+function getReferencedGlobalEntities(deck, slides, globalEntities) {
+  const referenced = {};
+
+  for (const slide of slides) {
+    for (const name of extractEntityReferences(slide.imageDescription)) {
+      const globalMatch = findEntity(name, globalEntities);
+      if (!findEntity(name, deck.entities || {}) && globalMatch) {
+        referenced[globalMatch.key] = globalMatch.entity;
+      }
+    }
+  }
+
+  return referenced;
+}
+
+/**
+ * Replace a style preset reference with the preset's style text
+ * Presets are local to this installation, so bundles carry plain text
+ * @returns {string|null} - Style text (the existing text if the preset is gone)
+ */
+function inlineStylePreset(presets, presetId, text) {
+  return presets.find(preset => preset.id === presetId)?.style ?? text;
+}
+
+/**
+ * Create a bundle archive for a deck
+ * @param {string} deckId - Deck ID
+ * @param {Object} options - { images: 'pinned' (default) or 'all' }
+ * @returns {Promise<{ buffer: Buffer, fileName: string }>}
+ */
+export async function createDeckBundle(deckId, { images = 'pinned' } = {}) {
+  const deck = await fileSystem.getDeck(deckId);
+  const slides = await fileSystem.getSlides(deckId);
+  const globalEntities = await fileSystem.getGlobalEntities();
+  const stylePresets = await fileSystem.getStylePresets();
+  const storageDir = fileSystem.getStorageDir();
+  const deckDir = path.join(storageDir, `deck-${deckId}`);
+
+  const zip = new JSZip();
+  // Images are already compressed
+  const addImage = async (zipPath, filePath) => {
+    const buffer = await readOptional(filePath);
+    if (buffer) {
+      zip.file(zipPath, buffer, { compression: 'STORE' });
+    }
+    return !!buffer;
+  };
+
+  zip.file('bundle.json', JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    images
+  }, null, 2));
+  zip.file('deck/deck.json', JSON.stringify({
+    ...deck,
+    visualStyle: inlineStylePreset(stylePresets, deck.stylePresetId, deck.visualStyle),
+    stylePresetId: null,
+    slides: slides.map(slide => slide.id)
+  }, null, 2));
+
+  for (const entity of Object.values(deck.entities || {})) {
+    for (const filename of entity.images) {
+      await addImage(`deck/entities/${filename}`, path.join(deckDir, 'entities', filename));
+    }
+  }
+
+  for (const filename of deck.themeImages || []) {
+    await addImage(`deck/theme/${filename}`, path.join(deckDir, 'theme', filename));
+  }
+
+  for (const slide of slides) {
+    const bundledImages = [];
+
+    for (const image of slide.generatedImages) {
+      if (images === 'pinned' && !image.isPinned) {
+        continue;
+      }
+      if (!(await addImage(`deck/${slide.id}/${image.filename}`, path.join(deckDir, slide.id, image.filename)))) {
+        continue;
+      }
+
+      let { originalFilename } = image;
+      if (originalFilename && !(await addImage(`deck/${slide.id}/${originalFilename}`, path.join(deckDir, slide.id, originalFilename)))) {
+        originalFilename = null;
+      }
+      bundledImages.push({ ...image, originalFilename });
+    }
+
+    zip.file(`deck/${slide.id}/slide.json`, JSON.stringify({
+      ...slide,
+      overrideVisualStyle: inlineStylePreset(stylePresets, slide.overrideStylePresetId, slide.overrideVisualStyle),
+      overrideStylePresetId: null,
+      sceneVisualStyle: inlineStylePreset(stylePresets, slide.sceneStylePresetId, slide.sceneVisualStyle),
+      sceneStylePresetId: null,
+      generatedImages: bundledImages
+    }, null, 2));
+  }
+
+  const referencedGlobals = getReferencedGlobalEntities(deck, slides, globalEntities);
+  zip.file('global-entities/entities.json', JSON.stringify(referencedGlobals, null, 2));
+  for (const entity of Object.values(referencedGlobals)) {
+    for (const filename of entity.images) {
+      await addImage(`global-entities/${filename}`, fileSystem.getGlobalEntityImagePath(filename));
+    }
+  }
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  const safeName = deck.name.replace(/[^a-zA-Z0-9-_ ]/g, '').trim().replace(/\s+/g, '_') || 'deck';
+
+  return { buffer, fileName: `${safeName}.deck.zip` };
+}
+
+/**
+ * Read a file from the bundle
+ * @returns {Promise<Buffer|null>}
+ */
+async function readBundleFile(zip, zipPath) {
+  const file = zip.file(zipPath);
+  return file ? file.async('nodebuffer') : null;
+}
+
+/**
+ * Read and parse a JSON file from the bundle
+ */
+async function readBundleJson(zip, zipPath, required = true) {
+  const buffer = await readBundleFile(zip, zipPath);
+  if (!buffer) {
+    if (required) {
+      throw bundleError(`${zipPath} is missing`);
+    }
+    return null;
+  }
+
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch {
+    throw bundleError(`${zipPath} is not valid JSON`);
+  }
+}
+
+/**
+ * Check that a file name from the bundle is a plain file name (or matches a stricter pattern)
+ */
+function assertSafeFilename(filename, pattern = SAFE_FILENAME) {
+  if (typeof filename !== 'string' || !pattern.test(filename)) {
+    throw bundleError(`unsupported file name "${filename}"`);
+  }
+}
+
+/**
+ * Check bundled data against a model schema before anything is written
+ */
+function assertValid(schema, value, label) {
+  const { error } = schema.validate(value);
+  if (error) {
+    throw bundleError(`${label}: ${error.message}`);
+  }
+}
+
+/**
+ * Compare the first image of two entities
+ */
+async function isSameEntityImage(zip, bundledEntity, existingEntity) {
+  const bundled = await readBundleFile(zip, `global-entities/${bundledEntity.images[0]}`);
+  const existing = await readOptional(fileSystem.getGlobalEntityImagePath(existingEntity.images[0]));
+  return !!bundled && !!existing && bundled.equals(existing);
+}
+
+/**
+ * Add a global entity from a bundle with all its images, image labels, aliases,
+ * description and image mode (image files are renamed, so labels follow by position)
+ */
+async function addBundledGlobalEntity(zip, name, entity, primaryBuffer) {
+  const extension = filename => path.extname(filename).slice(1) || 'jpg';
+  const labels = entity.imageLabels || {};
+
+  let entities = await fileSystem.addGlobalEntity(name, primaryBuffer, extension(entity.images[0]));
+  if (labels[entity.images[0]]) {
+    entities = await fileSystem.updateGlobalEntityImage(name, entities[name].images[0], { label: labels[entity.images[0]] });
+  }
+  for (const filename of entity.images.slice(1)) {
+    const imageBuffer = await readBundleFile(zip, `global-entities/${filename}`);
+    if (imageBuffer) {
+      await fileSystem.addGlobalEntityImage(name, imageBuffer, extension(filename), labels[filename] || '');
+    }
+  }
+
+  const updates = {
+    ...(entity.aliases?.length && { aliases: entity.aliases }),
+    ...(entity.description && { description: entity.description }),
+    ...(entity.imageMode && { imageMode: entity.imageMode })
+  };
+  if (Object.keys(updates).length === 0) {
+    return;
+  }
+  try {
+    await fileSystem.updateGlobalEntity(name, updates);
+  } catch (error) {
+    // Aliases already used by another global entity
+    console.warn(`[Bundle] Global entity ${name}: ${error.message}, aliases not imported`);
+    const { aliases, ...rest } = updates;
+    if (Object.keys(rest).length > 0) {
+      await fileSystem.updateGlobalEntity(name, rest);
+    }
+  }
+}
+
+/**
+ * Import a deck bundle as a new deck
+ * Deck and image IDs are replaced, so a bundle can be imported several times.
+ * Global entities from the bundle are added when missing. When a global entity
+ * with the same name but a different image exists, `entityConflict` decides:
+ *   - 'deck' (default): import it as a deck entity of the new deck only
+ *   - 'replace': replace the existing global entity
+ *   - 'keep': keep the existing global entity
+ * @param {Buffer} buffer - Zip archive
+ * @param {Object} options - { entityConflict }
+ * @returns {Promise<{ deck: Object, globalEntities: Object }>}
+ */
+export async function importDeckBundle(buffer, { entityConflict = 'deck' } = {}) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw bundleError('not a zip archive');
+  }
+
+  const manifest = await readBundleJson(zip, 'bundle.json');
+  if (manifest.format !== BUNDLE_FORMAT) {
+    throw bundleError('unknown format');
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    throw bundleError(`version ${manifest.version} is not supported`);
+  }
+
+  const bundledDeck = await readBundleJson(zip, 'deck/deck.json');
+  if (!bundledDeck.name || !Array.isArray(bundledDeck.slides)) {
+    throw bundleError('deck.json is incomplete');
+  }
+
+  const files = [];
+  const addFile = async (zipPath, targetPath) => {
+    const fileBuffer = await readBundleFile(zip, zipPath);
+    if (fileBuffer) {
+      files.push({ path: targetPath, buffer: fileBuffer });
+    }
+    return !!fileBuffer;
+  };
+
+  const now = new Date().toISOString();
+  const deck = {
+    ...bundledDeck,
+    id: uuidv4(),
+    createdAt: now,
+    updatedAt: now,
+    entities: { ...bundledDeck.entities },
+    themeImages: bundledDeck.themeImages || []
+  };
+  assertValid(deckSchema, deck, 'deck.json');
+
+  for (const entity of Object.values(deck.entities)) {
+    for (const filename of entity.images) {
+      assertSafeFilename(filename);
+      await addFile(`deck/entities/${filename}`, `entities/${filename}`);
+    }
+  }
+
+  for (const filename of deck.themeImages) {
+    assertSafeFilename(filename);
+    await addFile(`deck/theme/${filename}`, `theme/${filename}`);
+  }
+
+  // Slides keep their IDs (they are local to the deck); image IDs are replaced
+  const slides = [];
+  for (const slideId of bundledDeck.slides) {
+    if (typeof slideId !== 'string' || !SLIDE_ID.test(slideId)) {
+      throw bundleError(`unsupported slide ID "${slideId}"`);
+    }
+    const slide = await readBundleJson(zip, `deck/${slideId}/slide.json`);
+    const imageIds = new Map();
+
+    if (!Array.isArray(slide.generatedImages ?? [])) {
+      throw bundleError(`${slideId}/slide.json: generatedImages must be an array`);
+    }
+
+    const generatedImages = [];
+    for (const image of slide.generatedImages || []) {
+      assertSafeFilename(image?.filename, IMAGE_FILENAME);
+      if (!(await addFile(`deck/${slideId}/${image.filename}`, `${slideId}/${image.filename}`))) {
+        continue;
+      }
+
+      let originalFilename = image.originalFilename || null;
+      if (originalFilename) {
+        assertSafeFilename(originalFilename, ORIGINAL_FILENAME);
+        if (!(await addFile(`deck/${slideId}/${originalFilename}`, `${slideId}/${originalFilename}`))) {
+          originalFilename = null;
+        }
+      }
+
+      imageIds.set(image.id, uuidv4());
+      generatedImages.push({ ...image, originalFilename });
+    }
+
+    const imported = {
+      ...slide,
+      id: slideId,
+      generatedImages: generatedImages.map(image => ({
+        ...image,
+        id: imageIds.get(image.id),
+        sourceImageId: imageIds.get(image.sourceImageId) || null
+      }))
+    };
+    assertValid(slideSchema, imported, `${slideId}/slide.json`);
+    slides.push(imported);
+  }
+
+  // Merge global entities
+  const bundledGlobals = await readBundleJson(zip, 'global-entities/entities.json', false) || {};
+  const existingGlobals = await fileSystem.getGlobalEntities();
+  const globalEntities = { added: [], unchanged: [], replaced: [], importedAsDeckEntity: [], kept: [] };
+  const toAdd = [];
+
+  for (const [name, entity] of Object.entries(bundledGlobals)) {
+    if (!Array.isArray(entity?.images) || entity.images.length === 0) continue;
+    entity.images.forEach(filename => assertSafeFilename(filename));
+
+    const existing = existingGlobals[name];
+    if (!existing) {
+      toAdd.push([name, entity]);
+      globalEntities.added.push(name);
+    } else if (await isSameEntityImage(zip, entity, existing)) {
+      globalEntities.unchanged.push(name);
+    } else if (entityConflict === 'replace') {
+      toAdd.push([name, entity]);
+      globalEntities.replaced.push(name);
+    } else if (entityConflict === 'keep') {
+      globalEntities.kept.push(name);
+    } else if (!deck.entities[name]) {
+      for (const filename of entity.images) {
+        await addFile(`global-entities/${filename}`, `entities/${filename}`);
+      }
+      deck.entities[name] = { ...entity, name };
+      globalEntities.importedAsDeckEntity.push(name);
+    }
+  }
+
+  await fileSystem.writeDeck(deck, slides, files);
+
+  for (const [name, entity] of toAdd) {
+    const imageBuffer = await readBundleFile(zip, `global-entities/${entity.images[0]}`);
+    if (!imageBuffer) continue;
+
+    if (existingGlobals[name]) {
+      await fileSystem.removeGlobalEntity(name);
+    }
+    await addBundledGlobalEntity(zip, name, entity, imageBuffer);
+  }
+
+  return { deck, globalEntities };
+}
+
+export default {
+  createDeckBundle,
+  importDeckBundle
+};
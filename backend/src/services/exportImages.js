@@ -0,0 +1,42 @@
+import fs from 'fs/promises';
+import path from 'path';
+import * as imageProcessor from './imageProcessor.js';
+
+/**
+ * Export Images
+ * Loads the image that goes into an exported slide. When the untouched
+ * original is still kept, it is re-cropped at full resolution (up to 4K)
+ * with the image's crop settings; otherwise the processed JPEG is used.
+ */
+
+/**
+ * Load the export image for a pinned image
+ * @param {string} storageDir - Storage directory
+ * @param {string} deckId - Deck ID
+ * @param {string} slideId - Slide ID
+ * @param {Object} image - Image metadata
+ * @param {string} aspectRatio - Deck aspect ratio
+ * @returns {Promise<Buffer>} - JPEG image buffer
+ */
+export async function loadExportImage(storageDir, deckId, slideId, image, aspectRatio) {
+  const slideDir = path.join(storageDir, `deck-${deckId}`, slideId);
+
+  if (image.originalFilename) {
+    try {
+      const originalBuffer = await fs.readFile(path.join(slideDir, image.originalFilename));
+      return await imageProcessor.processImage(originalBuffer, {
+        aspectRatio,
+        cropStrategy: image.crop?.strategy,
+        focalPoint: image.crop?.focalPoint || null
+      });
+    } catch (error) {
+      console.warn(`[Export] Falling back to processed image for ${image.filename}:`, error.message);
+    }
+  }
+
+  return fs.readFile(path.join(slideDir, image.filename));
+}
+
+export default {
+  loadExportImage
+};
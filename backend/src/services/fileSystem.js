@@ -2,6 +2,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import { v4 as uuidv4 } from 'uuid';
+import { getDeckImageFormat } from '../utils/imageFormat.js';
 
 // Storage directory - call function each time to ensure env vars are loaded
 export function getStorageDir() {
@@ -31,7 +32,8 @@ export async function initStorage() {
  * Writes to temp file first, then renames to prevent corruption
  */
 async function writeJsonAtomic(filePath, data) {
-  const tempPath = `${filePath}.tmp`;
+  // Unique per write: two writes of the same file must not share (and rename away) one temp file
+  const tempPath = `${filePath}.${uuidv4()}.tmp`;
   try {
     await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
     await fs.rename(tempPath, filePath);
@@ -54,6 +56,40 @@ async function readJson(filePath) {
   return JSON.parse(content);
 }
 
+/**
+ * Check whether a file or directory exists
+ */
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Pending read-modify-write operations per slide (deckId/slideId -> promise)
+const slideLocks = new Map();
+
+/**
+ * Run an update of slide.json exclusively
+ * Parallel image saves for the same slide would otherwise overwrite each other
+ */
+async function withSlideLock(deckId, slideId, fn) {
+  const key = `${deckId}/${slideId}`;
+  const previous = slideLocks.get(key) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+
+  slideLocks.set(key, current);
+  try {
+    return await current;
+  } finally {
+    if (slideLocks.get(key) === current) {
+      slideLocks.delete(key);
+    }
+  }
+}
+
 // ===== DECK OPERATIONS =====
 
 /**
@@ -114,8 +150,9 @@ export async function getDeck(deckId) {
 /**
  * Create new deck
  */
-export async function createDeck(name, visualStyle = '', isTest = false) {
+export async function createDeck(name, visualStyle = '', isTest = false, imageFormat = {}, stylePresetId = null) {
   await initStorage();
+  await checkStylePresetIds([stylePresetId]);
 
   const deckId = uuidv4();
   const now = new Date().toISOString();
@@ -126,6 +163,10 @@ export async function createDeck(name, visualStyle = '', isTest = false) {
     createdAt: now,
     updatedAt: now,
     visualStyle,
+    stylePresetId,
+    promptTemplate: null,
+    negativePrompt: '',
+    ...getDeckImageFormat(imageFormat),
     entities: {},
     slides: [],
     isTest
@@ -155,11 +196,18 @@ export async function createDeck(name, visualStyle = '', isTest = false) {
  */
 export async function updateDeck(deckId, updates) {
   const deck = await getDeck(deckId);
+  await checkStylePresetIds([updates.stylePresetId]);
 
   // Update allowed fields
   if (updates.name !== undefined) deck.name = updates.name;
   if (updates.visualStyle !== undefined) deck.visualStyle = updates.visualStyle;
+  if (updates.stylePresetId !== undefined) deck.stylePresetId = updates.stylePresetId;
+  if (updates.promptTemplate !== undefined) deck.promptTemplate = updates.promptTemplate || null;
+  if (updates.negativePrompt !== undefined) deck.negativePrompt = updates.negativePrompt;
   if (updates.isTest !== undefined) deck.isTest = updates.isTest;
+  if (updates.aspectRatio !== undefined) deck.aspectRatio = updates.aspectRatio;
+  if (updates.resolution !== undefined) deck.resolution = updates.resolution;
+  if (updates.cropStrategy !== undefined) deck.cropStrategy = updates.cropStrategy;
 
   deck.updatedAt = new Date().toISOString();
 
@@ -170,22 +218,300 @@ export async function updateDeck(deckId, updates) {
 }
 
 /**
- * Delete deck
+ * Delete deck (moves it to the trash)
  */
 export async function deleteDeck(deckId) {
-  const deckDir = path.join(getStorageDir(), `deck-${deckId}`);
+  const deck = await getDeck(deckId);
+
+  await moveToTrash({
+    type: 'deck',
+    deckId,
+    deckName: deck.name,
+    label: deck.name,
+    slideCount: deck.slides.length
+  }, [{ from: path.join(getStorageDir(), `deck-${deckId}`), to: 'deck' }]);
+
+  return true;
+}
+
+/**
+ * Write a complete deck (e.g. from an imported bundle)
+ * @param {Object} deck - Deck data; its id is used for the new deck directory
+ * @param {Array<Object>} slides - Slide data (ids must be listed in deck.slides)
+ * @param {Array<{ path: string, buffer: Buffer }>} files - Entity, theme and slide image files,
+ *   relative to the deck directory (e.g. 'entities/Cat.jpg', 'slide-001/image-001.jpg')
+ * @returns {Promise<Object>} - Written deck
+ */
+export async function writeDeck(deck, slides, files = []) {
+  await initStorage();
+
+  const deckDir = path.join(getStorageDir(), `deck-${deck.id}`);
+
   try {
-    await fs.rm(deckDir, { recursive: true, force: true });
-    return true;
+    await fs.mkdir(deckDir);
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      throw new Error(`Deck not found: ${deckId}`);
+    if (error.code === 'EEXIST') {
+      throw new Error(`Deck already exists: ${deck.id}`);
     }
     throw error;
   }
+
+  try {
+    await fs.mkdir(path.join(deckDir, 'entities'), { recursive: true });
+
+    for (const slide of slides) {
+      const slideDir = path.join(deckDir, slide.id);
+      await fs.mkdir(slideDir, { recursive: true });
+      await writeJsonAtomic(path.join(slideDir, 'slide.json'), slide);
+    }
+
+    for (const file of files) {
+      const filePath = path.join(deckDir, file.path);
+      // Never write outside the deck directory
+      if (!filePath.startsWith(deckDir + path.sep)) {
+        throw new Error(`Invalid file path: ${file.path}`);
+      }
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, file.buffer);
+    }
+
+    // deck.json last, so a half-written deck never shows up in the deck list
+    await writeJsonAtomic(path.join(deckDir, 'deck.json'), deck);
+    return deck;
+  } catch (error) {
+    // Cleanup on failure
+    try {
+      await fs.rm(deckDir, { recursive: true, force: true });
+    } catch {
+      // Ignore cleanup errors
+    }
+    throw error;
+  }
+}
+
+/**
+ * Duplicate a deck under a new ID
+ * @param {string} deckId - Source deck ID
+ * @param {Object} options - {
+ *   name: new deck name (default: '<name> (Copy)'),
+ *   visualStyle: new visual style (default: copied),
+ *   slides: copy slides (default true),
+ *   images: 'none', 'pinned' (default) or 'all',
+ *   entities: copy deck entities (default true),
+ *   themeImages: copy theme images (default true)
+ * }
+ * @returns {Promise<Object>} - New deck
+ */
+export async function duplicateDeck(deckId, {
+  name = null,
+  visualStyle = undefined,
+  slides: copySlides = true,
+  images = 'pinned',
+  entities: copyEntities = true,
+  themeImages: copyThemeImages = true
+} = {}) {
+  const source = await getDeck(deckId);
+  const sourceDir = path.join(getStorageDir(), `deck-${deckId}`);
+  const now = new Date().toISOString();
+  const files = [];
+
+  // Missing files are skipped, like a corrupted slide in getSlides
+  const addFile = async (relativePath) => {
+    try {
+      files.push({ path: relativePath, buffer: await fs.readFile(path.join(sourceDir, relativePath)) });
+      return true;
+    } catch (error) {
+      console.error(`Failed to copy ${relativePath}:`, error.message);
+      return false;
+    }
+  };
+
+  const deck = {
+    ...source,
+    id: uuidv4(),
+    name: name || `${source.name} (Copy)`,
+    visualStyle: visualStyle !== undefined ? visualStyle : source.visualStyle,
+    // A new visual style replaces the source's style preset
+    stylePresetId: visualStyle !== undefined ? null : (source.stylePresetId || null),
+    createdAt: now,
+    updatedAt: now,
+    entities: copyEntities ? { ...source.entities } : {},
+    themeImages: copyThemeImages ? [...(source.themeImages || [])] : [],
+    slides: []
+  };
+
+  for (const entity of Object.values(deck.entities)) {
+    for (const filename of entity.images) {
+      await addFile(path.join('entities', filename));
+    }
+  }
+  for (const filename of deck.themeImages) {
+    await addFile(path.join('theme', filename));
+  }
+
+  const slides = [];
+  if (copySlides) {
+    for (const slide of await getSlides(deckId)) {
+      const imageIds = new Map();
+      const generatedImages = [];
+
+      for (const image of slide.generatedImages) {
+        if (images === 'none' || (images === 'pinned' && !image.isPinned)) continue;
+        if (!(await addFile(path.join(slide.id, image.filename)))) continue;
+
+        let { originalFilename = null } = image;
+        if (originalFilename && !(await addFile(path.join(slide.id, originalFilename)))) {
+          originalFilename = null;
+        }
+
+        imageIds.set(image.id, uuidv4());
+        generatedImages.push({ ...image, originalFilename });
+      }
+
+      slides.push({
+        ...slide,
+        generatedImages: generatedImages.map(image => ({
+          ...image,
+          id: imageIds.get(image.id),
+          sourceImageId: imageIds.get(image.sourceImageId) || null
+        }))
+      });
+      deck.slides.push(slide.id);
+    }
+  }
+
+  return writeDeck(deck, slides, files);
 }
 
 // ===== ENTITY OPERATIONS =====
+// Entities (deck and global) are { name, images, aliases, description, imageMode, imageLabels }:
+// images[0] is the primary image, imageLabels maps image filenames to labels
+// used in references (@Bob:side-profile). Older entities only have name and images.
+
+const MAX_ENTITY_IMAGES = 10;
+
+/**
+ * Find the entity a name or alias already belongs to (case-insensitive)
+ * @param {object} entities - Entities of one scope (a deck or the global entities)
+ * @param {string} name - Name or alias
+ * @param {string} except - Entity to ignore
+ * @returns {string|null} - Entity name or null
+ */
+function findEntityUsingName(entities, name, except = null) {
+  const lowerName = name.toLowerCase();
+  for (const [key, entity] of Object.entries(entities)) {
+    if (key === except) {
+      continue;
+    }
+    if (key.toLowerCase() === lowerName || (entity.aliases || []).some(alias => alias.toLowerCase() === lowerName)) {
+      return key;
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply alias, description and image mode updates to an entity
+ * Aliases must not be used by any other entity of the same scope
+ */
+function applyEntityUpdates(entities, entityName, updates) {
+  const entity = entities[entityName];
+
+  if (updates.aliases !== undefined) {
+    const aliases = [];
+    for (const alias of updates.aliases) {
+      if (alias.toLowerCase() === entityName.toLowerCase() || aliases.some(a => a.toLowerCase() === alias.toLowerCase())) {
+        continue;
+      }
+      const owner = findEntityUsingName(entities, alias, entityName);
+      if (owner) {
+        throw new Error(`Alias '${alias}' already exists on entity '${owner}'`);
+      }
+      aliases.push(alias);
+    }
+    entity.aliases = aliases;
+  }
+  if (updates.description !== undefined) {
+    entity.description = updates.description.trim();
+  }
+  if (updates.imageMode !== undefined) {
+    entity.imageMode = updates.imageMode;
+  }
+}
+
+/**
+ * Check a new entity name is not in use as a name or alias
+ */
+function checkEntityNameAvailable(entities, entityName, label) {
+  const owner = findEntityUsingName(entities, entityName);
+  if (owner) {
+    throw new Error(owner.toLowerCase() === entityName.toLowerCase()
+      ? `${label} '${entityName}' already exists`
+      : `${label} '${entityName}' already exists as an alias of '${owner}'`);
+  }
+}
+
+/**
+ * Check an entity can take another image
+ */
+function checkEntityImageLimit(entity) {
+  if (entity.images.length >= MAX_ENTITY_IMAGES) {
+    const error = new Error(`Maximum ${MAX_ENTITY_IMAGES} images allowed per entity`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Set an image's label, unique within the entity (empty removes it)
+ */
+function setEntityImageLabel(entity, imageFilename, label) {
+  const labels = { ...(entity.imageLabels || {}) };
+  delete labels[imageFilename];
+
+  if (label) {
+    const taken = Object.values(labels).some(existing => existing.toLowerCase() === label.toLowerCase());
+    if (taken) {
+      throw new Error(`Image label '${label}' already exists on entity '${entity.name}'`);
+    }
+    labels[imageFilename] = label;
+  }
+  entity.imageLabels = labels;
+}
+
+/**
+ * Update an entity image's label or make it the primary image
+ */
+function applyEntityImageUpdates(entity, imageFilename, { label, primary }) {
+  if (!entity.images.includes(imageFilename)) {
+    throw new Error(`Entity image '${imageFilename}' not found`);
+  }
+  if (label !== undefined) {
+    setEntityImageLabel(entity, imageFilename, label);
+  }
+  if (primary) {
+    entity.images = [imageFilename, ...entity.images.filter(f => f !== imageFilename)];
+  }
+}
+
+/**
+ * Take an image off an entity; its last image cannot be removed
+ */
+function detachEntityImage(entity, imageFilename) {
+  if (!entity.images.includes(imageFilename)) {
+    throw new Error(`Entity image '${imageFilename}' not found`);
+  }
+  if (entity.images.length === 1) {
+    const error = new Error('Cannot remove the only image of an entity');
+    error.status = 400;
+    throw error;
+  }
+
+  entity.images = entity.images.filter(f => f !== imageFilename);
+  if (entity.imageLabels) {
+    delete entity.imageLabels[imageFilename];
+  }
+}
 
 /**
  * Add entity to deck
@@ -193,10 +519,8 @@ export async function deleteDeck(deckId) {
 export async function addEntity(deckId, entityName, imageBuffer, imageExtension = 'jpg') {
   const deck = await getDeck(deckId);
 
-  // Check if entity already exists
-  if (deck.entities[entityName]) {
-    throw new Error(`Entity '${entityName}' already exists`);
-  }
+  // Check if entity already exists (by name or alias)
+  checkEntityNameAvailable(deck.entities, entityName, 'Entity');
 
   const imageFilename = `${entityName}.${imageExtension}`;
   const imagePath = path.join(getStorageDir(), `deck-${deckId}`, 'entities', imageFilename);
@@ -247,6 +571,78 @@ export async function removeEntity(deckId, entityName) {
   return deck;
 }
 
+/**
+ * Get a deck and one of its entities for an update
+ */
+async function getDeckEntity(deckId, entityName) {
+  const deck = await getDeck(deckId);
+  const entity = deck.entities[entityName];
+  if (!entity) {
+    throw new Error(`Entity '${entityName}' not found`);
+  }
+  return { deck, entity };
+}
+
+/**
+ * Save a deck after an entity update
+ */
+async function saveDeckEntities(deck) {
+  deck.updatedAt = new Date().toISOString();
+  await writeJsonAtomic(path.join(getStorageDir(), `deck-${deck.id}`, 'deck.json'), deck);
+  return deck;
+}
+
+/**
+ * Update a deck entity's aliases, description or image mode
+ * @param {object} updates - { aliases, description, imageMode }
+ */
+export async function updateEntity(deckId, entityName, updates) {
+  const { deck } = await getDeckEntity(deckId, entityName);
+  applyEntityUpdates(deck.entities, entityName, updates);
+  return saveDeckEntities(deck);
+}
+
+/**
+ * Add a reference image to a deck entity
+ */
+export async function addEntityImage(deckId, entityName, imageBuffer, imageExtension = 'jpg', label = '') {
+  const { deck, entity } = await getDeckEntity(deckId, entityName);
+  checkEntityImageLimit(entity);
+
+  const imageFilename = `${entityName}-${uuidv4().slice(0, 8)}.${imageExtension}`;
+  setEntityImageLabel(entity, imageFilename, label);
+  await fs.writeFile(getEntityImagePath(deckId, imageFilename), imageBuffer);
+
+  entity.images.push(imageFilename);
+  return saveDeckEntities(deck);
+}
+
+/**
+ * Label a deck entity image or make it the primary image
+ * @param {object} updates - { label, primary }
+ */
+export async function updateEntityImage(deckId, entityName, imageFilename, updates) {
+  const { deck, entity } = await getDeckEntity(deckId, entityName);
+  applyEntityImageUpdates(entity, imageFilename, updates);
+  return saveDeckEntities(deck);
+}
+
+/**
+ * Remove a reference image from a deck entity
+ */
+export async function removeEntityImage(deckId, entityName, imageFilename) {
+  const { deck, entity } = await getDeckEntity(deckId, entityName);
+  detachEntityImage(entity, imageFilename);
+
+  try {
+    await fs.unlink(getEntityImagePath(deckId, imageFilename));
+  } catch (error) {
+    console.error(`Failed to delete entity image ${imageFilename}:`, error.message);
+  }
+
+  return saveDeckEntities(deck);
+}
+
 // ===== GLOBAL ENTITY OPERATIONS =====
 
 /**
@@ -307,10 +703,8 @@ export async function addGlobalEntity(entityName, imageBuffer, imageExtension =
 
   const entities = await getGlobalEntities();
 
-  // Check if entity already exists
-  if (entities[entityName]) {
-    throw new Error(`Global entity '${entityName}' already exists`);
-  }
+  // Check if entity already exists (by name or alias)
+  checkEntityNameAvailable(entities, entityName, 'Global entity');
 
   const imageFilename = `${entityName}.${imageExtension}`;
   const imagePath = path.join(getGlobalEntitiesDir(), imageFilename);
@@ -359,6 +753,73 @@ export async function removeGlobalEntity(entityName) {
   return entities;
 }
 
+/**
+ * Get the global entities and one of them for an update
+ */
+async function getGlobalEntity(entityName) {
+  const entities = await getGlobalEntities();
+  const entity = entities[entityName];
+  if (!entity) {
+    throw new Error(`Global entity '${entityName}' not found`);
+  }
+  return { entities, entity };
+}
+
+/**
+ * Update a global entity's aliases, description or image mode
+ * @param {object} updates - { aliases, description, imageMode }
+ */
+export async function updateGlobalEntity(entityName, updates) {
+  const { entities } = await getGlobalEntity(entityName);
+  applyEntityUpdates(entities, entityName, updates);
+  await writeJsonAtomic(getGlobalEntitiesFilePath(), entities);
+  return entities;
+}
+
+/**
+ * Add a reference image to a global entity
+ */
+export async function addGlobalEntityImage(entityName, imageBuffer, imageExtension = 'jpg', label = '') {
+  const { entities, entity } = await getGlobalEntity(entityName);
+  checkEntityImageLimit(entity);
+
+  const imageFilename = `${entityName}-${uuidv4().slice(0, 8)}.${imageExtension}`;
+  setEntityImageLabel(entity, imageFilename, label);
+  await fs.writeFile(getGlobalEntityImagePath(imageFilename), imageBuffer);
+
+  entity.images.push(imageFilename);
+  await writeJsonAtomic(getGlobalEntitiesFilePath(), entities);
+  return entities;
+}
+
+/**
+ * Label a global entity image or make it the primary image
+ * @param {object} updates - { label, primary }
+ */
+export async function updateGlobalEntityImage(entityName, imageFilename, updates) {
+  const { entities, entity } = await getGlobalEntity(entityName);
+  applyEntityImageUpdates(entity, imageFilename, updates);
+  await writeJsonAtomic(getGlobalEntitiesFilePath(), entities);
+  return entities;
+}
+
+/**
+ * Remove a reference image from a global entity
+ */
+export async function removeGlobalEntityImage(entityName, imageFilename) {
+  const { entities, entity } = await getGlobalEntity(entityName);
+  detachEntityImage(entity, imageFilename);
+
+  try {
+    await fs.unlink(getGlobalEntityImagePath(imageFilename));
+  } catch (error) {
+    console.error(`Failed to delete global entity image ${imageFilename}:`, error.message);
+  }
+
+  await writeJsonAtomic(getGlobalEntitiesFilePath(), entities);
+  return entities;
+}
+
 /**
  * Get global entity image path
  */
@@ -381,47 +842,286 @@ export async function getMergedEntities(deckId) {
   };
 }
 
-// ===== THEME IMAGE OPERATIONS =====
+// ===== STYLE PRESET OPERATIONS =====
 
 /**
- * Add theme image to deck
+ * Get style presets directory
+ * presets.json maps preset IDs to presets; each preset's reference images are in <presetId>/
  */
-export async function addThemeImage(deckId, imageBuffer, imageExtension = 'jpg') {
-  const deck = await getDeck(deckId);
-
-  // Check limit
-  if (!deck.themeImages) {
-    deck.themeImages = [];
-  }
+function getStylePresetsDir() {
+  return path.join(getStorageDir(), 'style-presets');
+}
 
-  if (deck.themeImages.length >= 10) {
-    throw new Error('Maximum 10 theme images allowed per deck');
+/**
+ * Read all style presets (preset ID -> preset)
+ */
+async function readStylePresets() {
+  try {
+    return await readJson(path.join(getStylePresetsDir(), 'presets.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
   }
+}
 
-  // Generate unique filename
-  const themeImageId = uuidv4();
-  const imageFilename = `theme-${themeImageId}.${imageExtension}`;
-  const imagePath = path.join(getStorageDir(), `deck-${deckId}`, 'theme', imageFilename);
-
-  // Ensure theme directory exists
-  const themeDir = path.join(getStorageDir(), `deck-${deckId}`, 'theme');
-  await fs.mkdir(themeDir, { recursive: true });
-
-  // Save image
-  await fs.writeFile(imagePath, imageBuffer);
-
-  // Update deck
-  deck.themeImages.push(imageFilename);
-  deck.updatedAt = new Date().toISOString();
+/**
+ * Write all style presets
+ */
+async function writeStylePresets(presets) {
+  await fs.mkdir(getStylePresetsDir(), { recursive: true });
+  await writeJsonAtomic(path.join(getStylePresetsDir(), 'presets.json'), presets);
+}
 
-  const deckPath = path.join(getStorageDir(), `deck-${deckId}`, 'deck.json');
-  await writeJsonAtomic(deckPath, deck);
+/**
+ * Check that referenced style presets exist (null / undefined IDs are skipped)
+ */
+async function checkStylePresetIds(presetIds) {
+  const ids = presetIds.filter(Boolean);
+  if (ids.length === 0) {
+    return;
+  }
 
-  return { deck, filename: imageFilename };
+  const presets = await readStylePresets();
+  for (const presetId of ids) {
+    if (!presets[presetId]) {
+      throw new Error(`Style preset not found: ${presetId}`);
+    }
+  }
 }
 
 /**
- * Remove theme image from deck
+ * Check that no other preset has the same name (case-insensitive)
+ */
+function checkStylePresetName(presets, name, presetId = null) {
+  const duplicate = Object.values(presets).find(
+    preset => preset.id !== presetId && preset.name.toLowerCase() === name.toLowerCase()
+  );
+  if (duplicate) {
+    throw new Error(`Style preset '${name}' already exists`);
+  }
+}
+
+/**
+ * Get all style presets, sorted by name
+ */
+export async function getStylePresets() {
+  const presets = await readStylePresets();
+  return Object.values(presets).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get style preset by ID
+ */
+export async function getStylePreset(presetId) {
+  const presets = await readStylePresets();
+  if (!presets[presetId]) {
+    throw new Error(`Style preset not found: ${presetId}`);
+  }
+  return presets[presetId];
+}
+
+/**
+ * Create style preset
+ * @param {Object} data - { name, style, preferredService }
+ */
+export async function createStylePreset({ name, style, preferredService = null }) {
+  await initStorage();
+  const presets = await readStylePresets();
+  checkStylePresetName(presets, name);
+
+  const now = new Date().toISOString();
+  const preset = {
+    id: uuidv4(),
+    name,
+    style,
+    themeImages: [],
+    preferredService,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  presets[preset.id] = preset;
+  await writeStylePresets(presets);
+
+  return preset;
+}
+
+/**
+ * Update style preset (name, style, preferredService)
+ * Decks and slides reference presets by ID, so they pick up the change
+ */
+export async function updateStylePreset(presetId, updates) {
+  const presets = await readStylePresets();
+  const preset = presets[presetId];
+  if (!preset) {
+    throw new Error(`Style preset not found: ${presetId}`);
+  }
+
+  if (updates.name !== undefined) {
+    checkStylePresetName(presets, updates.name, presetId);
+    preset.name = updates.name;
+  }
+  if (updates.style !== undefined) preset.style = updates.style;
+  if (updates.preferredService !== undefined) preset.preferredService = updates.preferredService;
+
+  preset.updatedAt = new Date().toISOString();
+  await writeStylePresets(presets);
+
+  return preset;
+}
+
+/**
+ * Delete style preset
+ * Decks, scenes and slides that use it keep its style as their free-text style
+ * @returns {Promise<{ decks: number, slides: number }>} - Number of detached decks and slides
+ */
+export async function deleteStylePreset(presetId) {
+  const preset = await getStylePreset(presetId);
+  const detached = { decks: 0, slides: 0 };
+
+  for (const deck of await getAllDecks(true)) {
+    if (deck.stylePresetId === presetId) {
+      await updateDeck(deck.id, { visualStyle: preset.style, stylePresetId: null });
+      detached.decks++;
+    }
+
+    for (const slideId of deck.slides) {
+      await withSlideLock(deck.id, slideId, async () => {
+        let slide;
+        try {
+          slide = await getSlide(deck.id, slideId);
+        } catch {
+          return;
+        }
+
+        const updates = {};
+        if (slide.overrideStylePresetId === presetId) {
+          Object.assign(updates, { overrideVisualStyle: preset.style, overrideStylePresetId: null });
+        }
+        if (slide.sceneStylePresetId === presetId) {
+          Object.assign(updates, { sceneVisualStyle: preset.style, sceneStylePresetId: null });
+        }
+        if (Object.keys(updates).length > 0) {
+          applySlideUpdates(slide, updates);
+          await writeJsonAtomic(path.join(getStorageDir(), `deck-${deck.id}`, slideId, 'slide.json'), slide);
+          detached.slides++;
+        }
+      });
+    }
+  }
+
+  const presets = await readStylePresets();
+  delete presets[presetId];
+  await writeStylePresets(presets);
+  await fs.rm(path.join(getStylePresetsDir(), presetId), { recursive: true, force: true });
+
+  return detached;
+}
+
+/**
+ * Add reference theme image to style preset
+ */
+export async function addStylePresetImage(presetId, imageBuffer, imageExtension = 'jpg') {
+  const presets = await readStylePresets();
+  const preset = presets[presetId];
+  if (!preset) {
+    throw new Error(`Style preset not found: ${presetId}`);
+  }
+
+  if (preset.themeImages.length >= 10) {
+    const error = new Error('Maximum 10 theme images allowed per style preset');
+    error.status = 400;
+    throw error;
+  }
+
+  const imageFilename = `theme-${uuidv4()}.${imageExtension}`;
+  const imageDir = path.join(getStylePresetsDir(), presetId);
+  await fs.mkdir(imageDir, { recursive: true });
+  await fs.writeFile(path.join(imageDir, imageFilename), imageBuffer);
+
+  preset.themeImages.push(imageFilename);
+  preset.updatedAt = new Date().toISOString();
+  await writeStylePresets(presets);
+
+  return preset;
+}
+
+/**
+ * Remove reference theme image from style preset
+ */
+export async function removeStylePresetImage(presetId, imageFilename) {
+  const presets = await readStylePresets();
+  const preset = presets[presetId];
+  if (!preset) {
+    throw new Error(`Style preset not found: ${presetId}`);
+  }
+  if (!preset.themeImages.includes(imageFilename)) {
+    throw new Error(`Theme image '${imageFilename}' not found`);
+  }
+
+  try {
+    await fs.unlink(getStylePresetImagePath(presetId, imageFilename));
+  } catch (error) {
+    console.error(`Failed to delete style preset image ${imageFilename}:`, error.message);
+  }
+
+  preset.themeImages = preset.themeImages.filter(f => f !== imageFilename);
+  preset.updatedAt = new Date().toISOString();
+  await writeStylePresets(presets);
+
+  return preset;
+}
+
+/**
+ * Get style preset image path
+ */
+export function getStylePresetImagePath(presetId, imageFilename) {
+  return path.join(getStylePresetsDir(), presetId, imageFilename);
+}
+
+// ===== THEME IMAGE OPERATIONS =====
+
+/**
+ * Add theme image to deck
+ */
+export async function addThemeImage(deckId, imageBuffer, imageExtension = 'jpg') {
+  const deck = await getDeck(deckId);
+
+  // Check limit
+  if (!deck.themeImages) {
+    deck.themeImages = [];
+  }
+
+  if (deck.themeImages.length >= 10) {
+    throw new Error('Maximum 10 theme images allowed per deck');
+  }
+
+  // Generate unique filename
+  const themeImageId = uuidv4();
+  const imageFilename = `theme-${themeImageId}.${imageExtension}`;
+  const imagePath = path.join(getStorageDir(), `deck-${deckId}`, 'theme', imageFilename);
+
+  // Ensure theme directory exists
+  const themeDir = path.join(getStorageDir(), `deck-${deckId}`, 'theme');
+  await fs.mkdir(themeDir, { recursive: true });
+
+  // Save image
+  await fs.writeFile(imagePath, imageBuffer);
+
+  // Update deck
+  deck.themeImages.push(imageFilename);
+  deck.updatedAt = new Date().toISOString();
+
+  const deckPath = path.join(getStorageDir(), `deck-${deckId}`, 'deck.json');
+  await writeJsonAtomic(deckPath, deck);
+
+  return { deck, filename: imageFilename };
+}
+
+/**
+ * Remove theme image from deck
  */
 export async function removeThemeImage(deckId, imageFilename) {
   const deck = await getDeck(deckId);
@@ -493,15 +1193,31 @@ export async function getSlide(deckId, slideId) {
   }
 }
 
+/**
+ * Get an unused slide ID (slide-### after the highest existing number)
+ * Counting slides is not enough: deleted or restored slides leave gaps
+ */
+async function getNextSlideId(deck) {
+  let slideNum = deck.slides.reduce((max, slideId) => {
+    const num = parseInt(slideId.match(/^slide-(\d+)$/)?.[1], 10);
+    return Number.isNaN(num) ? max : Math.max(max, num);
+  }, 0) + 1;
+
+  // Skip folders left over from slides that are no longer listed
+  while (await pathExists(path.join(getStorageDir(), `deck-${deck.id}`, `slide-${String(slideNum).padStart(3, '0')}`))) {
+    slideNum++;
+  }
+
+  return `slide-${String(slideNum).padStart(3, '0')}`;
+}
+
 /**
  * Create new slide
  */
 export async function createSlide(deckId, speakerNotes = '', imageDescription = '', noImages = false, sceneStart = false) {
   const deck = await getDeck(deckId);
 
-  // Generate slide ID
-  const slideNum = deck.slides.length + 1;
-  const slideId = `slide-${String(slideNum).padStart(3, '0')}`;
+  const slideId = await getNextSlideId(deck);
 
   const slide = {
     id: slideId,
@@ -541,30 +1257,80 @@ export async function createSlide(deckId, speakerNotes = '', imageDescription =
 }
 
 /**
- * Update slide content
+ * Insert several slides (e.g. parsed from text) after a slide or at the end
+ * Orders of all slides are renumbered to match the new position
+ * @param {string} deckId - Deck ID
+ * @param {Array<Object>} slideData - { speakerNotes, imageDescription, noImages, sceneStart, sceneVisualStyle }
+ * @param {string|null} afterSlideId - Insert after this slide (default: at the end)
+ * @returns {Promise<Array<Object>>} - Created slides
  */
-export async function updateSlide(deckId, slideId, updates) {
-  const slide = await getSlide(deckId, slideId);
+export async function insertSlides(deckId, slideData, afterSlideId = null) {
+  const deck = await getDeck(deckId);
+  const deckDir = path.join(getStorageDir(), `deck-${deckId}`);
 
-  // Initialize descriptionHistory if it doesn't exist (for older slides)
-  if (!slide.descriptionHistory) {
-    slide.descriptionHistory = [];
+  let index = deck.slides.length;
+  if (afterSlideId) {
+    index = deck.slides.indexOf(afterSlideId) + 1;
+    if (index === 0) {
+      throw new Error('Slide not found');
+    }
   }
 
-  // If pushDescriptionToHistory is true and we have a current description, save it to history
-  if (updates.pushDescriptionToHistory && slide.imageDescription && slide.imageDescription.trim()) {
-    // Don't add duplicates - check if it's different from the last history entry
-    const lastHistoryEntry = slide.descriptionHistory[slide.descriptionHistory.length - 1];
-    if (lastHistoryEntry !== slide.imageDescription) {
-      slide.descriptionHistory.push(slide.imageDescription);
-      // Limit history to 20 entries
-      if (slide.descriptionHistory.length > 20) {
-        slide.descriptionHistory = slide.descriptionHistory.slice(-20);
-      }
+  const created = [];
+  try {
+    for (const data of slideData) {
+      const slideId = await getNextSlideId({ ...deck, slides: [...deck.slides, ...created.map(slide => slide.id)] });
+      const slide = {
+        id: slideId,
+        order: index + created.length,
+        speakerNotes: data.speakerNotes || '',
+        imageDescription: data.imageDescription || '',
+        overrideVisualStyle: null,
+        noImages: data.noImages || false,
+        descriptionLocked: false,
+        sceneStart: data.sceneStart || false,
+        sceneVisualStyle: data.sceneVisualStyle || null,
+        descriptionHistory: [],
+        generatedImages: []
+      };
+
+      await fs.mkdir(path.join(deckDir, slideId), { recursive: true });
+      await writeJsonAtomic(path.join(deckDir, slideId, 'slide.json'), slide);
+      created.push(slide);
     }
+  } catch (error) {
+    // Cleanup on failure
+    for (const slide of created) {
+      await fs.rm(path.join(deckDir, slide.id), { recursive: true, force: true }).catch(() => {});
+    }
+    throw error;
   }
 
-  // Update allowed fields
+  deck.slides.splice(index, 0, ...created.map(slide => slide.id));
+
+  // Renumber the existing slides that moved (under their lock, a bulk job may be saving images)
+  const createdIds = new Set(created.map(slide => slide.id));
+  for (const [order, slideId] of deck.slides.entries()) {
+    if (createdIds.has(slideId)) continue;
+    await withSlideLock(deckId, slideId, async () => {
+      const slide = await getSlide(deckId, slideId);
+      if (slide.order !== order) {
+        slide.order = order;
+        await writeJsonAtomic(path.join(deckDir, slideId, 'slide.json'), slide);
+      }
+    });
+  }
+
+  deck.updatedAt = new Date().toISOString();
+  await writeJsonAtomic(path.join(deckDir, 'deck.json'), deck);
+
+  return created;
+}
+
+/**
+ * Copy the updatable fields that are set in updates onto a slide
+ */
+function applySlideUpdates(slide, updates) {
   if (updates.speakerNotes !== undefined) slide.speakerNotes = updates.speakerNotes;
   if (updates.imageDescription !== undefined) slide.imageDescription = updates.imageDescription;
   if (updates.order !== undefined) slide.order = updates.order;
@@ -574,9 +1340,45 @@ export async function updateSlide(deckId, slideId, updates) {
   if (updates.noContext !== undefined) slide.noContext = updates.noContext;
   if (updates.sceneStart !== undefined) slide.sceneStart = updates.sceneStart;
   if (updates.sceneVisualStyle !== undefined) slide.sceneVisualStyle = updates.sceneVisualStyle;
+  if (updates.overrideStylePresetId !== undefined) slide.overrideStylePresetId = updates.overrideStylePresetId;
+  if (updates.sceneStylePresetId !== undefined) slide.sceneStylePresetId = updates.sceneStylePresetId;
+}
 
-  const slidePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, 'slide.json');
-  await writeJsonAtomic(slidePath, slide);
+/**
+ * Update slide content
+ */
+export async function updateSlide(deckId, slideId, updates) {
+  await getSlide(deckId, slideId);
+  await checkStylePresetIds([updates.overrideStylePresetId, updates.sceneStylePresetId]);
+
+  // Read under the lock so images saved meanwhile (e.g. by a bulk job) are kept
+  const slide = await withSlideLock(deckId, slideId, async () => {
+    const slide = await getSlide(deckId, slideId);
+
+    // Initialize descriptionHistory if it doesn't exist (for older slides)
+    if (!slide.descriptionHistory) {
+      slide.descriptionHistory = [];
+    }
+
+    // If pushDescriptionToHistory is true and we have a current description, save it to history
+    if (updates.pushDescriptionToHistory && slide.imageDescription && slide.imageDescription.trim()) {
+      // Don't add duplicates - check if it's different from the last history entry
+      const lastHistoryEntry = slide.descriptionHistory[slide.descriptionHistory.length - 1];
+      if (lastHistoryEntry !== slide.imageDescription) {
+        slide.descriptionHistory.push(slide.imageDescription);
+        // Limit history to 20 entries
+        if (slide.descriptionHistory.length > 20) {
+          slide.descriptionHistory = slide.descriptionHistory.slice(-20);
+        }
+      }
+    }
+
+    applySlideUpdates(slide, updates);
+
+    const slidePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, 'slide.json');
+    await writeJsonAtomic(slidePath, slide);
+    return slide;
+  });
 
   // Update deck timestamp
   const deck = await getDeck(deckId);
@@ -587,41 +1389,69 @@ export async function updateSlide(deckId, slideId, updates) {
 }
 
 /**
- * Get effective visual style for a slide
- * Priority: slide.overrideVisualStyle > current/previous scene's sceneVisualStyle > deck.visualStyle
+ * Get effective style for a slide
+ * Priority: slide override > current/previous scene's style > deck style
+ * At each level a style preset reference wins over the free-text style; a
+ * reference to a preset that no longer exists falls back to the text.
+ * @returns {Promise<{ visualStyle: string, stylePreset: Object|null, source: string, sceneStyle: string }>} -
+ *   Style text, the preset it comes from (for its theme images and preferred service),
+ *   the layer it comes from ('slide', 'scene' or 'deck') and the style of the slide's
+ *   scene ('' outside a styled scene, also set when a slide override wins)
  */
-export async function getEffectiveVisualStyle(deckId, slideId) {
+export async function getEffectiveStyle(deckId, slideId) {
   const deck = await getDeck(deckId);
   const slide = await getSlide(deckId, slideId);
   const allSlides = await getSlides(deckId);
+  const presets = await readStylePresets();
 
-  // 1. Check slide's own override (individual slide setting)
-  if (slide.overrideVisualStyle) {
-    return slide.overrideVisualStyle;
-  }
-
-  // 2. If this slide is a scene start with its own sceneVisualStyle, use it
-  if (slide.sceneStart && slide.sceneVisualStyle) {
-    return slide.sceneVisualStyle;
-  }
+  const resolve = (presetId, text) => {
+    if (presetId && presets[presetId]) {
+      return { visualStyle: presets[presetId].style, stylePreset: presets[presetId] };
+    }
+    return text ? { visualStyle: text, stylePreset: null } : null;
+  };
 
-  // 3. Find the most recent scene start before this slide (or at the same position)
+  // Current scene: this slide if it starts a scene with its own style, else the
+  // most recent scene start before it
   const previousSlides = allSlides
     .filter(s => s.order < slide.order)
     .sort((a, b) => b.order - a.order); // Sort descending to find most recent first
 
-  for (const prevSlide of previousSlides) {
-    if (prevSlide.sceneStart && prevSlide.sceneVisualStyle) {
-      return prevSlide.sceneVisualStyle;
+  let scene = null;
+  for (const sceneSlide of [slide, ...previousSlides]) {
+    scene = sceneSlide.sceneStart && resolve(sceneSlide.sceneStylePresetId, sceneSlide.sceneVisualStyle);
+    if (scene) {
+      break;
     }
   }
+  const sceneStyle = scene?.visualStyle || '';
+
+  // 1. Slide's own override (individual slide setting)
+  const override = resolve(slide.overrideStylePresetId, slide.overrideVisualStyle);
+  if (override) {
+    return { ...override, source: 'slide', sceneStyle };
+  }
+
+  // 2. The scene's style
+  if (scene) {
+    return { ...scene, source: 'scene', sceneStyle };
+  }
+
+  // 3. Fall back to deck's style
+  const deckStyle = resolve(deck.stylePresetId, deck.visualStyle) || { visualStyle: deck.visualStyle || '', stylePreset: null };
+  return { ...deckStyle, source: 'deck', sceneStyle };
+}
 
-  // 4. Fall back to deck's visual style
-  return deck.visualStyle;
+/**
+ * Get effective visual style text for a slide (see getEffectiveStyle)
+ */
+export async function getEffectiveVisualStyle(deckId, slideId) {
+  const { visualStyle } = await getEffectiveStyle(deckId, slideId);
+  return visualStyle;
 }
 
 /**
- * Delete slide
+ * Delete slide (moves it to the trash)
  */
 export async function deleteSlide(deckId, slideId) {
   const deck = await getDeck(deckId);
@@ -631,20 +1461,19 @@ export async function deleteSlide(deckId, slideId) {
   if (slideIndex === -1) {
     throw new Error(`Slide not found in deck: ${slideId}`);
   }
+  await trashSlide(deck, slideId, slideIndex);
   deck.slides.splice(slideIndex, 1);
 
   // Reorder remaining slides
   for (let i = slideIndex; i < deck.slides.length; i++) {
-    const slide = await getSlide(deckId, deck.slides[i]);
-    slide.order = i;
-    const slidePath = path.join(getStorageDir(), `deck-${deckId}`, deck.slides[i], 'slide.json');
-    await writeJsonAtomic(slidePath, slide);
+    await withSlideLock(deckId, deck.slides[i], async () => {
+      const slide = await getSlide(deckId, deck.slides[i]);
+      slide.order = i;
+      const slidePath = path.join(getStorageDir(), `deck-${deckId}`, deck.slides[i], 'slide.json');
+      await writeJsonAtomic(slidePath, slide);
+    });
   }
 
-  // Delete slide directory
-  const slideDir = path.join(getStorageDir(), `deck-${deckId}`, slideId);
-  await fs.rm(slideDir, { recursive: true, force: true });
-
   // Update deck
   deck.updatedAt = new Date().toISOString();
   await writeJsonAtomic(path.join(getStorageDir(), `deck-${deckId}`, 'deck.json'), deck);
@@ -670,10 +1499,12 @@ export async function reorderSlides(deckId, slideIds) {
 
   // Update order in each slide
   for (let i = 0; i < slideIds.length; i++) {
-    const slide = await getSlide(deckId, slideIds[i]);
-    slide.order = i;
-    const slidePath = path.join(getStorageDir(), `deck-${deckId}`, slideIds[i], 'slide.json');
-    await writeJsonAtomic(slidePath, slide);
+    await withSlideLock(deckId, slideIds[i], async () => {
+      const slide = await getSlide(deckId, slideIds[i]);
+      slide.order = i;
+      const slidePath = path.join(getStorageDir(), `deck-${deckId}`, slideIds[i], 'slide.json');
+      await writeJsonAtomic(slidePath, slide);
+    });
   }
 
   // Update deck
@@ -684,128 +1515,376 @@ export async function reorderSlides(deckId, slideIds) {
   return true;
 }
 
-// ===== IMAGE OPERATIONS =====
-
 /**
- * Add generated image to slide
+ * Apply a batch of operations to many slides at once
+ * Operations are applied in order to an in-memory copy of the deck and all of
+ * them are checked before anything is written, so an invalid operation leaves
+ * the deck unchanged.
+ * @param {string} deckId - Deck ID
+ * @param {Array<Object>} operations -
+ *   { type: 'update', slideIds, updates }  set fields (as in updateSlide)
+ *   { type: 'delete', slideIds }           move slides to the trash
+ *   { type: 'move', slideIds, afterSlideId } move slides (in deck order) after
+ *                                          another slide, or to the start when null
+ * @returns {Promise<Array<Object>>} - Slides of the deck after the batch
  */
-export async function addGeneratedImage(deckId, slideId, imageBuffer, metadata) {
-  const slide = await getSlide(deckId, slideId);
-
-  const imageId = metadata.id || uuidv4();
-  const imageNum = slide.generatedImages.length + 1;
-  const imageFilename = `image-${String(imageNum).padStart(3, '0')}.jpg`;
-  const imagePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, imageFilename);
+export async function batchUpdateSlides(deckId, operations) {
+  const deck = await getDeck(deckId);
+  const deckDir = path.join(getStorageDir(), `deck-${deckId}`);
 
-  // Save image file
-  await fs.writeFile(imagePath, imageBuffer);
+  let slideIds = [...deck.slides];
+  const updates = new Map();
+  const deleted = [];
 
-  // Auto-pin if first image
-  const isPinned = slide.generatedImages.length === 0;
-
-  // Add metadata
-  const imageMetadata = {
-    id: imageId,
-    filename: imageFilename,
-    createdAt: new Date().toISOString(),
-    service: metadata.service,
-    prompt: metadata.prompt,
-    sourceImageId: metadata.sourceImageId || null,
-    isPinned
+  const checkSlideIds = (ids) => {
+    for (const slideId of ids) {
+      if (!slideIds.includes(slideId)) {
+        throw new Error(`Slide not found: ${slideId}`);
+      }
+    }
   };
 
-  slide.generatedImages.push(imageMetadata);
-
-  const slidePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, 'slide.json');
-  await writeJsonAtomic(slidePath, slide);
-
-  return imageMetadata;
-}
+  for (const operation of operations) {
+    checkSlideIds(operation.slideIds);
 
-/**
- * Pin image
- */
-export async function pinImage(deckId, slideId, imageId) {
-  const slide = await getSlide(deckId, slideId);
+    if (operation.type === 'update') {
+      await checkStylePresetIds([operation.updates.overrideStylePresetId, operation.updates.sceneStylePresetId]);
+      for (const slideId of operation.slideIds) {
+        updates.set(slideId, { ...updates.get(slideId), ...operation.updates });
+      }
+    } else if (operation.type === 'delete') {
+      slideIds = slideIds.filter(slideId => !operation.slideIds.includes(slideId));
+      deleted.push(...operation.slideIds);
+    } else if (operation.type === 'move') {
+      const { afterSlideId = null } = operation;
+      if (afterSlideId) {
+        checkSlideIds([afterSlideId]);
+        if (operation.slideIds.includes(afterSlideId)) {
+          const error = new Error('Cannot move slides after one of the moved slides');
+          error.status = 400;
+          throw error;
+        }
+      }
 
-  let found = false;
-  for (const img of slide.generatedImages) {
-    if (img.id === imageId) {
-      img.isPinned = true;
-      found = true;
-    } else {
-      img.isPinned = false;
+      const moved = slideIds.filter(slideId => operation.slideIds.includes(slideId));
+      slideIds = slideIds.filter(slideId => !operation.slideIds.includes(slideId));
+      slideIds.splice(afterSlideId ? slideIds.indexOf(afterSlideId) + 1 : 0, 0, ...moved);
     }
   }
 
-  if (!found) {
-    throw new Error(`Image not found: ${imageId}`);
-  }
-
-  const slidePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, 'slide.json');
-  await writeJsonAtomic(slidePath, slide);
-
-  return slide;
-}
-
-/**
- * Delete image
- */
-export async function deleteImage(deckId, slideId, imageId) {
-  const slide = await getSlide(deckId, slideId);
-
-  const imageIndex = slide.generatedImages.findIndex(img => img.id === imageId);
-  if (imageIndex === -1) {
-    throw new Error(`Image not found: ${imageId}`);
+  for (const slideId of deleted) {
+    await trashSlide(deck, slideId, deck.slides.indexOf(slideId));
   }
 
-  const image = slide.generatedImages[imageIndex];
-  const wasPinned = image.isPinned;
-
-  // Delete image file
-  const imagePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, image.filename);
-  try {
-    await fs.unlink(imagePath);
-  } catch (error) {
-    console.error(`Failed to delete image file ${image.filename}:`, error.message);
+  // Re-read each slide under its lock so images saved meanwhile are kept
+  for (const [order, slideId] of slideIds.entries()) {
+    await withSlideLock(deckId, slideId, async () => {
+      const slide = await getSlide(deckId, slideId);
+      if (slide.order === order && !updates.has(slideId)) {
+        return;
+      }
+      applySlideUpdates(slide, { ...updates.get(slideId), order });
+      await writeJsonAtomic(path.join(deckDir, slideId, 'slide.json'), slide);
+    });
   }
 
-  // Remove from array
-  slide.generatedImages.splice(imageIndex, 1);
+  deck.slides = slideIds;
+  deck.updatedAt = new Date().toISOString();
+  await writeJsonAtomic(path.join(deckDir, 'deck.json'), deck);
 
-  // If deleted image was pinned, auto-pin first remaining
-  if (wasPinned && slide.generatedImages.length > 0) {
-    slide.generatedImages[0].isPinned = true;
-  }
+  return getSlides(deckId);
+}
 
-  const slidePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, 'slide.json');
-  await writeJsonAtomic(slidePath, slide);
+// ===== IMAGE OPERATIONS =====
 
-  return slide;
+/**
+ * Get a file extension from an image buffer's signature
+ * Used for original files, so only png, jpg or webp (image-###-original.<ext>)
+ */
+export function getImageExtension(buffer) {
+  if (buffer.subarray(0, 4).toString('hex') === '89504e47') return 'png';
+  if (buffer.subarray(0, 2).toString('hex') === 'ffd8') return 'jpg';
+  if (buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'webp';
+  return 'png';
 }
 
 /**
- * Get image file path
+ * Take the number for a new image file of a slide
+ * Numbers are never reused: deleted images (in the trash) and snapshots still
+ * refer to their file names. The slide records the highest number it used in
+ * lastImageNumber; the caller writes the slide.
  */
-export function getImagePath(deckId, slideId, filename) {
-  return path.join(getStorageDir(), `deck-${deckId}`, slideId, filename);
+function takeNextImageNumber(slide) {
+  const highest = slide.generatedImages.reduce((max, img) => {
+    const num = parseInt(img.filename.match(/^image-(\d+)/)?.[1], 10);
+    return Number.isNaN(num) ? max : Math.max(max, num);
+  }, slide.lastImageNumber || 0);
+  slide.lastImageNumber = highest + 1;
+  return slide.lastImageNumber;
 }
 
 /**
- * Get entity image file path
+ * Add generated image to slide
+ * @param {Buffer} imageBuffer - Processed JPEG
+ * @param {Object} metadata - { id, service, prompt, sourceImageId, crop }
+ * @param {Buffer} originalBuffer - Untouched provider output, kept for re-cropping
  */
-export function getEntityImagePath(deckId, filename) {
-  return path.join(getStorageDir(), `deck-${deckId}`, 'entities', filename);
-}
+export function addGeneratedImage(deckId, slideId, imageBuffer, metadata, originalBuffer = null) {
+  return withSlideLock(deckId, slideId, async () => {
+    const slide = await getSlide(deckId, slideId);
+
+    const imageId = metadata.id || uuidv4();
+    const imageNum = takeNextImageNumber(slide);
+    const imageFilename = `image-${String(imageNum).padStart(3, '0')}.jpg`;
+    const imagePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, imageFilename);
+
+    // Save image file
+    await fs.writeFile(imagePath, imageBuffer);
+
+    // Save original next to it (image-###-original.png)
+    let originalFilename = null;
+    if (originalBuffer) {
+      originalFilename = `image-${String(imageNum).padStart(3, '0')}-original.${getImageExtension(originalBuffer)}`;
+      await fs.writeFile(path.join(getStorageDir(), `deck-${deckId}`, slideId, originalFilename), originalBuffer);
+    }
 
-// ===== SETTINGS OPERATIONS =====
+    // Auto-pin if first image
+    const isPinned = slide.generatedImages.length === 0;
+
+    // Add metadata
+    const imageMetadata = {
+      id: imageId,
+      filename: imageFilename,
+      originalFilename,
+      createdAt: new Date().toISOString(),
+      service: metadata.service,
+      prompt: metadata.prompt,
+      negativePrompt: metadata.negativePrompt || null,
+      sourceImageId: metadata.sourceImageId || null,
+      crop: metadata.crop || null,
+      isPinned
+    };
+
+    slide.generatedImages.push(imageMetadata);
+
+    const slidePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, 'slide.json');
+    await writeJsonAtomic(slidePath, slide);
+
+    return imageMetadata;
+  });
+}
 
 /**
- * Get settings
+ * Pin image
  */
-export async function getSettings() {
-  await initStorage();
-  const settingsPath = path.join(getStorageDir(), 'settings.json');
+export function pinImage(deckId, slideId, imageId) {
+  return withSlideLock(deckId, slideId, async () => {
+    const slide = await getSlide(deckId, slideId);
+
+    let found = false;
+    for (const img of slide.generatedImages) {
+      if (img.id === imageId) {
+        img.isPinned = true;
+        found = true;
+      } else {
+        img.isPinned = false;
+      }
+    }
+
+    if (!found) {
+      throw new Error(`Image not found: ${imageId}`);
+    }
+
+    const slidePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, 'slide.json');
+    await writeJsonAtomic(slidePath, slide);
+
+    return slide;
+  });
+}
+
+/**
+ * Delete image (moves the image file and its original to the trash)
+ */
+export async function deleteImage(deckId, slideId, imageId) {
+  const deck = await getDeck(deckId);
+
+  return withSlideLock(deckId, slideId, async () => {
+    const slide = await getSlide(deckId, slideId);
+
+    const imageIndex = slide.generatedImages.findIndex(img => img.id === imageId);
+    if (imageIndex === -1) {
+      throw new Error(`Image not found: ${imageId}`);
+    }
+
+    const image = slide.generatedImages[imageIndex];
+    const wasPinned = image.isPinned;
+
+    await moveToTrash({
+      type: 'image',
+      deckId,
+      deckName: deck.name,
+      slideId,
+      imageId,
+      label: `Image on slide ${deck.slides.indexOf(slideId) + 1}`,
+      image
+    }, [image.filename, image.originalFilename].filter(Boolean).map(filename => ({
+      from: path.join(getStorageDir(), `deck-${deckId}`, slideId, filename),
+      to: filename
+    })));
+
+    // Remove from array
+    slide.generatedImages.splice(imageIndex, 1);
+
+    // If deleted image was pinned, auto-pin first remaining
+    if (wasPinned && slide.generatedImages.length > 0) {
+      slide.generatedImages[0].isPinned = true;
+    }
+
+    const slidePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, 'slide.json');
+    await writeJsonAtomic(slidePath, slide);
+
+    return slide;
+  });
+}
+
+/**
+ * Replace an image's processed JPEG after re-cropping it from the original
+ * @param {Buffer} imageBuffer - New processed JPEG
+ * @param {Object} crop - { strategy, focalPoint } used for the new crop
+ * @returns {Promise<Object>} - Updated slide
+ */
+export function updateImageCrop(deckId, slideId, imageId, imageBuffer, crop) {
+  return withSlideLock(deckId, slideId, async () => {
+    const slide = await getSlide(deckId, slideId);
+
+    const image = slide.generatedImages.find(img => img.id === imageId);
+    if (!image) {
+      throw new Error(`Image not found: ${imageId}`);
+    }
+
+    await fs.writeFile(path.join(getStorageDir(), `deck-${deckId}`, slideId, image.filename), imageBuffer);
+
+    image.crop = crop;
+    image.updatedAt = new Date().toISOString();
+
+    const slidePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, 'slide.json');
+    await writeJsonAtomic(slidePath, slide);
+
+    return slide;
+  });
+}
+
+// ===== ORIGINAL IMAGE OPERATIONS =====
+
+/**
+ * List kept originals with their file sizes
+ * @returns {Promise<Array<{ deckId, slideId, image, bytes }>>}
+ */
+async function listOriginals() {
+  const originals = [];
+
+  for (const deck of await getAllDecks(true)) {
+    for (const slideId of deck.slides) {
+      let slide;
+      try {
+        slide = await getSlide(deck.id, slideId);
+      } catch {
+        continue;
+      }
+
+      for (const image of slide.generatedImages) {
+        if (!image.originalFilename) continue;
+        let bytes = 0;
+        try {
+          ({ size: bytes } = await fs.stat(getImagePath(deck.id, slideId, image.originalFilename)));
+        } catch {
+          // File already gone, still counts so the metadata gets cleaned up
+        }
+        originals.push({ deckId: deck.id, slideId, image, bytes });
+      }
+    }
+  }
+
+  return originals;
+}
+
+/**
+ * Get storage used by kept originals
+ * @returns {Promise<Object>} - { total: { images, bytes }, unpinned: { images, bytes } }
+ */
+export async function getOriginalsUsage() {
+  const usage = { total: { images: 0, bytes: 0 }, unpinned: { images: 0, bytes: 0 } };
+
+  for (const { image, bytes } of await listOriginals()) {
+    usage.total.images++;
+    usage.total.bytes += bytes;
+    if (!image.isPinned) {
+      usage.unpinned.images++;
+      usage.unpinned.bytes += bytes;
+    }
+  }
+
+  return usage;
+}
+
+/**
+ * Delete kept originals of unpinned images
+ * Pinned images always keep their original (used by exports and re-cropping)
+ * @param {Object} options - { olderThanDays: only images created at least this many days ago }
+ * @returns {Promise<Object>} - { images, bytes } removed
+ */
+export async function pruneOriginals({ olderThanDays = 0 } = {}) {
+  const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+  const candidates = (await listOriginals())
+    .filter(({ image }) => !image.isPinned && new Date(image.createdAt).getTime() <= cutoff);
+  const result = { images: 0, bytes: 0 };
+
+  for (const { deckId, slideId, image: candidate, bytes } of candidates) {
+    await withSlideLock(deckId, slideId, async () => {
+      // Re-check under the lock: the image may have been pinned or deleted meanwhile
+      const slide = await getSlide(deckId, slideId);
+      const image = slide.generatedImages.find(img => img.id === candidate.id);
+      if (!image || image.isPinned || !image.originalFilename) {
+        return;
+      }
+
+      await fs.rm(getImagePath(deckId, slideId, image.originalFilename), { force: true });
+      image.originalFilename = null;
+      image.originalPrunedAt = new Date().toISOString();
+
+      const slidePath = path.join(getStorageDir(), `deck-${deckId}`, slideId, 'slide.json');
+      await writeJsonAtomic(slidePath, slide);
+
+      result.images++;
+      result.bytes += bytes;
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Get image file path
+ */
+export function getImagePath(deckId, slideId, filename) {
+  return path.join(getStorageDir(), `deck-${deckId}`, slideId, filename);
+}
+
+/**
+ * Get entity image file path
+ */
+export function getEntityImagePath(deckId, filename) {
+  return path.join(getStorageDir(), `deck-${deckId}`, 'entities', filename);
+}
+
+// ===== SETTINGS OPERATIONS =====
+
+/**
+ * Get settings
+ */
+export async function getSettings() {
+  await initStorage();
+  const settingsPath = path.join(getStorageDir(), 'settings.json');
 
   try {
     return await readJson(settingsPath);
@@ -970,30 +2049,572 @@ export async function clearExportState(deckId) {
   }
 }
 
+// ===== JOB STATE OPERATIONS =====
+
+/**
+ * Get jobs directory for a deck
+ */
+function getJobsDir(deckId) {
+  return path.join(getStorageDir(), `deck-${deckId}`, 'jobs');
+}
+
+/**
+ * Save bulk job state for a deck
+ * Stored as deck-<id>/jobs/<jobId>.json so it survives server restarts
+ * @param {Object} job - Job object (must include jobId and deckId)
+ */
+export async function saveJobState(job) {
+  const jobsDir = getJobsDir(job.deckId);
+  await fs.mkdir(jobsDir, { recursive: true });
+  const jobWithTimestamp = {
+    ...job,
+    updatedAt: new Date().toISOString()
+  };
+  await writeJsonAtomic(path.join(jobsDir, `${job.jobId}.json`), jobWithTimestamp);
+  return jobWithTimestamp;
+}
+
+/**
+ * Get all persisted job states across all decks
+ * @returns {Promise<Array<Object>>} - Array of job objects
+ */
+export async function getAllJobStates() {
+  await initStorage();
+  const jobs = [];
+
+  const entries = await fs.readdir(getStorageDir(), { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !entry.name.startsWith('deck-')) {
+      continue;
+    }
+
+    const jobsDir = path.join(getStorageDir(), entry.name, 'jobs');
+    let files;
+    try {
+      files = await fs.readdir(jobsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+      throw error;
+    }
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        jobs.push(await readJson(path.join(jobsDir, file)));
+      } catch (error) {
+        console.error(`Failed to read job ${entry.name}/jobs/${file}:`, error.message);
+      }
+    }
+  }
+
+  return jobs;
+}
+
+/**
+ * Delete persisted job state
+ */
+export async function deleteJobState(deckId, jobId) {
+  try {
+    await fs.unlink(path.join(getJobsDir(deckId), `${jobId}.json`));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+// ===== SNAPSHOT OPERATIONS =====
+
+/**
+ * Get snapshots directory for a deck
+ */
+function getSnapshotsDir(deckId) {
+  return path.join(getStorageDir(), `deck-${deckId}`, 'snapshots');
+}
+
+/**
+ * Save a deck snapshot
+ * Stored as deck-<id>/snapshots/<snapshotId>.json (deck.json and slide.json contents only)
+ * @param {Object} snapshot - Snapshot object (must include id and deckId)
+ */
+export async function saveSnapshot(snapshot) {
+  const snapshotsDir = getSnapshotsDir(snapshot.deckId);
+  await fs.mkdir(snapshotsDir, { recursive: true });
+  await writeJsonAtomic(path.join(snapshotsDir, `${snapshot.id}.json`), snapshot);
+  return snapshot;
+}
+
+/**
+ * Get all snapshots of a deck, newest first
+ * @returns {Promise<Array<Object>>} - Full snapshot objects
+ */
+export async function getSnapshots(deckId) {
+  await getDeck(deckId);
+
+  let files;
+  try {
+    files = await fs.readdir(getSnapshotsDir(deckId));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const file of files) {
+    if (!file.endsWith('.json')) {
+      continue;
+    }
+    try {
+      snapshots.push(await readJson(path.join(getSnapshotsDir(deckId), file)));
+    } catch (error) {
+      console.error(`Failed to read snapshot ${file}:`, error.message);
+    }
+  }
+
+  return snapshots.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Get a snapshot by ID
+ */
+export async function getSnapshot(deckId, snapshotId) {
+  try {
+    return await readJson(path.join(getSnapshotsDir(deckId), `${path.basename(snapshotId)}.json`));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Snapshot not found: ${snapshotId}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a snapshot
+ */
+export async function deleteSnapshot(deckId, snapshotId) {
+  try {
+    await fs.unlink(path.join(getSnapshotsDir(deckId), `${path.basename(snapshotId)}.json`));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Snapshot not found: ${snapshotId}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Replace a deck's deck.json and slide.json files (used to restore snapshots)
+ * Slides that are no longer listed in deck.slides are moved to the trash.
+ * @param {string} deckId - Deck ID
+ * @param {Object} deck - New deck data
+ * @param {Array<Object>} slides - New slide data, one per deck.slides entry
+ */
+export async function replaceDeckState(deckId, deck, slides) {
+  const current = await getDeck(deckId);
+  const deckDir = path.join(getStorageDir(), `deck-${deckId}`);
+
+  for (const slide of slides) {
+    await withSlideLock(deckId, slide.id, async () => {
+      const slideDir = path.join(deckDir, slide.id);
+      await fs.mkdir(slideDir, { recursive: true });
+      await writeJsonAtomic(path.join(slideDir, 'slide.json'), slide);
+    });
+  }
+
+  for (const [index, slideId] of current.slides.entries()) {
+    if (!deck.slides.includes(slideId)) {
+      await trashSlide(current, slideId, index);
+    }
+  }
+
+  await writeJsonAtomic(path.join(deckDir, 'deck.json'), deck);
+
+  return deck;
+}
+
+// ===== TRASH OPERATIONS =====
+
+/**
+ * Get trash directory
+ * Each deleted item is a folder .trash/<trashId>/ with item.json and the moved files
+ */
+function getTrashDir() {
+  return path.join(getStorageDir(), '.trash');
+}
+
+/**
+ * Get the size of a file or directory in bytes
+ */
+async function getPathSize(filePath) {
+  const stats = await fs.stat(filePath);
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  let size = 0;
+  for (const entry of await fs.readdir(filePath)) {
+    size += await getPathSize(path.join(filePath, entry));
+  }
+  return size;
+}
+
+/**
+ * Move files into a new trash item
+ * @param {Object} metadata - { type, deckId, deckName, label, ... }
+ * @param {Array<{ from: string, to: string }>} moves - Absolute source paths and their
+ *   names inside the trash item folder; missing sources are skipped
+ * @returns {Promise<Object>} - Trash item
+ */
+async function moveToTrash(metadata, moves) {
+  const id = uuidv4();
+  const itemDir = path.join(getTrashDir(), id);
+  await fs.mkdir(itemDir, { recursive: true });
+
+  let bytes = 0;
+  for (const { from, to } of moves) {
+    try {
+      await fs.rename(from, path.join(itemDir, to));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.error(`Failed to move ${from} to trash: file not found`);
+        continue;
+      }
+      throw error;
+    }
+    bytes += await getPathSize(path.join(itemDir, to));
+  }
+
+  const item = {
+    id,
+    ...metadata,
+    deletedAt: new Date().toISOString(),
+    bytes
+  };
+  await writeJsonAtomic(path.join(itemDir, 'item.json'), item);
+
+  return item;
+}
+
+/**
+ * Move a slide folder to the trash (the caller updates deck.json)
+ * @param {Object} deck - Deck the slide belongs to
+ * @param {string} slideId - Slide ID
+ * @param {number} position - Index of the slide in deck.slides, used on restore
+ */
+function trashSlide(deck, slideId, position) {
+  return withSlideLock(deck.id, slideId, async () => {
+    let slide = null;
+    try {
+      slide = await getSlide(deck.id, slideId);
+    } catch (error) {
+      console.error(`Failed to read slide ${slideId} before moving it to trash:`, error.message);
+    }
+
+    const notes = slide?.speakerNotes?.trim();
+    return moveToTrash({
+      type: 'slide',
+      deckId: deck.id,
+      deckName: deck.name,
+      slideId,
+      position,
+      label: `Slide ${position + 1}${notes ? `: ${notes.slice(0, 80)}` : ''}`,
+      imageCount: slide?.generatedImages?.length || 0
+    }, [{ from: path.join(getStorageDir(), `deck-${deck.id}`, slideId), to: 'slide' }]);
+  });
+}
+
+/**
+ * Get all trash items, most recently deleted first
+ */
+export async function getTrashItems() {
+  let entries;
+  try {
+    entries = await fs.readdir(getTrashDir(), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const items = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    try {
+      items.push(await readJson(path.join(getTrashDir(), entry.name, 'item.json')));
+    } catch (error) {
+      console.error(`Failed to read trash item ${entry.name}:`, error.message);
+    }
+  }
+
+  items.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  return items;
+}
+
+/**
+ * Get trash item by ID
+ */
+export async function getTrashItem(trashId) {
+  try {
+    return await readJson(path.join(getTrashDir(), path.basename(trashId), 'item.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Trash item not found: ${trashId}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Put a trashed deck folder back
+ */
+async function restoreTrashedDeck(item, itemDir) {
+  const deckDir = path.join(getStorageDir(), `deck-${item.deckId}`);
+  if (await pathExists(deckDir)) {
+    throw new Error(`Deck already exists: ${item.deckId}`);
+  }
+
+  await fs.rename(path.join(itemDir, 'deck'), deckDir);
+  return { deckId: item.deckId };
+}
+
+/**
+ * Put a trashed slide back at its old position
+ * The slide gets a new ID if its old one has been reused meanwhile
+ */
+async function restoreTrashedSlide(item, itemDir) {
+  const deck = await getDeck(item.deckId);
+  const slide = await readJson(path.join(itemDir, 'slide', 'slide.json'));
+
+  let slideId = item.slideId;
+  if (deck.slides.includes(slideId) || await pathExists(path.join(getStorageDir(), `deck-${deck.id}`, slideId))) {
+    slideId = await getNextSlideId(deck);
+  }
+
+  const slideDir = path.join(getStorageDir(), `deck-${deck.id}`, slideId);
+  await fs.rename(path.join(itemDir, 'slide'), slideDir);
+  await writeJsonAtomic(path.join(slideDir, 'slide.json'), { ...slide, id: slideId });
+
+  deck.slides.splice(Math.min(item.position ?? deck.slides.length, deck.slides.length), 0, slideId);
+
+  // Renumber slide order
+  for (let i = 0; i < deck.slides.length; i++) {
+    const current = await getSlide(deck.id, deck.slides[i]);
+    if (current.order !== i) {
+      current.order = i;
+      await writeJsonAtomic(path.join(getStorageDir(), `deck-${deck.id}`, deck.slides[i], 'slide.json'), current);
+    }
+  }
+
+  deck.updatedAt = new Date().toISOString();
+  await writeJsonAtomic(path.join(getStorageDir(), `deck-${deck.id}`, 'deck.json'), deck);
+
+  return { deckId: deck.id, slideId };
+}
+
+/**
+ * Put a trashed image back on its slide (unpinned unless the slide has no images)
+ * The files are renumbered so they never overwrite newer images
+ */
+function restoreTrashedImage(item, itemDir) {
+  return withSlideLock(item.deckId, item.slideId, async () => {
+    const slide = await getSlide(item.deckId, item.slideId);
+    if (slide.generatedImages.some(img => img.id === item.image.id)) {
+      throw new Error(`Image already exists: ${item.image.id}`);
+    }
+
+    const imageNum = String(takeNextImageNumber(slide)).padStart(3, '0');
+    const filename = `image-${imageNum}.jpg`;
+    await fs.rename(path.join(itemDir, item.image.filename), getImagePath(item.deckId, item.slideId, filename));
+
+    let originalFilename = null;
+    if (item.image.originalFilename && await pathExists(path.join(itemDir, item.image.originalFilename))) {
+      originalFilename = `image-${imageNum}-original${path.extname(item.image.originalFilename)}`;
+      await fs.rename(path.join(itemDir, item.image.originalFilename), getImagePath(item.deckId, item.slideId, originalFilename));
+    }
+
+    slide.generatedImages.push({
+      ...item.image,
+      filename,
+      originalFilename,
+      isPinned: slide.generatedImages.length === 0
+    });
+    await writeJsonAtomic(path.join(getStorageDir(), `deck-${item.deckId}`, item.slideId, 'slide.json'), slide);
+
+    return { deckId: item.deckId, slideId: item.slideId, imageId: item.image.id };
+  });
+}
+
+/**
+ * Restore a trash item to where it was deleted from
+ * A slide needs its deck and an image its slide to exist
+ * @param {string} trashId - Trash item ID
+ * @returns {Promise<Object>} - { item, restored: { deckId, slideId?, imageId? } }
+ */
+export async function restoreTrashItem(trashId) {
+  const item = await getTrashItem(trashId);
+  const itemDir = path.join(getTrashDir(), item.id);
+
+  let restored;
+  if (item.type === 'deck') {
+    restored = await restoreTrashedDeck(item, itemDir);
+  } else if (item.type === 'slide') {
+    restored = await restoreTrashedSlide(item, itemDir);
+  } else if (item.type === 'image') {
+    restored = await restoreTrashedImage(item, itemDir);
+  } else {
+    throw new Error(`Unknown trash item type: ${item.type}`);
+  }
+
+  await fs.rm(itemDir, { recursive: true, force: true });
+  return { item, restored };
+}
+
+/**
+ * Permanently delete a trash item
+ */
+export async function purgeTrashItem(trashId) {
+  const item = await getTrashItem(trashId);
+  await fs.rm(path.join(getTrashDir(), item.id), { recursive: true, force: true });
+  return item;
+}
+
+/**
+ * Permanently delete trash items
+ * @param {Object} options - { olderThanDays: only items deleted at least this many days ago }
+ * @returns {Promise<Object>} - { items, bytes } removed
+ */
+export async function purgeTrash({ olderThanDays = 0 } = {}) {
+  const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+  const result = { items: 0, bytes: 0 };
+
+  for (const item of await getTrashItems()) {
+    if (new Date(item.deletedAt).getTime() > cutoff) continue;
+
+    await fs.rm(path.join(getTrashDir(), item.id), { recursive: true, force: true });
+    result.items++;
+    result.bytes += item.bytes || 0;
+  }
+
+  return result;
+}
+
+// ===== USAGE LEDGER OPERATIONS =====
+
+/**
+ * Get usage ledger directory (one JSON Lines file per UTC day)
+ */
+function getUsageDir() {
+  return path.join(getStorageDir(), 'usage');
+}
+
+/**
+ * Append a record to the usage ledger for its day
+ * @param {Object} record - Usage record (must include an ISO `timestamp`)
+ */
+export async function appendUsageRecord(record) {
+  const usageDir = getUsageDir();
+  await fs.mkdir(usageDir, { recursive: true });
+
+  const day = record.timestamp.slice(0, 10);
+  await fs.appendFile(path.join(usageDir, `${day}.jsonl`), `${JSON.stringify(record)}\n`, 'utf8');
+}
+
+/**
+ * Read usage records for a range of days
+ * @param {string} from - First day (YYYY-MM-DD, inclusive)
+ * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Array<Object>>} - Records, oldest first
+ */
+export async function getUsageRecords(from, to) {
+  let files;
+  try {
+    files = await fs.readdir(getUsageDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const days = files
+    .filter(file => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(file))
+    .map(file => file.slice(0, 10))
+    .filter(day => day >= from && day <= to)
+    .sort();
+
+  const records = [];
+  for (const day of days) {
+    const content = await fs.readFile(path.join(getUsageDir(), `${day}.jsonl`), 'utf8');
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Skip a partially written line
+      }
+    }
+  }
+
+  return records;
+}
+
 export default {
   initStorage,
   getStorageDir,
   getAllDecks,
   getDeck,
   createDeck,
+  writeDeck,
+  duplicateDeck,
   updateDeck,
   deleteDeck,
   addEntity,
   removeEntity,
+  updateEntity,
+  addEntityImage,
+  updateEntityImage,
+  removeEntityImage,
   getGlobalEntities,
   addGlobalEntity,
   removeGlobalEntity,
+  updateGlobalEntity,
+  addGlobalEntityImage,
+  updateGlobalEntityImage,
+  removeGlobalEntityImage,
   getGlobalEntityImagePath,
   getMergedEntities,
+  getStylePresets,
+  getStylePreset,
+  createStylePreset,
+  updateStylePreset,
+  deleteStylePreset,
+  addStylePresetImage,
+  removeStylePresetImage,
+  getStylePresetImagePath,
   getSlides,
   getSlide,
   createSlide,
+  insertSlides,
   updateSlide,
   deleteSlide,
   reorderSlides,
+  batchUpdateSlides,
+  getImageExtension,
   addGeneratedImage,
   pinImage,
   deleteImage,
+  updateImageCrop,
+  getOriginalsUsage,
+  pruneOriginals,
   getImagePath,
   getEntityImagePath,
   getSettings,
@@ -1003,5 +2624,20 @@ export default {
   getPowerPointTemplatePath,
   getExportState,
   saveExportState,
-  clearExportState
+  clearExportState,
+  saveJobState,
+  getAllJobStates,
+  deleteJobState,
+  saveSnapshot,
+  getSnapshots,
+  getSnapshot,
+  deleteSnapshot,
+  replaceDeckState,
+  getTrashItems,
+  getTrashItem,
+  restoreTrashItem,
+  purgeTrashItem,
+  purgeTrash,
+  appendUsageRecord,
+  getUsageRecords
 };
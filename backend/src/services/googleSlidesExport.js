@@ -1,10 +1,11 @@
 import { google } from 'googleapis';
 import axios from 'axios';
 import fs from 'fs/promises';
-import { createReadStream } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { Readable } from 'stream';
+import { getDeckImageFormat, parseAspectRatio } from '../utils/imageFormat.js';
+import { loadExportImage } from './exportImages.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,7 +32,7 @@ async function rateLimitedDelay() {
   lastApiCallTime = Date.now();
 }
 
-async function withRetry(fn, maxRetries = 3, baseDelay = 2000, operationName = 'API call') {
+export async function withRetry(fn, maxRetries = 3, baseDelay = 2000, operationName = 'API call') {
   let lastError;
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
@@ -77,7 +78,7 @@ async function withRetry(fn, maxRetries = 3, baseDelay = 2000, operationName = '
  * @param {string} url - Google Slides URL
  * @returns {string} - Presentation ID
  */
-function extractPresentationId(url) {
+export function extractPresentationId(url) {
   const match = url.match(/\/presentation\/d\/([a-zA-Z0-9-_]+)/);
   if (!match) {
     throw new Error('Invalid Google Slides URL');
@@ -85,12 +86,28 @@ function extractPresentationId(url) {
   return match[1];
 }
 
+/**
+ * Use credentials from settings, or fall back to environment variables
+ * @param {Object|null} credentials - Google OAuth credentials from settings
+ * @returns {Object|null} - Credentials for initializeSlidesClient / initializeDriveClient
+ */
+export function getAuthCredentials(credentials) {
+  if (!credentials && process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.env.GOOGLE_REFRESH_TOKEN) {
+    return {
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      refreshToken: process.env.GOOGLE_REFRESH_TOKEN
+    };
+  }
+  return credentials || null;
+}
+
 /**
  * Initialize Google Slides API client
  * @param {Object|null} credentials - Google OAuth credentials (optional)
  * @returns {Object} - Slides API client
  */
-async function initializeSlidesClient(credentials) {
+export async function initializeSlidesClient(credentials) {
   let auth;
 
   if (credentials) {
@@ -175,11 +192,11 @@ async function copyPresentation(driveClient, templateId, newTitle) {
 /**
  * Upload image to Google Drive
  * @param {Object} driveClient - Drive API client
- * @param {string} imagePath - Local path to image
+ * @param {Buffer} imageBuffer - JPEG image data
  * @param {string} fileName - Name for uploaded file
  * @returns {string} - Uploaded file ID
  */
-async function uploadImageToDrive(driveClient, imagePath, fileName) {
+async function uploadImageToDrive(driveClient, imageBuffer, fileName) {
   const fileId = await withRetry(async () => {
     const response = await driveClient.files.create({
       requestBody: {
@@ -188,7 +205,7 @@ async function uploadImageToDrive(driveClient, imagePath, fileName) {
       },
       media: {
         mimeType: 'image/jpeg',
-        body: createReadStream(imagePath)
+        body: Readable.from(imageBuffer)
       }
     });
     return response.data.id;
@@ -208,14 +225,41 @@ async function uploadImageToDrive(driveClient, imagePath, fileName) {
   return fileId;
 }
 
+/**
+ * Fit an image of the given aspect ratio inside the page (centered)
+ * The page size comes from the template and cannot be changed through the API,
+ * so decks whose ratio differs from the template are letterboxed instead of stretched
+ * @param {number} pageWidth - Page width (EMU)
+ * @param {number} pageHeight - Page height (EMU)
+ * @param {number} imageAspectRatio - Image width / height
+ * @returns {Object} - { width, height, translateX, translateY } in EMU
+ */
+function fitImageToPage(pageWidth, pageHeight, imageAspectRatio) {
+  let width = pageWidth;
+  let height = pageWidth / imageAspectRatio;
+
+  if (height > pageHeight) {
+    height = pageHeight;
+    width = pageHeight * imageAspectRatio;
+  }
+
+  return {
+    width: Math.round(width),
+    height: Math.round(height),
+    translateX: Math.round((pageWidth - width) / 2),
+    translateY: Math.round((pageHeight - height) / 2)
+  };
+}
+
 /**
  * Create slide with full-screen image
  * @param {Object} slidesClient - Slides API client
  * @param {string} presentationId - Presentation ID
  * @param {string} slideId - ID of the slide to add image to
  * @param {string} imageUrl - URL of the image
+ * @param {string} aspectRatio - Deck aspect ratio (e.g. '4:3')
  */
-async function addImageToSlide(slidesClient, presentationId, slideId, imageUrl) {
+async function addImageToSlide(slidesClient, presentationId, slideId, imageUrl, aspectRatio) {
   // Get presentation dimensions
   const presentation = await withRetry(async () => {
     return slidesClient.presentations.get({ presentationId });
@@ -223,6 +267,7 @@ async function addImageToSlide(slidesClient, presentationId, slideId, imageUrl)
 
   const pageWidth = presentation.data.pageSize.width.magnitude;
   const pageHeight = presentation.data.pageSize.height.magnitude;
+  const { width, height, translateX, translateY } = fitImageToPage(pageWidth, pageHeight, parseAspectRatio(aspectRatio));
 
   const requests = [{
     createImage: {
@@ -230,14 +275,14 @@ async function addImageToSlide(slidesClient, presentationId, slideId, imageUrl)
       elementProperties: {
         pageObjectId: slideId,
         size: {
-          width: { magnitude: pageWidth, unit: 'EMU' },
-          height: { magnitude: pageHeight, unit: 'EMU' }
+          width: { magnitude: width, unit: 'EMU' },
+          height: { magnitude: height, unit: 'EMU' }
         },
         transform: {
           scaleX: 1,
           scaleY: 1,
-          translateX: 0,
-          translateY: 0,
+          translateX,
+          translateY,
           unit: 'EMU'
         }
       }
@@ -462,19 +507,10 @@ export async function exportToGoogleSlides(deck, slides, deckId, storageDir, cre
     throw new Error('Template slide URL not configured. Please add it in settings.');
   }
 
-  // Use credentials from settings, or fall back to environment variables
-  let authCredentials = credentials;
-
-  if (!authCredentials && process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && process.env.GOOGLE_REFRESH_TOKEN) {
-    authCredentials = {
-      clientId: process.env.GOOGLE_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      refreshToken: process.env.GOOGLE_REFRESH_TOKEN
-    };
-  }
-
+  const authCredentials = getAuthCredentials(credentials);
   const slidesClient = await initializeSlidesClient(authCredentials);
   const driveClient = await initializeDriveClient(authCredentials);
+  const { aspectRatio } = getDeckImageFormat(deck);
 
   // Sort slides by order and filter by fromSlideIndex
   const sortedSlides = [...slides].sort((a, b) => a.order - b.order);
@@ -611,12 +647,12 @@ export async function exportToGoogleSlides(deck, slides, deckId, storageDir, cre
 
     if (hasImage) {
       // Upload image to Drive and add to slide
-      const imagePath = path.join(storageDir, `deck-${deckId}`, slide.id, pinnedImage.filename);
-      console.log(`Uploading image: ${imagePath}`);
-      const imageFileId = await uploadImageToDrive(driveClient, imagePath, `${slide.id}_${pinnedImage.filename}`);
+      const imageBuffer = await loadExportImage(storageDir, deckId, slide.id, pinnedImage, aspectRatio);
+      console.log(`Uploading image: ${pinnedImage.filename}`);
+      const imageFileId = await uploadImageToDrive(driveClient, imageBuffer, `${slide.id}_${pinnedImage.filename}`);
       const imageUrl = `https://drive.google.com/uc?export=view&id=${imageFileId}`;
 
-      await addImageToSlide(slidesClient, newPresentationId, slideId, imageUrl);
+      await addImageToSlide(slidesClient, newPresentationId, slideId, imageUrl, aspectRatio);
     } else {
       // Add centered text box with speaker notes
       await addTextToSlide(slidesClient, newPresentationId, slideId, slide.speakerNotes || 'No content');
@@ -657,5 +693,9 @@ export async function exportToGoogleSlides(deck, slides, deckId, storageDir, cre
 }
 
 export default {
-  exportToGoogleSlides
+  exportToGoogleSlides,
+  getAuthCredentials,
+  extractPresentationId,
+  initializeSlidesClient,
+  withRetry
 };
@@ -0,0 +1,170 @@
+import { v4 as uuidv4 } from 'uuid';
+import * as fileSystem from './fileSystem.js';
+import { getAuthCredentials, extractPresentationId, initializeSlidesClient, withRetry } from './googleSlidesExport.js';
+import { addEntityReferences } from '../utils/promptParser.js';
+import { getClosestAspectRatio, getDeckImageFormat } from '../utils/imageFormat.js';
+
+/**
+ * Google Slides Import Service
+ * Creates a deck from an existing Google Slides presentation: one slide per
+ * page with the page's speaker notes (or its text when it has no notes).
+ * Uses the same credentials as the Google Slides export.
+ */
+
+// Placeholders that hold page furniture, not slide content
+const IGNORED_PLACEHOLDERS = ['SLIDE_NUMBER', 'FOOTER', 'DATE_AND_TIME', 'HEADER', 'SLIDE_IMAGE'];
+
+/**
+ * Get the text of a shape, one line per paragraph
+ */
+function getShapeText(shape) {
+  return (shape?.text?.textElements || [])
+    .map(element => element.textRun?.content || '')
+    .join('')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Get the text of a page's shapes (including shapes inside groups)
+ * @param {Array<Object>} pageElements - Page elements from the Slides API
+ * @param {Function} filter - (element) => boolean
+ * @returns {Array<string>}
+ */
+function getPageTexts(pageElements = [], filter = () => true) {
+  return pageElements.flatMap((element) => {
+    if (element.elementGroup) {
+      return getPageTexts(element.elementGroup.children, filter);
+    }
+    const text = element.shape && filter(element) ? getShapeText(element.shape) : '';
+    return text ? [text] : [];
+  });
+}
+
+/**
+ * Read the text and speaker notes of a slide
+ * @param {Object} slide - Page from presentations.get
+ * @returns {{ text: string, notes: string }}
+ */
+function readPage(slide) {
+  const text = getPageTexts(
+    slide.pageElements,
+    element => !IGNORED_PLACEHOLDERS.includes(element.shape.placeholder?.type)
+  ).join('\n');
+
+  // The notes page names its speaker notes shape; older files only have the BODY placeholder
+  const notesPage = slide.slideProperties?.notesPage;
+  const speakerNotesId = notesPage?.notesProperties?.speakerNotesObjectId;
+  const notes = getPageTexts(
+    notesPage?.pageElements,
+    element => speakerNotesId
+      ? element.objectId === speakerNotesId
+      : element.shape.placeholder?.type === 'BODY'
+  ).join('\n');
+
+  return { text, notes };
+}
+
+/**
+ * Load a presentation, reporting access problems with their HTTP status
+ */
+async function getPresentation(slidesClient, presentationId) {
+  try {
+    const response = await withRetry(
+      () => slidesClient.presentations.get({ presentationId }),
+      3,
+      2000,
+      'Get presentation for import'
+    );
+    return response.data;
+  } catch (error) {
+    const status = error.response?.status || (typeof error.code === 'number' ? error.code : null);
+    const importError = new Error(`Could not read the presentation: ${error.message}`);
+    importError.status = status === 404 || status === 403 ? status : 502;
+    throw importError;
+  }
+}
+
+/**
+ * Import a Google Slides presentation as a new deck
+ * - Each page becomes a slide; its speaker notes become the slide's speaker
+ *   notes (the page's own text is used when a page has no notes)
+ * - Names of existing global entities in the text become @entity references
+ * @param {string} url - Presentation URL (https://docs.google.com/presentation/d/<id>/...)
+ * @param {Object} options - {
+ *   credentials: Google OAuth credentials from settings (env variables are the fallback),
+ *   name: deck name (default: presentation title),
+ *   visualStyle, aspectRatio (default: closest to the page size), resolution, cropStrategy,
+ *   slidesClient: Slides API client to use instead of creating one (e.g. a stub in tests)
+ * }
+ * @returns {Promise<{ deck: Object, slides: Array<Object> }>}
+ */
+export async function importFromGoogleSlides(url, {
+  credentials = null,
+  name,
+  visualStyle = '',
+  aspectRatio,
+  resolution,
+  cropStrategy,
+  slidesClient = null
+} = {}) {
+  const presentationId = extractPresentationId(url);
+  const client = slidesClient || await initializeSlidesClient(getAuthCredentials(credentials));
+  const presentation = await getPresentation(client, presentationId);
+
+  const pages = (presentation.slides || []).map(readPage);
+  if (pages.length === 0) {
+    const error = new Error('The presentation has no slides');
+    error.status = 400;
+    throw error;
+  }
+
+  const pageSize = presentation.pageSize || {};
+  const globalEntities = await fileSystem.getGlobalEntities();
+
+  // Built in memory and written at once, so a failed import leaves no half-imported deck
+  const now = new Date().toISOString();
+  const deck = {
+    id: uuidv4(),
+    name: (name || presentation.title || 'Imported Presentation').slice(0, 200),
+    createdAt: now,
+    updatedAt: now,
+    visualStyle,
+    stylePresetId: null,
+    promptTemplate: null,
+    negativePrompt: '',
+    ...getDeckImageFormat({
+      aspectRatio: aspectRatio || getClosestAspectRatio(pageSize.width?.magnitude, pageSize.height?.magnitude),
+      resolution,
+      cropStrategy
+    }),
+    entities: {},
+    slides: [],
+    isTest: false
+  };
+
+  const slides = pages.map((page, index) => ({
+    id: `slide-${String(index + 1).padStart(3, '0')}`,
+    order: index,
+    speakerNotes: addEntityReferences(page.notes || page.text, globalEntities),
+    imageDescription: '',
+    overrideVisualStyle: null,
+    noImages: false,
+    descriptionLocked: false,
+    sceneStart: false,
+    sceneVisualStyle: null,
+    descriptionHistory: [],
+    generatedImages: []
+  }));
+  deck.slides = slides.map(slide => slide.id);
+
+  await fileSystem.writeDeck(deck, slides);
+
+  return { deck, slides };
+}
+
+export default {
+  importFromGoogleSlides
+};
@@ -1,26 +1,33 @@
 import sharp from 'sharp';
+import { DEFAULT_ASPECT_RATIO, DEFAULT_CROP_STRATEGY, parseAspectRatio, getImageDimensions } from '../utils/imageFormat.js';
 
-// Target dimensions for 16:9 aspect ratio
-const TARGET_ASPECT_RATIO = 16 / 9;
 const ASPECT_RATIO_TOLERANCE = 0.01; // 1% tolerance
-const DEFAULT_WIDTH = 1920;
-const DEFAULT_HEIGHT = 1080;
-const MIN_WIDTH = 1280;
-const MIN_HEIGHT = 720;
-const MAX_WIDTH = 3840;
-const MAX_HEIGHT = 2160;
+// Limits apply to the short / long edge so portrait and square images work too
+const MIN_SHORT_EDGE = 720;
+const MAX_LONG_EDGE = 3840;
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
 
 /**
  * Process and validate image
- * - Enforce 16:9 aspect ratio
+ * - Enforce the deck's aspect ratio (center, smart or focal-point crop)
+ * - Fit within the deck's target resolution (never upscaled)
  * - Convert to JPEG
  * - Optimize file size
  * - Validate dimensions and size
  * @param {Buffer} imageBuffer - Source image buffer
+ * @param {Object} options - Processing options
+ * @param {string} options.aspectRatio - Target aspect ratio (default 16:9)
+ * @param {string} options.resolution - Target resolution (default: 4K limit)
+ * @param {string} options.cropStrategy - 'center', 'attention' or 'entropy' (default 'center')
+ * @param {Object} options.focalPoint - { x, y } (0-1) to keep in frame; overrides cropStrategy
  * @returns {Promise<Buffer>} - Processed JPEG image buffer
  */
-export async function processImage(imageBuffer) {
+export async function processImage(imageBuffer, {
+  aspectRatio = DEFAULT_ASPECT_RATIO,
+  resolution = null,
+  cropStrategy = DEFAULT_CROP_STRATEGY,
+  focalPoint = null
+} = {}) {
   try {
     // Load image with sharp
     let image = sharp(imageBuffer);
@@ -32,30 +39,37 @@ export async function processImage(imageBuffer) {
     }
 
     // Validate minimum dimensions
-    if (metadata.width < MIN_WIDTH || metadata.height < MIN_HEIGHT) {
-      throw new Error(`Image dimensions too small. Minimum: ${MIN_WIDTH}x${MIN_HEIGHT}`);
+    if (Math.min(metadata.width, metadata.height) < MIN_SHORT_EDGE) {
+      throw new Error(`Image dimensions too small. Minimum: ${MIN_SHORT_EDGE}px on the short edge`);
     }
 
     // Check aspect ratio
+    const targetAspectRatio = parseAspectRatio(aspectRatio);
     const currentAspectRatio = metadata.width / metadata.height;
-    const aspectRatioDiff = Math.abs(currentAspectRatio - TARGET_ASPECT_RATIO);
+    const aspectRatioDiff = Math.abs(currentAspectRatio - targetAspectRatio) / targetAspectRatio;
 
-    // If aspect ratio is outside tolerance, crop to 16:9
+    // If aspect ratio is outside tolerance, crop to target
+    let { width, height } = metadata;
+    let smartCrop = null;
     if (aspectRatioDiff > ASPECT_RATIO_TOLERANCE) {
-      const croppedDimensions = calculateCropDimensions(metadata.width, metadata.height);
-      image = image.extract({
-        left: croppedDimensions.left,
-        top: croppedDimensions.top,
-        width: croppedDimensions.width,
-        height: croppedDimensions.height
-      });
+      const croppedDimensions = calculateCropDimensions(metadata.width, metadata.height, targetAspectRatio, focalPoint || undefined);
+      ({ width, height } = croppedDimensions);
+
+      if (!focalPoint && cropStrategy !== 'center') {
+        // Smart crop happens in the resize step below
+        smartCrop = sharp.strategy[cropStrategy];
+      } else {
+        image = image.extract(croppedDimensions);
+      }
     }
 
-    // Resize if too large
-    if (metadata.width > MAX_WIDTH) {
-      image = image.resize(MAX_WIDTH, MAX_HEIGHT, {
-        fit: 'inside',
-        withoutEnlargement: true
+    // Resize if larger than the target resolution (or to apply a smart crop)
+    const maxDimensions = getImageDimensions(aspectRatio, resolution || '4K');
+    const scale = Math.min(1, maxDimensions.width / width, maxDimensions.height / height);
+    if (smartCrop || scale < 1) {
+      image = image.resize(Math.round(width * scale), Math.round(height * scale), {
+        fit: 'cover',
+        position: smartCrop || 'centre'
       });
     }
 
@@ -75,30 +89,33 @@ export async function processImage(imageBuffer) {
 }
 
 /**
- * Calculate crop dimensions to achieve 16:9 aspect ratio (center crop)
+ * Calculate crop dimensions to achieve the target aspect ratio
+ * The crop box is centered on the focal point as far as the image edges allow
  * @param {number} width - Current width
  * @param {number} height - Current height
+ * @param {number} targetAspectRatio - Target width / height
+ * @param {object} focalPoint - { x, y } (0-1), defaults to the image center
  * @returns {object} - {left, top, width, height}
  */
-function calculateCropDimensions(width, height) {
+function calculateCropDimensions(width, height, targetAspectRatio, focalPoint = { x: 0.5, y: 0.5 }) {
   const currentAspectRatio = width / height;
 
-  let cropWidth, cropHeight, left, top;
+  let cropWidth, cropHeight;
 
-  if (currentAspectRatio > TARGET_ASPECT_RATIO) {
+  if (currentAspectRatio > targetAspectRatio) {
     // Image is too wide, crop width
     cropHeight = height;
-    cropWidth = Math.round(height * TARGET_ASPECT_RATIO);
-    left = Math.round((width - cropWidth) / 2);
-    top = 0;
+    cropWidth = Math.round(height * targetAspectRatio);
   } else {
     // Image is too tall, crop height
     cropWidth = width;
-    cropHeight = Math.round(width / TARGET_ASPECT_RATIO);
-    left = 0;
-    top = Math.round((height - cropHeight) / 2);
+    cropHeight = Math.round(width / targetAspectRatio);
   }
 
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  const left = clamp(Math.round(focalPoint.x * width - cropWidth / 2), width - cropWidth);
+  const top = clamp(Math.round(focalPoint.y * height - cropHeight / 2), height - cropHeight);
+
   return { left, top, width: cropWidth, height: cropHeight };
 }
 
@@ -122,11 +139,11 @@ export async function validateImage(imageBuffer) {
       return false;
     }
 
-    if (metadata.width < MIN_WIDTH || metadata.height < MIN_HEIGHT) {
+    if (Math.min(metadata.width, metadata.height) < MIN_SHORT_EDGE) {
       return false;
     }
 
-    if (metadata.width > MAX_WIDTH || metadata.height > MAX_HEIGHT) {
+    if (Math.max(metadata.width, metadata.height) > MAX_LONG_EDGE) {
       return false;
     }
 
@@ -0,0 +1,71 @@
+import * as geminiNanoBanana from '../geminiNanoBanana.js';
+
+/**
+ * Gemini Nano Banana image providers (Flash and Pro)
+ * Requires GEMINI_API_KEY in the environment
+ */
+
+const ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+/**
+ * Create a provider for one Gemini model
+ */
+function createGeminiProvider({ id, name, description, model }) {
+  const getApiKey = () => {
+    if (!process.env.GEMINI_API_KEY) {
+      throw new Error('GEMINI_API_KEY not configured in environment');
+    }
+    return process.env.GEMINI_API_KEY;
+  };
+
+  return {
+    id,
+    name,
+    description,
+    model,
+    capabilities: {
+      edit: true,
+      referenceImages: true,
+      negativePrompt: false,
+      // Gemini takes long text inputs; keep prompts readable anyway
+      maxPromptLength: 8000,
+      aspectRatios: ASPECT_RATIOS,
+      resolutions: Object.keys(geminiNanoBanana.RESOLUTIONS)
+    },
+    isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+
+    generate: (prompt, { aspectRatio = '16:9', resolution = '2K', referenceImages = null } = {}) =>
+      geminiNanoBanana.generateImage(prompt, {
+        apiKey: getApiKey(),
+        model,
+        aspectRatio,
+        resolution,
+        referenceImages
+      }),
+
+    // Reference images are not sent with edits; the source image is the reference
+    edit: (sourceBuffer, prompt, { aspectRatio = '16:9', resolution = '2K' } = {}) =>
+      geminiNanoBanana.editImage(sourceBuffer, prompt, {
+        apiKey: getApiKey(),
+        model,
+        aspectRatio,
+        resolution
+      })
+  };
+}
+
+export const geminiFlash = createGeminiProvider({
+  id: 'gemini-flash',
+  name: 'Gemini Flash',
+  description: 'Fast, efficient generation (gemini-2.5-flash-image)',
+  model: geminiNanoBanana.MODELS.FLASH
+});
+
+export const geminiPro = createGeminiProvider({
+  id: 'gemini-pro',
+  name: 'Gemini Pro',
+  description: 'Professional quality with advanced reasoning (gemini-3-pro-image-preview)',
+  model: geminiNanoBanana.MODELS.PRO
+});
+
+export default [geminiFlash, geminiPro];
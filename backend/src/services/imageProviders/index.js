@@ -0,0 +1,214 @@
+import geminiProviders from './gemini.js';
+import mockProviders from './mock.js';
+import { trackUsage } from '../usageLedger.js';
+import { MAX_PROMPT_LENGTH } from '../../utils/promptParser.js';
+
+/**
+ * Image Provider Registry
+ *
+ * Every image backend is described by a provider object:
+ * {
+ *   id: 'gemini-pro',                 // Stored as `service` in image metadata
+ *   name: 'Gemini Pro',               // Label shown in service dropdowns
+ *   model: 'gemini-3-pro-image-preview', // Recorded in the usage ledger
+ *   description: '...',
+ *   capabilities: {
+ *     edit: true,                     // Provides edit() (used by tweak)
+ *     referenceImages: true,          // Accepts entity/theme reference images
+ *     negativePrompt: false,          // Accepts a separate negative prompt (else it is appended)
+ *     maxPromptLength: 8000,          // Longer prompts are shortened (default MAX_PROMPT_LENGTH)
+ *     aspectRatios: ['16:9', ...],
+ *     resolutions: ['1K', '2K', '4K']
+ *   },
+ *   isConfigured: () => boolean,      // e.g. API key present in environment
+ *   generate: async (prompt, { aspectRatio, resolution, referenceImages, negativePrompt, slideId }) => Buffer,
+ *   edit: async (sourceBuffer, prompt, { aspectRatio, resolution, referenceImages, slideId }) => Buffer
+ * }
+ *
+ * `slideId` is informational only (e.g. for logging or placeholders).
+ * Every call made through generateImage()/editImage() is recorded in the
+ * usage ledger; pass `deckId` and `slideId` in the options so it can be
+ * attributed.
+ *
+ * To add a backend, create a module in this directory exporting its
+ * provider(s) and register them at the bottom of this file.
+ */
+
+const providers = new Map();
+
+// Provider used when neither the request nor a style preset picks one
+export const DEFAULT_PROVIDER_ID = 'gemini-pro';
+
+/**
+ * Register an image provider
+ * @param {Object} provider - Provider object (see above)
+ */
+export function registerProvider(provider) {
+  if (!provider?.id || typeof provider.generate !== 'function') {
+    throw new Error('Image provider must have an id and a generate function');
+  }
+  if (provider.capabilities?.edit && typeof provider.edit !== 'function') {
+    throw new Error(`Image provider ${provider.id} declares edit capability without an edit function`);
+  }
+  if (providers.has(provider.id)) {
+    throw new Error(`Image provider ${provider.id} already exists`);
+  }
+
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Get provider by ID
+ * @throws {Error} If no provider is registered with this ID
+ */
+export function getProvider(id) {
+  const provider = providers.get(id);
+  if (!provider) {
+    throw new Error(`Unknown image service: ${id}`);
+  }
+  return provider;
+}
+
+/**
+ * Check whether a provider is registered
+ */
+export function hasProvider(id) {
+  return providers.has(id);
+}
+
+/**
+ * Get IDs of all registered providers
+ */
+export function getProviderIds() {
+  return [...providers.keys()];
+}
+
+/**
+ * List providers for the API/UI (no functions)
+ * @returns {Array<Object>} - [{ id, name, description, capabilities, configured }]
+ */
+export function listProviders() {
+  return [...providers.values()].map(provider => ({
+    id: provider.id,
+    name: provider.name || provider.id,
+    description: provider.description || '',
+    capabilities: {
+      edit: false,
+      referenceImages: false,
+      negativePrompt: false,
+      maxPromptLength: MAX_PROMPT_LENGTH,
+      aspectRatios: [],
+      resolutions: [],
+      ...provider.capabilities
+    },
+    configured: provider.isConfigured ? provider.isConfigured() : true
+  }));
+}
+
+/**
+ * Record a provider call in the usage ledger
+ */
+function trackImageCall(provider, operation, { deckId = null, slideId = null }, fn) {
+  return trackUsage(
+    {
+      deckId,
+      slideId,
+      kind: 'image',
+      operation,
+      service: provider.id,
+      model: provider.model || provider.id
+    },
+    fn,
+    () => ({ images: 1 })
+  );
+}
+
+/**
+ * Get the longest prompt a provider accepts
+ * @param {string} id - Provider ID
+ * @returns {number}
+ */
+export function getMaxPromptLength(id) {
+  return getProvider(id).capabilities?.maxPromptLength || MAX_PROMPT_LENGTH;
+}
+
+/**
+ * Get the prompt as a provider receives it
+ * Providers without negative prompt support get it appended to the prompt
+ * @param {string} id - Provider ID
+ * @param {string} prompt - Full prompt
+ * @param {string|null} negativePrompt - What the image should not contain
+ * @returns {{ prompt: string, negativePrompt: string|null }}
+ */
+export function getProviderPrompt(id, prompt, negativePrompt = null) {
+  const provider = getProvider(id);
+
+  if (!negativePrompt || provider.capabilities?.negativePrompt) {
+    return { prompt, negativePrompt: negativePrompt || null };
+  }
+  return { prompt: `${prompt} Avoid: ${negativePrompt.replace(/[.\s]+$/, '')}.`, negativePrompt: null };
+}
+
+/**
+ * Generate an image with a provider
+ * Reference images are dropped for providers that do not support them
+ * @param {string} id - Provider ID
+ * @param {string} prompt - Full prompt
+ * @param {Object} options - { aspectRatio, resolution, referenceImages, negativePrompt, deckId, slideId }
+ * @returns {Promise<Buffer>} - Raw image buffer (any format sharp can read)
+ */
+export async function generateImage(id, prompt, options = {}) {
+  const provider = getProvider(id);
+  const { referenceImages, negativePrompt, deckId, ...rest } = options;
+  const providerPrompt = getProviderPrompt(id, prompt, negativePrompt);
+
+  return trackImageCall(provider, 'generate', options, () => provider.generate(providerPrompt.prompt, {
+    ...rest,
+    negativePrompt: providerPrompt.negativePrompt,
+    referenceImages: provider.capabilities?.referenceImages && referenceImages?.length > 0
+      ? referenceImages
+      : null
+  }));
+}
+
+/**
+ * Edit an existing image with a provider
+ * @param {string} id - Provider ID
+ * @param {Buffer} sourceBuffer - Image to edit
+ * @param {string} prompt - Edit instructions
+ * @param {Object} options - { aspectRatio, resolution, referenceImages, deckId, slideId }
+ * @returns {Promise<Buffer>} - Raw image buffer
+ */
+export async function editImage(id, sourceBuffer, prompt, options = {}) {
+  const provider = getProvider(id);
+
+  if (!provider.capabilities?.edit) {
+    throw new Error(`Image service ${id} does not support editing`);
+  }
+
+  const { referenceImages, deckId, ...rest } = options;
+  return trackImageCall(provider, 'edit', options, () => provider.edit(sourceBuffer, prompt, {
+    ...rest,
+    referenceImages: provider.capabilities.referenceImages && referenceImages?.length > 0
+      ? referenceImages
+      : null
+  }));
+}
+
+// ===== BUILT-IN PROVIDERS =====
+
+geminiProviders.forEach(registerProvider);
+mockProviders.forEach(registerProvider);
+
+export default {
+  DEFAULT_PROVIDER_ID,
+  registerProvider,
+  getProvider,
+  hasProvider,
+  getProviderIds,
+  getMaxPromptLength,
+  getProviderPrompt,
+  listProviders,
+  generateImage,
+  editImage
+};
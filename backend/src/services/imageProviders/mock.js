@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { ASPECT_RATIOS, RESOLUTIONS, getImageDimensions } from '../../utils/imageFormat.js';
+
+/**
+ * Mock image provider for offline development, tests and demos
+ *
+ * Renders a deterministic placeholder (same input -> same image) showing the
+ * prompt, negative prompt, slide ID and reference image labels. Needs no API key.
+ */
+
+// Characters per line at the base font size (scaled with image width)
+const CHARS_PER_LINE = 110;
+const MAX_PROMPT_LINES = 12;
+
+/**
+ * Pick a stable background colour from the prompt
+ */
+function getBackgroundColor(text) {
+  const hash = crypto.createHash('md5').update(text).digest();
+  // Keep colours dark enough for white text
+  const hue = hash.readUInt16BE(0) % 360;
+  return `hsl(${hue}, 45%, 30%)`;
+}
+
+/**
+ * Escape text for use inside SVG
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Word-wrap text into lines of at most maxChars
+ */
+function wrapText(text, maxChars, maxLines) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    if (current && (current + ' ' + word).length > maxChars) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) {
+    lines.push(current);
+  }
+
+  if (lines.length > maxLines) {
+    const truncated = lines.slice(0, maxLines);
+    truncated[maxLines - 1] = `${truncated[maxLines - 1]} …`;
+    return truncated;
+  }
+  return lines;
+}
+
+/**
+ * Render a placeholder image
+ * @param {Object} content - { title, prompt, negativePrompt, slideId, referenceLabels }
+ * @param {Object} options - { aspectRatio, resolution }
+ * @returns {Promise<Buffer>} - PNG buffer
+ */
+export async function renderPlaceholder({ title, prompt, negativePrompt = null, slideId, referenceLabels = [] }, { aspectRatio = '16:9', resolution = '2K' } = {}) {
+  const { width, height } = getImageDimensions(aspectRatio, resolution);
+  const longEdge = Math.max(width, height);
+  const scale = longEdge / RESOLUTIONS['2K'];
+  const fontSize = Math.round(28 * scale);
+  const lineHeight = Math.round(fontSize * 1.4);
+  const margin = Math.round(60 * scale);
+
+  const promptLines = wrapText(prompt || '', Math.round(CHARS_PER_LINE * width / longEdge), MAX_PROMPT_LINES);
+  const footer = [
+    negativePrompt ? `Negative: ${negativePrompt}` : null,
+    slideId ? `Slide: ${slideId}` : null,
+    referenceLabels.length > 0 ? `References: ${referenceLabels.join(', ')}` : null
+  ].filter(Boolean);
+
+  const textLines = promptLines.map((line, i) =>
+    `<text x="${margin}" y="${margin * 2 + fontSize * 2 + i * lineHeight}" font-size="${fontSize}">${escapeXml(line)}</text>`
+  );
+  const footerLines = footer.map((line, i) =>
+    `<text x="${margin}" y="${height - margin - (footer.length - 1 - i) * lineHeight}" font-size="${fontSize}" opacity="0.8">${escapeXml(line)}</text>`
+  );
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <rect width="100%" height="100%" fill="${getBackgroundColor(`${title}|${prompt}|${slideId || ''}`)}"/>
+  <g font-family="sans-serif" fill="#ffffff">
+    <text x="${margin}" y="${margin + fontSize * 1.5}" font-size="${fontSize * 1.6}" font-weight="bold">${escapeXml(title)}</text>
+    ${textLines.join('\n    ')}
+    ${footerLines.join('\n    ')}
+  </g>
+</svg>`;
+
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+export const mockProvider = {
+  id: 'mock',
+  name: 'Mock (offline)',
+  model: 'mock',
+  description: 'Placeholder images with the prompt text, for development, tests and demos',
+  capabilities: {
+    edit: true,
+    referenceImages: true,
+    negativePrompt: true,
+    aspectRatios: ASPECT_RATIOS,
+    resolutions: Object.keys(RESOLUTIONS)
+  },
+  isConfigured: () => true,
+
+  generate: (prompt, { aspectRatio, resolution, referenceImages, negativePrompt, slideId } = {}) =>
+    renderPlaceholder({
+      title: 'MOCK IMAGE',
+      prompt,
+      negativePrompt,
+      slideId,
+      referenceLabels: (referenceImages || []).map(ref => ref.label)
+    }, { aspectRatio, resolution }),
+
+  edit: (sourceBuffer, prompt, { aspectRatio, resolution, slideId } = {}) =>
+    renderPlaceholder({
+      title: 'MOCK EDIT',
+      prompt,
+      slideId,
+      referenceLabels: ['Source Image']
+    }, { aspectRatio, resolution })
+};
+
+export default [mockProvider];
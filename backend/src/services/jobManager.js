@@ -0,0 +1,263 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import * as fileSystem from './fileSystem.js';
+
+/**
+ * Job Manager
+ * Keeps bulk jobs in memory for fast polling and persists every change
+ * to deck-<id>/jobs/<jobId>.json so jobs survive server restarts
+ */
+
+// Finished jobs are kept for 1 hour after completion
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+// Slide statuses that end up in job.results
+const FINISHED_SLIDE_STATUSES = ['success', 'failed', 'cancelled'];
+
+// Job cache (jobId -> job)
+const jobs = new Map();
+
+// Pending writes per job, so saves for the same file never overlap
+const saveQueues = new Map();
+
+// Live job events (event name is the jobId)
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Event emitted for each slide status change
+const SLIDE_EVENTS = {
+  running: 'slide-started',
+  success: 'slide-completed',
+  failed: 'slide-failed',
+  cancelled: 'slide-cancelled'
+};
+
+/**
+ * Emit a job event to subscribers
+ * Every event carries the current job status and progress
+ */
+function emitJobEvent(job, type, data = {}) {
+  jobEvents.emit(job.jobId, {
+    type,
+    jobId: job.jobId,
+    status: job.status,
+    progress: job.progress,
+    ...data
+  });
+}
+
+/**
+ * Subscribe to live events for a job
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with each event ({ type, jobId, status, progress, ... })
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
+/**
+ * Recalculate progress counters from per-slide statuses
+ */
+function updateProgress(job) {
+  const completed = job.slides.filter(s => s.status === 'success').length;
+  const failed = job.slides.filter(s => s.status === 'failed').length;
+  const cancelled = job.slides.filter(s => s.status === 'cancelled').length;
+
+  job.progress = {
+    total: job.slides.length,
+    completed,
+    failed,
+    cancelled,
+    pending: job.slides.length - completed - failed - cancelled
+  };
+}
+
+/**
+ * Create a new job (status 'running') and persist it
+ * @param {string} deckId - Deck ID
+ * @param {string} type - Job type ('generate-all' or 'generate-missing')
+ * @param {Object} config - Generation config ({ count, service })
+ * @param {Array<string>} slideIds - Slides to process, in order
+ * @returns {Promise<Object>} - Job object
+ */
+export async function createJob(deckId, type, config, slideIds) {
+  const job = {
+    jobId: uuidv4(),
+    deckId,
+    type,
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    config,
+    progress: null,
+    slides: slideIds.map(slideId => ({ slideId, status: 'pending' })),
+    results: []
+  };
+  updateProgress(job);
+
+  jobs.set(job.jobId, job);
+  await saveJob(job);
+
+  return job;
+}
+
+/**
+ * Get job by ID
+ * @returns {Object|null} - Job object or null if unknown/expired
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Persist current job state
+ * Writes are queued per job so the latest state always wins
+ */
+export function saveJob(job) {
+  const previous = saveQueues.get(job.jobId) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(() => fileSystem.saveJobState(job))
+    .catch(error => {
+      console.error(`[Jobs] Failed to persist job ${job.jobId}:`, error.message);
+    });
+
+  saveQueues.set(job.jobId, next);
+  next.then(() => {
+    if (saveQueues.get(job.jobId) === next) {
+      saveQueues.delete(job.jobId);
+    }
+  });
+
+  return next;
+}
+
+/**
+ * Update the status of a single slide within a job
+ * @param {Object} job - Job object
+ * @param {string} slideId - Slide ID
+ * @param {Object} update - Fields to merge ({ status, imageCount, error })
+ * @param {Object} eventData - Extra data for subscribers only (e.g. { images })
+ */
+export async function updateSlideStatus(job, slideId, update, eventData = {}) {
+  const entry = job.slides.find(s => s.slideId === slideId);
+  if (!entry) {
+    throw new Error(`Slide not found in job: ${slideId}`);
+  }
+
+  Object.assign(entry, update);
+
+  // Keep results (finished slides only) for API consumers
+  if (FINISHED_SLIDE_STATUSES.includes(update.status)) {
+    job.results = job.results.filter(r => r.slideId !== slideId);
+    job.results.push({
+      slideId,
+      status: update.status,
+      ...(update.status === 'success'
+        ? { imageCount: update.imageCount }
+        : { error: update.error })
+    });
+  }
+
+  updateProgress(job);
+  emitJobEvent(job, SLIDE_EVENTS[update.status], { slideId, ...update, ...eventData });
+  await saveJob(job);
+}
+
+/**
+ * Get all jobs for a deck, newest first
+ */
+export function getJobsForDeck(deckId) {
+  return [...jobs.values()]
+    .filter(job => job.deckId === deckId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Set job status without finishing it (e.g. 'paused' / 'running')
+ * @param {Object} job - Job object
+ * @param {string} status - New status
+ */
+export async function setJobStatus(job, status) {
+  job.status = status;
+  emitJobEvent(job, 'status');
+  await saveJob(job);
+}
+
+/**
+ * Mark job as finished
+ * @param {Object} job - Job object
+ * @param {string} status - Final status ('completed', 'failed' or 'cancelled')
+ * @param {string} error - Optional error message
+ */
+export async function finishJob(job, status, error = null) {
+  job.status = status;
+  job.completedAt = new Date().toISOString();
+  if (error) {
+    job.error = error;
+  }
+  emitJobEvent(job, 'done', error ? { error } : {});
+  await saveJob(job);
+}
+
+/**
+ * Load persisted jobs from disk into memory
+ * @returns {Promise<Array<Object>>} - Jobs that were still running (or being cancelled)
+ */
+export async function loadJobs() {
+  const persisted = await fileSystem.getAllJobStates();
+  const interrupted = [];
+
+  for (const job of persisted) {
+    if (!jobs.has(job.jobId)) {
+      jobs.set(job.jobId, job);
+    }
+    if (job.status === 'running' || job.status === 'cancelling') {
+      interrupted.push(jobs.get(job.jobId));
+    }
+  }
+
+  console.log(`[Jobs] Loaded ${persisted.length} job(s), ${interrupted.length} interrupted`);
+  return interrupted;
+}
+
+/**
+ * Remove finished jobs older than the retention period
+ */
+export async function pruneJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+
+  for (const [jobId, job] of jobs.entries()) {
+    if (!job.completedAt) {
+      continue;
+    }
+    if (new Date(job.completedAt).getTime() < cutoff) {
+      jobs.delete(jobId);
+      try {
+        await fileSystem.deleteJobState(job.deckId, jobId);
+      } catch (error) {
+        console.error(`[Jobs] Failed to delete job ${jobId}:`, error.message);
+      }
+    }
+  }
+}
+
+// Cleanup finished jobs every 5 minutes (unref so it never keeps the process alive)
+setInterval(() => {
+  pruneJobs();
+}, 5 * 60 * 1000).unref();
+
+export default {
+  createJob,
+  getJob,
+  getJobsForDeck,
+  subscribeToJob,
+  saveJob,
+  updateSlideStatus,
+  setJobStatus,
+  finishJob,
+  loadJobs,
+  pruneJobs
+};
@@ -4,19 +4,81 @@
  */
 
 import OpenAI from 'openai';
-import { extractEntityReferences } from '../utils/promptParser.js';
+import { extractEntityReferences, findEntity, truncateAtWord } from '../utils/promptParser.js';
+import { trackUsage } from './usageLedger.js';
+
+// Chat model used for descriptions
+const DESCRIPTION_MODEL = 'gpt-4o-mini'; // Fast and cost-effective
+
+/**
+ * Whether the offline mock generator is enabled (MOCK_DESCRIPTIONS=true)
+ */
+export function isMockEnabled() {
+  return process.env.MOCK_DESCRIPTIONS === 'true';
+}
+
+/**
+ * Whether descriptions can be generated (OpenAI key or mock enabled)
+ */
+export function isConfigured() {
+  return isMockEnabled() || Boolean(process.env.OPENAI_API_KEY);
+}
+
+/**
+ * Generate a deterministic description without calling OpenAI
+ * Used for offline development, tests and demos
+ */
+function generateMockDescription(speakerNotes, visualStyle, entities = {}, themeImages = [], previousSlideNotes = []) {
+  // Keep @references to known entities, like the real generator
+  const entityRefs = extractEntityReferences(speakerNotes || '')
+    .map(name => findEntity(name, entities)?.key)
+    .filter(Boolean);
+
+  const firstSentence = (speakerNotes || '')
+    .replace(/@([a-zA-Z0-9][a-zA-Z0-9-]*)/g, '$1')
+    .split(/(?<=[.!?])\s+/)[0]
+    .replace(/[.!?]+$/, '')
+    .trim()
+    .slice(0, 200);
+
+  const parts = [
+    `A presentation illustration of ${firstSentence || 'the slide topic'}`,
+    entityRefs.length > 0 ? `featuring ${[...new Set(entityRefs)].map(e => `@${e}`).join(' and ')}` : null,
+    visualStyle ? `in the style of ${visualStyle.slice(0, 200)}` : null,
+    themeImages.length > 0 ? 'matching the theme images' : null,
+    previousSlideNotes.length > 0 ? `continuing from ${previousSlideNotes.length} previous slide(s)` : null
+  ].filter(Boolean);
+
+  return `${parts.join(', ')}.`;
+}
 
 /**
  * Generate an optimal image description using ChatGPT
+ * Returns a mock description instead when MOCK_DESCRIPTIONS=true
  * @param {string} speakerNotes - The speaker notes for the slide
  * @param {string} visualStyle - The deck's visual style
  * @param {object} entities - Available entities from the deck
  * @param {array} themeImages - Array of theme image filenames
  * @param {string} apiKey - OpenAI API key
  * @param {array} previousSlideNotes - Speaker notes from previous slides for context
+ * @param {object} usageContext - { deckId, slideId } for the usage ledger
  * @returns {Promise<string>} - Generated image description
  */
-export async function generateImageDescription(speakerNotes, visualStyle, entities = {}, themeImages = [], apiKey, previousSlideNotes = []) {
+export async function generateImageDescription(speakerNotes, visualStyle, entities = {}, themeImages = [], apiKey, previousSlideNotes = [], usageContext = {}) {
+  const usage = {
+    deckId: usageContext.deckId || null,
+    slideId: usageContext.slideId || null,
+    kind: 'description',
+    operation: 'describe'
+  };
+
+  if (isMockEnabled()) {
+    return trackUsage(
+      { ...usage, service: 'mock', model: 'mock' },
+      async () => generateMockDescription(speakerNotes, visualStyle, entities, themeImages, previousSlideNotes)
+    );
+  }
+
   if (!apiKey) {
     throw new Error('OpenAI API key not configured');
   }
@@ -29,10 +91,10 @@ export async function generateImageDescription(speakerNotes, visualStyle, entiti
   // Filter entities to only those mentioned in speaker notes
   const mentionedEntities = {};
   for (const entityName of mentionedEntityNames) {
-    // Case-insensitive match
-    const entityKey = Object.keys(entities).find(key => key.toLowerCase() === entityName.toLowerCase());
-    if (entityKey) {
-      mentionedEntities[entityKey] = entities[entityKey];
+    // Case-insensitive match by name or alias
+    const found = findEntity(entityName, entities);
+    if (found) {
+      mentionedEntities[found.key] = found.entity;
     }
   }
 
@@ -78,15 +140,22 @@ Visual style for the deck: ${visualStyle || 'Professional presentation style'}${
 Generate a concise visual description (1-3 sentences) that captures the essence of what should be shown in the slide image:`;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini', // Fast and cost-effective
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      temperature: 0.7,
-      max_tokens: 150
-    });
+    const response = await trackUsage(
+      { ...usage, service: 'openai', model: DESCRIPTION_MODEL },
+      () => openai.chat.completions.create({
+        model: DESCRIPTION_MODEL,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt }
+        ],
+        temperature: 0.7,
+        max_tokens: 150
+      }),
+      result => ({
+        inputTokens: result.usage?.prompt_tokens || 0,
+        outputTokens: result.usage?.completion_tokens || 0
+      })
+    );
 
     const description = response.choices[0].message.content.trim();
 
@@ -103,6 +172,97 @@ Generate a concise visual description (1-3 sentences) that captures the essence
   }
 }
 
+/**
+ * Shorten a visual style without calling OpenAI
+ * Keeps whole comma/sentence-separated parts from the start while they fit
+ */
+function summarizeMockStyle(visualStyle, maxLength) {
+  const parts = visualStyle.split(/(?<=[,.;])\s+/);
+  let summary = '';
+  for (const part of parts) {
+    const next = summary ? `${summary} ${part}` : part;
+    if (next.replace(/[\s.,;]+$/, '').length > maxLength) {
+      break;
+    }
+    summary = next;
+  }
+  return (summary || truncateAtWord(visualStyle, maxLength)).replace(/[\s.,;]+$/, '');
+}
+
+/**
+ * Condense a visual style that makes a prompt too long
+ * Returns a mock summary instead when MOCK_DESCRIPTIONS=true
+ * @param {string} visualStyle - Style to condense
+ * @param {number} maxLength - Target length in characters
+ * @param {string} apiKey - OpenAI API key
+ * @param {object} usageContext - { deckId, slideId } for the usage ledger
+ * @returns {Promise<string>} - Condensed style (may still exceed maxLength slightly)
+ */
+export async function summarizeVisualStyle(visualStyle, maxLength, apiKey, usageContext = {}) {
+  const usage = {
+    deckId: usageContext.deckId || null,
+    slideId: usageContext.slideId || null,
+    kind: 'description',
+    operation: 'summarize-style'
+  };
+
+  if (isMockEnabled()) {
+    return trackUsage(
+      { ...usage, service: 'mock', model: 'mock' },
+      async () => summarizeMockStyle(visualStyle, maxLength)
+    );
+  }
+
+  if (!apiKey) {
+    throw new Error('OpenAI API key not configured');
+  }
+
+  const openai = new OpenAI({ apiKey });
+
+  try {
+    const response = await trackUsage(
+      { ...usage, service: 'openai', model: DESCRIPTION_MODEL },
+      () => openai.chat.completions.create({
+        model: DESCRIPTION_MODEL,
+        messages: [
+          {
+            role: 'system',
+            content: 'You condense visual style descriptions for AI image generation. Keep the most distinctive visual ' +
+              'elements (medium, palette, lighting, mood) and drop repetition. Reply with the condensed style only.'
+          },
+          {
+            role: 'user',
+            content: `Condense this visual style to at most ${maxLength} characters:\n\n${visualStyle}`
+          }
+        ],
+        temperature: 0.3,
+        // Roughly 4 characters per token
+        max_tokens: Math.max(16, Math.ceil(maxLength / 3))
+      }),
+      result => ({
+        inputTokens: result.usage?.prompt_tokens || 0,
+        outputTokens: result.usage?.completion_tokens || 0
+      })
+    );
+
+    const summary = response.choices[0].message.content.trim();
+
+    if (!summary) {
+      throw new Error('ChatGPT returned an empty style');
+    }
+
+    return summary;
+  } catch (error) {
+    if (error.code === 'invalid_api_key') {
+      throw new Error('Invalid OpenAI API key');
+    }
+    throw new Error(`Failed to summarize visual style: ${error.message}`);
+  }
+}
+
 export default {
-  generateImageDescription
+  isMockEnabled,
+  isConfigured,
+  generateImageDescription,
+  summarizeVisualStyle
 };
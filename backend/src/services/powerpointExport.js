@@ -3,6 +3,35 @@ import { Automizer } from 'pptx-automizer';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { getDeckImageFormat, parseAspectRatio } from '../utils/imageFormat.js';
+import { loadExportImage } from './exportImages.js';
+
+// Slide short edge in inches (PowerPoint's 16:9 "Widescreen" is 13.33 x 7.5)
+const SLIDE_SHORT_EDGE_INCHES = 7.5;
+
+/**
+ * Set the presentation layout to the deck's aspect ratio
+ * 16:9 keeps the built-in widescreen layout; other ratios get a custom layout
+ * @param {Object} pptx - PptxGenJS instance
+ * @param {Object} deck - Deck object
+ */
+function applyDeckLayout(pptx, deck) {
+  const { aspectRatio } = getDeckImageFormat(deck);
+
+  if (aspectRatio === '16:9') {
+    pptx.layout = 'LAYOUT_WIDE';
+    return;
+  }
+
+  const ratio = parseAspectRatio(aspectRatio);
+  const name = `DECK_${aspectRatio.replace(':', 'x')}`;
+  pptx.defineLayout({
+    name,
+    width: ratio >= 1 ? SLIDE_SHORT_EDGE_INCHES * ratio : SLIDE_SHORT_EDGE_INCHES,
+    height: ratio >= 1 ? SLIDE_SHORT_EDGE_INCHES : SLIDE_SHORT_EDGE_INCHES / ratio
+  });
+  pptx.layout = name;
+}
 
 /**
  * Export deck to PowerPoint file
@@ -37,7 +66,8 @@ export async function exportToPowerPoint(deck, slides, deckId, storageDir, title
   pptx.author = 'AI Image Deck Generator';
   pptx.title = title;
   pptx.subject = deck.name;
-  pptx.layout = 'LAYOUT_WIDE'; // 16:9 aspect ratio
+  applyDeckLayout(pptx, deck);
+  const { aspectRatio } = getDeckImageFormat(deck);
 
   console.log(`Creating PowerPoint with ${slidesToExport.length} slides...`);
 
@@ -61,16 +91,13 @@ export async function exportToPowerPoint(deck, slides, deckId, storageDir, title
 
     if (hasImage) {
       // Add full-slide image
-      const imagePath = path.join(storageDir, `deck-${deckId}`, slideData.id, pinnedImage.filename);
-
       try {
-        // Read image and convert to base64
-        const imageBuffer = await fs.readFile(imagePath);
+        // Load image (full resolution when the original is kept) and convert to base64
+        const imageBuffer = await loadExportImage(storageDir, deckId, slideData.id, pinnedImage, aspectRatio);
         const base64Image = imageBuffer.toString('base64');
-        const mimeType = pinnedImage.filename.endsWith('.png') ? 'image/png' : 'image/jpeg';
 
         slide.addImage({
-          data: `data:${mimeType};base64,${base64Image}`,
+          data: `data:image/jpeg;base64,${base64Image}`,
           x: 0,
           y: 0,
           w: '100%',
@@ -143,7 +170,8 @@ async function exportWithoutTemplate(deck, slidesToExport, deckId, storageDir, t
   pptx.author = 'AI Image Deck Generator';
   pptx.title = title;
   pptx.subject = deck.name;
-  pptx.layout = 'LAYOUT_WIDE'; // 16:9 aspect ratio
+  applyDeckLayout(pptx, deck);
+  const { aspectRatio } = getDeckImageFormat(deck);
 
   console.log(`Creating PowerPoint with ${slidesToExport.length} slides (no template)...`);
 
@@ -167,16 +195,13 @@ async function exportWithoutTemplate(deck, slidesToExport, deckId, storageDir, t
 
     if (hasImage) {
       // Add full-slide image
-      const imagePath = path.join(storageDir, `deck-${deckId}`, slideData.id, pinnedImage.filename);
-
       try {
-        // Read image and convert to base64
-        const imageBuffer = await fs.readFile(imagePath);
+        // Load image (full resolution when the original is kept) and convert to base64
+        const imageBuffer = await loadExportImage(storageDir, deckId, slideData.id, pinnedImage, aspectRatio);
         const base64Image = imageBuffer.toString('base64');
-        const mimeType = pinnedImage.filename.endsWith('.png') ? 'image/png' : 'image/jpeg';
 
         slide.addImage({
-          data: `data:${mimeType};base64,${base64Image}`,
+          data: `data:image/jpeg;base64,${base64Image}`,
           x: 0,
           y: 0,
           w: '100%',
@@ -220,6 +245,8 @@ async function exportWithoutTemplate(deck, slidesToExport, deckId, storageDir, t
  */
 async function exportWithTemplate(deck, slidesToExport, deckId, storageDir, title, templatePath, templateSlideIndex, onProgress) {
   console.log(`Creating PowerPoint with ${slidesToExport.length} slides using template: ${templatePath}`);
+  // The template's slide size wins over the deck aspect ratio; images are scaled to cover it
+  const { aspectRatio } = getDeckImageFormat(deck);
 
   const tempDir = path.join(os.tmpdir(), 'ai-image-deck-exports');
   await fs.mkdir(tempDir, { recursive: true });
@@ -256,17 +283,14 @@ async function exportWithTemplate(deck, slidesToExport, deckId, storageDir, titl
       const pinnedImage = slideData.generatedImages?.find(img => img.isPinned);
 
       if (shouldHaveImage && pinnedImage) {
-        const imagePath = path.join(storageDir, `deck-${deckId}`, slideData.id, pinnedImage.filename);
-
         try {
-          const imageBuffer = await fs.readFile(imagePath);
+          const imageBuffer = await loadExportImage(storageDir, deckId, slideData.id, pinnedImage, aspectRatio);
           const base64Image = imageBuffer.toString('base64');
-          const mimeType = pinnedImage.filename.endsWith('.png') ? 'image/png' : 'image/jpeg';
 
           // Use PptxGenJS wrapper to add full-slide cover image on top of template
           slide.generate((pptxGenJSSlide) => {
             pptxGenJSSlide.addImage({
-              data: `data:${mimeType};base64,${base64Image}`,
+              data: `data:image/jpeg;base64,${base64Image}`,
               x: 0,
               y: 0,
               w: '100%',
@@ -0,0 +1,306 @@
+import JSZip from 'jszip';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import * as fileSystem from './fileSystem.js';
+import * as imageProcessor from './imageProcessor.js';
+import { addEntityReferences } from '../utils/promptParser.js';
+import { getClosestAspectRatio, getDeckImageFormat } from '../utils/imageFormat.js';
+
+/**
+ * PowerPoint Import Service
+ * Creates a deck from an existing .pptx file: one slide per page, speaker notes
+ * from the notes pages and the page's pictures as pinned initial images.
+ *
+ * A .pptx is a zip archive of XML parts:
+ *   ppt/presentation.xml            slide order (p:sldIdLst) and size (p:sldSz)
+ *   ppt/slides/slideN.xml           slide shapes (p:sp) and pictures (p:pic)
+ *   ppt/notesSlides/notesSlideN.xml notes text (body placeholder)
+ *   ppt/media/*                     embedded images
+ *   <dir>/_rels/<part>.rels         relationships between the parts
+ */
+
+// Placeholders that hold page furniture, not slide content
+const IGNORED_PLACEHOLDERS = ['sldNum', 'dt', 'ftr', 'hdr', 'sldImg'];
+
+/**
+ * Create an error for a file that cannot be imported (reported as 400)
+ */
+function pptxError(message) {
+  const error = new Error(`Invalid PowerPoint file: ${message}`);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Decode XML character entities
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-fA-F]+);/g, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read an XML part of the archive
+ * @returns {Promise<string|null>}
+ */
+async function readPart(zip, partPath) {
+  const file = zip.file(partPath);
+  return file ? file.async('string') : null;
+}
+
+/**
+ * Read the relationships of a part (e.g. ppt/slides/slide1.xml)
+ * @returns {Promise<Map<string, { type: string, path: string }>>} - Relationship ID -> target part
+ */
+async function readRelationships(zip, partPath) {
+  const dir = path.posix.dirname(partPath);
+  const xml = await readPart(zip, `${dir}/_rels/${path.posix.basename(partPath)}.rels`);
+  const relationships = new Map();
+  if (!xml) {
+    return relationships;
+  }
+
+  for (const [element] of xml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const attr = (name) => element.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+    if (attr('TargetMode') === 'External') continue;
+
+    const target = decodeXml(attr('Target') || '');
+    relationships.set(attr('Id'), {
+      type: (attr('Type') || '').split('/').pop(),
+      path: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(dir, target))
+    });
+  }
+
+  return relationships;
+}
+
+/**
+ * Get the text of a shape's paragraphs
+ * @returns {Array<string>} - Non-empty paragraphs
+ */
+function getParagraphs(shapeXml) {
+  const paragraphs = [];
+
+  for (const [, paragraphXml] of shapeXml.matchAll(/<a:p(?:\s[^>]*)?>([\s\S]*?)<\/a:p>/g)) {
+    let text = '';
+    for (const [token, run] of paragraphXml.matchAll(/<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>|<a:br\b[^>]*>/g)) {
+      text += token.startsWith('<a:br') ? '\n' : decodeXml(run);
+    }
+    if (text.trim()) {
+      paragraphs.push(text.trim());
+    }
+  }
+
+  return paragraphs;
+}
+
+/**
+ * Get the shapes of a slide or notes page with their placeholder type
+ * @returns {Array<{ placeholder: string|null, paragraphs: Array<string> }>}
+ */
+function getShapes(xml) {
+  return [...xml.matchAll(/<p:sp\b[^>]*>([\s\S]*?)<\/p:sp>/g)].map(([, shapeXml]) => {
+    const ph = shapeXml.match(/<p:ph\b[^>]*>/)?.[0];
+    return {
+      placeholder: ph ? (ph.match(/\btype="([^"]*)"/)?.[1] || 'body') : null,
+      paragraphs: getParagraphs(shapeXml)
+    };
+  });
+}
+
+/**
+ * Get the archive paths of the pictures on a slide, in document order
+ */
+function getPicturePaths(slideXml, relationships) {
+  const paths = [];
+
+  for (const [, pictureXml] of slideXml.matchAll(/<p:pic\b[^>]*>([\s\S]*?)<\/p:pic>/g)) {
+    const relationshipId = pictureXml.match(/<a:blip\b[^>]*\br:embed="([^"]*)"/)?.[1];
+    const target = relationships.get(relationshipId);
+    if (target && !paths.includes(target.path)) {
+      paths.push(target.path);
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Get the slide size from presentation.xml
+ * @returns {{ width: number, height: number }} - In EMU (0 when missing)
+ */
+function getSlideSize(presentationXml) {
+  const size = presentationXml.match(/<p:sldSz\b[^>]*>/)?.[0];
+  return {
+    width: Number(size?.match(/\bcx="(\d+)"/)?.[1]) || 0,
+    height: Number(size?.match(/\bcy="(\d+)"/)?.[1]) || 0
+  };
+}
+
+/**
+ * Read the pages of a presentation in slide order
+ * @returns {Promise<Array<{ text: string, notes: string, picturePaths: Array<string> }>>}
+ */
+async function readPages(zip, presentationXml) {
+  const presentationRels = await readRelationships(zip, 'ppt/presentation.xml');
+  const pages = [];
+
+  for (const [, relationshipId] of presentationXml.matchAll(/<p:sldId\b[^>]*\br:id="([^"]*)"/g)) {
+    const slidePath = presentationRels.get(relationshipId)?.path;
+    const slideXml = slidePath && await readPart(zip, slidePath);
+    if (!slideXml) continue;
+
+    const slideRels = await readRelationships(zip, slidePath);
+    const text = getShapes(slideXml)
+      .filter(shape => !IGNORED_PLACEHOLDERS.includes(shape.placeholder))
+      .flatMap(shape => shape.paragraphs)
+      .join('\n');
+
+    let notes = '';
+    const notesPath = [...slideRels.values()].find(rel => rel.type === 'notesSlide')?.path;
+    const notesXml = notesPath && await readPart(zip, notesPath);
+    if (notesXml) {
+      notes = getShapes(notesXml)
+        .filter(shape => shape.placeholder === 'body')
+        .flatMap(shape => shape.paragraphs)
+        .join('\n');
+    }
+
+    pages.push({ text, notes, picturePaths: getPicturePaths(slideXml, slideRels) });
+  }
+
+  return pages;
+}
+
+/**
+ * Import a .pptx file as a new deck
+ * - Each page becomes a slide; its notes become the speaker notes (the page's
+ *   own text is used when a page has no notes)
+ * - Names of existing global entities in the text become @entity references
+ * - Pictures on a page are cropped to the deck format and stored as generated
+ *   images (source 'import', no service or prompt); the first one is pinned. Pictures that
+ *   cannot be used (too small, unsupported format) are reported as skipped
+ * @param {Buffer} buffer - .pptx file
+ * @param {Object} options - { fileName, name, visualStyle, aspectRatio, resolution, cropStrategy }
+ *   Name defaults to the presentation title or file name, aspect ratio to the closest slide size
+ * @returns {Promise<{ deck: Object, slides: Array<Object>, skippedImages: Array<Object> }>}
+ */
+export async function importPptx(buffer, {
+  fileName = '',
+  name,
+  visualStyle = '',
+  aspectRatio,
+  resolution,
+  cropStrategy
+} = {}) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw pptxError('not a zip archive');
+  }
+
+  const presentationXml = await readPart(zip, 'ppt/presentation.xml');
+  if (!presentationXml) {
+    throw pptxError('ppt/presentation.xml is missing');
+  }
+
+  const pages = await readPages(zip, presentationXml);
+  if (pages.length === 0) {
+    throw pptxError('the presentation has no slides');
+  }
+
+  const coreXml = await readPart(zip, 'docProps/core.xml');
+  const title = decodeXml(coreXml?.match(/<dc:title>([^<]*)<\/dc:title>/)?.[1] || '').trim();
+  const slideSize = getSlideSize(presentationXml);
+  const imageFormat = getDeckImageFormat({
+    aspectRatio: aspectRatio || getClosestAspectRatio(slideSize.width, slideSize.height),
+    resolution,
+    cropStrategy
+  });
+  const globalEntities = await fileSystem.getGlobalEntities();
+
+  const now = new Date().toISOString();
+  const deck = {
+    id: uuidv4(),
+    name: (name || title || path.basename(fileName, path.extname(fileName)) || 'Imported Presentation').slice(0, 200),
+    createdAt: now,
+    updatedAt: now,
+    visualStyle,
+    ...imageFormat,
+    entities: {},
+    slides: [],
+    isTest: false
+  };
+
+  const slides = [];
+  const files = [];
+  const skippedImages = [];
+
+  for (const [index, page] of pages.entries()) {
+    const slideId = `slide-${String(index + 1).padStart(3, '0')}`;
+    const generatedImages = [];
+
+    for (const picturePath of page.picturePaths) {
+      const originalBuffer = await zip.file(picturePath)?.async('nodebuffer');
+      if (!originalBuffer) continue;
+
+      let processedBuffer;
+      try {
+        processedBuffer = await imageProcessor.processImage(originalBuffer, imageFormat);
+      } catch (error) {
+        skippedImages.push({ slideId, file: path.posix.basename(picturePath), reason: error.message });
+        continue;
+      }
+
+      const imageNum = String(generatedImages.length + 1).padStart(3, '0');
+      const filename = `image-${imageNum}.jpg`;
+      // Named by content like generated originals (archive names may be .jpeg, .gif, .bmp, ...)
+      const originalFilename = `image-${imageNum}-original.${fileSystem.getImageExtension(originalBuffer)}`;
+      files.push({ path: `${slideId}/${filename}`, buffer: processedBuffer });
+      files.push({ path: `${slideId}/${originalFilename}`, buffer: originalBuffer });
+
+      generatedImages.push({
+        id: uuidv4(),
+        filename,
+        originalFilename,
+        createdAt: now,
+        source: 'import',
+        service: null,
+        prompt: null,
+        sourceImageId: null,
+        crop: { strategy: imageFormat.cropStrategy, focalPoint: null },
+        isPinned: generatedImages.length === 0
+      });
+    }
+
+    slides.push({
+      id: slideId,
+      order: index,
+      speakerNotes: addEntityReferences(page.notes || page.text, globalEntities),
+      imageDescription: '',
+      overrideVisualStyle: null,
+      noImages: false,
+      descriptionLocked: false,
+      sceneStart: false,
+      sceneVisualStyle: null,
+      descriptionHistory: [],
+      generatedImages
+    });
+    deck.slides.push(slideId);
+  }
+
+  await fileSystem.writeDeck(deck, slides, files);
+
+  return { deck, slides, skippedImages };
+}
+
+export default {
+  importPptx
+};
@@ -0,0 +1,187 @@
+import { promises as fs } from 'fs';
+import * as fileSystem from './fileSystem.js';
+import * as imageProviders from './imageProviders/index.js';
+import * as openaiDescriptions from './openaiDescriptions.js';
+import { buildFullPrompt, getReferencedEntityImages } from '../utils/promptParser.js';
+import { getDeckImageFormat } from '../utils/imageFormat.js';
+
+/**
+ * Slide Prompt Service
+ * Builds the image prompt for a slide from the deck's prompt template, the
+ * slide's effective visual style, its description and the theme images,
+ * fitted to the image service's prompt length limit, and lists the reference
+ * images sent with it.
+ */
+
+/**
+ * List the entity images for the @references in a text
+ * Which of an entity's images are used depends on its image mode and the
+ * references' image labels (see selectEntityImages)
+ * @param {Object} deck - Deck
+ * @param {string} text - Text with @entity references
+ * @param {Object} mergedEntities - Deck and global entities
+ * @returns {Array<Object>} - { type: 'entity', name, imageLabel, label, source: 'deck' | 'global', filename, path }
+ */
+export function getEntityReferenceImages(deck, text, mergedEntities) {
+  return getReferencedEntityImages(text, mergedEntities, deck.id).map(entity => {
+    // Deck entities take precedence over global entities with the same name
+    const source = deck.entities?.[entity.entityName] ? 'deck' : 'global';
+    return {
+      type: 'entity',
+      name: entity.entityName,
+      imageLabel: entity.imageLabel,
+      // e.g. "Robert Smith (side profile)"
+      label: entity.imageLabel ? `${entity.displayName} (${entity.imageLabel.replace(/-/g, ' ')})` : entity.displayName,
+      source,
+      filename: entity.imageFilename,
+      path: source === 'deck'
+        ? fileSystem.getEntityImagePath(deck.id, entity.imageFilename)
+        : fileSystem.getGlobalEntityImagePath(entity.imageFilename)
+    };
+  });
+}
+
+/**
+ * List the reference images sent with a slide's prompt
+ * Entity images first (see getEntityReferenceImages), then theme images from the deck and the style preset
+ * @param {Object} deck - Deck
+ * @param {Object} slide - Slide
+ * @param {Object} mergedEntities - Deck and global entities
+ * @param {Object|null} stylePreset - Style preset of the slide's effective style
+ * @returns {Array<Object>} - In the order they are sent, each with { type, label, source, filename, path }:
+ *   entities: { type: 'entity', name, imageLabel, source: 'deck' | 'global' }
+ *   theme images: { type: 'theme', source: 'deck' | 'style-preset', stylePresetId }
+ */
+export function getReferenceImages(deck, slide, mergedEntities, stylePreset = null) {
+  const entityImages = getEntityReferenceImages(deck, slide.imageDescription, mergedEntities);
+
+  const deckThemeImages = (deck.themeImages || []).map(filename => ({
+    type: 'theme',
+    label: 'Theme Reference',
+    source: 'deck',
+    filename,
+    path: fileSystem.getThemeImagePath(deck.id, filename)
+  }));
+  const presetThemeImages = (stylePreset?.themeImages || []).map(filename => ({
+    type: 'theme',
+    label: 'Theme Reference',
+    source: 'style-preset',
+    stylePresetId: stylePreset.id,
+    filename,
+    path: fileSystem.getStylePresetImagePath(stylePreset.id, filename)
+  }));
+
+  return [...entityImages, ...deckThemeImages, ...presetThemeImages];
+}
+
+/**
+ * Read reference images for a provider call
+ * Missing files are skipped with a warning
+ * @param {Array<Object>} referenceImages - From getReferenceImages
+ * @param {string} logPrefix - Log prefix, e.g. '[Bulk]'
+ * @returns {Promise<Array<{ buffer: Buffer, label: string }>>}
+ */
+export async function loadReferenceImages(referenceImages, logPrefix) {
+  const loaded = [];
+  for (const image of referenceImages) {
+    try {
+      loaded.push({ buffer: await fs.readFile(image.path), label: image.label });
+    } catch (error) {
+      console.warn(`${logPrefix} Failed to load ${image.type} image ${image.filename}:`, error.message);
+    }
+  }
+  return loaded;
+}
+
+/**
+ * Build the image prompt for a slide
+ * Prompts over the service's limit are shortened (style first, see buildFullPrompt);
+ * a negative prompt appended for services without separate negative prompts counts too.
+ * With the summarizeLongStyles setting, a too long visual style is condensed by the
+ * description service first; if that fails, it is cut off as usual.
+ * @param {Object} deck - Deck
+ * @param {Object} slide - Slide
+ * @param {Object} mergedEntities - Deck and global entities (see fileSystem.getMergedEntities)
+ * @param {Object} options - {
+ *   promptTemplate, negativePrompt: to use instead of the deck's (e.g. unsaved values in a preview),
+ *   service: requested image service (default: style preset's preferred service, else the default),
+ *   maxLength: prompt length limit (default: the service's, null for none),
+ *   summarize: whether long styles may be condensed (default true; previews pass false)
+ * }
+ * @returns {Promise<Object>} - {
+ *   prompt, negativePrompt, unknownEntities, parsedDescription, truncation, warnings,
+ *   service, maxLength,
+ *   providerPrompt: { prompt, negativePrompt } as the service receives it (see imageProviders.getProviderPrompt),
+ *   style: { visualStyle, stylePreset, source, sceneStyle } (see fileSystem.getEffectiveStyle),
+ *   referenceImages: see getReferenceImages
+ * }
+ */
+export async function buildSlidePrompt(deck, slide, mergedEntities, {
+  promptTemplate = deck.promptTemplate,
+  negativePrompt = deck.negativePrompt,
+  service: requestedService,
+  maxLength,
+  summarize = true
+} = {}) {
+  const style = await fileSystem.getEffectiveStyle(deck.id, slide.id);
+  const service = requestedService || style.stylePreset?.preferredService || imageProviders.DEFAULT_PROVIDER_ID;
+  const limit = maxLength === undefined ? imageProviders.getMaxPromptLength(service) : maxLength;
+  // Services without negative prompts get it appended ("Avoid: ..."), which counts against the limit
+  const appendedLength = imageProviders.getProviderPrompt(service, '', negativePrompt?.trim() || null).prompt.length;
+  const promptLimit = limit && limit - appendedLength;
+  const themeImages = [...(deck.themeImages || []), ...(style.stylePreset?.themeImages || [])];
+
+  const build = (visualStyle, length) => buildFullPrompt(visualStyle, slide.imageDescription, mergedEntities, themeImages, {
+    ...getDeckImageFormat(deck),
+    template: promptTemplate,
+    sceneStyle: style.sceneStyle,
+    negativePrompt,
+    maxLength: length
+  });
+
+  let result = build(style.visualStyle, promptLimit);
+
+  // Room left for the style once everything else is in the prompt
+  const targetLength = result.truncation && style.visualStyle.length - (result.truncation.originalLength - promptLimit);
+
+  if (summarize && result.truncation?.shortened.includes('style') && targetLength > 0) {
+    const settings = await fileSystem.getSettings();
+    if (settings.prompts?.summarizeLongStyles && openaiDescriptions.isConfigured()) {
+      try {
+        const summary = await openaiDescriptions.summarizeVisualStyle(
+          style.visualStyle,
+          targetLength,
+          process.env.OPENAI_API_KEY,
+          { deckId: deck.id, slideId: slide.id }
+        );
+        const summarized = build(summary, promptLimit);
+        result = {
+          ...summarized,
+          warnings: [
+            `Visual style summarized from ${style.visualStyle.length} to ${summary.length} characters to fit the prompt limit (${limit})`,
+            ...summarized.warnings
+          ]
+        };
+      } catch (error) {
+        console.warn(`[Prompt] Slide ${slide.id}: could not summarize the visual style:`, error.message);
+        result.warnings.push(`Could not summarize the visual style (${error.message})`);
+      }
+    }
+  }
+
+  return {
+    ...result,
+    service,
+    maxLength: limit,
+    providerPrompt: imageProviders.getProviderPrompt(service, result.prompt, result.negativePrompt),
+    style,
+    referenceImages: getReferenceImages(deck, slide, mergedEntities, style.stylePreset)
+  };
+}
+
+export default {
+  getEntityReferenceImages,
+  getReferenceImages,
+  loadReferenceImages,
+  buildSlidePrompt
+};
@@ -0,0 +1,187 @@
+import { promises as fs } from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import * as fileSystem from './fileSystem.js';
+
+/**
+ * Deck Snapshots
+ * A snapshot stores deck.json and every slide.json of a deck. Images are
+ * referenced, not copied, so snapshots are cheap; restoring brings back text,
+ * settings, slide order and pins, but not image files that were deleted since.
+ *
+ * Snapshots are created manually or automatically before bulk operations
+ * (trigger: 'manual', 'regenerate-descriptions', 'generate-all', 'generate-missing', 'sync-text', 'restore')
+ */
+
+// Automatic snapshots beyond this number are deleted (oldest first); manual ones are kept
+const MAX_AUTOMATIC_SNAPSHOTS = 20;
+
+const TRIGGER_NAMES = {
+  'regenerate-descriptions': 'Before regenerating descriptions',
+  'generate-all': 'Before generating all images',
+  'generate-missing': 'Before generating missing images',
+  'sync-text': 'Before syncing from text',
+  'restore': 'Before restore'
+};
+
+/**
+ * Snapshot metadata for API responses (without deck and slide contents)
+ */
+function summarize({ deck, slides, ...snapshot }) {
+  return {
+    ...snapshot,
+    slideCount: slides.length,
+    imageCount: slides.reduce((sum, slide) => sum + slide.generatedImages.length, 0)
+  };
+}
+
+/**
+ * Check whether a file exists
+ */
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create a snapshot of a deck's current state
+ * @param {string} deckId - Deck ID
+ * @param {Object} options - { name, trigger } (default trigger: 'manual')
+ * @returns {Promise<Object>} - Snapshot metadata
+ */
+export async function createSnapshot(deckId, { name = null, trigger = 'manual' } = {}) {
+  const deck = await fileSystem.getDeck(deckId);
+  const slides = await fileSystem.getSlides(deckId);
+
+  const snapshot = await fileSystem.saveSnapshot({
+    id: uuidv4(),
+    deckId,
+    name: name || TRIGGER_NAMES[trigger] || 'Snapshot',
+    trigger,
+    createdAt: new Date().toISOString(),
+    deck,
+    slides
+  });
+
+  if (trigger !== 'manual') {
+    const automatic = (await fileSystem.getSnapshots(deckId)).filter(s => s.trigger !== 'manual');
+    for (const old of automatic.slice(MAX_AUTOMATIC_SNAPSHOTS)) {
+      await fileSystem.deleteSnapshot(deckId, old.id);
+    }
+  }
+
+  return summarize(snapshot);
+}
+
+/**
+ * Create an automatic snapshot before a bulk operation
+ * Never throws - a failed snapshot must not block the operation
+ * @returns {Promise<Object|null>} - Snapshot metadata
+ */
+export async function createAutomaticSnapshot(deckId, trigger) {
+  try {
+    return await createSnapshot(deckId, { trigger });
+  } catch (error) {
+    console.error(`[Snapshots] Failed to snapshot deck ${deckId} before ${trigger}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * List a deck's snapshots, newest first
+ * @returns {Promise<Array<Object>>} - Snapshot metadata
+ */
+export async function listSnapshots(deckId) {
+  return (await fileSystem.getSnapshots(deckId)).map(summarize);
+}
+
+/**
+ * Restore a deck to a snapshot
+ * The current state is snapshotted first, so a restore can be undone.
+ * - Deck name, visual style, image format and slide order come from the snapshot;
+ *   entities and theme images stay as they are (their files are not snapshotted)
+ * - Slides get their snapshot content; slides added since are removed
+ * - Images of the snapshot whose files were deleted are dropped; images generated
+ *   since the snapshot are kept (unpinned) so no paid generation is lost
+ * @param {string} deckId - Deck ID
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<Object>} - { deck, slides, backup, missingImages }
+ */
+export async function restoreSnapshot(deckId, snapshotId) {
+  const snapshot = await fileSystem.getSnapshot(deckId, snapshotId);
+  const backup = await createSnapshot(deckId, {
+    name: `Before restoring "${snapshot.name}"`,
+    trigger: 'restore'
+  });
+
+  const currentDeck = await fileSystem.getDeck(deckId);
+  const currentSlides = new Map((await fileSystem.getSlides(deckId)).map(slide => [slide.id, slide]));
+  let missingImages = 0;
+
+  const slides = [];
+  for (const snapshotSlide of snapshot.slides) {
+    const currentSlide = currentSlides.get(snapshotSlide.id);
+    // File names now used by other images (only possible for slides saved before lastImageNumber)
+    const usedFilenames = new Map((currentSlide?.generatedImages || []).map(image => [image.filename, image.id]));
+
+    const images = [];
+    for (const image of snapshotSlide.generatedImages) {
+      const usedBy = usedFilenames.get(image.filename);
+      if ((usedBy && usedBy !== image.id) ||
+          !(await fileExists(fileSystem.getImagePath(deckId, snapshotSlide.id, image.filename)))) {
+        missingImages++;
+        continue;
+      }
+      const hasOriginal = image.originalFilename &&
+        await fileExists(fileSystem.getImagePath(deckId, snapshotSlide.id, image.originalFilename));
+      images.push({ ...image, originalFilename: hasOriginal ? image.originalFilename : null });
+    }
+
+    const restoredIds = new Set(images.map(image => image.id));
+    const newerImages = (currentSlide?.generatedImages || [])
+      .filter(image => !restoredIds.has(image.id));
+    const hasPin = images.some(image => image.isPinned);
+
+    slides.push({
+      ...snapshotSlide,
+      // Numbers used since the snapshot stay taken
+      lastImageNumber: Math.max(snapshotSlide.lastImageNumber || 0, currentSlide?.lastImageNumber || 0),
+      // Keep the current pin if the snapshot's pinned image is gone
+      generatedImages: [
+        ...images,
+        ...newerImages.map(image => ({ ...image, isPinned: !hasPin && image.isPinned }))
+      ]
+    });
+  }
+
+  const deck = {
+    ...snapshot.deck,
+    id: deckId,
+    entities: currentDeck.entities,
+    themeImages: currentDeck.themeImages,
+    slides: snapshot.slides.map(slide => slide.id),
+    updatedAt: new Date().toISOString()
+  };
+
+  await fileSystem.replaceDeckState(deckId, deck, slides);
+
+  return { deck, slides, backup, missingImages };
+}
+
+/**
+ * Delete a snapshot
+ */
+export async function deleteSnapshot(deckId, snapshotId) {
+  await fileSystem.deleteSnapshot(deckId, snapshotId);
+}
+
+export default {
+  createSnapshot,
+  createAutomaticSnapshot,
+  listSnapshots,
+  restoreSnapshot,
+  deleteSnapshot
+};
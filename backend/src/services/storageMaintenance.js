@@ -0,0 +1,72 @@
+import * as fileSystem from './fileSystem.js';
+import { getTrashRetentionDays } from '../models/Settings.js';
+
+/**
+ * Storage Maintenance
+ * Applies the retention settings: originals (settings.storage.pruneOriginalsAfterDays)
+ * and trash (settings.storage.trashRetentionDays)
+ */
+
+// How often the retention settings are applied while the server runs
+const MAINTENANCE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Prune originals of unpinned images according to settings
+ * @returns {Promise<Object|null>} - { images, bytes } removed, or null if retention is disabled
+ */
+export async function pruneOriginalsFromSettings() {
+  const settings = await fileSystem.getSettings();
+  const days = settings.storage?.pruneOriginalsAfterDays ?? null;
+
+  if (days === null) {
+    return null;
+  }
+
+  const pruned = await fileSystem.pruneOriginals({ olderThanDays: days });
+  if (pruned.images > 0) {
+    console.log(`[Storage] Pruned ${pruned.images} original(s), ${pruned.bytes} bytes freed`);
+  }
+  return pruned;
+}
+
+/**
+ * Purge trash items older than the trash retention
+ * @returns {Promise<Object|null>} - { items, bytes } removed, or null if retention is disabled
+ */
+export async function purgeTrashFromSettings() {
+  const days = getTrashRetentionDays(await fileSystem.getSettings());
+
+  if (days === null) {
+    return null;
+  }
+
+  const purged = await fileSystem.purgeTrash({ olderThanDays: days });
+  if (purged.items > 0) {
+    console.log(`[Storage] Purged ${purged.items} trash item(s), ${purged.bytes} bytes freed`);
+  }
+  return purged;
+}
+
+/**
+ * Run storage maintenance now and periodically
+ * The timer does not keep the process alive
+ */
+export function startStorageMaintenance() {
+  const run = async () => {
+    await pruneOriginalsFromSettings().catch(error => {
+      console.error('[Storage] Failed to prune originals:', error.message);
+    });
+    await purgeTrashFromSettings().catch(error => {
+      console.error('[Storage] Failed to purge trash:', error.message);
+    });
+  };
+
+  run();
+  setInterval(run, MAINTENANCE_INTERVAL_MS).unref();
+}
+
+export default {
+  pruneOriginalsFromSettings,
+  purgeTrashFromSettings,
+  startStorageMaintenance
+};
@@ -0,0 +1,263 @@
+import * as fileSystem from './fileSystem.js';
+import * as snapshots from './snapshots.js';
+import { parseSlides } from '../utils/textParser.js';
+
+/**
+ * Text Sync Service
+ * Re-syncs a deck with an edited version of the text it was created from,
+ * keeping the slides (and their images) that are still there.
+ *
+ * Current slides and the slides parsed from the new text are aligned in order;
+ * two slides are matched when their speaker notes are similar enough. Matched
+ * slides keep their ID, unmatched current slides are removed (to the trash)
+ * and unmatched new slides are inserted. An unmatched current and new slide
+ * between the same matched slides are taken as a rewrite and updated instead.
+ */
+
+// Minimum word similarity (0-1) for a current and a new slide to be matched
+const MATCH_THRESHOLD = 0.5;
+
+/**
+ * Split text into lowercase words for comparison
+ */
+function getWords(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}@'-]+/gu) || [];
+}
+
+/**
+ * Word similarity of two texts (Dice coefficient over the words, 0-1)
+ * @returns {number} - 1 for identical word lists, 0 for no common words
+ */
+export function getTextSimilarity(a, b) {
+  const wordsA = getWords(a);
+  const wordsB = getWords(b);
+  if (wordsA.length === 0 && wordsB.length === 0) {
+    return 1;
+  }
+
+  const counts = new Map();
+  for (const word of wordsA) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+
+  let common = 0;
+  for (const word of wordsB) {
+    if (counts.get(word) > 0) {
+      common++;
+      counts.set(word, counts.get(word) - 1);
+    }
+  }
+
+  return (2 * common) / (wordsA.length + wordsB.length);
+}
+
+/**
+ * Normalize whitespace so re-wrapped text does not count as a change
+ */
+function normalizeText(text) {
+  return (text || '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Turn removed and inserted slides between the same matched slides into updates
+ * A slide rewritten in place is too different to be matched, but removing it
+ * would trash its images; pairs are flagged as rewritten for the preview
+ * @param {Array<Object>} changes - Changes in new deck order
+ * @returns {Array<Object>}
+ */
+function pairRewrites(changes) {
+  const result = [];
+  let gap = [];
+
+  const flushGap = () => {
+    const removes = gap.filter(change => change.type === 'remove');
+    const pairs = Math.min(removes.length, gap.length - removes.length);
+    let removeIndex = 0;
+    let insertIndex = 0;
+
+    for (const change of gap) {
+      if (change.type === 'remove') {
+        if (removeIndex++ >= pairs) {
+          result.push(change);
+        }
+      } else if (insertIndex < pairs) {
+        const removed = removes[insertIndex++];
+        result.push({
+          type: 'update',
+          slideId: removed.slideId,
+          before: removed.speakerNotes,
+          after: change.slide.speakerNotes,
+          similarity: Math.round(getTextSimilarity(removed.speakerNotes, change.slide.speakerNotes) * 100) / 100,
+          rewritten: true,
+          slide: change.slide
+        });
+      } else {
+        result.push(change);
+      }
+    }
+    gap = [];
+  };
+
+  for (const change of changes) {
+    if (change.type === 'remove' || change.type === 'insert') {
+      gap.push(change);
+    } else {
+      flushGap();
+      result.push(change);
+    }
+  }
+  flushGap();
+
+  return result;
+}
+
+/**
+ * Align current slides with new slides
+ * Finds the in-order matching with the highest total similarity (like a diff,
+ * but lines are compared fuzzily)
+ * @param {Array<Object>} currentSlides - Slides in deck order
+ * @param {Array<Object>} newSlides - Parsed slides ({ speakerNotes, ... })
+ * @returns {Array<Object>} - Changes in new deck order, removed slides at the position they leave:
+ *   { type: 'unchanged', slideId, speakerNotes }
+ *   { type: 'update', slideId, before, after, similarity, rewritten?, slide }
+ *   { type: 'insert', slide }
+ *   { type: 'remove', slideId, speakerNotes, imageCount }
+ */
+export function diffSlides(currentSlides, newSlides) {
+  const rows = currentSlides.length;
+  const cols = newSlides.length;
+
+  const similarity = currentSlides.map(current =>
+    newSlides.map(slide => getTextSimilarity(current.speakerNotes, slide.speakerNotes))
+  );
+
+  // score[i][j]: best total similarity aligning the first i current and j new slides
+  const score = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+  for (let i = 1; i <= rows; i++) {
+    for (let j = 1; j <= cols; j++) {
+      const match = similarity[i - 1][j - 1] >= MATCH_THRESHOLD
+        ? score[i - 1][j - 1] + similarity[i - 1][j - 1]
+        : -Infinity;
+      score[i][j] = Math.max(score[i - 1][j], score[i][j - 1], match);
+    }
+  }
+
+  const changes = [];
+  let i = rows;
+  let j = cols;
+  while (i > 0 || j > 0) {
+    const current = currentSlides[i - 1];
+    const slide = newSlides[j - 1];
+
+    if (i > 0 && j > 0 && similarity[i - 1][j - 1] >= MATCH_THRESHOLD &&
+        score[i][j] === score[i - 1][j - 1] + similarity[i - 1][j - 1]) {
+      if (normalizeText(current.speakerNotes) === normalizeText(slide.speakerNotes)) {
+        changes.push({ type: 'unchanged', slideId: current.id, speakerNotes: current.speakerNotes });
+      } else {
+        changes.push({
+          type: 'update',
+          slideId: current.id,
+          before: current.speakerNotes,
+          after: slide.speakerNotes,
+          similarity: Math.round(similarity[i - 1][j - 1] * 100) / 100,
+          slide
+        });
+      }
+      i--;
+      j--;
+    } else if (j > 0 && (i === 0 || score[i][j] === score[i][j - 1])) {
+      changes.push({ type: 'insert', slide });
+      j--;
+    } else {
+      changes.push({
+        type: 'remove',
+        slideId: current.id,
+        speakerNotes: current.speakerNotes,
+        imageCount: current.generatedImages?.length || 0
+      });
+      i--;
+    }
+  }
+
+  return pairRewrites(changes.reverse());
+}
+
+/**
+ * Count the changes by type
+ */
+function summarize(changes) {
+  const count = type => changes.filter(change => change.type === type).length;
+  return {
+    unchanged: count('unchanged'),
+    updated: count('update'),
+    inserted: count('insert'),
+    removed: count('remove')
+  };
+}
+
+/**
+ * Preview a text sync without changing the deck
+ * @param {string} deckId - Deck ID
+ * @param {string} text - Edited text
+ * @param {string} format - 'text' or 'markdown'
+ * @returns {Promise<{ changes: Array<Object>, summary: Object }>}
+ */
+export async function previewTextSync(deckId, text, format = 'text') {
+  const currentSlides = await fileSystem.getSlides(deckId);
+  const changes = diffSlides(currentSlides, parseSlides(text, format));
+  return { changes, summary: summarize(changes) };
+}
+
+/**
+ * Apply a text sync
+ * The deck is snapshotted first (trigger 'sync-text'). Changed slides get the
+ * new speaker notes, scene start and no-images flag of the parsed slide and
+ * their description unlocked so it can be regenerated (a Markdown description
+ * or scene style replaces the current one); unchanged slides are left alone,
+ * removed slides go to the trash.
+ * @returns {Promise<{ changes: Array<Object>, summary: Object, slides: Array<Object> }>}
+ */
+export async function applyTextSync(deckId, text, format = 'text') {
+  const { changes, summary } = await previewTextSync(deckId, text, format);
+
+  if (summary.updated + summary.inserted + summary.removed > 0) {
+    await snapshots.createAutomaticSnapshot(deckId, 'sync-text');
+  }
+
+  for (const change of changes) {
+    if (change.type === 'update') {
+      const { imageDescription, noImages, sceneStart, sceneVisualStyle } = change.slide;
+      await fileSystem.updateSlide(deckId, change.slideId, {
+        speakerNotes: change.after,
+        noImages,
+        sceneStart,
+        descriptionLocked: false,
+        // Only Markdown has descriptions and scene styles; plain text keeps the current ones
+        ...(imageDescription && { imageDescription }),
+        ...(sceneVisualStyle && { sceneVisualStyle })
+      });
+    } else if (change.type === 'remove') {
+      await fileSystem.deleteSlide(deckId, change.slideId);
+    }
+  }
+
+  const inserts = changes.filter(change => change.type === 'insert');
+  if (inserts.length > 0) {
+    const created = await fileSystem.insertSlides(deckId, inserts.map(change => change.slide));
+    inserts.forEach((change, index) => {
+      change.slideId = created[index].id;
+    });
+
+    const slideIds = changes.filter(change => change.type !== 'remove').map(change => change.slideId);
+    await fileSystem.reorderSlides(deckId, slideIds);
+  }
+
+  return { changes, summary, slides: await fileSystem.getSlides(deckId) };
+}
+
+export default {
+  getTextSimilarity,
+  diffSlides,
+  previewTextSync,
+  applyTextSync
+};
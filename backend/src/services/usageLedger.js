@@ -0,0 +1,235 @@
+import * as fileSystem from './fileSystem.js';
+
+/**
+ * Usage Ledger
+ * Records every AI provider call (image generation/edit, description) so
+ * usage can be reported per deck and per day, and enforces daily budgets
+ *
+ * Record shape:
+ * {
+ *   timestamp, deckId, slideId,
+ *   kind: 'image' | 'description',
+ *   operation: 'generate' | 'edit' | 'describe' | 'summarize-style',
+ *   service, model,
+ *   images, inputTokens, outputTokens,
+ *   latencyMs, success, error
+ * }
+ */
+
+// Reports cover the last 30 days unless a range is given
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Get a UTC day (YYYY-MM-DD)
+ */
+export function toDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Append a usage record
+ * Never throws - a failed write must not fail the generation it describes
+ * @param {Object} record - Usage fields (timestamp is added)
+ */
+export async function recordUsage(record) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    deckId: null,
+    slideId: null,
+    images: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    error: null,
+    ...record
+  };
+
+  try {
+    await fileSystem.appendUsageRecord(entry);
+  } catch (error) {
+    console.error('[Usage] Failed to record usage:', error.message);
+  }
+
+  return entry;
+}
+
+/**
+ * Run a provider call and record its usage and latency
+ * @param {Object} context - { deckId, slideId, kind, operation, service, model }
+ * @param {Function} fn - Async function performing the call
+ * @param {Function} getUsage - Maps the result to usage fields ({ images, inputTokens, outputTokens })
+ * @returns {Promise<*>} - Result of fn (errors are recorded and rethrown)
+ */
+export async function trackUsage(context, fn, getUsage = () => ({})) {
+  const startedAt = Date.now();
+
+  try {
+    const result = await fn();
+    await recordUsage({
+      ...context,
+      ...getUsage(result),
+      latencyMs: Date.now() - startedAt,
+      success: true
+    });
+    return result;
+  } catch (error) {
+    await recordUsage({
+      ...context,
+      latencyMs: Date.now() - startedAt,
+      success: false,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Create empty usage totals
+ */
+function emptyTotals() {
+  return {
+    calls: 0,
+    failed: 0,
+    images: 0,
+    descriptions: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    totalLatencyMs: 0
+  };
+}
+
+/**
+ * Add a record to usage totals
+ * Only successful calls count as images/descriptions
+ */
+function addToTotals(totals, record) {
+  totals.calls++;
+  totals.totalLatencyMs += record.latencyMs || 0;
+  totals.inputTokens += record.inputTokens || 0;
+  totals.outputTokens += record.outputTokens || 0;
+
+  if (!record.success) {
+    totals.failed++;
+  } else if (record.kind === 'image') {
+    totals.images += record.images || 0;
+  } else if (record.kind === 'description') {
+    totals.descriptions++;
+  }
+}
+
+/**
+ * Replace the latency sum with an average for API responses
+ */
+function finalizeTotals({ totalLatencyMs, ...totals }) {
+  return {
+    ...totals,
+    avgLatencyMs: totals.calls > 0 ? Math.round(totalLatencyMs / totals.calls) : 0
+  };
+}
+
+/**
+ * Aggregate usage for a range of days
+ * @param {Object} options - { deckId, from, to } (days as YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object>} - { from, to, deckId, totals, byService, byDeck, byDay }
+ */
+export async function getUsageSummary({ deckId = null, from = null, to = null } = {}) {
+  const rangeTo = to || toDay();
+  const rangeFrom = from || toDay(new Date(Date.parse(rangeTo) - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000));
+
+  const records = (await fileSystem.getUsageRecords(rangeFrom, rangeTo))
+    .filter(record => !deckId || record.deckId === deckId);
+
+  const totals = emptyTotals();
+  const byService = {};
+  const byDeck = {};
+  const byDay = {};
+
+  for (const record of records) {
+    const serviceKey = record.service || 'unknown';
+    const deckKey = record.deckId || 'none';
+    const dayKey = record.timestamp.slice(0, 10);
+
+    addToTotals(totals, record);
+    addToTotals(byService[serviceKey] ||= emptyTotals(), record);
+    addToTotals(byDeck[deckKey] ||= emptyTotals(), record);
+    addToTotals(byDay[dayKey] ||= emptyTotals(), record);
+  }
+
+  // Resolve deck names (decks may have been deleted since)
+  const decks = [];
+  for (const [id, deckTotals] of Object.entries(byDeck)) {
+    let name = null;
+    if (id !== 'none') {
+      try {
+        name = (await fileSystem.getDeck(id)).name;
+      } catch {
+        // Deleted deck
+      }
+    }
+    decks.push({ deckId: id === 'none' ? null : id, name, ...finalizeTotals(deckTotals) });
+  }
+
+  return {
+    from: rangeFrom,
+    to: rangeTo,
+    deckId,
+    totals: finalizeTotals(totals),
+    byService: Object.fromEntries(
+      Object.entries(byService).map(([service, serviceTotals]) => [service, finalizeTotals(serviceTotals)])
+    ),
+    byDeck: decks.sort((a, b) => b.calls - a.calls),
+    byDay: Object.keys(byDay).sort().map(day => ({ date: day, ...finalizeTotals(byDay[day]) }))
+  };
+}
+
+/**
+ * Get today's budgets and usage
+ * @returns {Promise<Object>} - { date, images: { used, limit }, descriptions: { used, limit } }
+ */
+export async function getDailyBudgetStatus() {
+  const settings = await fileSystem.getSettings();
+  const budgets = settings.usageBudgets || {};
+  const today = toDay();
+
+  const totals = emptyTotals();
+  for (const record of await fileSystem.getUsageRecords(today, today)) {
+    addToTotals(totals, record);
+  }
+
+  return {
+    date: today,
+    images: { used: totals.images, limit: budgets.dailyImages ?? null },
+    descriptions: { used: totals.descriptions, limit: budgets.dailyDescriptions ?? null }
+  };
+}
+
+/**
+ * Check whether a planned bulk operation fits into today's budget
+ * @param {string} kind - 'images' or 'descriptions'
+ * @param {number} planned - Number of images/descriptions the operation will create
+ * @returns {Promise<{ allowed: boolean, used: number, limit: number|null, planned: number, message: string|null }>}
+ */
+export async function checkDailyBudget(kind, planned) {
+  const status = await getDailyBudgetStatus();
+  const { used, limit } = status[kind];
+  const allowed = limit === null || used + planned <= limit;
+  const label = kind === 'images' ? 'image' : 'description';
+
+  return {
+    allowed,
+    used,
+    limit,
+    planned,
+    message: allowed
+      ? null
+      : `Daily ${label} budget exceeded: ${used} of ${limit} ${kind} used today, this operation needs ${planned} more`
+  };
+}
+
+export default {
+  toDay,
+  recordUsage,
+  trackUsage,
+  getUsageSummary,
+  getDailyBudgetStatus,
+  checkDailyBudget
+};
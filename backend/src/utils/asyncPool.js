@@ -12,15 +12,29 @@ const DEFAULT_CONCURRENCY = parseInt(process.env.MAX_CONCURRENT_GENERATIONS) ||
  * Execute tasks in parallel with concurrency limit
  * @param {Array<Function>} tasks - Array of async functions to execute
  * @param {number} concurrency - Max number of concurrent executions
+ * @param {Object} options - Optional settings
+ * @param {Function} options.shouldRun - Async check before each task starts;
+ *   resolving false skips the task (status 'cancelled'). Can be used to pause
+ *   by delaying resolution.
  * @returns {Promise<Array>} - Array of results with status
  */
-export async function executeInParallel(tasks, concurrency = DEFAULT_CONCURRENCY) {
+export async function executeInParallel(tasks, concurrency = DEFAULT_CONCURRENCY, options = {}) {
+  const { shouldRun } = options;
   const limit = pLimit(concurrency);
   const results = [];
 
   // Wrap each task with limit and error handling
   const promises = tasks.map((task, index) =>
     limit(async () => {
+      if (shouldRun && !(await shouldRun())) {
+        return {
+          index,
+          status: 'cancelled',
+          data: null,
+          error: 'Cancelled'
+        };
+      }
+
       try {
         const result = await task();
         return {
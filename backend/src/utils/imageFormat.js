@@ -0,0 +1,95 @@
+/**
+ * Image format utilities
+ * Aspect ratio and target resolution are deck-level settings that drive
+ * prompt building, provider options, cropping and export layouts
+ */
+
+// Supported deck aspect ratios (width:height)
+export const ASPECT_RATIOS = ['16:9', '4:3', '3:2', '1:1', '9:16'];
+
+// Target resolutions, as the length of the image's long edge in pixels
+export const RESOLUTIONS = {
+  '1K': 1280,
+  '2K': 1920,
+  '4K': 3840
+};
+
+// How images are cropped to the aspect ratio:
+// 'center' keeps the middle, 'attention' / 'entropy' use sharp's smart crop strategies
+export const CROP_STRATEGIES = ['center', 'attention', 'entropy'];
+
+export const DEFAULT_ASPECT_RATIO = '16:9';
+export const DEFAULT_RESOLUTION = '2K';
+export const DEFAULT_CROP_STRATEGY = 'center';
+
+/**
+ * Parse an aspect ratio string into a number (width / height)
+ * @param {string} aspectRatio - e.g. '16:9'
+ * @returns {number} - e.g. 1.777
+ */
+export function parseAspectRatio(aspectRatio) {
+  const [w, h] = (aspectRatio || DEFAULT_ASPECT_RATIO).split(':').map(Number);
+  if (!w || !h) {
+    throw new Error(`Invalid aspect ratio: ${aspectRatio}`);
+  }
+  return w / h;
+}
+
+/**
+ * Pick the supported aspect ratio closest to a page size (e.g. of an imported presentation)
+ * @param {number} width - Page width (any unit)
+ * @param {number} height - Page height (same unit)
+ * @returns {string|undefined} - e.g. '4:3', or undefined without a valid size
+ */
+export function getClosestAspectRatio(width, height) {
+  if (!width || !height) {
+    return undefined;
+  }
+
+  const ratio = width / height;
+  return ASPECT_RATIOS.reduce((best, candidate) =>
+    Math.abs(parseAspectRatio(candidate) - ratio) < Math.abs(parseAspectRatio(best) - ratio) ? candidate : best
+  );
+}
+
+/**
+ * Calculate target pixel dimensions for an aspect ratio and resolution
+ * The resolution sets the long edge, so portrait formats keep their detail
+ * @param {string} aspectRatio - e.g. '9:16'
+ * @param {string} resolution - '1K', '2K' or '4K'
+ * @returns {{ width: number, height: number }}
+ */
+export function getImageDimensions(aspectRatio = DEFAULT_ASPECT_RATIO, resolution = DEFAULT_RESOLUTION) {
+  const ratio = parseAspectRatio(aspectRatio);
+  const longEdge = RESOLUTIONS[resolution] || RESOLUTIONS[DEFAULT_RESOLUTION];
+
+  return ratio >= 1
+    ? { width: longEdge, height: Math.round(longEdge / ratio) }
+    : { width: Math.round(longEdge * ratio), height: longEdge };
+}
+
+/**
+ * Get a deck's image format, falling back to defaults for older decks
+ * @param {Object} deck - Deck object
+ * @returns {{ aspectRatio: string, resolution: string, cropStrategy: string }}
+ */
+export function getDeckImageFormat(deck) {
+  return {
+    aspectRatio: deck?.aspectRatio || DEFAULT_ASPECT_RATIO,
+    resolution: deck?.resolution || DEFAULT_RESOLUTION,
+    cropStrategy: deck?.cropStrategy || DEFAULT_CROP_STRATEGY
+  };
+}
+
+export default {
+  ASPECT_RATIOS,
+  RESOLUTIONS,
+  CROP_STRATEGIES,
+  DEFAULT_ASPECT_RATIO,
+  DEFAULT_RESOLUTION,
+  DEFAULT_CROP_STRATEGY,
+  parseAspectRatio,
+  getClosestAspectRatio,
+  getImageDimensions,
+  getDeckImageFormat
+};
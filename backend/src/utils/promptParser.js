@@ -1,15 +1,24 @@
+import { DEFAULT_ASPECT_RATIO } from './imageFormat.js';
+
 /**
  * Prompt Parser Utility
  * Handles parsing of @entity references in text and building full prompts for AI generation
  */
 
+// @Entity-Name, optionally with an image label: @Entity-Name:side-profile
+const ENTITY_REFERENCE_PATTERN = /@([a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]|[a-zA-Z0-9])(?::([a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]|[a-zA-Z0-9]))?/g;
+
+// How an entity's reference images are chosen when it is referenced
+export const ENTITY_IMAGE_MODES = ['first', 'all', 'best'];
+
 /**
- * Find entity by name (case-insensitive)
- * @param {string} entityName - Entity name to search for
+ * Find entity by name or alias (case-insensitive)
+ * Names take precedence over aliases
+ * @param {string} entityName - Entity name or alias to search for
  * @param {object} entities - Entity mapping from deck
- * @returns {object|null} - Entity data or null if not found
+ * @returns {object|null} - { key, entity } or null if not found
  */
-function findEntityCaseInsensitive(entityName, entities = {}) {
+export function findEntity(entityName, entities = {}) {
   // First try exact match (for performance)
   if (entities[entityName]) {
     return { key: entityName, entity: entities[entityName] };
@@ -23,11 +32,28 @@ function findEntityCaseInsensitive(entityName, entities = {}) {
     }
   }
 
+  // Then aliases (@Bob for Robert-Smith)
+  for (const [key, entity] of Object.entries(entities)) {
+    if ((entity.aliases || []).some(alias => alias.toLowerCase() === lowerEntityName)) {
+      return { key, entity };
+    }
+  }
+
   return null;
 }
 
+/**
+ * Get an entity's name as used in prompts ("Robert-Smith" -> "Robert Smith")
+ */
+function toDisplayName(entityName) {
+  return entityName.replace(/-/g, ' ');
+}
+
 /**
  * Parse and replace @entity references in text
+ * References resolve by name or alias to the entity's name; the first mention
+ * of an entity with a description is followed by it in parentheses.
+ * Image labels (@Bob:side-profile) only pick reference images and are dropped.
  * @param {string} text - Text containing @entity references
  * @param {object} entities - Entity mapping from deck (entityName -> entity data)
  * @returns {object} - { parsedText: string, unknownEntities: string[] }
@@ -38,30 +64,23 @@ export function parseEntityReferences(text, entities = {}) {
   }
 
   const unknownEntities = [];
-  let parsedText = text;
+  const described = new Set();
 
-  // Find all @EntityName patterns
-  // Pattern: @ followed by letters, numbers, and hyphens (but not spaces)
-  const entityPattern = /@([a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]|[a-zA-Z0-9])/g;
-
-  const matches = text.matchAll(entityPattern);
-
-  for (const match of matches) {
-    const fullMatch = match[0]; // e.g., "@The-Office"
-    const entityName = match[1]; // e.g., "The-Office"
-
-    const found = findEntityCaseInsensitive(entityName, entities);
-    if (found) {
-      // Replace @Entity-Name with "Entity Name" (remove hyphens, normalize)
-      // Use the actual entity key for consistency
-      const humanReadableName = found.key.replace(/-/g, ' ');
-      parsedText = parsedText.replace(fullMatch, humanReadableName);
-    } else {
+  const parsedText = text.replace(ENTITY_REFERENCE_PATTERN, (fullMatch, entityName) => {
+    const found = findEntity(entityName, entities);
+    if (!found) {
       // Entity not found, keep original but track it
       unknownEntities.push(entityName);
-      // Keep the @ reference as-is
+      return fullMatch;
     }
-  }
+
+    const description = found.entity.description?.trim();
+    if (description && !described.has(found.key)) {
+      described.add(found.key);
+      return `${toDisplayName(found.key)} (${description.replace(/[.\s]+$/, '')})`;
+    }
+    return toDisplayName(found.key);
+  });
 
   return {
     parsedText,
@@ -69,51 +88,157 @@ export function parseEntityReferences(text, entities = {}) {
   };
 }
 
+// Prompt length limit for image services that do not declare their own
+export const MAX_PROMPT_LENGTH = 2000;
+
+// Template values shortened when a prompt is too long, in order
+const SHORTEN_ORDER = ['style', 'scene', 'description'];
+
+// Placeholders available in prompt templates
+export const PROMPT_PLACEHOLDERS = ['style', 'description', 'entities', 'theme', 'scene', 'aspectRatio'];
+
+// Template used when a deck has none: style, theme guidance, description, format guidance
+export const DEFAULT_PROMPT_TEMPLATE =
+  '{style}. {theme}. {description}. {aspectRatio} aspect ratio, presentation quality, detailed, professional.';
+
+/**
+ * Find placeholders in a template that are not supported
+ * @param {string} template - Prompt template
+ * @returns {string[]} - Unknown placeholder names
+ */
+export function getUnknownPlaceholders(template) {
+  const names = [...(template || '').matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+  return [...new Set(names.filter(name => !PROMPT_PLACEHOLDERS.includes(name)))];
+}
+
+/**
+ * Fill in a prompt template
+ * Empty placeholders are dropped together with their separator, so
+ * "{style}. {description}" without a style becomes just the description
+ * @param {string} template - Template with {placeholder}s
+ * @param {object} values - Placeholder values
+ * @returns {string} - Rendered text
+ */
+export function renderPromptTemplate(template, values) {
+  // Values end without a period; the template supplies the punctuation
+  const clean = Object.fromEntries(
+    Object.entries(values).map(([name, value]) => [name, (value || '').trim().replace(/[.\s]+$/, '')])
+  );
+  const isEmpty = name => name in clean && !clean[name];
+
+  return template
+    .replace(/\{(\w+)\}[ \t]*[.,;:][ \t]*/g, (match, name) => (isEmpty(name) ? '' : match))
+    .replace(/[ \t]*[.,;:]?[ \t]*\{(\w+)\}/g, (match, name) => (isEmpty(name) ? '' : match))
+    .replace(/\{(\w+)\}/g, (match, name) => (name in clean ? clean[name] : match))
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Cut text to at most maxLength characters at a word boundary
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length
+ * @returns {string} - Shortened text without trailing punctuation
+ */
+export function truncateAtWord(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  if (maxLength <= 0) {
+    return '';
+  }
+
+  const cut = text.slice(0, maxLength + 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  // Fall back to a hard cut for text without spaces near the end
+  const shortened = lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut.slice(0, maxLength);
+  return shortened.replace(/[\s.,;:-]+$/, '');
+}
+
 /**
  * Build full prompt for AI image generation
- * Combines visual style + processed description + theme image guidance + quality notes
- * @param {string} visualStyle - Deck's visual style description
+ * Fills the deck's prompt template (default: visual style + theme image guidance +
+ * processed description + quality notes)
+ * Prompts over maxLength are shortened instead of rejected: the visual style
+ * first, then the scene style, then the description
+ * @param {string} visualStyle - Effective visual style (slide, scene or deck)
  * @param {string} imageDescription - Slide's image description (may contain @entities)
  * @param {object} entities - Entity mapping from deck
  * @param {array} themeImages - Array of theme image filenames
- * @returns {object} - { prompt: string, unknownEntities: string[] }
+ * @param {object} options - {
+ *   aspectRatio: deck's aspect ratio (default 16:9),
+ *   template: deck's prompt template (default DEFAULT_PROMPT_TEMPLATE),
+ *   sceneStyle: style of the slide's scene, for {scene},
+ *   negativePrompt: what the image should not contain,
+ *   maxLength: longest allowed prompt (default MAX_PROMPT_LENGTH, null to allow any length)
+ * }
+ * @returns {object} - {
+ *   prompt: string, negativePrompt: string|null, unknownEntities: string[], parsedDescription: string,
+ *   truncation: { originalLength, maxLength, shortened: ['style' | 'scene' | 'description' | 'prompt'] } | null,
+ *   warnings: string[]
+ * }
  */
-export function buildFullPrompt(visualStyle, imageDescription, entities = {}, themeImages = []) {
+export function buildFullPrompt(visualStyle, imageDescription, entities = {}, themeImages = [], {
+  aspectRatio = DEFAULT_ASPECT_RATIO,
+  template = null,
+  sceneStyle = '',
+  negativePrompt = null,
+  maxLength = MAX_PROMPT_LENGTH
+} = {}) {
   // Parse entity references in image description
   const { parsedText, unknownEntities } = parseEntityReferences(imageDescription, entities);
 
-  // Build complete prompt
-  const parts = [];
-
-  // Add visual style if present
-  if (visualStyle && visualStyle.trim()) {
-    parts.push(visualStyle.trim());
-  }
-
-  // Add theme image guidance if present
-  if (themeImages && themeImages.length > 0) {
-    parts.push(`Follow the visual style and tone shown in the provided reference images (${themeImages.length} theme image${themeImages.length > 1 ? 's' : ''} available)`);
-  }
-
-  // Add processed image description if present
-  if (parsedText && parsedText.trim()) {
-    parts.push(parsedText.trim());
-  }
-
   // If both visual style and description are empty, return error indicator
-  if (parts.length === 0 || (parts.length === 1 && themeImages.length > 0)) {
+  if (!visualStyle?.trim() && !parsedText.trim()) {
     throw new Error('Cannot generate image: both visual style and image description are empty');
   }
 
-  // Add quality/format guidance
-  parts.push('16:9 aspect ratio, presentation quality, detailed, professional.');
+  const entityNames = [...new Set(getReferencedEntityImages(imageDescription, entities).map(entity => entity.displayName))];
+
+  const values = {
+    style: visualStyle,
+    description: parsedText,
+    entities: entityNames.length > 0
+      ? `Keep the appearance of ${entityNames.join(', ')} consistent with the provided reference images`
+      : '',
+    theme: themeImages && themeImages.length > 0
+      ? `Follow the visual style and tone shown in the provided reference images (${themeImages.length} theme image${themeImages.length > 1 ? 's' : ''} available)`
+      : '',
+    scene: sceneStyle,
+    aspectRatio
+  };
+  const render = () => renderPromptTemplate(template || DEFAULT_PROMPT_TEMPLATE, values);
+  let prompt = render();
+
+  // Shorten prompts over the service's limit, style first
+  let truncation = null;
+  const warnings = [];
+  if (maxLength && prompt.length > maxLength) {
+    truncation = { originalLength: prompt.length, maxLength, shortened: [] };
+
+    for (const name of SHORTEN_ORDER) {
+      const excess = prompt.length - maxLength;
+      if (excess <= 0) {
+        break;
+      }
+      if (!values[name]?.trim()) {
+        continue;
+      }
+      values[name] = truncateAtWord(values[name].trim(), values[name].trim().length - excess);
+      truncation.shortened.push(name);
+      prompt = render();
+    }
 
-  // Join with periods
-  const prompt = parts.join('. ');
+    // The rest of the template alone is too long
+    if (prompt.length > maxLength) {
+      prompt = truncateAtWord(prompt, maxLength);
+      truncation.shortened.push('prompt');
+    }
 
-  // Validate prompt length (AI services typically have limits)
-  if (prompt.length > 2000) {
-    throw new Error(`Prompt too long: ${prompt.length} characters (max 2000). Please shorten the visual style or image description.`);
+    warnings.push(
+      `Prompt shortened from ${truncation.originalLength} to ${prompt.length} characters ` +
+      `(max ${maxLength}) by cutting the ${truncation.shortened.join(', ')}`
+    );
   }
 
   if (prompt.length < 1) {
@@ -122,13 +247,17 @@ export function buildFullPrompt(visualStyle, imageDescription, entities = {}, th
 
   return {
     prompt,
-    unknownEntities
+    negativePrompt: negativePrompt?.trim() || null,
+    unknownEntities,
+    parsedDescription: parsedText.trim(),
+    truncation,
+    warnings
   };
 }
 
 /**
  * Extract all @entity references from text
- * Returns array of entity names (without @ prefix)
+ * Returns array of entity names (without @ prefix or image label)
  * @param {string} text - Text to extract entities from
  * @returns {string[]} - Array of entity names
  */
@@ -137,8 +266,7 @@ export function extractEntityReferences(text) {
     return [];
   }
 
-  const entityPattern = /@([a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]|[a-zA-Z0-9])/g;
-  const matches = text.matchAll(entityPattern);
+  const matches = text.matchAll(ENTITY_REFERENCE_PATTERN);
   const entities = [];
 
   for (const match of matches) {
@@ -149,6 +277,36 @@ export function extractEntityReferences(text) {
   return [...new Set(entities)];
 }
 
+/**
+ * Turn plain mentions of entity names into @entity references
+ * Names match as whole words with the entity's own casing, so common words stay
+ * plain text; hyphens in entity names also match spaces ("The Office" -> @The-Office).
+ * Aliases match too and stay as written (@Bob). Longer names win over shorter ones.
+ * @param {string} text - Plain text (e.g. imported speaker notes)
+ * @param {object} entities - Available entities (entityName -> entity data)
+ * @returns {string} - Text with @entity references
+ */
+export function addEntityReferences(text, entities = {}) {
+  if (!text) {
+    return '';
+  }
+
+  const names = Object.entries(entities)
+    .flatMap(([name, entity]) => [name, ...(entity.aliases || [])])
+    .sort((a, b) => b.length - a.length);
+  if (names.length === 0) {
+    return text;
+  }
+
+  const alternatives = names.map(name => name.split('-').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[\\s-]+'));
+  const pattern = new RegExp(`(?<![@a-zA-Z0-9-])(${alternatives.join('|')})(?![a-zA-Z0-9-])`, 'g');
+
+  return text.replace(pattern, (match) => {
+    const key = match.replace(/[\s-]+/g, '-');
+    return names.includes(key) ? `@${key}` : match;
+  });
+}
+
 /**
  * Validate entity references in text against available entities
  * Returns list of unknown entity references
@@ -161,7 +319,7 @@ export function validateEntityReferences(text, entities = {}) {
   const unknownEntities = [];
 
   for (const entityName of referencedEntities) {
-    const found = findEntityCaseInsensitive(entityName, entities);
+    const found = findEntity(entityName, entities);
     if (!found) {
       unknownEntities.push(entityName);
     }
@@ -172,30 +330,24 @@ export function validateEntityReferences(text, entities = {}) {
 
 /**
  * Suggest entity names based on partial input (for autocomplete)
+ * Entities also match by alias; the suggestion is then the alias
  * @param {string} partial - Partial entity name (without @)
  * @param {object} entities - Available entities from deck
  * @returns {Array<{name: string, displayName: string}>} - Matching entities
  */
 export function suggestEntities(partial, entities = {}) {
+  const candidates = Object.entries(entities).flatMap(([entityName, entity]) => [
+    { name: entityName, displayName: toDisplayName(entityName) },
+    ...(entity.aliases || []).map(alias => ({ name: alias, displayName: `${toDisplayName(alias)} (${toDisplayName(entityName)})` }))
+  ]);
+
   if (!partial) {
     // Return all entities if no partial input
-    return Object.keys(entities).map(name => ({
-      name,
-      displayName: name.replace(/-/g, ' ')
-    }));
+    return candidates.filter(candidate => entities[candidate.name]);
   }
 
   const partialLower = partial.toLowerCase();
-  const suggestions = [];
-
-  for (const entityName of Object.keys(entities)) {
-    if (entityName.toLowerCase().includes(partialLower)) {
-      suggestions.push({
-        name: entityName,
-        displayName: entityName.replace(/-/g, ' ')
-      });
-    }
-  }
+  const suggestions = candidates.filter(candidate => candidate.name.toLowerCase().includes(partialLower));
 
   // Sort by relevance (exact match first, then starts-with, then contains)
   suggestions.sort((a, b) => {
@@ -220,25 +372,93 @@ export function suggestEntities(partial, entities = {}) {
 }
 
 /**
- * Get entity image paths from referenced entities
+ * Split text into lowercase words for matching image labels
+ */
+function toWords(text) {
+  return (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 1);
+}
+
+/**
+ * Choose which of an entity's images to send for a reference
+ * An image label in the reference (@Bob:side-profile) picks that image; otherwise
+ * the entity's image mode decides: "first" image, "all" images, or the "best"
+ * image for the text - the one whose label shares most words with it (the first
+ * image when no label matches)
+ * @param {object} entity - Entity with images, imageLabels and imageMode
+ * @param {string[]} labels - Image labels given in references to the entity
+ * @param {string} text - Text the entity is referenced in
+ * @returns {string[]} - Image filenames
+ */
+export function selectEntityImages(entity, labels = [], text = '') {
+  const images = entity.images || [];
+  const imageLabels = entity.imageLabels || {};
+  if (images.length === 0) {
+    return [];
+  }
+
+  const wanted = labels.map(label => label.toLowerCase());
+  const labelled = images.filter(filename => wanted.includes((imageLabels[filename] || '').toLowerCase()));
+  if (labelled.length > 0) {
+    return labelled;
+  }
+
+  switch (entity.imageMode) {
+    case 'all':
+      return images;
+    case 'best': {
+      const words = new Set(toWords(text.replace(ENTITY_REFERENCE_PATTERN, ' ')));
+      let best = images[0];
+      let bestScore = 0;
+      for (const filename of images) {
+        const score = toWords(imageLabels[filename]).filter(word => words.has(word)).length;
+        if (score > bestScore) {
+          best = filename;
+          bestScore = score;
+        }
+      }
+      return [best];
+    }
+    default:
+      return [images[0]];
+  }
+}
+
+/**
+ * Get entity images for the entities referenced in text
+ * Which images of an entity are used is decided by selectEntityImages
  * @param {string} text - Text containing @entity references
  * @param {object} entities - Entity mapping from deck
  * @param {string} deckId - Deck ID for building file paths
- * @returns {Array<{entityName: string, imagePath: string}>} - Array of entity image info
+ * @returns {Array<{entityName: string, imageFilename: string, imageLabel: string|null, displayName: string}>} - Array of entity image info
  */
 export function getReferencedEntityImages(text, entities = {}, deckId) {
-  const referencedEntities = extractEntityReferences(text);
-  const entityImages = [];
+  if (!text) {
+    return [];
+  }
 
-  for (const entityName of referencedEntities) {
-    const found = findEntityCaseInsensitive(entityName, entities);
-    if (found && found.entity.images.length > 0) {
-      // Use the first image for each entity
-      const imageFilename = found.entity.images[0];
+  // Image labels per referenced entity, in order of first reference
+  const references = new Map();
+  for (const match of text.matchAll(ENTITY_REFERENCE_PATTERN)) {
+    const found = findEntity(match[1], entities);
+    if (!found) {
+      continue;
+    }
+    if (!references.has(found.key)) {
+      references.set(found.key, { entity: found.entity, labels: [] });
+    }
+    if (match[2]) {
+      references.get(found.key).labels.push(match[2]);
+    }
+  }
+
+  const entityImages = [];
+  for (const [key, { entity, labels }] of references) {
+    for (const imageFilename of selectEntityImages(entity, labels, text)) {
       entityImages.push({
-        entityName: found.key, // Use the actual entity key
+        entityName: key, // Use the actual entity key
         imageFilename,
-        displayName: found.key.replace(/-/g, ' ')
+        imageLabel: entity.imageLabels?.[imageFilename] || null,
+        displayName: toDisplayName(key)
       });
     }
   }
@@ -247,10 +467,20 @@ export function getReferencedEntityImages(text, entities = {}, deckId) {
 }
 
 export default {
+  ENTITY_IMAGE_MODES,
+  MAX_PROMPT_LENGTH,
+  PROMPT_PLACEHOLDERS,
+  DEFAULT_PROMPT_TEMPLATE,
+  findEntity,
   parseEntityReferences,
+  getUnknownPlaceholders,
+  renderPromptTemplate,
+  truncateAtWord,
   buildFullPrompt,
   extractEntityReferences,
+  addEntityReferences,
   validateEntityReferences,
   suggestEntities,
+  selectEntityImages,
   getReferencedEntityImages
 };
@@ -1,3 +1,10 @@
+/**
+ * Convert ~name to @name entity references
+ */
+function convertEntityMarkers(text) {
+  return text.replace(/~([a-zA-Z0-9][a-zA-Z0-9-]*)/g, '@$1');
+}
+
 /**
  * Parse text block into slides, converting ~name to @name notation
  * Lines with bullets (* or -) default to having images (not scene starts)
@@ -36,7 +43,7 @@ export function parseTextToSlides(text) {
     }
 
     // Convert ~name to @name
-    line = line.replace(/~([a-zA-Z0-9][a-zA-Z0-9-]*)/g, '@$1');
+    line = convertEntityMarkers(line);
 
     // Lines with bullets = content slides (have images, not scene starts)
     // Lines without bullets = scene start slides (no images, scene boundaries)
@@ -50,6 +57,185 @@ export function parseTextToSlides(text) {
   return slides;
 }
 
+/**
+ * Append text to a slide field on a new line
+ */
+function appendLine(existing, line) {
+  return existing ? `${existing}\n${line}` : line;
+}
+
+/**
+ * Parse Markdown into slides
+ * - `# Heading` (any level): scene start slide without images; the heading is its speaker notes
+ * - Top-level bullet or numbered item: content slide with images
+ * - Nested bullets and paragraphs: further speaker notes of the current slide
+ * - `> quote`: explicit image description of the current slide (a scene slide then gets images)
+ * - `<!-- style: ... -->` or `<!-- ... -->`: visual style of the current scene; before the first
+ *   heading it starts a scene at the next slide
+ * - `<!-- no-images -->`: the current slide gets no images
+ * Code blocks and horizontal rules are skipped; ~name is converted to @name
+ * @param {string} text - Markdown document
+ * @returns {Array<Object>} - Slides: { speakerNotes, imageDescription, noImages, sceneStart, sceneVisualStyle }
+ */
+export function parseMarkdownToSlides(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const slides = [];
+  let current = null;
+  let scene = null;
+  // Comments seen before the slide they apply to
+  let pending = { sceneVisualStyle: null, noImages: false };
+  let inCodeBlock = false;
+  let comment = null;
+
+  const addSlide = (fields) => {
+    current = {
+      speakerNotes: '',
+      imageDescription: '',
+      noImages: false,
+      sceneStart: false,
+      sceneVisualStyle: null,
+      ...fields
+    };
+    if (pending.sceneVisualStyle) {
+      current.sceneStart = true;
+      current.sceneVisualStyle = pending.sceneVisualStyle;
+      scene = current;
+    }
+    if (pending.noImages) {
+      current.noImages = true;
+    }
+    pending = { sceneVisualStyle: null, noImages: false };
+    slides.push(current);
+    return current;
+  };
+
+  const applyComment = (content) => {
+    const directive = content.trim();
+    if (!directive) return;
+
+    if (/^no[-\s]?images?$/i.test(directive)) {
+      if (current) {
+        current.noImages = true;
+      } else {
+        pending.noImages = true;
+      }
+      return;
+    }
+
+    const style = convertEntityMarkers(directive.replace(/^style\s*:\s*/i, '').trim());
+    if (scene) {
+      scene.sceneVisualStyle = style;
+    } else {
+      pending.sceneVisualStyle = style;
+    }
+  };
+
+  // Windows line endings would keep a trailing \r on every line
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    // Multi-line comment
+    if (comment !== null) {
+      const end = line.indexOf('-->');
+      if (end === -1) {
+        comment = appendLine(comment, line);
+        continue;
+      }
+      applyComment(appendLine(comment, line.slice(0, end)));
+      comment = null;
+      continue;
+    }
+
+    if (/^(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    if (inCodeBlock || !line) {
+      continue;
+    }
+
+    if (line.startsWith('<!--')) {
+      const end = line.indexOf('-->');
+      if (end === -1) {
+        comment = line.slice(4);
+      } else {
+        applyComment(line.slice(4, end));
+      }
+      continue;
+    }
+
+    // Horizontal rule (checked before bullets: "* * *" is not a slide)
+    if (/^([-*_])(\s*\1){2,}$/.test(line)) {
+      continue;
+    }
+
+    const heading = line.match(/^#{1,6}\s+(.*?)\s*#*$/);
+    if (heading) {
+      scene = addSlide({ speakerNotes: convertEntityMarkers(heading[1]), noImages: true, sceneStart: true });
+      continue;
+    }
+
+    const quote = line.match(/^>\s?(.*)$/);
+    if (quote) {
+      const slide = current || addSlide({});
+      const description = convertEntityMarkers(quote[1].trim());
+      if (description) {
+        slide.imageDescription = slide.imageDescription ? `${slide.imageDescription} ${description}` : description;
+        // An explicit description asks for an image, even on a heading slide
+        slide.noImages = false;
+      }
+      continue;
+    }
+
+    const bullet = rawLine.match(/^(\s*)(?:[-*+•]|\d+[.)])\s+(.*)$/);
+    if (bullet) {
+      const indent = bullet[1].replace(/\t/g, '    ').length;
+      const content = convertEntityMarkers(bullet[2].trim());
+      if (!content) continue;
+
+      if (indent < 2 || !current) {
+        addSlide({ speakerNotes: content });
+      } else {
+        current.speakerNotes = appendLine(current.speakerNotes, content);
+      }
+      continue;
+    }
+
+    // Paragraph text continues the current slide's notes
+    const paragraph = convertEntityMarkers(line);
+    if (current) {
+      current.speakerNotes = appendLine(current.speakerNotes, paragraph);
+    } else {
+      addSlide({ speakerNotes: paragraph });
+    }
+  }
+
+  return slides;
+}
+
+/**
+ * Parse text in the given format into slides
+ * @param {string} text - Text block
+ * @param {string} format - 'text' (one slide per line, see parseTextToSlides) or 'markdown'
+ * @returns {Array<Object>} - Slides: { speakerNotes, imageDescription, noImages, sceneStart, sceneVisualStyle }
+ */
+export function parseSlides(text, format = 'text') {
+  if (format === 'markdown') {
+    return parseMarkdownToSlides(text);
+  }
+
+  return parseTextToSlides(text).map(slide => ({
+    speakerNotes: slide.text,
+    imageDescription: '',
+    noImages: slide.noImages,
+    sceneStart: slide.sceneStart,
+    sceneVisualStyle: null
+  }));
+}
+
 /**
  * Extract entity names from text (finds all @name references)
  * @param {string} text - Text containing @name references
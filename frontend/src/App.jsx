@@ -9,6 +9,7 @@ import DeckEditor from './components/DeckEditor';
 import SlideEditor from './components/SlideEditor';
 import SlideDeckView from './components/SlideDeckView';
 import Settings from './components/Settings';
+import Trash from './components/Trash';
 
 // Wrapper to force COMPLETE remount of SlideEditor when slideId OR deckId changes
 function SlideEditorWrapper() {
@@ -66,6 +67,7 @@ function App() {
             <Route path="/decks/:deckId/edit" element={<SlideDeckView />} />
             <Route path="/decks/:deckId/slides/:slideId" element={<SlideEditorWrapper />} />
             <Route path="/settings" element={<Settings />} />
+            <Route path="/trash" element={<Trash />} />
           </Routes>
         </Box>
       </Router>
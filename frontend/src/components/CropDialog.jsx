@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { AutoFixHigh } from '@mui/icons-material';
+import { slideAPI } from '../services/api';
+
+const CENTER = { x: 0.5, y: 0.5 };
+
+/**
+ * Crop box for the deck aspect ratio, as fractions of the original image
+ * Mirrors calculateCropDimensions in backend/src/services/imageProcessor.js
+ */
+function getCropBox(naturalSize, aspectRatio, focalPoint) {
+  const [w, h] = aspectRatio.split(':').map(Number);
+  const targetRatio = w / h;
+  const imageRatio = naturalSize.width / naturalSize.height;
+
+  const width = imageRatio > targetRatio ? targetRatio / imageRatio : 1;
+  const height = imageRatio > targetRatio ? 1 : imageRatio / targetRatio;
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  return {
+    left: clamp(focalPoint.x - width / 2, 1 - width),
+    top: clamp(focalPoint.y - height / 2, 1 - height),
+    width,
+    height,
+  };
+}
+
+export default function CropDialog({ open, onClose, onApply, deckId, slideId, image, aspectRatio = '16:9' }) {
+  const [focalPoint, setFocalPoint] = useState(CENTER);
+  const [naturalSize, setNaturalSize] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open && image) {
+      setFocalPoint(image.crop?.focalPoint || CENTER);
+      setNaturalSize(null);
+      setError(null);
+    }
+  }, [open, image]);
+
+  const handleImageClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    setFocalPoint({
+      x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+      y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1),
+    });
+  };
+
+  const handleApply = async (crop) => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onApply(crop);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const cropBox = naturalSize ? getCropBox(naturalSize, aspectRatio, focalPoint) : null;
+  const isSmartCrop = image?.crop && image.crop.strategy !== 'center' && !image.crop.focalPoint;
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Adjust Crop</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Click the part of the original image that must stay in frame. The {aspectRatio} image is
+          re-created from the original, so you can change the crop as often as you like.
+        </Typography>
+        {isSmartCrop && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            This image currently uses smart crop ({image.crop.strategy}).
+          </Alert>
+        )}
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {image && (
+          <Box display="flex" justifyContent="center" bgcolor="grey.900" p={1}>
+            <Box
+              position="relative"
+              display="inline-block"
+              overflow="hidden"
+              sx={{ cursor: 'crosshair', lineHeight: 0 }}
+              onClick={handleImageClick}
+            >
+              <img
+                src={slideAPI.getOriginalImage(deckId, slideId, image.id)}
+                alt="Original"
+                onLoad={(e) => setNaturalSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+                style={{ display: 'block', maxWidth: '100%', maxHeight: '60vh' }}
+              />
+              {cropBox && (
+                <Box
+                  position="absolute"
+                  sx={{
+                    left: `${cropBox.left * 100}%`,
+                    top: `${cropBox.top * 100}%`,
+                    width: `${cropBox.width * 100}%`,
+                    height: `${cropBox.height * 100}%`,
+                    border: '2px solid white',
+                    boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)',
+                    pointerEvents: 'none',
+                  }}
+                />
+              )}
+              <Box
+                position="absolute"
+                sx={{
+                  left: `${focalPoint.x * 100}%`,
+                  top: `${focalPoint.y * 100}%`,
+                  width: 14,
+                  height: 14,
+                  ml: '-7px',
+                  mt: '-7px',
+                  borderRadius: '50%',
+                  bgcolor: 'primary.main',
+                  border: '2px solid white',
+                  pointerEvents: 'none',
+                }}
+              />
+            </Box>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button
+          startIcon={<AutoFixHigh />}
+          onClick={() => handleApply({ strategy: 'attention', focalPoint: null })}
+          disabled={saving}
+          sx={{ mr: 'auto' }}
+        >
+          Smart Crop
+        </Button>
+        <Button onClick={() => setFocalPoint(CENTER)} disabled={saving}>
+          Reset to Center
+        </Button>
+        <Button onClick={onClose} disabled={saving}>
+          Cancel
+        </Button>
+        <Button
+          variant="contained"
+          onClick={() => handleApply({ strategy: 'center', focalPoint })}
+          disabled={saving}
+          startIcon={saving ? <CircularProgress size={16} /> : null}
+        >
+          Apply
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
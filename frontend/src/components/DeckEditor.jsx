@@ -9,6 +9,7 @@ import {
   Paper,
   Grid,
   Card,
+  CardMedia,
   CardContent,
   CardActions,
   IconButton,
@@ -29,18 +30,46 @@ import {
   FormControl,
   InputLabel,
 } from '@mui/material';
-import { ArrowBack, Add, Delete, Edit, ImageNotSupported, Close, CloudUpload, Refresh, Download } from '@mui/icons-material';
+import { ArrowBack, Add, Delete, Edit, ImageNotSupported, Close, CloudUpload, Refresh, Download, Pause, PlayArrow, Stop } from '@mui/icons-material';
 import { useDeck } from '../hooks/useDecks';
 import { useSlides } from '../hooks/useSlides';
+import { useBulkOperations } from '../hooks/useImages';
 import { slideAPI, exportAPI } from '../services/api';
 import EntityManager from './EntityManager';
 import ThemeImageManager from './ThemeImageManager';
+import PromptTemplateEditor from './PromptTemplateEditor';
+import SnapshotTimeline from './SnapshotTimeline';
+import SyncTextDialog from './SyncTextDialog';
+import SlideBatchActions from './SlideBatchActions';
+import { useSlideSelection } from '../hooks/useSlideSelection';
+import { useStylePresets } from '../hooks/useStylePresets';
+
+// Deck image formats (must match backend/src/utils/imageFormat.js)
+const ASPECT_RATIO_OPTIONS = [
+  { value: '16:9', label: '16:9 (widescreen)' },
+  { value: '4:3', label: '4:3 (standard projector)' },
+  { value: '3:2', label: '3:2' },
+  { value: '1:1', label: '1:1 (square)' },
+  { value: '9:16', label: '9:16 (portrait / stories)' },
+];
+const RESOLUTION_OPTIONS = [
+  { value: '1K', label: '1K (1280px long edge)' },
+  { value: '2K', label: '2K (1920px long edge)' },
+  { value: '4K', label: '4K (3840px long edge)' },
+];
+const CROP_STRATEGY_OPTIONS = [
+  { value: 'center', label: 'Center' },
+  { value: 'attention', label: 'Smart (attention)' },
+  { value: 'entropy', label: 'Smart (entropy)' },
+];
 
 export default function DeckEditor() {
   const { deckId } = useParams();
   const navigate = useNavigate();
   const { deck, loading: deckLoading, updateDeck, refresh } = useDeck(deckId);
-  const { slides, loading: slidesLoading, createSlide, updateSlide, deleteSlide } = useSlides(deckId);
+  const { slides, loading: slidesLoading, refresh: refreshSlides, createSlide, updateSlide, deleteSlide, batchUpdateSlides, addGeneratedImages } = useSlides(deckId);
+  const selection = useSlideSelection(slides);
+  const { presets: stylePresets, getPreset } = useStylePresets();
   const [editingName, setEditingName] = useState(false);
   const [editingStyle, setEditingStyle] = useState(false);
   const [name, setName] = useState('');
@@ -54,12 +83,24 @@ export default function DeckEditor() {
   const [slideToDelete, setSlideToDelete] = useState(null);
   const [regenerateDialogOpen, setRegenerateDialogOpen] = useState(false);
   const [generateAllDialogOpen, setGenerateAllDialogOpen] = useState(false);
+  const [syncTextOpen, setSyncTextOpen] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
   const [exportState, setExportState] = useState(null);
   const [exportFromSlide, setExportFromSlide] = useState(0);
   const [exportMode, setExportMode] = useState('new'); // 'new' or 'resume'
   const [exportFormat, setExportFormat] = useState('google'); // 'google' or 'pptx'
 
+  // Show new images as soon as each slide finishes
+  const bulkOperations = useBulkOperations(deckId, {
+    onSlideEvent: (event) => {
+      if (event.type === 'slide-completed' && event.images?.length > 0) {
+        addGeneratedImages(event.slideId, event.images);
+      }
+    },
+  });
+  const bulkJob = bulkOperations.status;
+  const bulkJobActive = bulkOperations.jobId && (!bulkJob || ['running', 'paused', 'cancelling'].includes(bulkJob.status));
+
   useEffect(() => {
     if (deck) {
       setName(deck.name);
@@ -92,6 +133,22 @@ export default function DeckEditor() {
     refresh();
   };
 
+  const handleSnapshotRestored = () => {
+    refresh();
+    refreshSlides();
+  };
+
+  const handleTextSynced = ({ summary }) => {
+    setSyncTextOpen(false);
+    refresh();
+    refreshSlides();
+    setSnackbar({
+      open: true,
+      message: `Synced from text: ${summary.updated} updated, ${summary.inserted} new, ${summary.removed} removed`,
+      severity: 'success',
+    });
+  };
+
   const handleSaveName = async () => {
     try {
       await updateDeck({ name });
@@ -110,6 +167,24 @@ export default function DeckEditor() {
     }
   };
 
+  const handleStylePresetChange = async (stylePresetId) => {
+    try {
+      await updateDeck({ stylePresetId: stylePresetId || null });
+      setEditingStyle(false);
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
+    }
+  };
+
+  const handleSavePromptTemplate = async (updates) => {
+    try {
+      await updateDeck(updates);
+      setSnackbar({ open: true, message: 'Prompt template saved', severity: 'success' });
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
+    }
+  };
+
   const handleIsTestChange = async (newIsTest) => {
     try {
       await updateDeck({ isTest: newIsTest });
@@ -119,6 +194,14 @@ export default function DeckEditor() {
     }
   };
 
+  const handleImageFormatChange = async (field, value) => {
+    try {
+      await updateDeck({ [field]: value });
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
+    }
+  };
+
   const handleCreateSlide = async () => {
     try {
       const slide = await createSlide({
@@ -141,7 +224,7 @@ export default function DeckEditor() {
 
     try {
       await deleteSlide(slideToDelete);
-      setSnackbar({ open: true, message: 'Slide deleted successfully', severity: 'success' });
+      setSnackbar({ open: true, message: 'Slide moved to trash', severity: 'success' });
     } catch (err) {
       setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
     } finally {
@@ -163,6 +246,14 @@ export default function DeckEditor() {
     }
   };
 
+  const handleBatchOperations = async (operations) => {
+    try {
+      await batchUpdateSlides(operations);
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
+    }
+  };
+
   const handleRegenerateDescriptionsClick = () => {
     setRegenerateDialogOpen(true);
   };
@@ -201,25 +292,12 @@ export default function DeckEditor() {
     setGenerateAllDialogOpen(false);
     setGeneratingImages(true);
     try {
-      const response = await fetch(
-        `http://localhost:3001/api/decks/${deckId}/generate-all`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ count: 2, service: 'gemini-pro' })
-        }
-      );
-
-      if (!response.ok) {
-        const data = await response.json();
-        throw new Error(data.error || 'Failed to start image generation');
+      const data = await bulkOperations.startGenerateAll(2, 'gemini-pro');
+      if (data.message) {
+        setSnackbar({ open: true, message: data.message, severity: 'info' });
+      } else {
+        setSnackbar({ open: true, message: 'Image generation started. This will take several minutes.', severity: 'info' });
       }
-
-      const data = await response.json();
-      setSnackbar({ open: true, message: `Image generation started! Job ID: ${data.jobId}. This will take several minutes.`, severity: 'info' });
-
-      // Optionally navigate to slide view to see progress
-      // navigate(`/decks/${deckId}/slides`);
     } catch (err) {
       setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
     } finally {
@@ -227,6 +305,27 @@ export default function DeckEditor() {
     }
   };
 
+  const handlePauseResumeJob = async () => {
+    try {
+      if (bulkJob.status === 'paused') {
+        await bulkOperations.resume();
+      } else {
+        await bulkOperations.pause();
+      }
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
+    }
+  };
+
+  const handleCancelJob = async () => {
+    try {
+      await bulkOperations.cancel();
+      setSnackbar({ open: true, message: 'Image generation cancelled', severity: 'info' });
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
+    }
+  };
+
   const handleExportClick = (mode = 'new') => {
     setExportMode(mode);
     if (mode === 'new') {
@@ -337,6 +436,9 @@ export default function DeckEditor() {
     );
   }
 
+  // Null when the deck uses its own style text
+  const deckPreset = getPreset(deck.stylePresetId);
+
   return (
     <Container maxWidth="lg" sx={{ py: 4 }}>
       <Box display="flex" alignItems="center" gap={2} mb={3}>
@@ -384,7 +486,31 @@ export default function DeckEditor() {
           <Typography variant="subtitle2" gutterBottom>
             Visual Style
           </Typography>
-          {editingStyle ? (
+          <FormControl size="small" sx={{ mb: 1, minWidth: 240 }}>
+            <InputLabel>Style Preset</InputLabel>
+            <Select
+              value={deckPreset ? deckPreset.id : ''}
+              label="Style Preset"
+              onChange={(e) => handleStylePresetChange(e.target.value)}
+            >
+              <MenuItem value="">Custom style</MenuItem>
+              {stylePresets.map((preset) => (
+                <MenuItem key={preset.id} value={preset.id}>
+                  {preset.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {deckPreset ? (
+            <Box sx={{ p: 2, bgcolor: 'grey.100', borderRadius: 1 }}>
+              <Typography variant="body2">
+                {deckPreset.style}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                Shared preset: edit it in Settings to change every deck using it
+              </Typography>
+            </Box>
+          ) : editingStyle ? (
             <>
               <TextField
                 fullWidth
@@ -436,6 +562,58 @@ export default function DeckEditor() {
           </Typography>
         </Box>
 
+        <Box mb={3}>
+          <Typography variant="subtitle2" gutterBottom>
+            Image Format
+          </Typography>
+          <Box display="flex" gap={2}>
+            <FormControl size="small" sx={{ minWidth: 240 }}>
+              <InputLabel>Aspect Ratio</InputLabel>
+              <Select
+                value={deck.aspectRatio || '16:9'}
+                label="Aspect Ratio"
+                onChange={(e) => handleImageFormatChange('aspectRatio', e.target.value)}
+              >
+                {ASPECT_RATIO_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl size="small" sx={{ minWidth: 240 }}>
+              <InputLabel>Resolution</InputLabel>
+              <Select
+                value={deck.resolution || '2K'}
+                label="Resolution"
+                onChange={(e) => handleImageFormatChange('resolution', e.target.value)}
+              >
+                {RESOLUTION_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel>Crop</InputLabel>
+              <Select
+                value={deck.cropStrategy || 'center'}
+                label="Crop"
+                onChange={(e) => handleImageFormatChange('cropStrategy', e.target.value)}
+              >
+                {CROP_STRATEGY_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+            Applies to newly generated images and to exported slide layouts. Existing images keep their crop;
+            use the crop button on an image to re-crop it from its original.
+          </Typography>
+        </Box>
+
+        <Box mb={3}>
+          <PromptTemplateEditor deck={deck} slides={slides} onSave={handleSavePromptTemplate} />
+        </Box>
+
         <Box sx={{ my: 3, borderBottom: 1, borderColor: 'divider' }} />
 
         <Box mb={3}>
@@ -468,10 +646,17 @@ export default function DeckEditor() {
           >
             {regeneratingDescriptions ? 'Regenerating...' : 'Regenerate All Descriptions'}
           </Button>
+          <Button
+            variant="outlined"
+            onClick={() => setSyncTextOpen(true)}
+            disabled={bulkJobActive}
+          >
+            Sync from Text
+          </Button>
           <Button
             variant="outlined"
             onClick={handleGenerateAllImagesClick}
-            disabled={generatingImages}
+            disabled={generatingImages || bulkJobActive}
             startIcon={generatingImages ? <CircularProgress size={20} /> : null}
           >
             {generatingImages ? 'Generating...' : 'Generate All Images'}
@@ -497,6 +682,50 @@ export default function DeckEditor() {
             </Button>
           )}
         </Box>
+        {bulkOperations.jobId && (
+          <Box sx={{ mt: 2, p: 2, bgcolor: 'grey.100', borderRadius: 1 }}>
+            <Typography variant="body2" gutterBottom>
+              {!bulkJob && 'Starting image generation...'}
+              {bulkJob?.status === 'running' && `Generating images: ${bulkJob.progress.completed + bulkJob.progress.failed} of ${bulkJob.progress.total} slides processed`}
+              {bulkJob?.status === 'paused' && `Paused: ${bulkJob.progress.completed + bulkJob.progress.failed} of ${bulkJob.progress.total} slides processed`}
+              {bulkJob?.status === 'cancelling' && 'Cancelling... waiting for in-flight images to finish'}
+              {bulkJob?.status === 'completed' && `Image generation complete: ${bulkJob.progress.completed} succeeded, ${bulkJob.progress.failed} failed`}
+              {bulkJob?.status === 'cancelled' && `Image generation cancelled: ${bulkJob.progress.completed} succeeded, ${bulkJob.progress.cancelled} cancelled`}
+              {bulkJob?.status === 'failed' && `Image generation failed: ${bulkJob.error}`}
+            </Typography>
+            <LinearProgress
+              variant={bulkJob ? 'determinate' : 'indeterminate'}
+              value={bulkJob ? ((bulkJob.progress.total - bulkJob.progress.pending) / bulkJob.progress.total) * 100 : 0}
+              color={bulkJob?.status === 'paused' ? 'warning' : 'primary'}
+              sx={{ mb: 1 }}
+            />
+            {bulkJob && ['running', 'paused'].includes(bulkJob.status) && (
+              <>
+                <Button
+                  size="small"
+                  onClick={handlePauseResumeJob}
+                  startIcon={bulkJob.status === 'paused' ? <PlayArrow /> : <Pause />}
+                >
+                  {bulkJob.status === 'paused' ? 'Resume' : 'Pause'}
+                </Button>
+                <Button
+                  size="small"
+                  color="error"
+                  onClick={handleCancelJob}
+                  startIcon={<Stop />}
+                  sx={{ ml: 1 }}
+                >
+                  Cancel
+                </Button>
+              </>
+            )}
+            {bulkJob && !bulkJobActive && (
+              <Button size="small" onClick={bulkOperations.reset}>
+                Dismiss
+              </Button>
+            )}
+          </Box>
+        )}
         {exportState && (
           <Box sx={{ mt: 2, p: 2, bgcolor: 'info.light', borderRadius: 1 }}>
             <Typography variant="body2" color="info.contrastText" gutterBottom>
@@ -521,7 +750,11 @@ export default function DeckEditor() {
           </Box>
         )}
         <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-          Regenerate descriptions skips locked descriptions. Generate images skips "no images" slides. Export creates a new Google Slides presentation from this deck.</Typography>
+          Regenerate descriptions skips locked descriptions. Sync from text updates speaker notes from an edited script and keeps the images of matching slides. Generate images skips "no images" slides. Export creates a new Google Slides presentation from this deck.</Typography>
+
+        <Box sx={{ my: 3, borderBottom: 1, borderColor: 'divider' }} />
+
+        <SnapshotTimeline deckId={deckId} onRestore={handleSnapshotRestored} />
       </Paper>
 
       <Box display="flex" justifyContent="space-between" alignItems="center" mb={3}>
@@ -537,6 +770,25 @@ export default function DeckEditor() {
         </Button>
       </Box>
 
+      {slides.length > 0 && (
+        <Box sx={{ mb: 2, minHeight: 36, display: 'flex', alignItems: 'center' }}>
+          {selection.selectedIds.length > 0 ? (
+            <Box sx={{ width: '100%', maxWidth: 420 }}>
+              <SlideBatchActions
+                slides={slides}
+                selectedIds={selection.selectedIds}
+                onApply={handleBatchOperations}
+                onClear={selection.clear}
+              />
+            </Box>
+          ) : (
+            <Typography variant="caption" color="text.secondary">
+              Click a slide to select it, ctrl/cmd-click or shift-click to select several
+            </Typography>
+          )}
+        </Box>
+      )}
+
       {slidesLoading ? (
         <Box display="flex" justifyContent="center" py={4}>
           <CircularProgress />
@@ -556,62 +808,107 @@ export default function DeckEditor() {
         </Box>
       ) : (
         <Grid container spacing={2}>
-          {slides.map((slide, index) => (
-            <Grid item xs={12} sm={6} md={4} key={slide.id}>
-              <Card>
-                <CardContent>
-                  <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
-                    <Typography variant="h6">
-                      Slide {index + 1}
+          {slides.map((slide, index) => {
+            const thumbnail = slide.generatedImages.find(img => img.isPinned) || slide.generatedImages[0];
+            const isGenerating = bulkOperations.generatingSlideIds.includes(slide.id);
+            const isSelected = selection.isSelected(slide.id);
+
+            return (
+              <Grid item xs={12} sm={6} md={4} key={slide.id}>
+                <Card
+                  onClick={(e) => {
+                    // Buttons and checkboxes inside the card keep their own behaviour
+                    if (!e.target.closest('button, input, label')) {
+                      selection.handleClick(slide.id, e);
+                    }
+                  }}
+                  sx={{
+                    cursor: 'pointer',
+                    userSelect: 'none',
+                    boxShadow: isSelected ? (theme) => `0 0 0 2px ${theme.palette.primary.main}` : undefined,
+                  }}
+                >
+                  {!slide.noImages && (thumbnail || isGenerating) && (
+                    <Box sx={{ position: 'relative', aspectRatio: (deck.aspectRatio || '16:9').replace(':', ' / '), bgcolor: 'grey.200' }}>
+                      {thumbnail && (
+                        <CardMedia
+                          component="img"
+                          image={`/api/decks/${deckId}/slides/${slide.id}/images/${thumbnail.id}${thumbnail.updatedAt ? `?v=${encodeURIComponent(thumbnail.updatedAt)}` : ''}`}
+                          alt={`Slide ${index + 1}`}
+                          sx={{ width: '100%', height: '100%', objectFit: 'cover' }}
+                        />
+                      )}
+                      {isGenerating && (
+                        <Box
+                          position="absolute"
+                          top={0}
+                          left={0}
+                          right={0}
+                          bottom={0}
+                          display="flex"
+                          alignItems="center"
+                          justifyContent="center"
+                          bgcolor="rgba(0, 0, 0, 0.4)"
+                        >
+                          <CircularProgress size={32} sx={{ color: 'white' }} />
+                        </Box>
+                      )}
+                    </Box>
+                  )}
+                  <CardContent>
+                    <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+                      <Typography variant="h6">
+                        Slide {index + 1}
+                      </Typography>
+                      {slide.noImages && (
+                        <Chip
+                          icon={<ImageNotSupported />}
+                          label="No Images"
+                          size="small"
+                          color="default"
+                          variant="outlined"
+                        />
+                      )}
+                    </Box>
+                    <Typography variant="body2" color="text.secondary" noWrap>
+                      {slide.speakerNotes || 'No speaker notes'}
                     </Typography>
-                    {slide.noImages && (
-                      <Chip
-                        icon={<ImageNotSupported />}
-                        label="No Images"
-                        size="small"
-                        color="default"
-                        variant="outlined"
-                      />
+                    {!slide.noImages && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {slide.generatedImages.length} image(s)
+                      </Typography>
                     )}
-                  </Box>
-                  <Typography variant="body2" color="text.secondary" noWrap>
-                    {slide.speakerNotes || 'No speaker notes'}
-                  </Typography>
-                  {!slide.noImages && (
-                    <Typography variant="caption" color="text.secondary" display="block">
-                      {slide.generatedImages.length} image(s)
-                    </Typography>
-                  )}
-                  <FormControlLabel
-                    control={
-                      <Checkbox
-                        checked={slide.noImages || false}
-                        onChange={() => handleToggleNoImages(slide.id, slide.noImages)}
-                        size="small"
-                      />
-                    }
-                    label={<Typography variant="caption">No images</Typography>}
-                    sx={{ mt: 1 }}
-                  />
-                </CardContent>
-                <CardActions>
-                  <Button
-                    size="small"
-                    onClick={() => navigate(`/decks/${deckId}/slides/${slide.id}`)}
-                  >
-                    Edit
-                  </Button>
-                  <IconButton
-                    size="small"
-                    color="error"
-                    onClick={() => handleDeleteSlideClick(slide.id)}
-                  >
-                    <Delete />
-                  </IconButton>
-                </CardActions>
-              </Card>
-            </Grid>
-          ))}
+                    <FormControlLabel
+                      control={
+                        <Checkbox
+                          checked={slide.noImages || false}
+                          onChange={() => handleToggleNoImages(slide.id, slide.noImages)}
+                          size="small"
+                        />
+                      }
+                      label={<Typography variant="caption">No images</Typography>}
+                      sx={{ mt: 1 }}
+                    />
+                  </CardContent>
+                  <CardActions>
+                    <Button
+                      size="small"
+                      onClick={() => navigate(`/decks/${deckId}/slides/${slide.id}`)}
+                    >
+                      Edit
+                    </Button>
+                    <IconButton
+                      size="small"
+                      color="error"
+                      onClick={() => handleDeleteSlideClick(slide.id)}
+                    >
+                      <Delete />
+                    </IconButton>
+                  </CardActions>
+                </Card>
+              </Grid>
+            );
+          })}
         </Grid>
       )}
 
@@ -623,7 +920,7 @@ export default function DeckEditor() {
         <DialogTitle>Delete Slide?</DialogTitle>
         <DialogContent>
           <DialogContentText>
-            Are you sure you want to delete this slide? This action cannot be undone.
+            Are you sure you want to delete this slide? It is moved to the trash and can be restored from there.
           </DialogContentText>
         </DialogContent>
         <DialogActions>
@@ -762,6 +1059,13 @@ export default function DeckEditor() {
         </DialogActions>
       </Dialog>
 
+      <SyncTextDialog
+        open={syncTextOpen}
+        onClose={() => setSyncTextOpen(false)}
+        deckId={deckId}
+        onSynced={handleTextSynced}
+      />
+
       {/* Success/Error Snackbar */}
       <Snackbar
         open={snackbar.open}
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
   Box,
@@ -21,23 +21,58 @@ import {
   MenuItem,
   Snackbar,
   DialogContentText,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  Checkbox,
+  ListItemIcon,
+  ListItemText,
 } from '@mui/material';
-import { Add, Delete, Edit, ArrowDropDown } from '@mui/icons-material';
+import {
+  Add,
+  Delete,
+  Edit,
+  ArrowDropDown,
+  Download,
+  UploadFile,
+  ContentCopy,
+  MoreVert,
+  RestoreFromTrash,
+} from '@mui/icons-material';
 import { useDecks } from '../hooks/useDecks';
 import { deckAPI } from '../services/api';
+import TextSlidesPreview, { TEXT_FORMAT_HELP } from './TextSlidesPreview';
 
 export default function DeckList() {
   const navigate = useNavigate();
-  const { decks, loading, error, createDeck, deleteDeck, refresh } = useDecks();
+  const { decks, loading, error, createDeck, deleteDeck, duplicateDeck, refresh } = useDecks();
   const [openDialog, setOpenDialog] = useState(false);
   const [openTextDialog, setOpenTextDialog] = useState(false);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [deckToDelete, setDeckToDelete] = useState(null);
   const [deckName, setDeckName] = useState('');
   const [textContent, setTextContent] = useState('');
+  const [textFormat, setTextFormat] = useState('text');
+  const [textPreview, setTextPreview] = useState(null);
   const [creating, setCreating] = useState(false);
   const [menuAnchor, setMenuAnchor] = useState(null);
+  const [cardMenu, setCardMenu] = useState({ anchor: null, deck: null });
+  const [deckToDuplicate, setDeckToDuplicate] = useState(null);
+  const [duplicateOptions, setDuplicateOptions] = useState({});
+  const [duplicating, setDuplicating] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+  const [deckToExport, setDeckToExport] = useState(null);
+  const [exportAllImages, setExportAllImages] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [bundleFile, setBundleFile] = useState(null);
+  const [entityConflict, setEntityConflict] = useState('deck');
+  const [importing, setImporting] = useState(false);
+  const [pptxFile, setPptxFile] = useState(null);
+  const [pptxOptions, setPptxOptions] = useState({ name: '', visualStyle: '' });
+  const [openGoogleDialog, setOpenGoogleDialog] = useState(false);
+  const [googleSlidesUrl, setGoogleSlidesUrl] = useState('');
+  const bundleInputRef = useRef(null);
 
   const handleCreate = async () => {
     if (!deckName.trim()) return;
@@ -55,6 +90,24 @@ export default function DeckList() {
     }
   };
 
+  // Preview the parsed slides while typing
+  useEffect(() => {
+    if (!openTextDialog || !textContent.trim()) {
+      setTextPreview(null);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await deckAPI.previewText({ text: textContent, format: textFormat });
+        setTextPreview(response.data.slides);
+      } catch (err) {
+        console.error('Failed to preview text:', err);
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [openTextDialog, textContent, textFormat]);
+
   const handleCreateFromText = async () => {
     if (!deckName.trim() || !textContent.trim()) return;
 
@@ -63,6 +116,7 @@ export default function DeckList() {
       const response = await deckAPI.createFromText({
         name: deckName,
         text: textContent,
+        format: textFormat,
         visualStyle: ''
       });
       setOpenTextDialog(false);
@@ -77,6 +131,27 @@ export default function DeckList() {
     }
   };
 
+  const handleImportGoogleSlides = async () => {
+    if (!googleSlidesUrl.trim()) return;
+
+    setCreating(true);
+    try {
+      const response = await deckAPI.importGoogleSlides({
+        url: googleSlidesUrl.trim(),
+        ...(deckName.trim() && { name: deckName.trim() }),
+      });
+      setOpenGoogleDialog(false);
+      setDeckName('');
+      setGoogleSlidesUrl('');
+      await refresh();
+      navigate(`/decks/${response.data.deck.id}/edit`);
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error importing presentation: ${err.message}`, severity: 'error' });
+    } finally {
+      setCreating(false);
+    }
+  };
+
   const handleDeleteClick = (e, deckId, deckName) => {
     e.stopPropagation();
     setDeckToDelete({ id: deckId, name: deckName });
@@ -88,7 +163,7 @@ export default function DeckList() {
 
     try {
       await deleteDeck(deckToDelete.id);
-      setSnackbar({ open: true, message: 'Deck deleted successfully', severity: 'success' });
+      setSnackbar({ open: true, message: 'Deck moved to trash', severity: 'success' });
     } catch (err) {
       setSnackbar({ open: true, message: `Error deleting deck: ${err.message}`, severity: 'error' });
     } finally {
@@ -102,6 +177,132 @@ export default function DeckList() {
     setDeckToDelete(null);
   };
 
+  const handleDuplicateClick = (deck) => {
+    setDuplicateOptions({
+      name: `${deck.name} (Copy)`,
+      visualStyle: deck.visualStyle || '',
+      slides: true,
+      images: 'pinned',
+      entities: true,
+      themeImages: true,
+    });
+    setDeckToDuplicate(deck);
+  };
+
+  const handleDuplicateConfirm = async () => {
+    if (!duplicateOptions.name.trim()) return;
+
+    setDuplicating(true);
+    try {
+      const newDeck = await duplicateDeck(deckToDuplicate.id, {
+        ...duplicateOptions,
+        name: duplicateOptions.name.trim(),
+      });
+      setDeckToDuplicate(null);
+      navigate(`/decks/${newDeck.id}/edit`);
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error duplicating deck: ${err.message}`, severity: 'error' });
+    } finally {
+      setDuplicating(false);
+    }
+  };
+
+  const setDuplicateOption = (field, value) => {
+    setDuplicateOptions((options) => ({ ...options, [field]: value }));
+  };
+
+  const handleExportBundle = async () => {
+    setExporting(true);
+    try {
+      const response = await deckAPI.exportBundle(deckToExport.id, {
+        images: exportAllImages ? 'all' : 'pinned',
+      });
+
+      // Create download link from blob
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/zip' }));
+      const link = document.createElement('a');
+      link.href = url;
+
+      // Get filename from Content-Disposition header or use default
+      const filenameMatch = response.headers['content-disposition']?.match(/filename="(.+)"/);
+      link.download = filenameMatch ? filenameMatch[1] : `${deckToExport.name}.deck.zip`;
+
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+
+      setDeckToExport(null);
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error exporting deck: ${err.message}`, severity: 'error' });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleImportFileSelect = (event) => {
+    const file = event.target.files?.[0];
+    if (file?.name.toLowerCase().endsWith('.pptx')) {
+      setPptxOptions({ name: file.name.replace(/\.pptx$/i, ''), visualStyle: '' });
+      setPptxFile(file);
+    } else if (file) {
+      setEntityConflict('deck');
+      setBundleFile(file);
+    }
+    event.target.value = '';
+  };
+
+  const handleImportBundle = async () => {
+    const formData = new FormData();
+    formData.append('entityConflict', entityConflict);
+    formData.append('bundle', bundleFile);
+
+    setImporting(true);
+    try {
+      const response = await deckAPI.importBundle(formData);
+      const { deck, globalEntities } = response.data;
+      setBundleFile(null);
+      await refresh();
+
+      const added = globalEntities.added.length + globalEntities.replaced.length;
+      setSnackbar({
+        open: true,
+        message: `Imported "${deck.name}"${added > 0 ? ` (${added} global entit${added === 1 ? 'y' : 'ies'} updated)` : ''}`,
+        severity: 'success',
+      });
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error importing deck: ${err.message}`, severity: 'error' });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleImportPptx = async () => {
+    const formData = new FormData();
+    if (pptxOptions.name.trim()) formData.append('name', pptxOptions.name.trim());
+    formData.append('visualStyle', pptxOptions.visualStyle);
+    formData.append('file', pptxFile);
+
+    setImporting(true);
+    try {
+      const response = await deckAPI.importPptx(formData);
+      const { deck, skippedImages } = response.data;
+      setPptxFile(null);
+      await refresh();
+
+      const skipped = skippedImages.length;
+      setSnackbar({
+        open: true,
+        message: `Imported "${deck.name}" with ${deck.slides.length} slide(s)${skipped > 0 ? ` (${skipped} picture(s) too small or unsupported)` : ''}`,
+        severity: skipped > 0 ? 'warning' : 'success',
+      });
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error importing presentation: ${err.message}`, severity: 'error' });
+    } finally {
+      setImporting(false);
+    }
+  };
+
   if (loading) {
     return (
       <Box display="flex" justifyContent="center" alignItems="center" minHeight="80vh">
@@ -116,7 +317,28 @@ export default function DeckList() {
         <Typography variant="h4" component="h1">
           My Slide Decks
         </Typography>
-        <Box>
+        <Box display="flex" gap={1}>
+          <Button
+            variant="outlined"
+            startIcon={<RestoreFromTrash />}
+            onClick={() => navigate('/trash')}
+          >
+            Trash
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<UploadFile />}
+            onClick={() => bundleInputRef.current?.click()}
+          >
+            Import
+          </Button>
+          <input
+            ref={bundleInputRef}
+            type="file"
+            accept=".zip,application/zip,.pptx"
+            hidden
+            onChange={handleImportFileSelect}
+          />
           <Button
             variant="contained"
             startIcon={<Add />}
@@ -136,6 +358,9 @@ export default function DeckList() {
             <MenuItem onClick={() => { setMenuAnchor(null); setOpenTextDialog(true); }}>
               From Text
             </MenuItem>
+            <MenuItem onClick={() => { setMenuAnchor(null); setOpenGoogleDialog(true); }}>
+              From Google Slides
+            </MenuItem>
           </Menu>
         </Box>
       </Box>
@@ -188,10 +413,10 @@ export default function DeckList() {
                   </Button>
                   <IconButton
                     size="small"
-                    color="error"
-                    onClick={(e) => handleDeleteClick(e, deck.id, deck.name)}
+                    sx={{ ml: 'auto' }}
+                    onClick={(e) => setCardMenu({ anchor: e.currentTarget, deck })}
                   >
-                    <Delete />
+                    <MoreVert />
                   </IconButton>
                 </CardActions>
               </Card>
@@ -200,6 +425,131 @@ export default function DeckList() {
         </Grid>
       )}
 
+      {/* Deck Card Menu */}
+      <Menu
+        anchorEl={cardMenu.anchor}
+        open={Boolean(cardMenu.anchor)}
+        onClose={() => setCardMenu({ anchor: null, deck: null })}
+      >
+        <MenuItem
+          onClick={() => {
+            handleDuplicateClick(cardMenu.deck);
+            setCardMenu({ anchor: null, deck: null });
+          }}
+        >
+          <ListItemIcon><ContentCopy fontSize="small" /></ListItemIcon>
+          <ListItemText>Duplicate</ListItemText>
+        </MenuItem>
+        <MenuItem
+          onClick={() => {
+            setExportAllImages(false);
+            setDeckToExport(cardMenu.deck);
+            setCardMenu({ anchor: null, deck: null });
+          }}
+        >
+          <ListItemIcon><Download fontSize="small" /></ListItemIcon>
+          <ListItemText>Export Bundle</ListItemText>
+        </MenuItem>
+        <MenuItem
+          onClick={(e) => {
+            handleDeleteClick(e, cardMenu.deck.id, cardMenu.deck.name);
+            setCardMenu({ anchor: null, deck: null });
+          }}
+          sx={{ color: 'error.main' }}
+        >
+          <ListItemIcon><Delete fontSize="small" color="error" /></ListItemIcon>
+          <ListItemText>Delete</ListItemText>
+        </MenuItem>
+      </Menu>
+
+      {/* Duplicate Deck Dialog */}
+      <Dialog
+        open={Boolean(deckToDuplicate)}
+        onClose={() => !duplicating && setDeckToDuplicate(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Duplicate Deck</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            margin="dense"
+            label="Deck Name"
+            fullWidth
+            value={duplicateOptions.name || ''}
+            onChange={(e) => setDuplicateOption('name', e.target.value)}
+            disabled={duplicating}
+          />
+          <TextField
+            margin="dense"
+            label="Visual Style"
+            fullWidth
+            multiline
+            rows={3}
+            value={duplicateOptions.visualStyle || ''}
+            onChange={(e) => setDuplicateOption('visualStyle', e.target.value)}
+            disabled={duplicating}
+            helperText="Change it to try a different look; the original deck is not affected"
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={!!duplicateOptions.slides}
+                onChange={(e) => setDuplicateOption('slides', e.target.checked)}
+                disabled={duplicating}
+              />
+            }
+            label="Copy slides"
+          />
+          <FormControl fullWidth margin="dense" disabled={duplicating || !duplicateOptions.slides}>
+            <InputLabel>Images</InputLabel>
+            <Select
+              value={duplicateOptions.images || 'pinned'}
+              label="Images"
+              onChange={(e) => setDuplicateOption('images', e.target.value)}
+            >
+              <MenuItem value="pinned">Pinned images only</MenuItem>
+              <MenuItem value="all">All images</MenuItem>
+              <MenuItem value="none">No images</MenuItem>
+            </Select>
+          </FormControl>
+          <Box>
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={!!duplicateOptions.entities}
+                  onChange={(e) => setDuplicateOption('entities', e.target.checked)}
+                  disabled={duplicating}
+                />
+              }
+              label="Copy entities"
+            />
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={!!duplicateOptions.themeImages}
+                  onChange={(e) => setDuplicateOption('themeImages', e.target.checked)}
+                  disabled={duplicating}
+                />
+              }
+              label="Copy theme images"
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeckToDuplicate(null)} disabled={duplicating}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleDuplicateConfirm}
+            variant="contained"
+            disabled={!duplicateOptions.name?.trim() || duplicating}
+          >
+            {duplicating ? 'Duplicating...' : 'Duplicate'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Create Deck Dialog */}
       <Dialog open={openDialog} onClose={() => !creating && setOpenDialog(false)}>
         <DialogTitle>Create New Deck</DialogTitle>
@@ -248,6 +598,18 @@ export default function DeckList() {
             disabled={creating}
             sx={{ mb: 2 }}
           />
+          <FormControl fullWidth size="small" sx={{ mb: 1 }}>
+            <InputLabel>Format</InputLabel>
+            <Select
+              value={textFormat}
+              label="Format"
+              onChange={(e) => setTextFormat(e.target.value)}
+              disabled={creating}
+            >
+              <MenuItem value="text">Plain text (one slide per line)</MenuItem>
+              <MenuItem value="markdown">Markdown outline</MenuItem>
+            </Select>
+          </FormControl>
           <TextField
             margin="dense"
             label="Paste your text here"
@@ -257,9 +619,13 @@ export default function DeckList() {
             value={textContent}
             onChange={(e) => setTextContent(e.target.value)}
             disabled={creating}
-            placeholder="Each line or bullet will become a slide.&#10;Empty lines are ignored.&#10;Use ~name to reference entities (will become @name)"
-            helperText="Each line or bullet becomes a slide. Use ~name for entities (converts to @name)"
+            placeholder={textFormat === 'markdown'
+              ? '# Scene heading\n- Slide\n  - More speaker notes\n  > Image description'
+              : 'Each line or bullet will become a slide.\nEmpty lines are ignored.\nUse ~name to reference entities (will become @name)'}
+            helperText={TEXT_FORMAT_HELP[textFormat]}
+            sx={{ mb: 2 }}
           />
+          {textPreview && <TextSlidesPreview slides={textPreview} />}
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setOpenTextDialog(false)} disabled={creating}>
@@ -283,8 +649,8 @@ export default function DeckList() {
         <DialogTitle>Delete Deck?</DialogTitle>
         <DialogContent>
           <DialogContentText>
-            Are you sure you want to delete "{deckToDelete?.name}"? This action cannot be undone.
-            All slides and generated images will be permanently deleted.
+            Are you sure you want to delete "{deckToDelete?.name}"? The deck with all slides and
+            generated images is moved to the trash, where it can be restored until the trash is purged.
           </DialogContentText>
         </DialogContent>
         <DialogActions>
@@ -295,6 +661,162 @@ export default function DeckList() {
         </DialogActions>
       </Dialog>
 
+      {/* Export Bundle Dialog */}
+      <Dialog open={Boolean(deckToExport)} onClose={() => !exporting && setDeckToExport(null)}>
+        <DialogTitle>Export Deck</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Download "{deckToExport?.name}" as a bundle with its slides, images, entities and theme
+            images. Import it on any machine with the Import button.
+          </DialogContentText>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={exportAllImages}
+                onChange={(e) => setExportAllImages(e.target.checked)}
+                disabled={exporting}
+              />
+            }
+            label="Include all images (not only pinned)"
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeckToExport(null)} disabled={exporting}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleExportBundle}
+            variant="contained"
+            disabled={exporting}
+            startIcon={exporting ? <CircularProgress size={16} /> : <Download />}
+          >
+            {exporting ? 'Exporting...' : 'Export'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Import Bundle Dialog */}
+      <Dialog open={Boolean(bundleFile)} onClose={() => !importing && setBundleFile(null)}>
+        <DialogTitle>Import Deck</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Import "{bundleFile?.name}" as a new deck. Global entities from the bundle are added
+            when they don't exist yet.
+          </DialogContentText>
+          <FormControl fullWidth margin="dense">
+            <InputLabel>If a global entity exists with a different image</InputLabel>
+            <Select
+              value={entityConflict}
+              label="If a global entity exists with a different image"
+              onChange={(e) => setEntityConflict(e.target.value)}
+              disabled={importing}
+            >
+              <MenuItem value="deck">Use the bundled image in this deck only</MenuItem>
+              <MenuItem value="replace">Replace the global entity</MenuItem>
+              <MenuItem value="keep">Keep the existing global entity</MenuItem>
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setBundleFile(null)} disabled={importing}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleImportBundle}
+            variant="contained"
+            disabled={importing}
+            startIcon={importing ? <CircularProgress size={16} /> : <UploadFile />}
+          >
+            {importing ? 'Importing...' : 'Import'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Import Google Slides Dialog */}
+      <Dialog open={openGoogleDialog} onClose={() => !creating && setOpenGoogleDialog(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Import from Google Slides</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Create a deck with one slide per page of the presentation and its speaker notes.
+            The Google account connected in Settings needs access to the presentation.
+          </DialogContentText>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="Presentation URL"
+            placeholder="https://docs.google.com/presentation/d/..."
+            value={googleSlidesUrl}
+            onChange={(e) => setGoogleSlidesUrl(e.target.value)}
+            disabled={creating}
+          />
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Deck Name (optional)"
+            helperText="Defaults to the presentation title"
+            value={deckName}
+            onChange={(e) => setDeckName(e.target.value)}
+            disabled={creating}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenGoogleDialog(false)} disabled={creating}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleImportGoogleSlides}
+            variant="contained"
+            disabled={creating || !googleSlidesUrl.trim()}
+            startIcon={creating ? <CircularProgress size={16} /> : null}
+          >
+            {creating ? 'Importing...' : 'Import'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Import PowerPoint Dialog */}
+      <Dialog open={Boolean(pptxFile)} onClose={() => !importing && setPptxFile(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Import PowerPoint</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Create a deck from "{pptxFile?.name}" with one slide per page. Notes become speaker notes,
+            pictures become pinned images and names of global entities become @references.
+          </DialogContentText>
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Deck Name"
+            value={pptxOptions.name}
+            onChange={(e) => setPptxOptions({ ...pptxOptions, name: e.target.value })}
+            disabled={importing}
+          />
+          <TextField
+            fullWidth
+            margin="dense"
+            label="Visual Style (optional)"
+            value={pptxOptions.visualStyle}
+            onChange={(e) => setPptxOptions({ ...pptxOptions, visualStyle: e.target.value })}
+            multiline
+            rows={2}
+            disabled={importing}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPptxFile(null)} disabled={importing}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleImportPptx}
+            variant="contained"
+            disabled={importing}
+            startIcon={importing ? <CircularProgress size={16} /> : <UploadFile />}
+          >
+            {importing ? 'Importing...' : 'Import'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Success/Error Snackbar */}
       <Snackbar
         open={snackbar.open}
@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  IconButton,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  Tooltip,
+  Typography,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Close, CloudUpload, Star, StarBorder } from '@mui/icons-material';
+
+const IMAGE_MODES = [
+  { value: 'first', label: 'First image', help: 'Send the primary image' },
+  { value: 'all', label: 'All images', help: 'Send every image' },
+  { value: 'best', label: 'Best per slide', help: "Send the image whose label best matches the slide's description" },
+];
+
+const LABEL_PATTERN = /^([a-zA-Z0-9][a-zA-Z0-9-]*[a-zA-Z0-9]|[a-zA-Z0-9])?$/;
+
+/**
+ * Parse a comma-separated alias list
+ */
+function parseAliases(text) {
+  return text.split(',').map((alias) => alias.trim()).filter(Boolean);
+}
+
+/**
+ * Edit an entity's aliases, description, image mode and reference images
+ * Shared by deck and global entities; the parent performs the API calls
+ */
+export default function EntityDetailsDialog({
+  open,
+  onClose,
+  entityName,
+  entity,
+  getImageUrl,
+  onSave,
+  onAddImage,
+  onUpdateImage,
+  onRemoveImage,
+}) {
+  const [aliases, setAliases] = useState('');
+  const [description, setDescription] = useState('');
+  const [imageMode, setImageMode] = useState('first');
+  const [labels, setLabels] = useState({});
+  const [newLabel, setNewLabel] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !entity) return;
+    setAliases((entity.aliases || []).join(', '));
+    setDescription(entity.description || '');
+    setImageMode(entity.imageMode || 'first');
+    setError(null);
+    // Only reset when another entity is opened, so saving keeps the form
+  }, [open, entityName]);
+
+  useEffect(() => {
+    if (entity) setLabels(entity.imageLabels || {});
+  }, [entity]);
+
+  if (!entity) return null;
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    await run(() => onSave({ aliases: parseAliases(aliases), description: description.trim(), imageMode }));
+    setSaving(false);
+  };
+
+  const handleImageSelect = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    await run(async () => {
+      await onAddImage(file, newLabel.trim());
+      setNewLabel('');
+    });
+    setUploading(false);
+  };
+
+  const handleLabelBlur = (filename) => {
+    const label = (labels[filename] || '').trim();
+    if (label === (entity.imageLabels?.[filename] || '')) return;
+    if (!LABEL_PATTERN.test(label)) {
+      setError('Image labels must contain only letters, numbers, and hyphens (no spaces)');
+      return;
+    }
+    run(() => onUpdateImage(filename, { label }));
+  };
+
+  const labelledImage = Object.values(entity.imageLabels || {})[0];
+  const mode = IMAGE_MODES.find((m) => m.value === imageMode);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>@{entityName}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <TextField
+          fullWidth
+          size="small"
+          label="Aliases"
+          value={aliases}
+          onChange={(e) => setAliases(e.target.value)}
+          placeholder="e.g., Bob, Bobby"
+          helperText="Comma-separated. @Alias references resolve to this entity."
+          sx={{ mt: 1, mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          size="small"
+          label="Description"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          placeholder="e.g., a tall man with a grey beard and round glasses"
+          helperText="Added to prompts after the entity's first mention"
+          inputProps={{ maxLength: 500 }}
+          sx={{ mb: 2 }}
+        />
+        <FormControl fullWidth size="small" sx={{ mb: 1 }}>
+          <InputLabel>Reference Images</InputLabel>
+          <Select value={imageMode} label="Reference Images" onChange={(e) => setImageMode(e.target.value)}>
+            {IMAGE_MODES.map((m) => (
+              <MenuItem key={m.value} value={m.value}>
+                {m.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Typography variant="caption" color="text.secondary" display="block" mb={1}>
+          {mode?.help}. @{entityName}:label always picks the image with that label
+          {labelledImage && ` (e.g. @${entityName}:${labelledImage})`}.
+        </Typography>
+        <Box display="flex" justifyContent="flex-end" mb={2}>
+          <Button size="small" variant="contained" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </Box>
+
+        <Typography variant="subtitle2" gutterBottom>
+          Images ({entity.images.length})
+        </Typography>
+        <Box display="flex" flexWrap="wrap" gap={2} mb={2}>
+          {entity.images.map((filename, index) => (
+            <Box key={filename} sx={{ width: 120 }}>
+              <Box position="relative">
+                <img
+                  src={getImageUrl(filename)}
+                  alt={labels[filename] || entityName}
+                  style={{ width: 120, height: 120, objectFit: 'cover', borderRadius: 4, border: '1px solid #ddd' }}
+                />
+                {entity.images.length > 1 && (
+                  <IconButton
+                    size="small"
+                    onClick={() => run(() => onRemoveImage(filename))}
+                    sx={{ position: 'absolute', top: 0, right: 0, bgcolor: 'background.paper', p: 0.25 }}
+                  >
+                    <Close fontSize="small" />
+                  </IconButton>
+                )}
+                {index === 0 ? (
+                  <Chip
+                    size="small"
+                    icon={<Star fontSize="small" />}
+                    label="Primary"
+                    sx={{ position: 'absolute', bottom: 4, left: 4 }}
+                  />
+                ) : (
+                  <Tooltip title="Make primary">
+                    <IconButton
+                      size="small"
+                      onClick={() => run(() => onUpdateImage(filename, { primary: true }))}
+                      sx={{ position: 'absolute', bottom: 0, left: 0, bgcolor: 'background.paper', p: 0.25 }}
+                    >
+                      <StarBorder fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                )}
+              </Box>
+              <TextField
+                size="small"
+                variant="standard"
+                placeholder="label"
+                value={labels[filename] || ''}
+                onChange={(e) => setLabels({ ...labels, [filename]: e.target.value })}
+                onBlur={() => handleLabelBlur(filename)}
+                inputProps={{ maxLength: 50 }}
+              />
+            </Box>
+          ))}
+        </Box>
+
+        <Box display="flex" gap={1} alignItems="center">
+          <TextField
+            size="small"
+            label="New image label"
+            value={newLabel}
+            onChange={(e) => setNewLabel(e.target.value)}
+            placeholder="e.g., side-profile"
+            error={!LABEL_PATTERN.test(newLabel.trim())}
+          />
+          <Button
+            variant="outlined"
+            component="label"
+            size="small"
+            disabled={uploading || entity.images.length >= 10 || !LABEL_PATTERN.test(newLabel.trim())}
+            startIcon={uploading ? <CircularProgress size={16} /> : <CloudUpload />}
+          >
+            Add Image
+            <input type="file" accept="image/*" hidden onChange={handleImageSelect} />
+          </Button>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -18,7 +18,9 @@ import {
   DialogContentText,
   Snackbar,
 } from '@mui/material';
-import { Add, Delete, CloudUpload } from '@mui/icons-material';
+import { Add, Delete, Edit, CloudUpload } from '@mui/icons-material';
+import EntityDetailsDialog from './EntityDetailsDialog';
+import { deckAPI } from '../services/api';
 
 export default function EntityManager({ deckId, entities, onUpdate }) {
   const [addDialogOpen, setAddDialogOpen] = useState(false);
@@ -30,6 +32,13 @@ export default function EntityManager({ deckId, entities, onUpdate }) {
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+  const [editingName, setEditingName] = useState(null);
+
+  // Entity edits return the deck; reload it so the dialog shows the change
+  const updateAndRefresh = async (request) => {
+    await request;
+    onUpdate();
+  };
 
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
@@ -167,11 +176,25 @@ export default function EntityManager({ deckId, entities, onUpdate }) {
                   <Typography variant="subtitle2" noWrap>
                     @{name}
                   </Typography>
-                  <Typography variant="caption" color="text.secondary">
+                  <Typography variant="caption" color="text.secondary" display="block">
                     {entity.images.length} image(s)
+                    {entity.imageMode && entity.imageMode !== 'first' && ` · ${entity.imageMode === 'all' ? 'all' : 'best per slide'}`}
                   </Typography>
+                  {entity.aliases?.length > 0 && (
+                    <Typography variant="caption" color="text.secondary" display="block" noWrap>
+                      Also {entity.aliases.map((alias) => `@${alias}`).join(', ')}
+                    </Typography>
+                  )}
+                  {entity.description && (
+                    <Typography variant="caption" color="text.secondary" display="block" noWrap>
+                      {entity.description}
+                    </Typography>
+                  )}
                 </CardContent>
                 <CardActions>
+                  <IconButton size="small" onClick={() => setEditingName(name)}>
+                    <Edit />
+                  </IconButton>
                   <IconButton
                     size="small"
                     color="error"
@@ -260,6 +283,19 @@ export default function EntityManager({ deckId, entities, onUpdate }) {
         </DialogActions>
       </Dialog>
 
+      <EntityDetailsDialog
+        open={Boolean(editingName)}
+        onClose={() => setEditingName(null)}
+        entityName={editingName}
+        entity={editingName && entities?.[editingName]}
+        getImageUrl={(filename) => deckAPI.getEntityImage(deckId, editingName, filename)}
+        onSave={(updates) => updateAndRefresh(deckAPI.updateEntity(deckId, editingName, updates))}
+        onAddImage={(file, label) => updateAndRefresh(deckAPI.addEntityImage(deckId, editingName, file, label))}
+        onUpdateImage={(filename, updates) =>
+          updateAndRefresh(deckAPI.updateEntityImage(deckId, editingName, filename, updates))}
+        onRemoveImage={(filename) => updateAndRefresh(deckAPI.removeEntityImage(deckId, editingName, filename))}
+      />
+
       {/* Delete Confirmation Dialog */}
       <Dialog
         open={deleteDialogOpen}
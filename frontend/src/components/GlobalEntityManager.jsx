@@ -18,12 +18,22 @@ import {
   DialogContentText,
   Snackbar,
 } from '@mui/material';
-import { Add, Delete, CloudUpload } from '@mui/icons-material';
+import { Add, Delete, Edit, CloudUpload } from '@mui/icons-material';
+import EntityDetailsDialog from './EntityDetailsDialog';
 import { useGlobalEntities } from '../hooks/useGlobalEntities';
 import { globalEntitiesAPI } from '../services/api';
 
 export default function GlobalEntityManager() {
-  const { entities, loading, addEntity, removeEntity } = useGlobalEntities();
+  const {
+    entities,
+    loading,
+    addEntity,
+    removeEntity,
+    updateEntity,
+    addImage,
+    updateImage,
+    removeImage,
+  } = useGlobalEntities();
 
   const [addDialogOpen, setAddDialogOpen] = useState(false);
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
@@ -34,6 +44,7 @@ export default function GlobalEntityManager() {
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+  const [editingName, setEditingName] = useState(null);
 
   const handleFileSelect = (event) => {
     const file = event.target.files[0];
@@ -150,11 +161,25 @@ export default function GlobalEntityManager() {
                   <Typography variant="subtitle2" noWrap>
                     @{name}
                   </Typography>
-                  <Typography variant="caption" color="text.secondary">
+                  <Typography variant="caption" color="text.secondary" display="block">
                     {entity.images.length} image(s)
+                    {entity.imageMode && entity.imageMode !== 'first' && ` · ${entity.imageMode === 'all' ? 'all' : 'best per slide'}`}
                   </Typography>
+                  {entity.aliases?.length > 0 && (
+                    <Typography variant="caption" color="text.secondary" display="block" noWrap>
+                      Also {entity.aliases.map((alias) => `@${alias}`).join(', ')}
+                    </Typography>
+                  )}
+                  {entity.description && (
+                    <Typography variant="caption" color="text.secondary" display="block" noWrap>
+                      {entity.description}
+                    </Typography>
+                  )}
                 </CardContent>
                 <CardActions>
+                  <IconButton size="small" onClick={() => setEditingName(name)}>
+                    <Edit />
+                  </IconButton>
                   <IconButton
                     size="small"
                     color="error"
@@ -243,6 +268,18 @@ export default function GlobalEntityManager() {
         </DialogActions>
       </Dialog>
 
+      <EntityDetailsDialog
+        open={Boolean(editingName)}
+        onClose={() => setEditingName(null)}
+        entityName={editingName}
+        entity={editingName && entities?.[editingName]}
+        getImageUrl={(filename) => globalEntitiesAPI.getImage(editingName, filename)}
+        onSave={(updates) => updateEntity(editingName, updates)}
+        onAddImage={(file, label) => addImage(editingName, file, label)}
+        onUpdateImage={(filename, updates) => updateImage(editingName, filename, updates)}
+        onRemoveImage={(filename) => removeImage(editingName, filename)}
+      />
+
       {/* Delete Confirmation Dialog */}
       <Dialog
         open={deleteDialogOpen}
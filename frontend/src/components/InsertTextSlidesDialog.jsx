@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import { CheckCircle, UploadFile } from '@mui/icons-material';
+import { deckAPI } from '../services/api';
+import TextSlidesPreview, { TEXT_FORMAT_HELP } from './TextSlidesPreview';
+
+const getSlideLabel = (slide, index) => {
+  const notes = slide.speakerNotes?.trim();
+  return `Slide ${index + 1}${notes ? `: ${notes.length > 40 ? `${notes.slice(0, 40)}...` : notes}` : ''}`;
+};
+
+/**
+ * Insert slides parsed from text into an existing deck
+ * After inserting, asks for images of referenced entities that don't exist yet
+ */
+export default function InsertTextSlidesDialog({ open, onClose, slides, afterSlideId, onInsert, onAddEntity, onInserted }) {
+  const [text, setText] = useState('');
+  const [format, setFormat] = useState('text');
+  const [position, setPosition] = useState('end');
+  const [preview, setPreview] = useState(null);
+  const [inserting, setInserting] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [addedEntities, setAddedEntities] = useState([]);
+  const [uploadingEntity, setUploadingEntity] = useState(null);
+
+  // Start fresh each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setText('');
+      setPosition(afterSlideId || 'end');
+      setPreview(null);
+      setError(null);
+      setResult(null);
+      setAddedEntities([]);
+    }
+  }, [open, afterSlideId]);
+
+  // Preview the parsed slides while typing
+  useEffect(() => {
+    if (!open || result || !text.trim()) {
+      setPreview(null);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await deckAPI.previewText({ text, format });
+        setPreview(response.data.slides);
+      } catch (err) {
+        console.error('Failed to preview text:', err);
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [open, result, text, format]);
+
+  const handleInsert = async () => {
+    setInserting(true);
+    setError(null);
+    try {
+      const inserted = await onInsert({
+        text,
+        format,
+        afterSlideId: position === 'end' ? null : position,
+      });
+      if (inserted.missingEntities.length > 0) {
+        setResult(inserted);
+      } else {
+        onInserted(inserted);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setInserting(false);
+    }
+  };
+
+  const handleEntityImage = async (entityName, file) => {
+    if (!file) return;
+
+    setUploadingEntity(entityName);
+    setError(null);
+    try {
+      await onAddEntity(entityName, file);
+      setAddedEntities((prev) => [...prev, entityName]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploadingEntity(null);
+    }
+  };
+
+  if (result) {
+    return (
+      <Dialog open={open} onClose={() => onInserted(result)} maxWidth="sm" fullWidth>
+        <DialogTitle>Add Entity Images</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 1 }}>
+            {result.slides.length} slide(s) inserted. These entities are referenced but have no image yet.
+            Add an image now or later in the deck settings.
+          </DialogContentText>
+          {error && <Alert severity="error" sx={{ mb: 1 }}>{error}</Alert>}
+          <List dense>
+            {result.missingEntities.map((entityName) => (
+              <ListItem
+                key={entityName}
+                secondaryAction={addedEntities.includes(entityName) ? (
+                  <CheckCircle color="success" />
+                ) : (
+                  <Button
+                    size="small"
+                    component="label"
+                    disabled={Boolean(uploadingEntity)}
+                    startIcon={uploadingEntity === entityName ? <CircularProgress size={16} /> : <UploadFile />}
+                  >
+                    Upload Image
+                    <input
+                      type="file"
+                      accept="image/*"
+                      hidden
+                      onChange={(e) => handleEntityImage(entityName, e.target.files?.[0])}
+                    />
+                  </Button>
+                )}
+              >
+                <ListItemText primary={`@${entityName}`} />
+              </ListItem>
+            ))}
+          </List>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => onInserted(result)} variant="contained" disabled={Boolean(uploadingEntity)}>
+            Done
+          </Button>
+        </DialogActions>
+      </Dialog>
+    );
+  }
+
+  return (
+    <Dialog open={open} onClose={() => !inserting && onClose()} maxWidth="md" fullWidth>
+      <DialogTitle>Insert Slides from Text</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Box display="flex" gap={2} mt={1} mb={1}>
+          <FormControl fullWidth size="small">
+            <InputLabel>Format</InputLabel>
+            <Select
+              value={format}
+              label="Format"
+              onChange={(e) => setFormat(e.target.value)}
+              disabled={inserting}
+            >
+              <MenuItem value="text">Plain text (one slide per line)</MenuItem>
+              <MenuItem value="markdown">Markdown outline</MenuItem>
+            </Select>
+          </FormControl>
+          <FormControl fullWidth size="small">
+            <InputLabel>Insert</InputLabel>
+            <Select
+              value={position}
+              label="Insert"
+              onChange={(e) => setPosition(e.target.value)}
+              disabled={inserting}
+            >
+              <MenuItem value="end">At the end</MenuItem>
+              {slides.map((slide, index) => (
+                <MenuItem key={slide.id} value={slide.id}>
+                  After {getSlideLabel(slide, index)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Box>
+        <TextField
+          autoFocus
+          margin="dense"
+          label="Paste your text here"
+          fullWidth
+          multiline
+          rows={10}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          disabled={inserting}
+          helperText={TEXT_FORMAT_HELP[format]}
+          sx={{ mb: 2 }}
+        />
+        {preview && <TextSlidesPreview slides={preview} />}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={inserting}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleInsert}
+          variant="contained"
+          disabled={!text.trim() || inserting || preview?.length === 0}
+          startIcon={inserting ? <CircularProgress size={16} /> : null}
+        >
+          {inserting ? 'Inserting...' : 'Insert Slides'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Typography,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { deckAPI } from '../services/api';
+import { useProviders } from '../hooks/useProviders';
+
+// Same as the backend's DEFAULT_PROMPT_TEMPLATE
+const DEFAULT_TEMPLATE =
+  '{style}. {theme}. {description}. {aspectRatio} aspect ratio, presentation quality, detailed, professional.';
+
+const PLACEHOLDER_HELP =
+  '{style} visual style, {description} image description, {entities} entity reference note, ' +
+  '{theme} theme image note, {scene} scene style, {aspectRatio} deck aspect ratio. Empty placeholders are left out.';
+
+/**
+ * Edit a deck's prompt template and negative prompt with a live preview
+ * of the prompt for one of its slides
+ */
+export default function PromptTemplateEditor({ deck, slides, onSave }) {
+  const { providers, getProviderName } = useProviders();
+  const [promptTemplate, setPromptTemplate] = useState('');
+  const [negativePrompt, setNegativePrompt] = useState('');
+  const [previewSlideId, setPreviewSlideId] = useState('');
+  const [service, setService] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setPromptTemplate(deck.promptTemplate || '');
+    setNegativePrompt(deck.negativePrompt || '');
+  }, [deck.promptTemplate, deck.negativePrompt]);
+
+  const changed = promptTemplate !== (deck.promptTemplate || '') || negativePrompt !== (deck.negativePrompt || '');
+
+  // Render the unsaved values while typing
+  useEffect(() => {
+    if (slides.length === 0) {
+      setPreview(null);
+      return undefined;
+    }
+
+    setPreviewing(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await deckAPI.previewPrompt(deck.id, {
+          promptTemplate,
+          negativePrompt,
+          ...(previewSlideId && { slideId: previewSlideId }),
+          ...(service && { service }),
+        });
+        setPreview(response.data);
+        setPreviewError(null);
+      } catch (err) {
+        setPreview(null);
+        setPreviewError(err.message);
+      } finally {
+        setPreviewing(false);
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [deck.id, slides, promptTemplate, negativePrompt, previewSlideId, service]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave({ promptTemplate, negativePrompt });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const previewSlideNumber = preview ? slides.findIndex((slide) => slide.id === preview.slideId) + 1 : 0;
+  const appended = preview && preview.providerPrompt.prompt !== preview.prompt;
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>
+        Prompt Template
+      </Typography>
+      <TextField
+        fullWidth
+        multiline
+        minRows={2}
+        size="small"
+        value={promptTemplate}
+        onChange={(e) => setPromptTemplate(e.target.value)}
+        placeholder={DEFAULT_TEMPLATE}
+        helperText={`Leave empty for the default. ${PLACEHOLDER_HELP}`}
+        sx={{ mb: 2 }}
+      />
+      <TextField
+        fullWidth
+        size="small"
+        label="Negative Prompt"
+        value={negativePrompt}
+        onChange={(e) => setNegativePrompt(e.target.value)}
+        placeholder="e.g., text, watermarks, logos"
+        helperText={'What images should not contain. Services without negative prompts get it appended as "Avoid: ..."'}
+        sx={{ mb: 2 }}
+      />
+
+      <Box display="flex" gap={2} mb={1}>
+        <FormControl size="small" sx={{ minWidth: 240 }}>
+          <InputLabel>Preview Slide</InputLabel>
+          <Select value={previewSlideId} label="Preview Slide" onChange={(e) => setPreviewSlideId(e.target.value)}>
+            <MenuItem value="">First slide with a description</MenuItem>
+            {slides.map((slide, index) => (
+              <MenuItem key={slide.id} value={slide.id}>
+                Slide {index + 1}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 200 }}>
+          <InputLabel>Service</InputLabel>
+          <Select value={service} label="Service" onChange={(e) => setService(e.target.value)}>
+            <MenuItem value="">Default</MenuItem>
+            {providers.map((provider) => (
+              <MenuItem key={provider.id} value={provider.id}>
+                {provider.name}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {previewing && <CircularProgress size={20} sx={{ alignSelf: 'center' }} />}
+      </Box>
+
+      {previewError && <Alert severity="warning" sx={{ mb: 1 }}>{previewError}</Alert>}
+      {preview && (
+        <Box sx={{ p: 2, mb: 1, bgcolor: 'grey.100', borderRadius: 1 }}>
+          <Typography variant="caption" color="text.secondary" display="block">
+            Slide {previewSlideNumber} with {getProviderName(preview.service)}
+          </Typography>
+          <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+            {preview.providerPrompt.prompt}
+          </Typography>
+          {preview.providerPrompt.negativePrompt && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              Negative prompt: {preview.providerPrompt.negativePrompt}
+            </Typography>
+          )}
+          {appended && (
+            <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+              This service has no separate negative prompt, so it is appended.
+            </Typography>
+          )}
+          {preview.warnings.map((warning) => (
+            <Typography key={warning} variant="caption" color="warning.main" display="block" sx={{ mt: 1 }}>
+              {warning}
+            </Typography>
+          ))}
+          {preview.unknownEntities.length > 0 && (
+            <Typography variant="caption" color="warning.main" display="block" sx={{ mt: 1 }}>
+              Unknown entities: {preview.unknownEntities.map((name) => `@${name}`).join(', ')}
+            </Typography>
+          )}
+        </Box>
+      )}
+
+      <Button size="small" onClick={handleSave} disabled={!changed || saving}>
+        {saving ? 'Saving...' : 'Save'}
+      </Button>
+      <Button
+        size="small"
+        onClick={() => {
+          setPromptTemplate(deck.promptTemplate || '');
+          setNegativePrompt(deck.negativePrompt || '');
+        }}
+        disabled={!changed || saving}
+      >
+        Cancel
+      </Button>
+    </Box>
+  );
+}
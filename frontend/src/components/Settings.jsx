@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import {
   Box,
   Container,
@@ -16,15 +16,29 @@ import {
   TextField,
   Snackbar,
   IconButton,
+  FormControlLabel,
+  Switch,
 } from '@mui/material';
 import { ArrowBack, UploadFile, Delete } from '@mui/icons-material';
 import { useSettings } from '../hooks/useSettings';
+import { useProviders } from '../hooks/useProviders';
 import { settingsAPI } from '../services/api';
 import GlobalEntityManager from './GlobalEntityManager';
+import StylePresetManager from './StylePresetManager';
+import UsagePanel from './UsagePanel';
+
+// Budget fields are free text; empty means no limit
+const parseBudget = (value) => (value === '' ? null : Math.max(0, parseInt(value, 10) || 0));
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
 
 export default function Settings() {
   const navigate = useNavigate();
   const { settings, loading, updateSettings } = useSettings();
+  const { providers, getProviderName } = useProviders();
 
   const [defaultService, setDefaultService] = useState('gemini-pro');
   const [defaultVariantCount, setDefaultVariantCount] = useState(2);
@@ -32,6 +46,13 @@ export default function Settings() {
   const [googleSlidesTemplateIndex, setGoogleSlidesTemplateIndex] = useState(1);
   const [powerPointTemplateFilename, setPowerPointTemplateFilename] = useState(null);
   const [powerPointTemplateIndex, setPowerPointTemplateIndex] = useState(1);
+  const [dailyImageBudget, setDailyImageBudget] = useState('');
+  const [dailyDescriptionBudget, setDailyDescriptionBudget] = useState('');
+  const [pruneOriginalsAfterDays, setPruneOriginalsAfterDays] = useState('');
+  const [trashRetentionDays, setTrashRetentionDays] = useState('');
+  const [summarizeLongStyles, setSummarizeLongStyles] = useState(false);
+  const [originalsUsage, setOriginalsUsage] = useState(null);
+  const [pruningOriginals, setPruningOriginals] = useState(false);
   const [saving, setSaving] = useState(false);
   const [uploadingTemplate, setUploadingTemplate] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
@@ -45,9 +66,20 @@ export default function Settings() {
       setGoogleSlidesTemplateIndex(settings.googleSlides?.templateSlideIndex || 1);
       setPowerPointTemplateFilename(settings.powerPoint?.templateFilename || null);
       setPowerPointTemplateIndex(settings.powerPoint?.templateSlideIndex || 1);
+      setDailyImageBudget(settings.usageBudgets?.dailyImages ?? '');
+      setDailyDescriptionBudget(settings.usageBudgets?.dailyDescriptions ?? '');
+      setPruneOriginalsAfterDays(settings.storage?.pruneOriginalsAfterDays ?? '');
+      setTrashRetentionDays(settings.storage?.trashRetentionDays ?? '');
+      setSummarizeLongStyles(settings.prompts?.summarizeLongStyles ?? false);
     }
   }, [settings]);
 
+  useEffect(() => {
+    settingsAPI.getOriginals()
+      .then((response) => setOriginalsUsage(response.data))
+      .catch((err) => console.error('Failed to fetch originals usage:', err));
+  }, []);
+
   const handleSave = async () => {
     setSaving(true);
     try {
@@ -57,6 +89,11 @@ export default function Settings() {
         googleSlidesTemplateUrl: googleSlidesTemplateUrl || null,
         googleSlidesTemplateIndex: googleSlidesTemplateIndex || 1,
         powerPointTemplateIndex: powerPointTemplateIndex || 1,
+        dailyImageBudget: parseBudget(dailyImageBudget),
+        dailyDescriptionBudget: parseBudget(dailyDescriptionBudget),
+        pruneOriginalsAfterDays: parseBudget(pruneOriginalsAfterDays),
+        trashRetentionDays: parseBudget(trashRetentionDays),
+        summarizeLongStyles,
       });
       setSnackbar({ open: true, message: 'Settings saved successfully', severity: 'success' });
     } catch (err) {
@@ -66,6 +103,24 @@ export default function Settings() {
     }
   };
 
+  const handlePruneOriginals = async () => {
+    setPruningOriginals(true);
+    try {
+      const response = await settingsAPI.pruneOriginals();
+      const { pruned, usage } = response.data;
+      setOriginalsUsage(usage);
+      setSnackbar({
+        open: true,
+        message: `Removed ${pruned.images} original(s), ${formatBytes(pruned.bytes)} freed`,
+        severity: 'success',
+      });
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
+    } finally {
+      setPruningOriginals(false);
+    }
+  };
+
   const handlePptxTemplateUpload = async (event) => {
     const file = event.target.files?.[0];
     if (!file) return;
@@ -154,8 +209,14 @@ export default function Settings() {
             label="Default AI Service"
             onChange={(e) => setDefaultService(e.target.value)}
           >
-            <MenuItem value="gemini-flash">Gemini Flash</MenuItem>
-            <MenuItem value="gemini-pro">Gemini Pro</MenuItem>
+            {providers.length === 0 && (
+              <MenuItem value={defaultService}>{getProviderName(defaultService)}</MenuItem>
+            )}
+            {providers.map((provider) => (
+              <MenuItem key={provider.id} value={provider.id}>
+                {provider.name}{!provider.configured && ' (not configured)'}
+              </MenuItem>
+            ))}
           </Select>
         </FormControl>
 
@@ -174,6 +235,20 @@ export default function Settings() {
           </Select>
         </FormControl>
 
+        <FormControlLabel
+          control={
+            <Switch
+              checked={summarizeLongStyles}
+              onChange={(e) => setSummarizeLongStyles(e.target.checked)}
+            />
+          }
+          label="Summarize long visual styles with ChatGPT"
+        />
+        <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 3 }}>
+          Prompts over an image service's length limit are shortened, cutting the visual style first.
+          With this on, the style is condensed by ChatGPT instead of cut off.
+        </Typography>
+
         <Button
           fullWidth
           variant="contained"
@@ -184,6 +259,124 @@ export default function Settings() {
         </Button>
       </Paper>
 
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Usage & Budgets
+        </Typography>
+        <Typography variant="body2" color="text.secondary" paragraph>
+          Every image generation and description call is recorded. Daily budgets block
+          Generate All / Generate Missing and description regeneration once they would be exceeded.
+          Leave a budget empty for no limit.
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+          <TextField
+            fullWidth
+            type="number"
+            label="Daily Image Budget"
+            value={dailyImageBudget}
+            onChange={(e) => setDailyImageBudget(e.target.value)}
+            placeholder="No limit"
+            inputProps={{ min: 0 }}
+          />
+          <TextField
+            fullWidth
+            type="number"
+            label="Daily Description Budget"
+            value={dailyDescriptionBudget}
+            onChange={(e) => setDailyDescriptionBudget(e.target.value)}
+            placeholder="No limit"
+            inputProps={{ min: 0 }}
+          />
+        </Box>
+
+        <Button
+          fullWidth
+          variant="contained"
+          onClick={handleSave}
+          disabled={saving}
+          sx={{ mb: 3 }}
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </Button>
+
+        <Divider sx={{ mb: 3 }} />
+        <UsagePanel />
+      </Paper>
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Storage
+        </Typography>
+        <Typography variant="body2" color="text.secondary" paragraph>
+          The untouched original of every generated image is kept next to the processed JPEG.
+          Exports and re-cropping use it for the best quality. Originals of pinned images are
+          always kept; originals of unpinned images can be removed after a number of days.
+          Leave empty to keep them forever.
+        </Typography>
+
+        <TextField
+          fullWidth
+          type="number"
+          label="Remove Unpinned Originals After (days)"
+          value={pruneOriginalsAfterDays}
+          onChange={(e) => setPruneOriginalsAfterDays(e.target.value)}
+          placeholder="Keep forever"
+          inputProps={{ min: 0 }}
+          sx={{ mb: 2 }}
+        />
+
+        <TextField
+          fullWidth
+          type="number"
+          label="Keep Deleted Items in Trash (days)"
+          value={trashRetentionDays}
+          onChange={(e) => setTrashRetentionDays(e.target.value)}
+          placeholder="Keep until the trash is emptied"
+          helperText={<>Deleted decks, slides and images can be restored from the <Link to="/trash">Trash</Link> until then.</>}
+          inputProps={{ min: 0 }}
+          sx={{ mb: 2 }}
+        />
+
+        <Button
+          fullWidth
+          variant="contained"
+          onClick={handleSave}
+          disabled={saving}
+          sx={{ mb: 3 }}
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </Button>
+
+        <Divider sx={{ mb: 3 }} />
+        {originalsUsage && (
+          <Typography variant="body2" color="text.secondary" paragraph>
+            {originalsUsage.total.images} original(s) kept ({formatBytes(originalsUsage.total.bytes)}),
+            {' '}{originalsUsage.unpinned.images} of unpinned images ({formatBytes(originalsUsage.unpinned.bytes)})
+          </Typography>
+        )}
+        <Button
+          variant="outlined"
+          color="warning"
+          startIcon={pruningOriginals ? <CircularProgress size={16} /> : <Delete />}
+          onClick={handlePruneOriginals}
+          disabled={pruningOriginals || !originalsUsage?.unpinned.images}
+        >
+          Remove Unpinned Originals Now
+        </Button>
+      </Paper>
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Style Presets
+        </Typography>
+        <Typography variant="body2" color="text.secondary" paragraph>
+          Named visual styles with optional reference images. Decks, scenes and slides that use a preset pick up edits to it automatically.
+        </Typography>
+        <Divider sx={{ mb: 3 }} />
+        <StylePresetManager />
+      </Paper>
+
       <Paper sx={{ p: 3, mb: 3 }}>
         <Typography variant="h6" gutterBottom>
           Global Entities
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  IconButton,
+  Typography,
+  Menu,
+  MenuItem,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  CircularProgress,
+  Tooltip,
+} from '@mui/material';
+import { Close, ArrowDropDown } from '@mui/icons-material';
+
+// Field updates offered for the selected slides
+const UPDATE_ACTIONS = [
+  { label: 'Skip images', updates: { noImages: true } },
+  { label: 'Allow images', updates: { noImages: false } },
+  { label: 'Lock descriptions', updates: { descriptionLocked: true } },
+  { label: 'Unlock descriptions', updates: { descriptionLocked: false } },
+  { label: 'Mark as scene start', updates: { sceneStart: true } },
+  { label: 'Clear scene start', updates: { sceneStart: false } },
+];
+
+/**
+ * Actions for a multi-selection of slides (applied with one batch request)
+ * onApply receives the batch operations and handles its own errors
+ */
+export default function SlideBatchActions({ slides, selectedIds, onApply, onClear }) {
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [moveOpen, setMoveOpen] = useState(false);
+  const [moveAfter, setMoveAfter] = useState('start');
+  const [deleteOpen, setDeleteOpen] = useState(false);
+  const [applying, setApplying] = useState(false);
+
+  const otherSlides = slides.filter((slide) => !selectedIds.includes(slide.id));
+
+  const apply = async (operations) => {
+    setMenuAnchor(null);
+    setApplying(true);
+    try {
+      await onApply(operations);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const handleUpdate = (updates) => {
+    apply([{ type: 'update', slideIds: selectedIds, updates }]);
+  };
+
+  const handleMove = async (afterSlideId) => {
+    setMoveOpen(false);
+    await apply([{ type: 'move', slideIds: selectedIds, afterSlideId }]);
+  };
+
+  const handleDelete = async () => {
+    setDeleteOpen(false);
+    await apply([{ type: 'delete', slideIds: selectedIds }]);
+    onClear();
+  };
+
+  return (
+    <Box display="flex" alignItems="center" gap={1}>
+      <Typography variant="body2" sx={{ flex: 1 }}>
+        {selectedIds.length} selected
+      </Typography>
+      <Button
+        size="small"
+        variant="outlined"
+        onClick={(e) => setMenuAnchor(e.currentTarget)}
+        disabled={applying}
+        endIcon={applying ? <CircularProgress size={14} /> : <ArrowDropDown />}
+      >
+        Actions
+      </Button>
+      <Tooltip title="Clear selection">
+        <IconButton size="small" onClick={onClear} disabled={applying}>
+          <Close fontSize="small" />
+        </IconButton>
+      </Tooltip>
+
+      <Menu anchorEl={menuAnchor} open={Boolean(menuAnchor)} onClose={() => setMenuAnchor(null)}>
+        {UPDATE_ACTIONS.map((action) => (
+          <MenuItem key={action.label} onClick={() => handleUpdate(action.updates)}>
+            {action.label}
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem onClick={() => handleMove(null)}>Move to start</MenuItem>
+        <MenuItem
+          onClick={() => handleMove(otherSlides[otherSlides.length - 1].id)}
+          disabled={otherSlides.length === 0}
+        >
+          Move to end
+        </MenuItem>
+        <MenuItem
+          onClick={() => {
+            setMenuAnchor(null);
+            setMoveAfter('start');
+            setMoveOpen(true);
+          }}
+          disabled={otherSlides.length === 0}
+        >
+          Move after...
+        </MenuItem>
+        <Divider />
+        <MenuItem
+          onClick={() => {
+            setMenuAnchor(null);
+            setDeleteOpen(true);
+          }}
+          sx={{ color: 'error.main' }}
+        >
+          Delete...
+        </MenuItem>
+      </Menu>
+
+      <Dialog open={moveOpen} onClose={() => setMoveOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Move {selectedIds.length} Slide(s)</DialogTitle>
+        <DialogContent>
+          <FormControl fullWidth size="small" sx={{ mt: 1 }}>
+            <InputLabel>Position</InputLabel>
+            <Select value={moveAfter} label="Position" onChange={(e) => setMoveAfter(e.target.value)}>
+              <MenuItem value="start">At the start</MenuItem>
+              {otherSlides.map((slide) => (
+                <MenuItem key={slide.id} value={slide.id}>
+                  After slide {slides.indexOf(slide) + 1}
+                  {slide.speakerNotes ? `: ${slide.speakerNotes.slice(0, 40)}` : ''}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMoveOpen(false)}>Cancel</Button>
+          <Button onClick={() => handleMove(moveAfter === 'start' ? null : moveAfter)} variant="contained">
+            Move
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={deleteOpen} onClose={() => setDeleteOpen(false)}>
+        <DialogTitle>Delete {selectedIds.length} Slide(s)?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The selected slides and their images will be moved to the trash.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleteOpen(false)}>Cancel</Button>
+          <Button onClick={handleDelete} color="error" variant="contained">
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
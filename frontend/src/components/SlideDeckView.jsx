@@ -19,22 +19,34 @@ import {
 import { ArrowBack, Settings as SettingsIcon, CloudUpload as ExportIcon } from '@mui/icons-material';
 import { useDeck } from '../hooks/useDecks';
 import { useSlides } from '../hooks/useSlides';
+import { useBulkOperations } from '../hooks/useImages';
 import { slideAPI, deckAPI } from '../services/api';
 import SlidePanel from './SlidePanel';
 import SlideEditor from './SlideEditor';
+import InsertTextSlidesDialog from './InsertTextSlidesDialog';
 
 export default function SlideDeckView() {
   const { deckId } = useParams();
   const navigate = useNavigate();
   const [searchParams, setSearchParams] = useSearchParams();
 
-  const { deck, loading: deckLoading, error: deckError } = useDeck(deckId);
-  const { slides: slidesFromHook, loading: slidesLoading, createSlide, updateSlide, deleteSlide, reorderSlides, refresh: refreshSlides } = useSlides(deckId);
+  const { deck, loading: deckLoading, error: deckError, addEntity } = useDeck(deckId);
+  const { slides: slidesFromHook, loading: slidesLoading, createSlide, insertSlidesFromText, updateSlide, deleteSlide, reorderSlides, batchUpdateSlides, refresh: refreshSlides, addGeneratedImages } = useSlides(deckId);
+
+  // Follow any running bulk job so thumbnails appear as slides finish
+  const { generatingSlideIds } = useBulkOperations(deckId, {
+    onSlideEvent: (event) => {
+      if (event.type === 'slide-completed' && event.images?.length > 0) {
+        addGeneratedImages(event.slideId, event.images);
+      }
+    },
+  });
 
   const [slides, setSlides] = useState([]);
   const [selectedSlideId, setSelectedSlideId] = useState(null);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [slideToDelete, setSlideToDelete] = useState(null);
+  const [insertTextOpen, setInsertTextOpen] = useState(false);
   const [exportDialogOpen, setExportDialogOpen] = useState(false);
   const [exportTitle, setExportTitle] = useState('');
   const [exporting, setExporting] = useState(false);
@@ -84,6 +96,14 @@ export default function SlideDeckView() {
     }
   };
 
+  // Slides inserted from text: select the first one
+  const handleSlidesInserted = ({ slides: inserted }) => {
+    setInsertTextOpen(false);
+    setSelectedSlideId(inserted[0].id);
+    setSearchParams({ slide: inserted[0].id });
+    setSnackbar({ open: true, message: `Inserted ${inserted.length} slide(s)`, severity: 'success' });
+  };
+
   // Add slide before selected slide
   const handleAddSlideBefore = async (referenceSlideId) => {
     try {
@@ -203,6 +223,15 @@ export default function SlideDeckView() {
     }
   };
 
+  // Apply batch operations to the slides selected in the panel
+  const handleBatchOperations = async (operations) => {
+    try {
+      await batchUpdateSlides(operations);
+    } catch (error) {
+      setSnackbar({ open: true, message: `Error updating slides: ${error.message}`, severity: 'error' });
+    }
+  };
+
   // Toggle no images for a slide (inline update without full refresh)
   const handleToggleNoImages = async (slideId, currentValue) => {
     // Optimistically update local state immediately for smooth UX
@@ -349,11 +378,15 @@ export default function SlideDeckView() {
           onSelectSlide={handleSelectSlide}
           onDeleteSlide={handleDeleteSlide}
           onAddSlide={handleAddSlide}
+          onAddSlidesFromText={() => setInsertTextOpen(true)}
           onAddSlideBefore={handleAddSlideBefore}
           onAddSlideAfter={handleAddSlideAfter}
           onReorderSlides={handleReorderSlides}
           onToggleNoImages={handleToggleNoImages}
+          onBatchOperations={handleBatchOperations}
           deckId={deckId}
+          aspectRatio={deck.aspectRatio}
+          generatingSlideIds={generatingSlideIds}
         />
 
         {/* Right Panel: Slide Editor */}
@@ -402,6 +435,16 @@ export default function SlideDeckView() {
         </Box>
       </Box>
 
+      <InsertTextSlidesDialog
+        open={insertTextOpen}
+        onClose={() => setInsertTextOpen(false)}
+        slides={slides}
+        afterSlideId={selectedSlideId}
+        onInsert={insertSlidesFromText}
+        onAddEntity={addEntity}
+        onInserted={handleSlidesInserted}
+      />
+
       {/* Delete Confirmation Dialog */}
       <Dialog
         open={deleteConfirmOpen}
@@ -410,7 +453,7 @@ export default function SlideDeckView() {
         <DialogTitle>Delete Slide?</DialogTitle>
         <DialogContent>
           <DialogContentText>
-            Are you sure you want to delete this slide? This action cannot be undone.
+            Are you sure you want to delete this slide? It is moved to the trash and can be restored from there.
             All generated images for this slide will also be deleted.
           </DialogContentText>
         </DialogContent>
@@ -29,11 +29,15 @@ import {
   DialogActions,
   Snackbar,
 } from '@mui/material';
-import { ArrowBack, PhotoCamera, Delete, PushPin, Edit as EditIcon, Lock, LockOpen, Close, ChevronLeft, ChevronRight, History } from '@mui/icons-material';
+import { ArrowBack, PhotoCamera, Delete, PushPin, Edit as EditIcon, Lock, LockOpen, Close, ChevronLeft, ChevronRight, History, Crop, Visibility } from '@mui/icons-material';
 import { useSlide, useSlides } from '../hooks/useSlides';
 import { useDeck } from '../hooks/useDecks';
+import { useStylePresets } from '../hooks/useStylePresets';
 import { useImages } from '../hooks/useImages';
+import { useProviders } from '../hooks/useProviders';
 import { slideAPI } from '../services/api';
+import CropDialog from './CropDialog';
+import SlidePromptPreview from './SlidePromptPreview';
 
 export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: slideIdProp, isEmbedded = false, onSlideChange }) {
   const { deckId: deckIdParam, slideId: slideIdParam } = useParams();
@@ -45,9 +49,11 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
 
   const { deck } = useDeck(deckId);
   // Always fetch from API to ensure we have fresh data
-  const { slide: slideFromHook, updateSlide, pinImage, deleteImage, refresh } = useSlide(deckId, slideId);
+  const { slide: slideFromHook, updateSlide, pinImage, deleteImage, cropImage, refresh } = useSlide(deckId, slideId);
   const { generating, generateImages, tweakImage } = useImages(deckId, slideId);
   const { createSlide } = useSlides(deckId);
+  const { providers, getProviderName } = useProviders();
+  const { presets: stylePresets } = useStylePresets();
 
   // Always use hook data to ensure fresh API data
   const slide = slideFromHook;
@@ -55,21 +61,25 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
   const [speakerNotes, setSpeakerNotes] = useState('');
   const [imageDescription, setImageDescription] = useState('');
   const [overrideVisualStyle, setOverrideVisualStyle] = useState('');
+  const [overrideStylePresetId, setOverrideStylePresetId] = useState('');
   const [noImages, setNoImages] = useState(false);
   const [descriptionLocked, setDescriptionLocked] = useState(false);
   const [sceneStart, setSceneStart] = useState(false);
   const [noContext, setNoContext] = useState(false);
   const [sceneVisualStyle, setSceneVisualStyle] = useState('');
+  const [sceneStylePresetId, setSceneStylePresetId] = useState('');
   const [variantCount, setVariantCount] = useState(2);
-  const [service, setService] = useState('gemini-pro');
+  const [service, setService] = useState(''); // '' = preferred service of the style preset, else the default
   const [unsavedChanges, setUnsavedChanges] = useState(false);
   const [generatingDescription, setGeneratingDescription] = useState(false);
   const [lastUsedPrompt, setLastUsedPrompt] = useState('');
+  const [promptPreviewOpen, setPromptPreviewOpen] = useState(false);
   const [tweakDialogOpen, setTweakDialogOpen] = useState(false);
   const [tweakImageId, setTweakImageId] = useState(null);
   const [tweakPrompt, setTweakPrompt] = useState('');
   const [tweakCount, setTweakCount] = useState(2);
   const [viewImageId, setViewImageId] = useState(null);
+  const [cropImageId, setCropImageId] = useState(null);
   const [deleteImageDialogOpen, setDeleteImageDialogOpen] = useState(false);
   const [imageToDelete, setImageToDelete] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
@@ -82,11 +92,13 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
     speakerNotes: '',
     imageDescription: '',
     overrideVisualStyle: '',
+    overrideStylePresetId: '',
     noImages: false,
     descriptionLocked: false,
     sceneStart: false,
     noContext: false,
     sceneVisualStyle: '',
+    sceneStylePresetId: '',
     unsavedChanges: false
   });
 
@@ -96,14 +108,16 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
       speakerNotes,
       imageDescription,
       overrideVisualStyle,
+      overrideStylePresetId,
       noImages,
       descriptionLocked,
       sceneStart,
       noContext,
       sceneVisualStyle,
+      sceneStylePresetId,
       unsavedChanges
     };
-  }, [speakerNotes, imageDescription, overrideVisualStyle, noImages, descriptionLocked, sceneStart, noContext, sceneVisualStyle, unsavedChanges]);
+  }, [speakerNotes, imageDescription, overrideVisualStyle, overrideStylePresetId, noImages, descriptionLocked, sceneStart, noContext, sceneVisualStyle, sceneStylePresetId, unsavedChanges]);
 
   // Load slide data when slide changes OR slideId changes
   useEffect(() => {
@@ -111,11 +125,13 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
       setSpeakerNotes(slide.speakerNotes);
       setImageDescription(slide.imageDescription);
       setOverrideVisualStyle(slide.overrideVisualStyle || '');
+      setOverrideStylePresetId(slide.overrideStylePresetId || '');
       setNoImages(slide.noImages || false);
       setDescriptionLocked(slide.descriptionLocked || false);
       setSceneStart(slide.sceneStart || false);
       setNoContext(slide.noContext || false);
       setSceneVisualStyle(slide.sceneVisualStyle || '');
+      setSceneStylePresetId(slide.sceneStylePresetId || '');
       setDescriptionHistory(slide.descriptionHistory || []);
       setHistoryIndex(null); // Reset to showing current description
       setUnsavedChanges(false);
@@ -137,11 +153,13 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
           speakerNotes: state.speakerNotes,
           imageDescription: state.imageDescription,
           overrideVisualStyle: state.overrideVisualStyle || null,
+          overrideStylePresetId: state.overrideStylePresetId || null,
           noImages: state.noImages,
           descriptionLocked: state.descriptionLocked,
           sceneStart: state.sceneStart,
           noContext: state.noContext,
-          sceneVisualStyle: state.sceneVisualStyle || null
+          sceneVisualStyle: state.sceneVisualStyle || null,
+          sceneStylePresetId: state.sceneStylePresetId || null
         }).catch(err => {
           console.error('Failed to save on navigation:', err);
         });
@@ -167,11 +185,13 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
           speakerNotes,
           imageDescription,
           overrideVisualStyle: overrideVisualStyle || null,
+        overrideStylePresetId: overrideStylePresetId || null,
           noImages,
           descriptionLocked,
           sceneStart,
           noContext,
-          sceneVisualStyle: sceneVisualStyle || null
+          sceneVisualStyle: sceneVisualStyle || null,
+        sceneStylePresetId: sceneStylePresetId || null
         });
         setUnsavedChanges(false);
       } catch (err) {
@@ -186,11 +206,13 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
         speakerNotes,
         imageDescription,
         overrideVisualStyle: overrideVisualStyle || null,
+        overrideStylePresetId: overrideStylePresetId || null,
         noImages,
         descriptionLocked,
         sceneStart,
         noContext,
-        sceneVisualStyle: sceneVisualStyle || null
+        sceneVisualStyle: sceneVisualStyle || null,
+        sceneStylePresetId: sceneStylePresetId || null
       });
       setUnsavedChanges(false);
     } catch (err) {
@@ -198,6 +220,14 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
     }
   };
 
+  // The preview uses the saved slide, so save pending edits first
+  const handleOpenPromptPreview = async () => {
+    if (unsavedChanges) {
+      await handleSave();
+    }
+    setPromptPreviewOpen(true);
+  };
+
   const handleToggleLock = () => {
     setDescriptionLocked(!descriptionLocked);
     setUnsavedChanges(true);
@@ -306,11 +336,15 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
         await handleSave();
       }
 
-      const result = await generateImages(variantCount, service);
+      const result = await generateImages(variantCount, service || undefined);
       // Store the prompt that was used
       if (result.prompt) {
         setLastUsedPrompt(result.prompt);
       }
+      // e.g. the prompt was shortened to fit the service's limit
+      if (result.warnings) {
+        setSnackbar({ open: true, message: result.warnings.join('. '), severity: 'warning' });
+      }
       await refresh();
       if (isEmbedded && onSlideChange) onSlideChange();
     } catch (err) {
@@ -329,6 +363,12 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
     }
   };
 
+  const handleApplyCrop = async (crop) => {
+    await cropImage(cropImageId, crop);
+    if (isEmbedded && onSlideChange) onSlideChange();
+    setSnackbar({ open: true, message: 'Image re-cropped', severity: 'success' });
+  };
+
   const handleDeleteImageClick = (imageId) => {
     setImageToDelete(imageId);
     setDeleteImageDialogOpen(true);
@@ -340,7 +380,7 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
     try {
       await deleteImage(imageToDelete);
       if (isEmbedded && onSlideChange) onSlideChange();
-      setSnackbar({ open: true, message: 'Image deleted successfully', severity: 'success' });
+      setSnackbar({ open: true, message: 'Image moved to trash', severity: 'success' });
     } catch (err) {
       setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
     } finally {
@@ -531,7 +571,7 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
                 }}
                 onBlur={handleBlurSave}
                 placeholder="Describe the image to generate... (or leave empty to auto-generate)"
-                helperText="Use @EntityName to reference named entities"
+                helperText="Use @EntityName or an alias to reference named entities, @EntityName:label for a labelled image"
                 disabled={isViewingHistory}
                 sx={isViewingHistory ? { bgcolor: 'action.hover' } : {}}
               />
@@ -555,8 +595,15 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
                   label="Service"
                   onChange={(e) => setService(e.target.value)}
                 >
-                  <MenuItem value="gemini-flash">Gemini Flash</MenuItem>
-                  <MenuItem value="gemini-pro">Gemini Pro</MenuItem>
+                  <MenuItem value="">Default</MenuItem>
+                  {providers.length === 0 && service && (
+                    <MenuItem value={service}>{getProviderName(service)}</MenuItem>
+                  )}
+                  {providers.map((provider) => (
+                    <MenuItem key={provider.id} value={provider.id} disabled={!provider.configured}>
+                      {provider.name}{!provider.configured && ' (not configured)'}
+                    </MenuItem>
+                  ))}
                 </Select>
               </FormControl>
 
@@ -590,6 +637,17 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
                'Generate Images'}
             </Button>
 
+            <Button
+              fullWidth
+              size="small"
+              startIcon={<Visibility />}
+              onClick={handleOpenPromptPreview}
+              disabled={noImages}
+              sx={{ mt: 1 }}
+            >
+              Preview Prompt
+            </Button>
+
             {!imageDescription.trim() && !noImages && (
               <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
                 Description will be auto-generated using ChatGPT from your speaker notes
@@ -604,19 +662,40 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
 
             <Divider sx={{ my: 3 }} />
 
+            <FormControl fullWidth size="small" sx={{ mb: 2 }}>
+              <InputLabel>Override Style Preset</InputLabel>
+              <Select
+                value={overrideStylePresetId}
+                label="Override Style Preset"
+                onChange={(e) => {
+                  setOverrideStylePresetId(e.target.value);
+                  setUnsavedChanges(true);
+                }}
+                onBlur={handleBlurSave}
+              >
+                <MenuItem value="">None</MenuItem>
+                {stylePresets.map((preset) => (
+                  <MenuItem key={preset.id} value={preset.id}>
+                    {preset.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
             <TextField
               fullWidth
               multiline
               rows={2}
               label="Override Visual Style (Optional)"
               value={overrideVisualStyle}
+              disabled={Boolean(overrideStylePresetId)}
               onChange={(e) => {
                 setOverrideVisualStyle(e.target.value);
                 setUnsavedChanges(true);
               }}
               onBlur={handleBlurSave}
               placeholder="Leave empty to use deck-wide visual style..."
-              helperText="Override the deck-wide visual style for this slide only"
+              helperText={overrideStylePresetId ? 'The style preset is used instead of this text' : 'Override the deck-wide visual style for this slide only'}
               sx={{ mb: 2 }}
             />
 
@@ -656,6 +735,27 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
               </Typography>
 
               {/* Scene Visual Style - only shown when sceneStart is true */}
+              {sceneStart && (
+                <FormControl fullWidth size="small" sx={{ mt: 1, mb: 1 }}>
+                  <InputLabel>Scene Style Preset</InputLabel>
+                  <Select
+                    value={sceneStylePresetId}
+                    label="Scene Style Preset"
+                    onChange={(e) => {
+                      setSceneStylePresetId(e.target.value);
+                      setUnsavedChanges(true);
+                    }}
+                    onBlur={handleBlurSave}
+                  >
+                    <MenuItem value="">None</MenuItem>
+                    {stylePresets.map((preset) => (
+                      <MenuItem key={preset.id} value={preset.id}>
+                        {preset.name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              )}
               {sceneStart && (
                 <TextField
                   fullWidth
@@ -663,13 +763,14 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
                   rows={2}
                   label="Scene Visual Style"
                   value={sceneVisualStyle}
+                  disabled={Boolean(sceneStylePresetId)}
                   onChange={(e) => {
                     setSceneVisualStyle(e.target.value);
                     setUnsavedChanges(true);
                   }}
                   onBlur={handleBlurSave}
                   placeholder="Visual style for this scene (applies to all slides until the next scene start)..."
-                  helperText="This visual style will be used for all slides in this scene, unless overridden by individual slides"
+                  helperText={sceneStylePresetId ? 'The style preset is used instead of this text' : 'This visual style will be used for all slides in this scene, unless overridden by individual slides'}
                   sx={{ mt: 1 }}
                 />
               )}
@@ -782,7 +883,7 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
                     <CardMedia
                       component="img"
                       height="200"
-                      image={slideAPI.getImage(deckId, slideId, image.id)}
+                      image={slideAPI.getImage(deckId, slideId, image.id, image.updatedAt)}
                       alt="Generated"
                       onClick={() => setViewImageId(image.id)}
                       sx={{ objectFit: 'contain', bgcolor: 'grey.100', cursor: 'pointer' }}
@@ -800,10 +901,19 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
                         size="small"
                         color="info"
                         onClick={() => handleOpenTweakDialog(image.id)}
-                        title="Tweak this image"
+                        disabled={image.source === 'import' || providers.some(p => p.id === image.service && !p.capabilities.edit)}
+                        title={image.source === 'import' ? 'Imported images cannot be tweaked' : 'Tweak this image'}
                       >
                         <EditIcon />
                       </IconButton>
+                      <IconButton
+                        size="small"
+                        onClick={() => setCropImageId(image.id)}
+                        disabled={!image.originalFilename}
+                        title={image.originalFilename ? 'Adjust crop' : 'No original kept for this image'}
+                      >
+                        <Crop />
+                      </IconButton>
                       <IconButton
                         size="small"
                         color="error"
@@ -813,8 +923,7 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
                         <Delete />
                       </IconButton>
                       <Typography variant="caption" color="text.secondary" sx={{ ml: 'auto' }}>
-                        {image.service === 'gemini-flash' ? 'Gemini Flash' :
-                         image.service === 'gemini-pro' ? 'Gemini Pro' : image.service}
+                        {image.source === 'import' ? 'Imported' : getProviderName(image.service)}
                       </Typography>
                     </CardActions>
                   </Card>
@@ -825,6 +934,25 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
         </Grid>
       </Grid>
 
+      {/* Crop Adjust Dialog */}
+      <CropDialog
+        open={cropImageId !== null}
+        onClose={() => setCropImageId(null)}
+        onApply={handleApplyCrop}
+        deckId={deckId}
+        slideId={slideId}
+        image={slide.generatedImages.find(img => img.id === cropImageId)}
+        aspectRatio={deck.aspectRatio}
+      />
+
+      <SlidePromptPreview
+        open={promptPreviewOpen}
+        onClose={() => setPromptPreviewOpen(false)}
+        deckId={deckId}
+        slideId={slideId}
+        service={service}
+      />
+
       {/* Tweak Image Dialog */}
       <Dialog open={tweakDialogOpen} onClose={handleCloseTweakDialog} maxWidth="sm" fullWidth>
         <DialogTitle>Tweak Image</DialogTitle>
@@ -891,7 +1019,7 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
         <DialogContent sx={{ p: 0, display: 'flex', justifyContent: 'center', alignItems: 'center', bgcolor: 'grey.900' }}>
           {viewImageId && (
             <img
-              src={slideAPI.getImage(deckId, slideId, viewImageId)}
+              src={slideAPI.getImage(deckId, slideId, viewImageId, slide.generatedImages.find(img => img.id === viewImageId)?.updatedAt)}
               alt="Full size preview"
               style={{
                 maxWidth: '100%',
@@ -911,7 +1039,7 @@ export default function SlideEditor({ slideData, deckId: deckIdProp, slideId: sl
         <DialogTitle>Delete Image?</DialogTitle>
         <DialogContent>
           <DialogContentText>
-            Are you sure you want to delete this image? This action cannot be undone.
+            Are you sure you want to delete this image? It is moved to the trash and can be restored from there.
           </DialogContentText>
         </DialogContent>
         <DialogActions>
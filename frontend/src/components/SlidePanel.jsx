@@ -1,8 +1,10 @@
 import React, { useEffect, useRef } from 'react';
 import { Box, Button, Typography } from '@mui/material';
-import { Add as AddIcon } from '@mui/icons-material';
+import { Add as AddIcon, PostAdd as PostAddIcon } from '@mui/icons-material';
 import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
 import SlideThumbnail from './SlideThumbnail';
+import SlideBatchActions from './SlideBatchActions';
+import { useSlideSelection } from '../hooks/useSlideSelection';
 
 export default function SlidePanel({
   slides,
@@ -10,13 +12,26 @@ export default function SlidePanel({
   onSelectSlide,
   onDeleteSlide,
   onAddSlide,
+  onAddSlidesFromText,
   onAddSlideBefore,
   onAddSlideAfter,
   onReorderSlides,
   onToggleNoImages,
+  onBatchOperations,
   deckId,
+  aspectRatio,
+  generatingSlideIds = [],
 }) {
   const slideRefs = useRef({});
+  const selection = useSlideSelection(slides, selectedSlideId);
+  const isMultiSelect = selection.selectedIds.length > 1;
+
+  // Ctrl/cmd-click and shift-click select several slides, a plain click opens one
+  const handleSlideClick = (slideId, event) => {
+    if (!selection.handleClick(slideId, event)) {
+      onSelectSlide(slideId);
+    }
+  };
 
   // Scroll to selected slide when it changes
   useEffect(() => {
@@ -138,12 +153,15 @@ export default function SlidePanel({
                           slide={slide}
                           slideNumber={index + 1}
                           isSelected={selectedSlideId === slide.id}
-                          onSelect={() => onSelectSlide(slide.id)}
+                          isMultiSelected={isMultiSelect && selection.isSelected(slide.id)}
+                          onSelect={(e) => handleSlideClick(slide.id, e)}
                           onDelete={onDeleteSlide}
                           onAddBefore={() => onAddSlideBefore(slide.id)}
                           onAddAfter={() => onAddSlideAfter(slide.id)}
                           onToggleNoImages={onToggleNoImages}
                           deckId={deckId}
+                          aspectRatio={aspectRatio}
+                          isGenerating={generatingSlideIds.includes(slide.id)}
                           isDragging={snapshot.isDragging}
                           dragHandleProps={provided.dragHandleProps}
                         />
@@ -158,6 +176,18 @@ export default function SlidePanel({
         </DragDropContext>
       </Box>
 
+      {/* Actions for the multi-selection */}
+      {isMultiSelect && onBatchOperations && (
+        <Box sx={{ px: 2, py: 1, borderTop: 1, borderColor: 'divider', bgcolor: 'background.paper' }}>
+          <SlideBatchActions
+            slides={slides}
+            selectedIds={selection.selectedIds}
+            onApply={onBatchOperations}
+            onClear={selection.clear}
+          />
+        </Box>
+      )}
+
       {/* Add Slide Button */}
       <Box
         sx={{
@@ -175,6 +205,17 @@ export default function SlidePanel({
         >
           Add Slide
         </Button>
+        {onAddSlidesFromText && (
+          <Button
+            size="small"
+            startIcon={<PostAddIcon />}
+            onClick={onAddSlidesFromText}
+            fullWidth
+            sx={{ mt: 1 }}
+          >
+            Insert from Text
+          </Button>
+        )}
       </Box>
     </Box>
   );
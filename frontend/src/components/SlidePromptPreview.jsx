@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Typography,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { deckAPI, slideAPI, globalEntitiesAPI, stylePresetAPI } from '../services/api';
+import { useProviders } from '../hooks/useProviders';
+
+const STYLE_SOURCES = {
+  slide: 'Slide override',
+  scene: 'Scene style',
+  deck: 'Deck style',
+};
+
+/**
+ * URL of a reference image listed in a prompt preview
+ */
+function getReferenceImageUrl(deckId, image) {
+  if (image.type === 'entity') {
+    return image.source === 'deck'
+      ? deckAPI.getEntityImage(deckId, image.name, image.filename)
+      : globalEntitiesAPI.getImage(image.name, image.filename);
+  }
+  return image.source === 'style-preset'
+    ? stylePresetAPI.getImage(image.stylePresetId, image.filename)
+    : deckAPI.getThemeImage(deckId, image.filename);
+}
+
+/**
+ * Dialog showing what generating images for a slide would send: the effective
+ * style and where it comes from, the final prompt and the reference images
+ */
+export default function SlidePromptPreview({ open, onClose, deckId, slideId, service }) {
+  const { getProviderName } = useProviders();
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    slideAPI.getPromptPreview(deckId, slideId, service ? { service } : {})
+      .then((response) => {
+        if (!cancelled) setPreview(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setPreview(null);
+          setError(err.message);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, deckId, slideId, service]);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Prompt Preview</DialogTitle>
+      <DialogContent>
+        {loading && (
+          <Box display="flex" justifyContent="center" py={3}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+        {error && <Alert severity="warning">{error}</Alert>}
+        {preview && !loading && (
+          <Box>
+            <Typography variant="subtitle2" gutterBottom>
+              Visual Style
+            </Typography>
+            <Box display="flex" gap={1} alignItems="center" flexWrap="wrap" mb={2}>
+              <Chip size="small" label={STYLE_SOURCES[preview.style.source]} />
+              {preview.style.stylePreset && (
+                <Chip size="small" variant="outlined" label={`Preset: ${preview.style.stylePreset.name}`} />
+              )}
+              <Typography variant="body2" color={preview.style.visualStyle ? 'text.primary' : 'text.secondary'}>
+                {preview.style.visualStyle || 'No visual style'}
+              </Typography>
+            </Box>
+
+            <Typography variant="subtitle2" gutterBottom>
+              Description
+            </Typography>
+            <Typography variant="body2" color={preview.description ? 'text.primary' : 'text.secondary'} mb={2}>
+              {preview.description || 'No description'}
+            </Typography>
+
+            <Box display="flex" justifyContent="space-between" alignItems="baseline">
+              <Typography variant="subtitle2" gutterBottom>
+                Prompt
+              </Typography>
+              <Typography variant="caption" color={preview.truncation ? 'warning.main' : 'text.secondary'}>
+                {preview.truncation && `${preview.originalLength} shortened to `}
+                {preview.length} / {preview.maxLength} characters
+              </Typography>
+            </Box>
+            <Box sx={{ p: 2, mb: 1, bgcolor: 'grey.100', borderRadius: 1 }}>
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                {preview.providerPrompt.prompt}
+              </Typography>
+              {preview.providerPrompt.negativePrompt && (
+                <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                  Negative prompt: {preview.providerPrompt.negativePrompt}
+                </Typography>
+              )}
+              {preview.providerPrompt.prompt !== preview.prompt && (
+                <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
+                  {getProviderName(preview.service)} has no separate negative prompt, so it is appended.
+                </Typography>
+              )}
+            </Box>
+            {preview.warnings.map((warning) => (
+              <Alert key={warning} severity="warning" sx={{ mb: 1 }}>
+                {warning}
+              </Alert>
+            ))}
+            {preview.unknownEntities.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 1 }}>
+                Unknown entities: {preview.unknownEntities.map((name) => `@${name}`).join(', ')}
+              </Alert>
+            )}
+
+            <Typography variant="subtitle2" gutterBottom sx={{ mt: 2 }}>
+              Reference Images ({preview.referenceImages.length})
+            </Typography>
+            {preview.referenceImages.length > 0 && !preview.referenceImagesSupported && (
+              <Typography variant="caption" color="warning.main" display="block" mb={1}>
+                {getProviderName(preview.service)} does not use reference images.
+              </Typography>
+            )}
+            {preview.referenceImages.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No entity or theme images are attached.
+              </Typography>
+            ) : (
+              <Box display="flex" flexWrap="wrap" gap={1}>
+                {preview.referenceImages.map((image) => (
+                  <Box key={`${image.type}-${image.source}-${image.filename}`} sx={{ width: 96 }}>
+                    <img
+                      src={getReferenceImageUrl(deckId, image)}
+                      alt={image.label}
+                      style={{ width: 96, height: 96, objectFit: 'cover', borderRadius: 4, border: '1px solid #ddd' }}
+                    />
+                    <Typography variant="caption" display="block" noWrap>
+                      {image.label}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary" display="block" noWrap>
+                      {image.source === 'style-preset' ? 'Style preset' : image.source === 'global' ? 'Global' : 'Deck'}
+                    </Typography>
+                  </Box>
+                ))}
+              </Box>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -1,17 +1,20 @@
 import React, { useState } from 'react';
-import { Box, IconButton, Typography, Checkbox, FormControlLabel, Chip, Tooltip } from '@mui/material';
+import { Box, IconButton, Typography, Checkbox, FormControlLabel, Chip, Tooltip, CircularProgress } from '@mui/material';
 import { Delete as DeleteIcon, DragIndicator, ImageNotSupported, FiberManualRecord, Add as AddIcon } from '@mui/icons-material';
 
 export default function SlideThumbnail({
   slide,
   slideNumber,
   isSelected,
+  isMultiSelected = false,
   onSelect,
   onDelete,
   onAddBefore,
   onAddAfter,
   onToggleNoImages,
   deckId,
+  aspectRatio = '16:9',
+  isGenerating = false,
   isDragging = false,
   dragHandleProps,
 }) {
@@ -48,7 +51,9 @@ export default function SlideThumbnail({
     const pinnedImage = slide.generatedImages.find(img => img.isPinned);
     const imageToShow = pinnedImage || slide.generatedImages[0];
 
-    return `/api/decks/${deckId}/slides/${slide.id}/images/${imageToShow.id}`;
+    // updatedAt changes when the image is re-cropped
+    const version = imageToShow.updatedAt ? `?v=${encodeURIComponent(imageToShow.updatedAt)}` : '';
+    return `/api/decks/${deckId}/slides/${slide.id}/images/${imageToShow.id}${version}`;
   };
 
   const thumbnailUrl = getThumbnailUrl();
@@ -63,10 +68,12 @@ export default function SlideThumbnail({
         width: '100%',
         mb: 2,
         cursor: 'pointer',
+        userSelect: 'none',
         borderRadius: 1,
         border: 2,
-        borderColor: isSelected ? 'primary.main' : 'divider',
-        bgcolor: isSelected ? 'action.selected' : 'background.paper',
+        borderColor: isSelected || isMultiSelected ? 'primary.main' : 'divider',
+        borderStyle: isMultiSelected && !isSelected ? 'dashed' : 'solid',
+        bgcolor: isSelected || isMultiSelected ? 'action.selected' : 'background.paper',
         overflow: 'hidden',
         transition: 'all 0.2s',
         opacity: isDragging ? 0.5 : 1,
@@ -191,14 +198,32 @@ export default function SlideThumbnail({
       <Box
         sx={{
           width: '100%',
-          aspectRatio: '16 / 9',
+          aspectRatio: aspectRatio.replace(':', ' / '),
           bgcolor: thumbnailUrl ? 'black' : 'grey.200',
           display: 'flex',
           alignItems: 'center',
           justifyContent: 'center',
           overflow: 'hidden',
+          position: 'relative',
         }}
       >
+        {/* Generating Overlay (bulk job in progress for this slide) */}
+        {isGenerating && (
+          <Box
+            sx={{
+              position: 'absolute',
+              inset: 0,
+              zIndex: 1,
+              bgcolor: 'rgba(0, 0, 0, 0.4)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+            }}
+          >
+            <CircularProgress size={28} sx={{ color: 'white' }} />
+          </Box>
+        )}
+
         {thumbnailUrl ? (
           <img
             src={thumbnailUrl}
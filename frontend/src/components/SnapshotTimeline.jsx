@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  CircularProgress,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Snackbar,
+  Tooltip,
+} from '@mui/material';
+import { Delete, Refresh, Restore, Save } from '@mui/icons-material';
+import { useSnapshots } from '../hooks/useSnapshots';
+
+const TRIGGER_LABELS = {
+  manual: 'Manual',
+  'regenerate-descriptions': 'Descriptions',
+  'generate-all': 'Generate all',
+  'generate-missing': 'Generate missing',
+  'sync-text': 'Sync from text',
+  restore: 'Restore',
+};
+
+export default function SnapshotTimeline({ deckId, onRestore }) {
+  const { snapshots, loading, error, refresh, createSnapshot, restoreSnapshot, deleteSnapshot } = useSnapshots(deckId);
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [snapshotToRestore, setSnapshotToRestore] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const handleSave = async () => {
+    if (!name.trim()) return;
+
+    setSaving(true);
+    try {
+      await createSnapshot(name.trim());
+      setName('');
+      setSnackbar({ open: true, message: 'Snapshot saved', severity: 'success' });
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRestoreConfirm = async () => {
+    setRestoring(true);
+    try {
+      const result = await restoreSnapshot(snapshotToRestore.id);
+      const missing = result.missingImages > 0 ? ` ${result.missingImages} deleted image(s) could not be restored.` : '';
+      setSnackbar({ open: true, message: `Restored "${snapshotToRestore.name}".${missing}`, severity: 'success' });
+      onRestore?.();
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
+    } finally {
+      setRestoring(false);
+      setSnapshotToRestore(null);
+    }
+  };
+
+  const handleDelete = async (snapshotId) => {
+    try {
+      await deleteSnapshot(snapshotId);
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
+    }
+  };
+
+  return (
+    <Box>
+      <Box display="flex" alignItems="center" mb={1}>
+        <Typography variant="h6" flexGrow={1}>
+          Snapshots
+        </Typography>
+        <IconButton size="small" onClick={refresh}>
+          <Refresh />
+        </IconButton>
+      </Box>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+        Snapshots save the text, settings, slide order and pins of this deck. A snapshot is also taken
+        automatically before bulk operations and before each restore. Images are not copied: images deleted
+        since a snapshot cannot be restored, and images generated since are kept.
+      </Typography>
+
+      <Box display="flex" gap={1} mb={2}>
+        <TextField
+          size="small"
+          fullWidth
+          label="Snapshot name"
+          value={name}
+          inputProps={{ maxLength: 100 }}
+          onChange={(e) => setName(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && handleSave()}
+        />
+        <Button
+          variant="outlined"
+          onClick={handleSave}
+          disabled={saving || !name.trim()}
+          startIcon={saving ? <CircularProgress size={20} /> : <Save />}
+          sx={{ whiteSpace: 'nowrap' }}
+        >
+          Save Snapshot
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" py={2}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : snapshots.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No snapshots yet
+        </Typography>
+      ) : (
+        <List dense sx={{ maxHeight: 320, overflow: 'auto', borderLeft: 2, borderColor: 'divider', ml: 1 }}>
+          {snapshots.map((snapshot) => (
+            <ListItem
+              key={snapshot.id}
+              secondaryAction={
+                <>
+                  <Tooltip title="Restore">
+                    <IconButton size="small" onClick={() => setSnapshotToRestore(snapshot)}>
+                      <Restore />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete">
+                    <IconButton size="small" color="error" onClick={() => handleDelete(snapshot.id)}>
+                      <Delete />
+                    </IconButton>
+                  </Tooltip>
+                </>
+              }
+            >
+              <ListItemText
+                primary={
+                  <Box display="flex" alignItems="center" gap={1}>
+                    {snapshot.name}
+                    <Chip
+                      label={TRIGGER_LABELS[snapshot.trigger] || snapshot.trigger}
+                      size="small"
+                      variant="outlined"
+                      color={snapshot.trigger === 'manual' ? 'primary' : 'default'}
+                    />
+                  </Box>
+                }
+                secondary={`${new Date(snapshot.createdAt).toLocaleString()} - ${snapshot.slideCount} slide(s), ${snapshot.imageCount} image(s)`}
+              />
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      {/* Restore Confirmation Dialog */}
+      <Dialog open={!!snapshotToRestore} onClose={() => !restoring && setSnapshotToRestore(null)}>
+        <DialogTitle>Restore Snapshot?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Restore the deck to "{snapshotToRestore?.name}"? Slide text, order and pins will be replaced, and
+            slides added since will be removed. The current state is saved as a snapshot first, so this can be undone.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSnapshotToRestore(null)} disabled={restoring}>Cancel</Button>
+          <Button
+            onClick={handleRestoreConfirm}
+            variant="contained"
+            disabled={restoring}
+            startIcon={restoring ? <CircularProgress size={20} /> : <Restore />}
+          >
+            Restore
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={() => setSnackbar({ ...snackbar, open: false })}
+          severity={snackbar.severity}
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
@@ -0,0 +1,302 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  Card,
+  CardContent,
+  CardActions,
+  IconButton,
+  Grid,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Snackbar,
+  CircularProgress,
+} from '@mui/material';
+import { Add, Delete, Edit, CloudUpload, Close } from '@mui/icons-material';
+import { useStylePresets } from '../hooks/useStylePresets';
+import { useProviders } from '../hooks/useProviders';
+import { stylePresetAPI } from '../services/api';
+
+const EMPTY_FORM = { name: '', style: '', preferredService: '' };
+
+/**
+ * Library of named visual styles shared by all decks
+ * Decks, scenes and slides reference a preset, so editing it here
+ * changes the style everywhere it is used
+ */
+export default function StylePresetManager() {
+  const { presets, createPreset, updatePreset, deletePreset, addImage, removeImage } = useStylePresets();
+  const { providers, getProviderName } = useProviders();
+
+  const [editOpen, setEditOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const [presetToDelete, setPresetToDelete] = useState(null);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+
+  const editingPreset = presets.find((p) => p.id === editingId);
+
+  const openEditor = (preset = null) => {
+    setEditingId(preset?.id || null);
+    setForm(preset
+      ? { name: preset.name, style: preset.style, preferredService: preset.preferredService || '' }
+      : EMPTY_FORM);
+    setError(null);
+    setEditOpen(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    const data = {
+      name: form.name.trim(),
+      style: form.style.trim(),
+      preferredService: form.preferredService || null,
+    };
+    try {
+      if (editingId) {
+        await updatePreset(editingId, data);
+        setEditOpen(false);
+      } else {
+        // Stay in the dialog so reference images can be added
+        const preset = await createPreset(data);
+        setEditingId(preset.id);
+      }
+      setSnackbar({ open: true, message: 'Style preset saved', severity: 'success' });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImageSelect = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setUploading(true);
+    setError(null);
+    try {
+      await addImage(editingId, file);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleImageRemove = async (filename) => {
+    setError(null);
+    try {
+      await removeImage(editingId, filename);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteConfirm = async () => {
+    try {
+      const { detached } = await deletePreset(presetToDelete.id);
+      const count = detached.decks + detached.slides;
+      setSnackbar({
+        open: true,
+        message: count > 0
+          ? `Style preset deleted. ${detached.decks} deck(s) and ${detached.slides} slide(s) keep its style as text.`
+          : 'Style preset deleted',
+        severity: 'success',
+      });
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error' });
+    } finally {
+      setPresetToDelete(null);
+    }
+  };
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+        <Typography variant="subtitle1">
+          {presets.length} preset(s)
+        </Typography>
+        <Button variant="contained" startIcon={<Add />} onClick={() => openEditor()} size="small">
+          Add Preset
+        </Button>
+      </Box>
+
+      {presets.length === 0 ? (
+        <Alert severity="info">
+          No style presets yet. Save a visual style here to reuse it in any deck, scene or slide.
+        </Alert>
+      ) : (
+        <Grid container spacing={2}>
+          {presets.map((preset) => (
+            <Grid item xs={12} sm={6} md={4} key={preset.id}>
+              <Card variant="outlined">
+                <CardContent sx={{ pb: 1 }}>
+                  <Typography variant="subtitle2" noWrap>
+                    {preset.name}
+                  </Typography>
+                  <Typography
+                    variant="body2"
+                    color="text.secondary"
+                    sx={{ display: '-webkit-box', WebkitLineClamp: 3, WebkitBoxOrient: 'vertical', overflow: 'hidden' }}
+                  >
+                    {preset.style}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {preset.themeImages.length} reference image(s)
+                    {preset.preferredService && ` · ${getProviderName(preset.preferredService)}`}
+                  </Typography>
+                </CardContent>
+                <CardActions>
+                  <IconButton size="small" onClick={() => openEditor(preset)}>
+                    <Edit fontSize="small" />
+                  </IconButton>
+                  <IconButton size="small" color="error" onClick={() => setPresetToDelete(preset)}>
+                    <Delete fontSize="small" />
+                  </IconButton>
+                </CardActions>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      {/* Create/Edit Dialog */}
+      <Dialog open={editOpen} onClose={() => !saving && setEditOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingId ? 'Edit Style Preset' : 'New Style Preset'}</DialogTitle>
+        <DialogContent>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <TextField
+            fullWidth
+            label="Name"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            sx={{ mt: 1, mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            multiline
+            rows={4}
+            label="Visual Style"
+            value={form.style}
+            onChange={(e) => setForm({ ...form, style: e.target.value })}
+            placeholder="e.g., Watercolor illustration, soft pastel palette, loose brush strokes"
+            sx={{ mb: 2 }}
+          />
+          <FormControl fullWidth size="small" sx={{ mb: 2 }}>
+            <InputLabel>Preferred Service</InputLabel>
+            <Select
+              value={form.preferredService}
+              label="Preferred Service"
+              onChange={(e) => setForm({ ...form, preferredService: e.target.value })}
+            >
+              <MenuItem value="">Default</MenuItem>
+              {providers.map((provider) => (
+                <MenuItem key={provider.id} value={provider.id}>
+                  {provider.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+
+          <Typography variant="subtitle2" gutterBottom>
+            Reference Images
+          </Typography>
+          {editingPreset ? (
+            <Box display="flex" flexWrap="wrap" gap={1} alignItems="center">
+              {editingPreset.themeImages.map((filename) => (
+                <Box key={filename} position="relative">
+                  <img
+                    src={stylePresetAPI.getImage(editingPreset.id, filename)}
+                    alt="Style reference"
+                    style={{ width: 80, height: 80, objectFit: 'cover', borderRadius: 4, border: '1px solid #ddd' }}
+                  />
+                  <IconButton
+                    size="small"
+                    onClick={() => handleImageRemove(filename)}
+                    sx={{ position: 'absolute', top: 0, right: 0, bgcolor: 'background.paper', p: 0.25 }}
+                  >
+                    <Close fontSize="small" />
+                  </IconButton>
+                </Box>
+              ))}
+              <Button
+                variant="outlined"
+                component="label"
+                size="small"
+                disabled={uploading || editingPreset.themeImages.length >= 10}
+                startIcon={uploading ? <CircularProgress size={16} /> : <CloudUpload />}
+              >
+                Add Image
+                <input type="file" accept="image/*" hidden onChange={handleImageSelect} />
+              </Button>
+            </Box>
+          ) : (
+            <Typography variant="caption" color="text.secondary">
+              Save the preset to add reference images.
+            </Typography>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditOpen(false)} disabled={saving}>
+            {editingId ? 'Close' : 'Cancel'}
+          </Button>
+          <Button
+            onClick={handleSave}
+            variant="contained"
+            disabled={saving || !form.name.trim() || !form.style.trim()}
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Delete Confirmation Dialog */}
+      <Dialog open={Boolean(presetToDelete)} onClose={() => setPresetToDelete(null)}>
+        <DialogTitle>Delete Style Preset?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Delete "{presetToDelete?.name}"? Decks and slides using it keep its style as their own
+            visual style text, without the reference images.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPresetToDelete(null)}>Cancel</Button>
+          <Button onClick={handleDeleteConfirm} color="error" variant="contained">
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={() => setSnackbar({ ...snackbar, open: false })}
+          severity={snackbar.severity}
+          sx={{ width: '100%' }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
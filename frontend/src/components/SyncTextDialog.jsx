@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+  Chip,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import { slideAPI } from '../services/api';
+import { TEXT_FORMAT_HELP } from './TextSlidesPreview';
+
+const CHANGE_CHIPS = {
+  unchanged: { label: 'Unchanged', color: 'default' },
+  update: { label: 'Updated', color: 'warning' },
+  rewrite: { label: 'Rewritten', color: 'warning' },
+  insert: { label: 'New', color: 'success' },
+  remove: { label: 'Removed', color: 'error' },
+};
+
+const getChangeText = (change) => {
+  switch (change.type) {
+    case 'update':
+      return { primary: change.after, secondary: `Was: ${change.before}` };
+    case 'insert':
+      return { primary: change.slide.speakerNotes, secondary: null };
+    case 'remove':
+      return {
+        primary: change.speakerNotes,
+        secondary: change.imageCount > 0 ? `${change.imageCount} image(s) moved to trash` : null,
+      };
+    default:
+      return { primary: change.speakerNotes, secondary: null };
+  }
+};
+
+/**
+ * Re-sync the deck's speaker notes from an edited version of its text
+ * Shows which slides would be updated, inserted or removed before applying
+ */
+export default function SyncTextDialog({ open, onClose, deckId, onSynced }) {
+  const [text, setText] = useState('');
+  const [format, setFormat] = useState('text');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start fresh each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setText('');
+      setPreview(null);
+      setError(null);
+    }
+  }, [open]);
+
+  // Diff the text against the deck while typing
+  useEffect(() => {
+    if (!open || !text.trim()) {
+      setPreview(null);
+      setPreviewing(false);
+      return undefined;
+    }
+
+    setPreviewing(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await slideAPI.previewSyncText(deckId, { text, format });
+        setPreview(response.data);
+      } catch (err) {
+        console.error('Failed to preview text sync:', err);
+      } finally {
+        setPreviewing(false);
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [open, deckId, text, format]);
+
+  const summary = preview?.summary;
+  const hasChanges = Boolean(summary && summary.updated + summary.inserted + summary.removed > 0);
+
+  const handleSync = async () => {
+    setSyncing(true);
+    setError(null);
+    try {
+      const response = await slideAPI.syncText(deckId, { text, format });
+      onSynced(response.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={() => !syncing && onClose()} maxWidth="md" fullWidth>
+      <DialogTitle>Sync from Text</DialogTitle>
+      <DialogContent>
+        <DialogContentText sx={{ mb: 2 }}>
+          Paste the edited text of this deck. Slides whose text is still similar keep their images;
+          changed slides get the new speaker notes and an unlocked description.
+          A snapshot is saved before syncing.
+        </DialogContentText>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <FormControl fullWidth size="small" sx={{ mb: 1 }}>
+          <InputLabel>Format</InputLabel>
+          <Select
+            value={format}
+            label="Format"
+            onChange={(e) => setFormat(e.target.value)}
+            disabled={syncing}
+          >
+            <MenuItem value="text">Plain text (one slide per line)</MenuItem>
+            <MenuItem value="markdown">Markdown outline</MenuItem>
+          </Select>
+        </FormControl>
+        <TextField
+          autoFocus
+          margin="dense"
+          label="Edited text"
+          fullWidth
+          multiline
+          rows={10}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          disabled={syncing}
+          helperText={TEXT_FORMAT_HELP[format]}
+          sx={{ mb: 2 }}
+        />
+        {summary && (
+          <Box>
+            <Typography variant="subtitle2" gutterBottom>
+              {summary.updated} updated, {summary.inserted} new, {summary.removed} removed, {summary.unchanged} unchanged
+            </Typography>
+            <List dense sx={{ maxHeight: 300, overflow: 'auto', bgcolor: 'grey.50', borderRadius: 1 }}>
+              {preview.changes.map((change, index) => {
+                const { primary, secondary } = getChangeText(change);
+                // Too different to match, but in the same place: the slide keeps its images
+                const chip = CHANGE_CHIPS[change.rewritten ? 'rewrite' : change.type];
+                return (
+                  <ListItem key={change.slideId ? `${change.type}-${change.slideId}` : `insert-${index}`}>
+                    <Chip
+                      label={chip.label}
+                      color={chip.color}
+                      size="small"
+                      variant={change.type === 'unchanged' ? 'outlined' : 'filled'}
+                      sx={{ mr: 1, minWidth: 90 }}
+                    />
+                    <ListItemText
+                      primary={primary || '(no speaker notes)'}
+                      secondary={secondary}
+                      primaryTypographyProps={{
+                        sx: change.type === 'remove' ? { textDecoration: 'line-through' } : undefined,
+                      }}
+                    />
+                  </ListItem>
+                );
+              })}
+            </List>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={syncing}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSync}
+          variant="contained"
+          disabled={!hasChanges || previewing || syncing}
+          startIcon={syncing ? <CircularProgress size={16} /> : null}
+        >
+          {syncing ? 'Syncing...' : 'Apply Changes'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
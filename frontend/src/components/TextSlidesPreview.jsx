@@ -0,0 +1,73 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+
+// How each text import format is turned into slides
+export const TEXT_FORMAT_HELP = {
+  text: 'Each line or bullet becomes a slide. Lines without a bullet start a scene. Use ~name for entities (converts to @name)',
+  markdown: 'Headings start scenes, bullets become slides, nested bullets and paragraphs are speaker notes, '
+    + '"> text" sets the image description, <!-- style: ... --> sets the scene style and <!-- no-images --> skips images. '
+    + 'Use ~name for entities',
+};
+
+/**
+ * Preview of the slides parsed from a text or Markdown import
+ */
+export default function TextSlidesPreview({ slides }) {
+  if (slides.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No slides found
+      </Typography>
+    );
+  }
+
+  const scenes = slides.filter((slide) => slide.sceneStart).length;
+  const withImages = slides.filter((slide) => !slide.noImages).length;
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>
+        {slides.length} slide(s), {scenes} scene(s), {withImages} with images
+      </Typography>
+      <List dense sx={{ maxHeight: 300, overflow: 'auto', bgcolor: 'grey.50', borderRadius: 1 }}>
+        {slides.map((slide, index) => (
+          <ListItem key={index} alignItems="flex-start" divider>
+            <ListItemText
+              primary={
+                <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                  <Typography variant="body2" fontWeight="bold">
+                    {index + 1}.
+                  </Typography>
+                  {slide.sceneStart && <Chip label="Scene" size="small" color="primary" variant="outlined" />}
+                  {slide.noImages && <Chip label="No images" size="small" variant="outlined" />}
+                  {slide.sceneVisualStyle && (
+                    <Chip label={`Style: ${slide.sceneVisualStyle}`} size="small" variant="outlined" sx={{ maxWidth: 280 }} />
+                  )}
+                </Box>
+              }
+              secondary={
+                <>
+                  <Typography component="span" variant="body2" color="text.primary" sx={{ display: 'block', whiteSpace: 'pre-line' }}>
+                    {slide.speakerNotes || 'No speaker notes'}
+                  </Typography>
+                  {slide.imageDescription && (
+                    <Typography component="span" variant="caption" color="text.secondary" sx={{ display: 'block', fontStyle: 'italic' }}>
+                      Image: {slide.imageDescription}
+                    </Typography>
+                  )}
+                </>
+              }
+            />
+          </ListItem>
+        ))}
+      </List>
+    </Box>
+  );
+}
@@ -0,0 +1,259 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+  IconButton,
+  Tooltip,
+  CircularProgress,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Snackbar,
+} from '@mui/material';
+import { ArrowBack, DeleteForever, RestoreFromTrash } from '@mui/icons-material';
+import { useTrash } from '../hooks/useTrash';
+
+const TYPE_LABELS = {
+  deck: 'Deck',
+  slide: 'Slide',
+  image: 'Image',
+};
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Where a restored item can be opened
+const getRestoredPath = ({ deckId, slideId }) =>
+  slideId ? `/decks/${deckId}/slides/${slideId}` : `/decks/${deckId}/edit`;
+
+export default function Trash() {
+  const navigate = useNavigate();
+  const { items, retentionDays, loading, error, restoreItem, purgeItem, emptyTrash } = useTrash();
+  const [busyId, setBusyId] = useState(null);
+  const [itemToPurge, setItemToPurge] = useState(null);
+  const [emptyDialogOpen, setEmptyDialogOpen] = useState(false);
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success', path: null });
+
+  const handleRestore = async (item) => {
+    setBusyId(item.id);
+    try {
+      const { restored } = await restoreItem(item.id);
+      setSnackbar({
+        open: true,
+        message: `${TYPE_LABELS[item.type]} restored`,
+        severity: 'success',
+        path: getRestoredPath(restored),
+      });
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error', path: null });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurgeConfirm = async () => {
+    const item = itemToPurge;
+    setItemToPurge(null);
+    setBusyId(item.id);
+    try {
+      await purgeItem(item.id);
+      setSnackbar({ open: true, message: `${TYPE_LABELS[item.type]} deleted permanently`, severity: 'success', path: null });
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error', path: null });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEmptyConfirm = async () => {
+    setEmptyDialogOpen(false);
+    try {
+      const purged = await emptyTrash();
+      setSnackbar({
+        open: true,
+        message: `Deleted ${purged.items} item(s) permanently, ${formatBytes(purged.bytes)} freed`,
+        severity: 'success',
+        path: null,
+      });
+    } catch (err) {
+      setSnackbar({ open: true, message: `Error: ${err.message}`, severity: 'error', path: null });
+    }
+  };
+
+  const totalBytes = items.reduce((sum, item) => sum + (item.bytes || 0), 0);
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Button
+        startIcon={<ArrowBack />}
+        onClick={() => navigate('/')}
+        sx={{ mb: 3 }}
+      >
+        Back to Decks
+      </Button>
+
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={1}>
+        <Typography variant="h4">
+          Trash
+        </Typography>
+        <Button
+          variant="outlined"
+          color="error"
+          startIcon={<DeleteForever />}
+          onClick={() => setEmptyDialogOpen(true)}
+          disabled={items.length === 0}
+        >
+          Empty Trash
+        </Button>
+      </Box>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Deleted decks, slides and images stay here
+        {retentionDays === null ? ' until the trash is emptied' : ` for ${retentionDays} day(s)`} and can be
+        restored to where they were deleted from. The retention can be changed in Settings.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {loading ? (
+        <Box display="flex" justifyContent="center" py={4}>
+          <CircularProgress />
+        </Box>
+      ) : items.length === 0 ? (
+        <Box textAlign="center" py={8}>
+          <Typography variant="body1" color="text.secondary">
+            The trash is empty
+          </Typography>
+        </Box>
+      ) : (
+        <Paper>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Item</TableCell>
+                <TableCell>Deck</TableCell>
+                <TableCell>Deleted</TableCell>
+                <TableCell align="right">Size</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {items.map((item) => (
+                <TableRow key={item.id}>
+                  <TableCell>
+                    <Box display="flex" alignItems="center" gap={1}>
+                      <Chip label={TYPE_LABELS[item.type] || item.type} size="small" variant="outlined" />
+                      <Typography variant="body2" noWrap sx={{ maxWidth: 260 }}>
+                        {item.label}
+                      </Typography>
+                    </Box>
+                    {item.type === 'deck' && (
+                      <Typography variant="caption" color="text.secondary">
+                        {item.slideCount} slide(s)
+                      </Typography>
+                    )}
+                    {item.type === 'slide' && (
+                      <Typography variant="caption" color="text.secondary">
+                        {item.imageCount} image(s)
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{item.deckName}</TableCell>
+                  <TableCell>{new Date(item.deletedAt).toLocaleString()}</TableCell>
+                  <TableCell align="right">{formatBytes(item.bytes || 0)}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    {busyId === item.id ? (
+                      <CircularProgress size={20} />
+                    ) : (
+                      <>
+                        <Tooltip title="Restore">
+                          <IconButton size="small" onClick={() => handleRestore(item)}>
+                            <RestoreFromTrash />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Delete permanently">
+                          <IconButton size="small" color="error" onClick={() => setItemToPurge(item)}>
+                            <DeleteForever />
+                          </IconButton>
+                        </Tooltip>
+                      </>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', p: 2 }}>
+            {items.length} item(s), {formatBytes(totalBytes)}
+          </Typography>
+        </Paper>
+      )}
+
+      {/* Delete Permanently Confirmation Dialog */}
+      <Dialog open={!!itemToPurge} onClose={() => setItemToPurge(null)}>
+        <DialogTitle>Delete Permanently?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Permanently delete "{itemToPurge?.label}"? This action cannot be undone.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setItemToPurge(null)}>Cancel</Button>
+          <Button onClick={handlePurgeConfirm} color="error" variant="contained">
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Empty Trash Confirmation Dialog */}
+      <Dialog open={emptyDialogOpen} onClose={() => setEmptyDialogOpen(false)}>
+        <DialogTitle>Empty Trash?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Permanently delete all {items.length} item(s) in the trash? This action cannot be undone.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEmptyDialogOpen(false)}>Cancel</Button>
+          <Button onClick={handleEmptyConfirm} color="error" variant="contained">
+            Empty Trash
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert
+          onClose={() => setSnackbar({ ...snackbar, open: false })}
+          severity={snackbar.severity}
+          sx={{ width: '100%' }}
+          action={snackbar.path && (
+            <Button color="inherit" size="small" onClick={() => navigate(snackbar.path)}>
+              Open
+            </Button>
+          )}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Container>
+  );
+}
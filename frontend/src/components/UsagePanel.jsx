@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  CircularProgress,
+  Alert,
+  IconButton,
+  LinearProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tooltip,
+} from '@mui/material';
+import { Refresh } from '@mui/icons-material';
+import { useUsage } from '../hooks/useUsage';
+import { useProviders } from '../hooks/useProviders';
+
+const RANGE_OPTIONS = [7, 30, 90];
+
+function BudgetBar({ label, used, limit }) {
+  if (limit === null || limit === undefined) {
+    return (
+      <Typography variant="body2" sx={{ mb: 1 }}>
+        {label}: {used} today (no budget)
+      </Typography>
+    );
+  }
+
+  const percent = limit > 0 ? Math.min(100, (used / limit) * 100) : 100;
+  return (
+    <Box sx={{ mb: 1.5 }}>
+      <Typography variant="body2">
+        {label}: {used} of {limit} today
+      </Typography>
+      <LinearProgress
+        variant="determinate"
+        value={percent}
+        color={used >= limit ? 'error' : percent >= 80 ? 'warning' : 'primary'}
+      />
+    </Box>
+  );
+}
+
+function UsageTable({ title, rows, labelHeader }) {
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Typography variant="subtitle2" gutterBottom>
+        {title}
+      </Typography>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>{labelHeader}</TableCell>
+            <TableCell align="right">Images</TableCell>
+            <TableCell align="right">Descriptions</TableCell>
+            <TableCell align="right">Tokens</TableCell>
+            <TableCell align="right">Failed</TableCell>
+            <TableCell align="right">Avg latency</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map((row) => (
+            <TableRow key={row.key}>
+              <TableCell>{row.label}</TableCell>
+              <TableCell align="right">{row.images}</TableCell>
+              <TableCell align="right">{row.descriptions}</TableCell>
+              <TableCell align="right">{row.inputTokens + row.outputTokens}</TableCell>
+              <TableCell align="right">{row.failed}</TableCell>
+              <TableCell align="right">{(row.avgLatencyMs / 1000).toFixed(1)}s</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </Box>
+  );
+}
+
+export default function UsagePanel() {
+  const [days, setDays] = useState(30);
+  const { usage, loading, error, refresh } = useUsage({ days });
+  const { getProviderName } = useProviders();
+
+  if (loading && !usage) {
+    return (
+      <Box display="flex" justifyContent="center" py={2}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  const { totals, byService, byDeck, byDay, budget } = usage;
+
+  const serviceRows = Object.entries(byService).map(([service, row]) => ({
+    key: service,
+    label: service === 'openai' ? 'OpenAI (descriptions)' : getProviderName(service),
+    ...row,
+  }));
+  const deckRows = byDeck.map((row) => ({
+    key: row.deckId || 'none',
+    label: row.name || (row.deckId ? 'Deleted deck' : 'No deck'),
+    ...row,
+  }));
+  const dayRows = [...byDay].reverse().map((row) => ({ key: row.date, label: row.date, ...row }));
+
+  return (
+    <Box>
+      <BudgetBar label="Images" used={budget.images.used} limit={budget.images.limit} />
+      <BudgetBar label="Descriptions" used={budget.descriptions.used} limit={budget.descriptions.limit} />
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 3, mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Period</InputLabel>
+          <Select value={days} label="Period" onChange={(e) => setDays(e.target.value)}>
+            {RANGE_OPTIONS.map((n) => (
+              <MenuItem key={n} value={n}>
+                Last {n} days
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Typography variant="body2" color="text.secondary" sx={{ flex: 1 }}>
+          {totals.images} images, {totals.descriptions} descriptions, {totals.calls} calls ({totals.failed} failed)
+        </Typography>
+        <Tooltip title="Refresh">
+          <IconButton onClick={refresh} disabled={loading} size="small">
+            <Refresh />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      {totals.calls === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No AI calls in this period.
+        </Typography>
+      ) : (
+        <>
+          <UsageTable title="By service" labelHeader="Service" rows={serviceRows} />
+          <UsageTable title="By deck" labelHeader="Deck" rows={deckRows} />
+          <UsageTable title="By day" labelHeader="Day" rows={dayRows} />
+        </>
+      )}
+    </Box>
+  );
+}
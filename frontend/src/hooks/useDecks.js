@@ -52,6 +52,16 @@ export function useDecks() {
     }
   };
 
+  const duplicateDeck = async (id, data) => {
+    try {
+      const response = await deckAPI.duplicate(id, data);
+      await fetchDecks();
+      return response.data;
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
   return {
     decks,
     loading,
@@ -60,6 +70,7 @@ export function useDecks() {
     createDeck,
     updateDeck,
     deleteDeck,
+    duplicateDeck,
   };
 }
 
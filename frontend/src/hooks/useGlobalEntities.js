@@ -1,6 +1,16 @@
 import { useState, useEffect, useCallback } from 'react';
 import { globalEntitiesAPI } from '../services/api';
 
+// Read an image file as base64 (without the data URL prefix)
+function readAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = reject;
+    reader.readAsDataURL(file);
+  });
+}
+
 export function useGlobalEntities() {
   const [entities, setEntities] = useState({});
   const [loading, setLoading] = useState(true);
@@ -27,15 +37,7 @@ export function useGlobalEntities() {
   const addEntity = async (entityName, imageFile) => {
     try {
       // Convert image to base64
-      const base64 = await new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => {
-          const base64String = reader.result.split(',')[1];
-          resolve(base64String);
-        };
-        reader.onerror = reject;
-        reader.readAsDataURL(imageFile);
-      });
+      const base64 = await readAsBase64(imageFile);
 
       const response = await globalEntitiesAPI.add({
         entityName,
@@ -61,6 +63,30 @@ export function useGlobalEntities() {
     }
   };
 
+  // Update the entity list from a request, keeping the error for the caller
+  const applyUpdate = async (request) => {
+    try {
+      const response = await request;
+      setEntities(response.data);
+      return response.data;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  const updateEntity = (entityName, updates) =>
+    applyUpdate(globalEntitiesAPI.update(entityName, updates));
+
+  const addImage = async (entityName, imageFile, label = '') =>
+    applyUpdate(globalEntitiesAPI.addImage(entityName, { imageData: await readAsBase64(imageFile), label }));
+
+  const updateImage = (entityName, filename, updates) =>
+    applyUpdate(globalEntitiesAPI.updateImage(entityName, filename, updates));
+
+  const removeImage = (entityName, filename) =>
+    applyUpdate(globalEntitiesAPI.removeImage(entityName, filename));
+
   const refresh = fetchEntities;
 
   return {
@@ -69,6 +95,10 @@ export function useGlobalEntities() {
     error,
     addEntity,
     removeEntity,
+    updateEntity,
+    addImage,
+    updateImage,
+    removeImage,
     refresh,
   };
 }
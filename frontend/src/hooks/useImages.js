@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { imageAPI } from '../services/api';
 
 export function useImages(deckId, slideId) {
@@ -45,16 +45,109 @@ export function useImages(deckId, slideId) {
   };
 }
 
-export function useBulkOperations(deckId) {
+// Job statuses after which the event stream is closed
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Per-slide events sent on the job event stream
+const SLIDE_EVENTS = ['slide-started', 'slide-completed', 'slide-failed', 'slide-cancelled'];
+
+/**
+ * Start and follow bulk image jobs for a deck
+ * Progress is streamed over Server-Sent Events; onSlideEvent is called for
+ * every per-slide event (slide-completed includes the new image metadata)
+ */
+export function useBulkOperations(deckId, { onSlideEvent } = {}) {
   const [jobId, setJobId] = useState(null);
   const [status, setStatus] = useState(null);
-  const [polling, setPolling] = useState(false);
+  const [generatingSlideIds, setGeneratingSlideIds] = useState([]);
+  const eventSourceRef = useRef(null);
+  const onSlideEventRef = useRef(onSlideEvent);
+  onSlideEventRef.current = onSlideEvent;
+
+  const unsubscribe = () => {
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+      eventSourceRef.current = null;
+    }
+    setGeneratingSlideIds([]);
+  };
+
+  const subscribe = (id) => {
+    unsubscribe();
+    const eventSource = new EventSource(imageAPI.getJobEventsUrl(id));
+    eventSourceRef.current = eventSource;
+
+    eventSource.addEventListener('snapshot', (e) => {
+      const job = JSON.parse(e.data);
+      setStatus(job);
+      setGeneratingSlideIds(job.slides.filter(s => s.status === 'running').map(s => s.slideId));
+      if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        unsubscribe();
+      }
+    });
+
+    SLIDE_EVENTS.forEach((type) => {
+      eventSource.addEventListener(type, (e) => {
+        const event = JSON.parse(e.data);
+        setStatus(prev => prev && { ...prev, status: event.status, progress: event.progress });
+        setGeneratingSlideIds(prev =>
+          type === 'slide-started'
+            ? [...prev, event.slideId]
+            : prev.filter(slideId => slideId !== event.slideId)
+        );
+        onSlideEventRef.current?.(event);
+      });
+    });
+
+    eventSource.addEventListener('status', (e) => {
+      const event = JSON.parse(e.data);
+      setStatus(prev => prev && { ...prev, status: event.status, progress: event.progress });
+    });
+
+    eventSource.addEventListener('done', async () => {
+      unsubscribe();
+      // Fetch final job state (results, error)
+      try {
+        const response = await imageAPI.getJobStatus(id);
+        setStatus(response.data);
+      } catch (err) {
+        console.error('Failed to fetch final job status:', err);
+      }
+    });
+  };
+
+  // Reattach to a job that is still active for this deck (e.g. after a reload)
+  useEffect(() => {
+    if (!deckId) return undefined;
+
+    let cancelled = false;
+    imageAPI.getDeckJobs(deckId)
+      .then((response) => {
+        const activeJob = response.data.find(job => !FINISHED_JOB_STATUSES.includes(job.status));
+        if (!cancelled && activeJob) {
+          setJobId(activeJob.jobId);
+          setStatus(activeJob);
+          subscribe(activeJob.jobId);
+        }
+      })
+      .catch((err) => console.error('Failed to load deck jobs:', err));
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [deckId]);
 
   const startGenerateAll = async (count, service) => {
     try {
       const response = await imageAPI.generateAll(deckId, { count, service });
+      if (response.data.message) {
+        // No images to generate
+        return response.data;
+      }
       setJobId(response.data.jobId);
-      startPolling(response.data.jobId);
+      setStatus(null);
+      subscribe(response.data.jobId);
       return response.data;
     } catch (err) {
       throw new Error(err.message);
@@ -69,46 +162,47 @@ export function useBulkOperations(deckId) {
         return response.data;
       }
       setJobId(response.data.jobId);
-      startPolling(response.data.jobId);
+      setStatus(null);
+      subscribe(response.data.jobId);
       return response.data;
     } catch (err) {
       throw new Error(err.message);
     }
   };
 
-  const startPolling = (id) => {
-    setPolling(true);
-    const interval = setInterval(async () => {
-      try {
-        const response = await imageAPI.getJobStatus(id);
-        setStatus(response.data);
+  const cancel = async () => {
+    const response = await imageAPI.cancelJob(jobId);
+    setStatus(response.data);
+    return response.data;
+  };
 
-        if (response.data.status === 'completed' || response.data.status === 'failed') {
-          clearInterval(interval);
-          setPolling(false);
-        }
-      } catch (err) {
-        clearInterval(interval);
-        setPolling(false);
-      }
-    }, 2000);
+  const pause = async () => {
+    const response = await imageAPI.pauseJob(jobId);
+    setStatus(response.data);
+    return response.data;
+  };
 
-    // Store interval ID for cleanup
-    return () => clearInterval(interval);
+  const resume = async () => {
+    const response = await imageAPI.resumeJob(jobId);
+    setStatus(response.data);
+    return response.data;
   };
 
   const reset = () => {
+    unsubscribe();
     setJobId(null);
     setStatus(null);
-    setPolling(false);
   };
 
   return {
     jobId,
     status,
-    polling,
+    generatingSlideIds,
     startGenerateAll,
     startGenerateMissing,
+    cancel,
+    pause,
+    resume,
     reset,
   };
 }
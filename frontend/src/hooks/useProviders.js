@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from 'react';
+import { providerAPI } from '../services/api';
+
+export function useProviders() {
+  const [providers, setProviders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchProviders = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await providerAPI.getAll();
+      setProviders(response.data);
+    } catch (err) {
+      setError(err.message);
+      console.error('Failed to fetch image providers:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProviders();
+  }, [fetchProviders]);
+
+  // Display name for a service ID (falls back to the ID for unknown services)
+  const getProviderName = (id) => providers.find(p => p.id === id)?.name || id;
+
+  return {
+    providers,
+    loading,
+    error,
+    refresh: fetchProviders,
+    getProviderName,
+  };
+}
@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Multi-selection of slides with ctrl/cmd-click (toggle) and shift-click (range)
+ * @param {Array<Object>} slides - Slides in deck order
+ * @param {string|null} activeSlideId - Slide that counts as selected while nothing
+ *   else is (e.g. the slide open in the editor); also the default shift-click anchor
+ */
+export function useSlideSelection(slides, activeSlideId = null) {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [anchorId, setAnchorId] = useState(null);
+
+  // Forget slides that no longer exist (deleted elsewhere)
+  useEffect(() => {
+    setSelectedIds((prev) => {
+      const existing = prev.filter((id) => slides.some((slide) => slide.id === id));
+      return existing.length === prev.length ? prev : existing;
+    });
+  }, [slides]);
+
+  /**
+   * Update the selection for a click on a slide
+   * @returns {boolean} - true when the click only changed the multi-selection
+   *   (ctrl/cmd or shift held), false for a plain click
+   */
+  const handleClick = useCallback((slideId, event) => {
+    const base = selectedIds.length > 0 ? selectedIds : (activeSlideId ? [activeSlideId] : []);
+    const anchor = anchorId && slides.some((slide) => slide.id === anchorId) ? anchorId : activeSlideId;
+
+    if (event?.shiftKey && anchor) {
+      const from = slides.findIndex((slide) => slide.id === anchor);
+      const to = slides.findIndex((slide) => slide.id === slideId);
+      const range = slides.slice(Math.min(from, to), Math.max(from, to) + 1).map((slide) => slide.id);
+      setSelectedIds([...new Set([...base, ...range])]);
+      return true;
+    }
+
+    if (event?.ctrlKey || event?.metaKey) {
+      setSelectedIds(base.includes(slideId) ? base.filter((id) => id !== slideId) : [...base, slideId]);
+      setAnchorId(slideId);
+      return true;
+    }
+
+    setSelectedIds([slideId]);
+    setAnchorId(slideId);
+    return false;
+  }, [slides, selectedIds, anchorId, activeSlideId]);
+
+  const clear = useCallback(() => {
+    setSelectedIds([]);
+  }, []);
+
+  // Selected IDs in deck order
+  const orderedIds = slides.filter((slide) => selectedIds.includes(slide.id)).map((slide) => slide.id);
+
+  return {
+    selectedIds: orderedIds,
+    isSelected: (slideId) => selectedIds.includes(slideId),
+    handleClick,
+    clear,
+  };
+}
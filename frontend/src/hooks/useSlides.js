@@ -34,6 +34,17 @@ export function useSlides(deckId) {
     }
   };
 
+  // Insert slides parsed from text; returns { slides, missingEntities }
+  const insertSlidesFromText = async (data) => {
+    try {
+      const response = await slideAPI.insertFromText(deckId, data);
+      await fetchSlides();
+      return response.data;
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
   const updateSlide = async (slideId, data) => {
     try {
       const response = await slideAPI.update(deckId, slideId, data);
@@ -53,6 +64,17 @@ export function useSlides(deckId) {
     }
   };
 
+  // Add newly generated images to a slide without refetching (e.g. from job events)
+  const addGeneratedImages = useCallback((slideId, images) => {
+    setSlides(prevSlides =>
+      prevSlides.map(slide =>
+        slide.id === slideId
+          ? { ...slide, generatedImages: [...slide.generatedImages, ...images] }
+          : slide
+      )
+    );
+  }, []);
+
   const reorderSlides = async (slideIds) => {
     try {
       await slideAPI.reorder(deckId, slideIds);
@@ -62,15 +84,29 @@ export function useSlides(deckId) {
     }
   };
 
+  // Apply batch operations (update, delete, move); the response has all slides
+  const batchUpdateSlides = async (operations) => {
+    try {
+      const response = await slideAPI.batch(deckId, operations);
+      setSlides(response.data.slides);
+      return response.data.slides;
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
   return {
     slides,
     loading,
     error,
     refresh: fetchSlides,
     createSlide,
+    insertSlidesFromText,
     updateSlide,
     deleteSlide,
     reorderSlides,
+    batchUpdateSlides,
+    addGeneratedImages,
   };
 }
 
@@ -127,6 +163,16 @@ export function useSlide(deckId, slideId) {
     }
   };
 
+  const cropImage = async (imageId, crop) => {
+    try {
+      const response = await slideAPI.cropImage(deckId, slideId, imageId, crop);
+      setSlide(response.data);
+      return response.data;
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
   return {
     slide,
     loading,
@@ -135,5 +181,6 @@ export function useSlide(deckId, slideId) {
     updateSlide,
     pinImage,
     deleteImage,
+    cropImage,
   };
 }
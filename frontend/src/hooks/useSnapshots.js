@@ -0,0 +1,71 @@
+import { useState, useEffect, useCallback } from 'react';
+import { deckAPI } from '../services/api';
+
+/**
+ * Snapshots of a deck (newest first)
+ */
+export function useSnapshots(deckId) {
+  const [snapshots, setSnapshots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchSnapshots = useCallback(async () => {
+    if (!deckId) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await deckAPI.getSnapshots(deckId);
+      setSnapshots(response.data);
+    } catch (err) {
+      setError(err.message);
+      console.error('Failed to fetch snapshots:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [deckId]);
+
+  useEffect(() => {
+    fetchSnapshots();
+  }, [fetchSnapshots]);
+
+  const createSnapshot = async (name) => {
+    try {
+      const response = await deckAPI.createSnapshot(deckId, { name });
+      setSnapshots((prev) => [response.data, ...prev]);
+      return response.data;
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
+  const restoreSnapshot = async (snapshotId) => {
+    try {
+      const response = await deckAPI.restoreSnapshot(deckId, snapshotId);
+      // The restore adds a backup snapshot
+      await fetchSnapshots();
+      return response.data;
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
+  const deleteSnapshot = async (snapshotId) => {
+    try {
+      await deckAPI.deleteSnapshot(deckId, snapshotId);
+      setSnapshots((prev) => prev.filter((snapshot) => snapshot.id !== snapshotId));
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
+  return {
+    snapshots,
+    loading,
+    error,
+    refresh: fetchSnapshots,
+    createSnapshot,
+    restoreSnapshot,
+    deleteSnapshot,
+  };
+}
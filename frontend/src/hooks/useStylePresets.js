@@ -0,0 +1,96 @@
+import { useState, useEffect, useCallback } from 'react';
+import { stylePresetAPI } from '../services/api';
+
+export function useStylePresets() {
+  const [presets, setPresets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchPresets = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await stylePresetAPI.getAll();
+      setPresets(response.data);
+    } catch (err) {
+      setError(err.message);
+      console.error('Failed to fetch style presets:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPresets();
+  }, [fetchPresets]);
+
+  // Replace a preset in the list, keeping it sorted by name
+  const storePreset = (preset) => {
+    setPresets((prev) =>
+      [...prev.filter((p) => p.id !== preset.id), preset].sort((a, b) => a.name.localeCompare(b.name))
+    );
+    return preset;
+  };
+
+  const createPreset = async (data) => {
+    try {
+      const response = await stylePresetAPI.create(data);
+      return storePreset(response.data);
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
+  const updatePreset = async (presetId, data) => {
+    try {
+      const response = await stylePresetAPI.update(presetId, data);
+      return storePreset(response.data);
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
+  const deletePreset = async (presetId) => {
+    try {
+      const response = await stylePresetAPI.delete(presetId);
+      setPresets((prev) => prev.filter((p) => p.id !== presetId));
+      return response.data;
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
+  const addImage = async (presetId, file) => {
+    try {
+      const response = await stylePresetAPI.addImage(presetId, file);
+      return storePreset(response.data);
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
+  const removeImage = async (presetId, filename) => {
+    try {
+      const response = await stylePresetAPI.removeImage(presetId, filename);
+      return storePreset(response.data);
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
+  // Preset for an ID (null for none or a deleted preset)
+  const getPreset = (presetId) => presets.find((p) => p.id === presetId) || null;
+
+  return {
+    presets,
+    loading,
+    error,
+    refresh: fetchPresets,
+    createPreset,
+    updatePreset,
+    deletePreset,
+    addImage,
+    removeImage,
+    getPreset,
+  };
+}
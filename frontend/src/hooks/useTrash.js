@@ -0,0 +1,71 @@
+import { useState, useEffect, useCallback } from 'react';
+import { trashAPI } from '../services/api';
+
+/**
+ * Deleted decks, slides and images
+ */
+export function useTrash() {
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchTrash = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await trashAPI.getAll();
+      setItems(response.data.items);
+      setRetentionDays(response.data.retentionDays);
+    } catch (err) {
+      setError(err.message);
+      console.error('Failed to fetch trash:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const restoreItem = async (trashId) => {
+    try {
+      const response = await trashAPI.restore(trashId);
+      setItems((prev) => prev.filter((item) => item.id !== trashId));
+      return response.data;
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
+  const purgeItem = async (trashId) => {
+    try {
+      await trashAPI.purge(trashId);
+      setItems((prev) => prev.filter((item) => item.id !== trashId));
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
+  const emptyTrash = async () => {
+    try {
+      const response = await trashAPI.empty();
+      setItems([]);
+      return response.data.purged;
+    } catch (err) {
+      throw new Error(err.message);
+    }
+  };
+
+  return {
+    items,
+    retentionDays,
+    loading,
+    error,
+    refresh: fetchTrash,
+    restoreItem,
+    purgeItem,
+    emptyTrash,
+  };
+}
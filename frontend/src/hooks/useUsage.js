@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback } from 'react';
+import { usageAPI } from '../services/api';
+
+/**
+ * Usage report for the last `days` days (optionally for one deck)
+ */
+export function useUsage({ days = 30, deckId = null } = {}) {
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchUsage = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const to = new Date();
+      const from = new Date(to.getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+      const response = await usageAPI.get({
+        from: from.toISOString().slice(0, 10),
+        to: to.toISOString().slice(0, 10),
+        ...(deckId && { deckId }),
+      });
+      setUsage(response.data);
+    } catch (err) {
+      setError(err.message);
+      console.error('Failed to fetch usage:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [days, deckId]);
+
+  useEffect(() => {
+    fetchUsage();
+  }, [fetchUsage]);
+
+  return {
+    usage,
+    loading,
+    error,
+    refresh: fetchUsage,
+  };
+}
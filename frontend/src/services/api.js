@@ -25,18 +25,54 @@ export const deckAPI = {
   getById: (id) => api.get(`/decks/${id}`),
   create: (data) => api.post('/decks', data),
   createFromText: (data) => api.post('/decks/from-text', data),
+  importGoogleSlides: (data) => api.post('/decks/import-google-slides', data),
+  previewText: (data) => api.post('/decks/from-text/preview', data),
   update: (id, data) => api.put(`/decks/${id}`, data),
+  previewPrompt: (id, data) => api.post(`/decks/${id}/prompt-preview`, data),
   delete: (id) => api.delete(`/decks/${id}`),
+  duplicate: (id, data) => api.post(`/decks/${id}/duplicate`, data),
   addEntity: (deckId, formData) =>
     api.post(`/decks/${deckId}/entities`, formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
     }),
   removeEntity: (deckId, entityName) =>
     api.delete(`/decks/${deckId}/entities/${entityName}`),
+  updateEntity: (deckId, entityName, data) =>
+    api.put(`/decks/${deckId}/entities/${entityName}`, data),
+  addEntityImage: (deckId, entityName, file, label = '') => {
+    const formData = new FormData();
+    formData.append('image', file);
+    formData.append('label', label);
+    return api.post(`/decks/${deckId}/entities/${entityName}/images`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  updateEntityImage: (deckId, entityName, filename, data) =>
+    api.put(`/decks/${deckId}/entities/${entityName}/images/${filename}`, data),
+  removeEntityImage: (deckId, entityName, filename) =>
+    api.delete(`/decks/${deckId}/entities/${entityName}/images/${filename}`),
   getEntityImage: (deckId, entityName, filename) =>
     `${API_BASE_URL}/decks/${deckId}/entities/${entityName}/${filename}`,
+  getThemeImage: (deckId, filename) =>
+    `${API_BASE_URL}/decks/${deckId}/theme-images/${filename}`,
   exportSlide: (deckId, slideId, data) =>
     api.post(`/decks/${deckId}/slides/${slideId}/export`, data),
+  exportBundle: (deckId, params) =>
+    api.get(`/decks/${deckId}/bundle`, { params, responseType: 'blob' }),
+  importBundle: (formData) =>
+    api.post('/decks/import-bundle', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+  importPptx: (formData) =>
+    api.post('/decks/import-pptx', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+  getSnapshots: (deckId) => api.get(`/decks/${deckId}/snapshots`),
+  createSnapshot: (deckId, data) => api.post(`/decks/${deckId}/snapshots`, data),
+  restoreSnapshot: (deckId, snapshotId) =>
+    api.post(`/decks/${deckId}/snapshots/${snapshotId}/restore`),
+  deleteSnapshot: (deckId, snapshotId) =>
+    api.delete(`/decks/${deckId}/snapshots/${snapshotId}`),
 };
 
 // Slide API
@@ -49,14 +85,25 @@ export const slideAPI = {
     params: { _t: Date.now() } // Cache busting
   }),
   create: (deckId, data) => api.post(`/decks/${deckId}/slides`, data),
+  insertFromText: (deckId, data) => api.post(`/decks/${deckId}/slides/from-text`, data),
+  previewSyncText: (deckId, data) => api.post(`/decks/${deckId}/slides/sync-text/preview`, data),
+  syncText: (deckId, data) => api.post(`/decks/${deckId}/slides/sync-text`, data),
+  batch: (deckId, operations) => api.post(`/decks/${deckId}/slides/batch`, { operations }),
+  getPromptPreview: (deckId, slideId, params) =>
+    api.get(`/decks/${deckId}/slides/${slideId}/prompt-preview`, { params }),
   update: (deckId, slideId, data) =>
     api.put(`/decks/${deckId}/slides/${slideId}`, data),
   delete: (deckId, slideId) =>
     api.delete(`/decks/${deckId}/slides/${slideId}`),
   reorder: (deckId, slideIds) =>
     api.post(`/decks/${deckId}/slides/reorder`, { slideIds }),
-  getImage: (deckId, slideId, imageId) =>
-    `${API_BASE_URL}/decks/${deckId}/slides/${slideId}/images/${imageId}`,
+  // version (e.g. image.updatedAt) busts the browser cache after a re-crop
+  getImage: (deckId, slideId, imageId, version) =>
+    `${API_BASE_URL}/decks/${deckId}/slides/${slideId}/images/${imageId}${version ? `?v=${encodeURIComponent(version)}` : ''}`,
+  getOriginalImage: (deckId, slideId, imageId) =>
+    `${API_BASE_URL}/decks/${deckId}/slides/${slideId}/images/${imageId}/original`,
+  cropImage: (deckId, slideId, imageId, data) =>
+    api.put(`/decks/${deckId}/slides/${slideId}/images/${imageId}/crop`, data),
   pinImage: (deckId, slideId, imageId) =>
     api.put(`/decks/${deckId}/slides/${slideId}/images/${imageId}/pin`),
   deleteImage: (deckId, slideId, imageId) =>
@@ -74,6 +121,17 @@ export const imageAPI = {
   generateMissing: (deckId, data) =>
     api.post(`/decks/${deckId}/generate-missing`, data),
   getJobStatus: (jobId) => api.get(`/jobs/${jobId}`),
+  getDeckJobs: (deckId) => api.get(`/decks/${deckId}/jobs`),
+  // Server-Sent Events stream of job progress (use with EventSource)
+  getJobEventsUrl: (jobId) => `${API_BASE_URL}/jobs/${jobId}/events`,
+  cancelJob: (jobId) => api.post(`/jobs/${jobId}/cancel`),
+  pauseJob: (jobId) => api.post(`/jobs/${jobId}/pause`),
+  resumeJob: (jobId) => api.post(`/jobs/${jobId}/resume`),
+};
+
+// Image Providers API
+export const providerAPI = {
+  getAll: () => api.get('/providers'),
 };
 
 // Settings API
@@ -89,6 +147,21 @@ export const settingsAPI = {
     });
   },
   deletePowerPointTemplate: () => api.delete('/settings/powerpoint-template'),
+  getOriginals: () => api.get('/settings/originals'),
+  pruneOriginals: (data = {}) => api.post('/settings/originals/prune', data),
+};
+
+// Usage API
+export const usageAPI = {
+  get: (params) => api.get('/usage', { params }),
+};
+
+// Trash API
+export const trashAPI = {
+  getAll: () => api.get('/trash'),
+  restore: (trashId) => api.post(`/trash/${trashId}/restore`),
+  purge: (trashId) => api.delete(`/trash/${trashId}`),
+  empty: () => api.delete('/trash'),
 };
 
 // Global Entities API
@@ -96,10 +169,35 @@ export const globalEntitiesAPI = {
   getAll: () => api.get('/settings/global-entities'),
   add: (data) => api.post('/settings/global-entities', data),
   remove: (entityName) => api.delete(`/settings/global-entities/${entityName}`),
+  update: (entityName, data) => api.put(`/settings/global-entities/${entityName}`, data),
+  addImage: (entityName, data) => api.post(`/settings/global-entities/${entityName}/images`, data),
+  updateImage: (entityName, filename, data) =>
+    api.put(`/settings/global-entities/${entityName}/images/${filename}`, data),
+  removeImage: (entityName, filename) =>
+    api.delete(`/settings/global-entities/${entityName}/images/${filename}`),
   getImage: (entityName, filename) =>
     `${API_BASE_URL}/settings/global-entities/${entityName}/${filename}`,
 };
 
+// Style Presets API
+export const stylePresetAPI = {
+  getAll: () => api.get('/settings/style-presets'),
+  create: (data) => api.post('/settings/style-presets', data),
+  update: (presetId, data) => api.put(`/settings/style-presets/${presetId}`, data),
+  delete: (presetId) => api.delete(`/settings/style-presets/${presetId}`),
+  addImage: (presetId, file) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    return api.post(`/settings/style-presets/${presetId}/images`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  removeImage: (presetId, filename) =>
+    api.delete(`/settings/style-presets/${presetId}/images/${filename}`),
+  getImage: (presetId, filename) =>
+    `${API_BASE_URL}/settings/style-presets/${presetId}/images/${filename}`,
+};
+
 // Export API
 export const exportAPI = {
   toGoogleSlides: (deckId, data) =>
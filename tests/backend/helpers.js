@@ -0,0 +1,58 @@
+import sharp from 'sharp';
+import request from 'supertest';
+
+/**
+ * Shared test helpers
+ */
+
+/**
+ * Create a solid colour PNG
+ * @returns {Promise<Buffer>}
+ */
+export function createTestImage(width = 64, height = 64, color = '#3366cc') {
+  return sharp({
+    create: { width, height, channels: 3, background: color }
+  }).png().toBuffer();
+}
+
+/**
+ * Create a deck (marked as test deck) with optional slides
+ * @param {Object} app - Express app
+ * @param {Object} options - { name, visualStyle, slides: [{ speakerNotes, imageDescription }] }
+ * @returns {Promise<{ deck: Object, slides: Array<Object> }>}
+ */
+export async function createDeck(app, { name = 'Test Deck', visualStyle = 'Flat illustration', slides = [] } = {}) {
+  const deckRes = await request(app)
+    .post('/api/decks')
+    .send({ name, visualStyle, isTest: true })
+    .expect(201);
+
+  const created = [];
+  for (const slide of slides) {
+    const slideRes = await request(app)
+      .post(`/api/decks/${deckRes.body.id}/slides`)
+      .send(slide)
+      .expect(201);
+    created.push(slideRes.body);
+  }
+
+  return { deck: deckRes.body, slides: created };
+}
+
+/**
+ * Poll a job until it reaches a final status
+ * @returns {Promise<Object>} - Final job
+ */
+export async function waitForJob(app, jobId, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const res = await request(app).get(`/api/jobs/${jobId}`).expect(200);
+    if (['completed', 'cancelled', 'failed'].includes(res.body.status)) {
+      return res.body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
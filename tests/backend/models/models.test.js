@@ -0,0 +1,137 @@
+import { v4 as uuidv4 } from 'uuid';
+import { deckSchema, createDeckSchema, updateDeckSchema } from '../../../backend/src/models/Deck.js';
+import { slideSchema, updateSlideSchema } from '../../../backend/src/models/Slide.js';
+import { settingsSchema } from '../../../backend/src/models/Settings.js';
+import { usageQuerySchema } from '../../../backend/src/models/Usage.js';
+
+const now = new Date().toISOString();
+
+function image(fields = {}) {
+  return {
+    id: uuidv4(),
+    filename: 'image-001.jpg',
+    createdAt: now,
+    service: 'mock',
+    prompt: 'A cat',
+    isPinned: false,
+    ...fields
+  };
+}
+
+describe('models', () => {
+  describe('deck-schema', () => {
+    test('fills in defaults of a minimal deck', () => {
+      const { value, error } = deckSchema.validate({ id: uuidv4(), name: 'Deck', createdAt: now, updatedAt: now });
+      expect(error).toBeUndefined();
+      expect(value).toMatchObject({
+        visualStyle: '',
+        stylePresetId: null,
+        promptTemplate: null,
+        negativePrompt: '',
+        entities: {},
+        slides: [],
+        aspectRatio: '16:9',
+        isTest: false
+      });
+    });
+
+    test('rejects invalid decks and entities', () => {
+      const deck = { id: uuidv4(), name: 'Deck', createdAt: now, updatedAt: now };
+      expect(deckSchema.validate({ ...deck, id: 'deck-1' }).error).toBeDefined();
+      expect(deckSchema.validate({ ...deck, name: 'x'.repeat(201) }).error.message).toBe('Deck name must not exceed 200 characters');
+      expect(deckSchema.validate({ ...deck, aspectRatio: '5:1' }).error.message).toMatch(/^Aspect ratio must be one of/);
+      expect(deckSchema.validate({ ...deck, promptTemplate: '{scene} {nope}' }).error.message)
+        .toMatch(/^Unknown prompt template placeholder\(s\): \{nope\}/);
+      expect(deckSchema.validate({ ...deck, entities: { 'Bad Name': { name: 'Bad Name', images: ['a.png'] } } }).error)
+        .toBeDefined();
+      expect(deckSchema.validate({ ...deck, entities: { Hero: { name: 'Hero', images: [] } } }).error).toBeDefined();
+    });
+
+    test('requires a name on create and a field on update', () => {
+      expect(createDeckSchema.validate({}).error.message).toBe('Deck name is required');
+      expect(updateDeckSchema.validate({}).error).toBeDefined();
+      expect(updateDeckSchema.validate({ negativePrompt: '  blurry  ' }).value).toEqual({ negativePrompt: 'blurry' });
+    });
+  });
+
+  describe('slide-schema', () => {
+    test('fills in defaults of a minimal slide', () => {
+      const { value, error } = slideSchema.validate({ id: 'slide-001', order: 0 });
+      expect(error).toBeUndefined();
+      expect(value).toMatchObject({
+        speakerNotes: '',
+        imageDescription: '',
+        noImages: false,
+        sceneStart: false,
+        descriptionHistory: [],
+        generatedImages: []
+      });
+    });
+
+    test('validates image metadata', () => {
+      const slide = { id: 'slide-001', order: 0 };
+      const { value, error } = slideSchema.validate({ ...slide, generatedImages: [image()] });
+      expect(error).toBeUndefined();
+      expect(value.generatedImages[0]).toMatchObject({ source: 'generated', originalFilename: null, crop: null });
+
+      expect(slideSchema.validate({ ...slide, generatedImages: [image({ filename: 'image-1.png' })] }).error.message)
+        .toMatch(/Image filename must match pattern/);
+      expect(slideSchema.validate({ ...slide, generatedImages: [image({ service: 'nope' })] }).error.message)
+        .toMatch(/^Service must be one of/);
+    });
+
+    test('requires imported images to have no service or prompt', () => {
+      const slide = { id: 'slide-001', order: 0 };
+      const imported = image({ source: 'import', service: null, prompt: null });
+      expect(slideSchema.validate({ ...slide, generatedImages: [imported] }).error).toBeUndefined();
+      expect(slideSchema.validate({ ...slide, generatedImages: [{ ...imported, service: 'mock' }] }).error).toBeDefined();
+      expect(slideSchema.validate({ ...slide, generatedImages: [image({ service: null })] }).error).toBeDefined();
+    });
+
+    test('rejects invalid slides and empty updates', () => {
+      expect(slideSchema.validate({ id: 'slide-1', order: 0 }).error.message).toBe('Slide ID must match pattern: slide-###');
+      expect(slideSchema.validate({ id: 'slide-001', order: -1 }).error.message).toBe('Order must be at least 0');
+      expect(slideSchema.validate({ id: 'slide-001', order: 0, speakerNotes: 'x'.repeat(5001) }).error.message)
+        .toBe('Speaker notes must not exceed 5000 characters');
+      expect(updateSlideSchema.validate({}).error).toBeDefined();
+    });
+  });
+
+  describe('settings-schema', () => {
+    test('fills in defaults of the nested settings', () => {
+      const { value, error } = settingsSchema.validate({ defaultService: 'mock', defaultVariantCount: 2 });
+      expect(error).toBeUndefined();
+      expect(value).toMatchObject({
+        googleSlides: { credentials: null, templateSlideUrl: null, templateSlideIndex: 1 },
+        usageBudgets: { dailyImages: null, dailyDescriptions: null },
+        storage: { pruneOriginalsAfterDays: null, trashRetentionDays: 30 },
+        prompts: { summarizeLongStyles: false }
+      });
+    });
+
+    test('rejects invalid settings', () => {
+      expect(settingsSchema.validate({ defaultService: 'nope', defaultVariantCount: 2 }).error.message)
+        .toMatch(/^Default service must be one of/);
+      expect(settingsSchema.validate({ defaultService: 'mock', defaultVariantCount: 11 }).error.message)
+        .toBe('Default variant count must not exceed 10');
+      expect(settingsSchema.validate({
+        defaultService: 'mock',
+        defaultVariantCount: 2,
+        googleSlides: { credentials: { clientId: 'id' } }
+      }).error).toBeDefined();
+    });
+  });
+
+  describe('usage-query-schema', () => {
+    test('accepts existing days and deck IDs', () => {
+      const query = { deckId: uuidv4(), from: '2026-02-01', to: '2026-02-28' };
+      expect(usageQuerySchema.validate(query)).toEqual({ value: query });
+    });
+
+    test('rejects days that are not in the calendar', () => {
+      expect(usageQuerySchema.validate({ from: '2026-02-30' }).error.message).toBe('from must be a date in YYYY-MM-DD format');
+      expect(usageQuerySchema.validate({ to: '02/01/2026' }).error.message).toBe('to must be a date in YYYY-MM-DD format');
+      expect(usageQuerySchema.validate({ deckId: 'deck-1' }).error.message).toBe('deckId must be a valid deck ID');
+    });
+  });
+});
@@ -0,0 +1,280 @@
+import JSZip from 'jszip';
+import request from 'supertest';
+import app from '../../../backend/src/app.js';
+import { createDeck, createTestImage } from '../helpers.js';
+
+function binaryParser(response, callback) {
+  const chunks = [];
+  response.on('data', chunk => chunks.push(chunk));
+  response.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+async function setGlobalEntity(entityName, color) {
+  await request(app).delete(`/api/settings/global-entities/${entityName}`);
+  const image = await createTestImage(64, 64, color);
+  await request(app)
+    .post('/api/settings/global-entities')
+    .send({ entityName, imageData: image.toString('base64') })
+    .expect(201);
+}
+
+// Deck with a deck entity, a theme image, a global entity reference and two images on slide 1
+async function createBundledDeck(globalEntityName) {
+  await setGlobalEntity(globalEntityName, '#00ff00');
+  const { deck, slides } = await createDeck(app, {
+    name: 'Travel Deck',
+    slides: [
+      { speakerNotes: 'One', imageDescription: `@Hero holding @${globalEntityName}` },
+      { speakerNotes: 'Two', imageDescription: 'A beach' }
+    ]
+  });
+
+  await request(app)
+    .post(`/api/decks/${deck.id}/entities`)
+    .field('entityName', 'Hero')
+    .attach('image', await createTestImage(), { filename: 'hero.png', contentType: 'image/png' })
+    .expect(201);
+  await request(app)
+    .post(`/api/decks/${deck.id}/theme-images`)
+    .attach('image', await createTestImage(), { filename: 'theme.png', contentType: 'image/png' })
+    .expect(201);
+  await request(app)
+    .post(`/api/decks/${deck.id}/slides/${slides[0].id}/generate`)
+    .send({ count: 2, service: 'mock' })
+    .expect(200);
+
+  return { deck, slides };
+}
+
+async function downloadBundle(deckId, query = '') {
+  const res = await request(app)
+    .get(`/api/decks/${deckId}/bundle${query}`)
+    .buffer(true)
+    .parse(binaryParser)
+    .expect(200);
+  return res;
+}
+
+function importBundle(buffer, fields = {}) {
+  const req = request(app).post('/api/decks/import-bundle');
+  for (const [key, value] of Object.entries(fields)) {
+    req.field(key, value);
+  }
+  return req.attach('bundle', buffer, { filename: 'deck.zip', contentType: 'application/zip' });
+}
+
+describe('Deck Bundles', () => {
+  describe('export-bundle', () => {
+    test('packs the deck, pinned images, entities and theme images', async () => {
+      const { deck, slides } = await createBundledDeck('Globe');
+
+      const res = await downloadBundle(deck.id);
+      expect(res.headers['content-type']).toBe('application/zip');
+      expect(res.headers['content-disposition']).toContain('Travel_Deck.deck.zip');
+
+      const zip = await JSZip.loadAsync(res.body);
+      const manifest = JSON.parse(await zip.file('bundle.json').async('string'));
+      expect(manifest).toMatchObject({ format: 'ai-image-deck-bundle', version: 1, images: 'pinned' });
+
+      expect(zip.file('deck/deck.json')).toBeTruthy();
+      expect(zip.file('deck/entities/Hero.png')).toBeTruthy();
+      expect(zip.file(/^deck\/theme\/theme-.*\.png$/)).toHaveLength(1);
+      expect(zip.file('global-entities/Globe.jpg')).toBeTruthy();
+
+      const slide = JSON.parse(await zip.file(`deck/${slides[0].id}/slide.json`).async('string'));
+      expect(slide.generatedImages).toHaveLength(1);
+      expect(slide.generatedImages[0].isPinned).toBe(true);
+      expect(zip.file(`deck/${slides[0].id}/${slide.generatedImages[0].filename}`)).toBeTruthy();
+      expect(zip.file(`deck/${slides[0].id}/${slide.generatedImages[0].originalFilename}`)).toBeTruthy();
+    });
+
+    test('includes all images on request', async () => {
+      const { deck, slides } = await createBundledDeck('Globe');
+
+      const res = await downloadBundle(deck.id, '?images=all');
+      const zip = await JSZip.loadAsync(res.body);
+      const slide = JSON.parse(await zip.file(`deck/${slides[0].id}/slide.json`).async('string'));
+      expect(slide.generatedImages).toHaveLength(2);
+
+      await request(app).get(`/api/decks/${deck.id}/bundle?images=some`).expect(400);
+    });
+
+    test('stores style presets as style text', async () => {
+      const preset = await request(app)
+        .post('/api/settings/style-presets')
+        .send({ name: 'Bundle Preset', style: 'Retro poster' })
+        .expect(201);
+      const { deck, slides } = await createDeck(app, { visualStyle: 'Plain', slides: [{ speakerNotes: 'One' }] });
+      await request(app).put(`/api/decks/${deck.id}`).send({ stylePresetId: preset.body.id }).expect(200);
+      await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[0].id}`)
+        .send({ overrideStylePresetId: preset.body.id })
+        .expect(200);
+
+      const zip = await JSZip.loadAsync((await downloadBundle(deck.id)).body);
+      const bundledDeck = JSON.parse(await zip.file('deck/deck.json').async('string'));
+      expect(bundledDeck).toMatchObject({ visualStyle: 'Retro poster', stylePresetId: null });
+      const slide = JSON.parse(await zip.file(`deck/${slides[0].id}/slide.json`).async('string'));
+      expect(slide).toMatchObject({ overrideVisualStyle: 'Retro poster', overrideStylePresetId: null });
+    });
+
+    test('returns 404 for unknown decks', async () => {
+      await request(app).get('/api/decks/00000000-0000-4000-8000-000000000000/bundle').expect(404);
+    });
+  });
+
+  describe('import-bundle', () => {
+    test('imports the bundle as a new deck with new ids', async () => {
+      const { deck, slides } = await createBundledDeck('Globe');
+      const { body: bundle } = await downloadBundle(deck.id);
+
+      const res = await importBundle(bundle).expect(201);
+      const imported = res.body.deck;
+      expect(imported.id).not.toBe(deck.id);
+      expect(imported.name).toBe('Travel Deck');
+      expect(imported.slides).toEqual(slides.map(slide => slide.id));
+      expect(res.body.globalEntities.unchanged).toEqual(['Globe']);
+
+      const original = await request(app).get(`/api/decks/${deck.id}/slides/${slides[0].id}`).expect(200);
+      const copy = await request(app).get(`/api/decks/${imported.id}/slides/${slides[0].id}`).expect(200);
+      const [originalPinned] = original.body.generatedImages.filter(img => img.isPinned);
+      expect(copy.body.generatedImages).toHaveLength(1);
+      expect(copy.body.generatedImages[0].id).not.toBe(originalPinned.id);
+      expect(copy.body.speakerNotes).toBe('One');
+
+      const imageUrl = `/api/decks/${imported.id}/slides/${slides[0].id}/images/${copy.body.generatedImages[0].id}`;
+      await request(app).get(imageUrl).expect(200);
+      await request(app).get(`${imageUrl}/original`).expect(200);
+      await request(app).get(`/api/decks/${imported.id}/entities/Hero/Hero.png`).expect(200);
+      await request(app).get(`/api/decks/${imported.id}/theme-images/${imported.themeImages[0]}`).expect(200);
+    });
+
+    test('adds missing global entities', async () => {
+      const { deck } = await createBundledDeck('Compass');
+      const { body: bundle } = await downloadBundle(deck.id);
+      await request(app).delete('/api/settings/global-entities/Compass').expect(200);
+
+      const res = await importBundle(bundle).expect(201);
+      expect(res.body.globalEntities.added).toEqual(['Compass']);
+
+      const globals = await request(app).get('/api/settings/global-entities').expect(200);
+      expect(globals.body.Compass).toBeTruthy();
+    });
+
+    test('restores the images, labels and aliases of added global entities', async () => {
+      const { deck } = await createBundledDeck('Lantern');
+      await request(app)
+        .post('/api/settings/global-entities/Lantern/images')
+        .send({ imageData: (await createTestImage(64, 64, '#0000ff')).toString('base64'), label: 'lit' })
+        .expect(201);
+      await request(app)
+        .put('/api/settings/global-entities/Lantern')
+        .send({ aliases: ['Lamp'], description: 'An old brass lantern', imageMode: 'best' })
+        .expect(200);
+      const { body: bundle } = await downloadBundle(deck.id);
+      await request(app).delete('/api/settings/global-entities/Lantern').expect(200);
+
+      const res = await importBundle(bundle).expect(201);
+      expect(res.body.globalEntities.added).toEqual(['Lantern']);
+
+      const globals = await request(app).get('/api/settings/global-entities').expect(200);
+      const lantern = globals.body.Lantern;
+      expect(lantern).toMatchObject({ aliases: ['Lamp'], description: 'An old brass lantern', imageMode: 'best' });
+      expect(lantern.images).toHaveLength(2);
+      expect(lantern.imageLabels).toEqual({ [lantern.images[1]]: 'lit' });
+      await request(app).get(`/api/settings/global-entities/Lantern/${lantern.images[1]}`).expect(200);
+      await request(app).delete('/api/settings/global-entities/Lantern').expect(200);
+    });
+
+    test('imports conflicting global entities as deck entities by default', async () => {
+      const { deck } = await createBundledDeck('Map');
+      const { body: bundle } = await downloadBundle(deck.id);
+      await setGlobalEntity('Map', '#ff0000');
+
+      const res = await importBundle(bundle).expect(201);
+      expect(res.body.globalEntities.importedAsDeckEntity).toEqual(['Map']);
+      expect(res.body.deck.entities.Map).toEqual({ name: 'Map', images: ['Map.jpg'] });
+      await request(app).get(`/api/decks/${res.body.deck.id}/entities/Map/Map.jpg`).expect(200);
+
+      const kept = await importBundle(bundle, { entityConflict: 'keep' }).expect(201);
+      expect(kept.body.globalEntities.kept).toEqual(['Map']);
+      expect(kept.body.deck.entities.Map).toBeUndefined();
+
+      const replaced = await importBundle(bundle, { entityConflict: 'replace' }).expect(201);
+      expect(replaced.body.globalEntities.replaced).toEqual(['Map']);
+
+      // The bundled image is now the global one
+      const again = await importBundle(bundle).expect(201);
+      expect(again.body.globalEntities.unchanged).toEqual(['Map']);
+    });
+
+    test('rejects invalid bundles', async () => {
+      await request(app).post('/api/decks/import-bundle').expect(400);
+
+      const notZip = await importBundle(Buffer.from('not a zip')).expect(400);
+      expect(notZip.body.error).toBe('Invalid deck bundle: not a zip archive');
+
+      const zip = new JSZip();
+      zip.file('bundle.json', JSON.stringify({ format: 'something-else' }));
+      const wrongFormat = await importBundle(await zip.generateAsync({ type: 'nodebuffer' })).expect(400);
+      expect(wrongFormat.body.error).toBe('Invalid deck bundle: unknown format');
+
+      const { deck } = await createDeck(app);
+      const { body: bundle } = await downloadBundle(deck.id);
+      await importBundle(bundle, { entityConflict: 'merge' }).expect(400);
+    });
+
+    test('rejects file names that leave the deck folder', async () => {
+      const zip = new JSZip();
+      zip.file('bundle.json', JSON.stringify({ format: 'ai-image-deck-bundle', version: 1 }));
+      zip.file('deck/deck.json', JSON.stringify({ name: 'Evil', entities: {}, slides: ['../../evil'] }));
+
+      const res = await importBundle(await zip.generateAsync({ type: 'nodebuffer' })).expect(400);
+      expect(res.body.error).toBe('Invalid deck bundle: unsupported slide ID "../../evil"');
+    });
+
+    test('rejects bundles that do not match the deck and slide models', async () => {
+      const image = await createTestImage();
+      const createBundle = async ({ deck = {}, slideId = 'slide-001', slide = {}, filename = 'image-001.jpg' } = {}) => {
+        const zip = new JSZip();
+        zip.file('bundle.json', JSON.stringify({ format: 'ai-image-deck-bundle', version: 1 }));
+        zip.file('deck/deck.json', JSON.stringify({ name: 'Odd', entities: {}, slides: [slideId], ...deck }));
+        zip.file(`deck/${slideId}/slide.json`, JSON.stringify({
+          id: slideId,
+          order: 0,
+          generatedImages: [{
+            id: '3f1c9c4e-8d7b-4a2e-9c1d-2b3a4c5d6e7f',
+            filename,
+            createdAt: new Date().toISOString(),
+            service: 'mock',
+            prompt: 'A cat',
+            isPinned: true
+          }],
+          ...slide
+        }));
+        zip.file(`deck/${slideId}/${filename}`, image);
+        return zip.generateAsync({ type: 'nodebuffer' });
+      };
+
+      await importBundle(await createBundle()).expect(201);
+
+      // Would land in the deck's job store folder
+      const jobs = await importBundle(await createBundle({ slideId: 'jobs' })).expect(400);
+      expect(jobs.body.error).toBe('Invalid deck bundle: unsupported slide ID "jobs"');
+
+      const evilImage = await importBundle(await createBundle({ filename: 'evil.sh' })).expect(400);
+      expect(evilImage.body.error).toBe('Invalid deck bundle: unsupported file name "evil.sh"');
+
+      const aspectRatio = await importBundle(await createBundle({ deck: { aspectRatio: 'banana' } })).expect(400);
+      expect(aspectRatio.body.error).toMatch(/^Invalid deck bundle: deck\.json: Aspect ratio must be one of/);
+
+      const entity = await importBundle(await createBundle({ deck: { entities: { Hero: { name: 'Hero', images: 'hero.png' } } } })).expect(400);
+      expect(entity.body.error).toMatch(/^Invalid deck bundle: deck\.json: /);
+
+      const service = await importBundle(await createBundle({
+        slide: { generatedImages: [{ id: '3f1c9c4e-8d7b-4a2e-9c1d-2b3a4c5d6e7f', filename: 'image-001.jpg', createdAt: new Date().toISOString(), service: 'nope', prompt: 'A cat', isPinned: true }] }
+      })).expect(400);
+      expect(service.body.error).toMatch(/^Invalid deck bundle: slide-001\/slide\.json: Service must be one of/);
+    });
+  });
+});
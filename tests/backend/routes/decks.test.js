@@ -0,0 +1,448 @@
+import request from 'supertest';
+import app from '../../../backend/src/app.js';
+import { createDeck, createTestImage } from '../helpers.js';
+
+describe('Decks API', () => {
+  describe('list-decks', () => {
+    test('lists decks and hides test decks unless requested', async () => {
+      const { deck } = await createDeck(app, { name: 'Hidden Test Deck' });
+      const visible = await request(app)
+        .post('/api/decks')
+        .send({ name: 'Visible Deck' })
+        .expect(201);
+
+      const res = await request(app).get('/api/decks').expect(200);
+      const ids = res.body.map(d => d.id);
+      expect(ids).toContain(visible.body.id);
+      expect(ids).not.toContain(deck.id);
+
+      const withTest = await request(app).get('/api/decks?includeTest=true').expect(200);
+      expect(withTest.body.map(d => d.id)).toContain(deck.id);
+    });
+  });
+
+  describe('create-deck', () => {
+    test('creates a deck with defaults', async () => {
+      const res = await request(app)
+        .post('/api/decks')
+        .send({ name: 'My Deck', visualStyle: 'Watercolor', isTest: true })
+        .expect(201);
+
+      expect(res.body).toMatchObject({
+        name: 'My Deck',
+        visualStyle: 'Watercolor',
+        entities: {},
+        slides: []
+      });
+      expect(res.body.id).toEqual(expect.any(String));
+      expect(res.body.createdAt).toEqual(expect.any(String));
+    });
+
+    test('rejects a missing name', async () => {
+      const res = await request(app).post('/api/decks').send({ visualStyle: 'x' }).expect(400);
+      expect(res.body.error).toBe('Deck name is required');
+    });
+  });
+
+  describe('create-deck-from-text', () => {
+    test('creates one slide per line', async () => {
+      const res = await request(app)
+        .post('/api/decks/from-text')
+        .send({ name: 'From Text', text: 'Intro\n- ~hero walks in\n- Second point', isTest: true })
+        .expect(201);
+
+      expect(res.body.slidesCreated).toBe(3);
+      expect(res.body.deck.slides).toHaveLength(3);
+    });
+
+    test('imports markdown with descriptions and scene styles', async () => {
+      const text = '# Intro\n<!-- style: Watercolor -->\n- Hello\n  - Wave to the room\n  > A waving hand';
+      const res = await request(app)
+        .post('/api/decks/from-text')
+        .send({ name: 'From Markdown', text, format: 'markdown', isTest: true })
+        .expect(201);
+      expect(res.body.slidesCreated).toBe(2);
+
+      const slides = await request(app).get(`/api/decks/${res.body.deck.id}/slides`).expect(200);
+      expect(slides.body[0]).toMatchObject({ speakerNotes: 'Intro', sceneStart: true, noImages: true, sceneVisualStyle: 'Watercolor' });
+      expect(slides.body[1]).toMatchObject({ speakerNotes: 'Hello\nWave to the room', imageDescription: 'A waving hand', noImages: false });
+    });
+
+    test('rejects unknown formats', async () => {
+      await request(app)
+        .post('/api/decks/from-text')
+        .send({ name: 'From Text', text: 'Intro', format: 'docx', isTest: true })
+        .expect(400);
+    });
+  });
+
+  describe('preview-text', () => {
+    test('returns the parsed slides without creating a deck', async () => {
+      const before = await request(app).get('/api/decks?includeTest=true').expect(200);
+      const res = await request(app)
+        .post('/api/decks/from-text/preview')
+        .send({ text: '# Intro\n- Hello', format: 'markdown' })
+        .expect(200);
+
+      expect(res.body.slides.map(s => s.speakerNotes)).toEqual(['Intro', 'Hello']);
+      const after = await request(app).get('/api/decks?includeTest=true').expect(200);
+      expect(after.body).toHaveLength(before.body.length);
+    });
+  });
+
+  describe('import-google-slides', () => {
+    test('validates the presentation URL', async () => {
+      const missing = await request(app).post('/api/decks/import-google-slides').send({}).expect(400);
+      expect(missing.body.error).toBe('Presentation URL is required');
+
+      const invalid = await request(app)
+        .post('/api/decks/import-google-slides')
+        .send({ url: 'https://example.com/slides' })
+        .expect(400);
+      expect(invalid.body.error).toBe('Invalid Google Slides URL');
+    });
+  });
+
+  describe('get-deck', () => {
+    test('returns the deck', async () => {
+      const { deck } = await createDeck(app);
+      const res = await request(app).get(`/api/decks/${deck.id}`).expect(200);
+      expect(res.body.id).toBe(deck.id);
+    });
+
+    test('returns 404 for an unknown deck', async () => {
+      await request(app).get('/api/decks/00000000-0000-4000-8000-000000000000').expect(404);
+    });
+  });
+
+  describe('update-deck', () => {
+    test('updates name and visual style', async () => {
+      const { deck } = await createDeck(app);
+      const res = await request(app)
+        .put(`/api/decks/${deck.id}`)
+        .send({ name: 'Renamed', visualStyle: 'Pencil sketch' })
+        .expect(200);
+
+      expect(res.body).toMatchObject({ name: 'Renamed', visualStyle: 'Pencil sketch' });
+    });
+
+    test('rejects an empty update', async () => {
+      const { deck } = await createDeck(app);
+      await request(app).put(`/api/decks/${deck.id}`).send({}).expect(400);
+    });
+  });
+
+  describe('prompt-template', () => {
+    test('stores a template and negative prompt', async () => {
+      const { deck } = await createDeck(app);
+      expect(deck).toMatchObject({ promptTemplate: null, negativePrompt: '' });
+
+      const res = await request(app)
+        .put(`/api/decks/${deck.id}`)
+        .send({ promptTemplate: '{description}. In the style of {style}', negativePrompt: 'text, logos' })
+        .expect(200);
+      expect(res.body).toMatchObject({ promptTemplate: '{description}. In the style of {style}', negativePrompt: 'text, logos' });
+
+      // An empty template goes back to the default
+      const reset = await request(app).put(`/api/decks/${deck.id}`).send({ promptTemplate: '' }).expect(200);
+      expect(reset.body.promptTemplate).toBeNull();
+    });
+
+    test('rejects unknown placeholders', async () => {
+      const { deck } = await createDeck(app);
+      const res = await request(app)
+        .put(`/api/decks/${deck.id}`)
+        .send({ promptTemplate: '{description} {mood}' })
+        .expect(400);
+      expect(res.body.error).toContain('{mood}');
+    });
+
+    test('previews unsaved values without changing the deck', async () => {
+      const { deck, slides } = await createDeck(app, {
+        visualStyle: 'Watercolor',
+        slides: [{ speakerNotes: 'Intro' }, { imageDescription: 'A lighthouse' }]
+      });
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/prompt-preview`)
+        .send({ promptTemplate: '{description} in {style}', negativePrompt: 'text', service: 'gemini-pro' })
+        .expect(200);
+      expect(res.body).toMatchObject({
+        slideId: slides[1].id,
+        prompt: 'A lighthouse in Watercolor',
+        negativePrompt: 'text',
+        service: 'gemini-pro',
+        // Gemini has no separate negative prompt
+        providerPrompt: { prompt: 'A lighthouse in Watercolor Avoid: text.', negativePrompt: null }
+      });
+
+      const mock = await request(app)
+        .post(`/api/decks/${deck.id}/prompt-preview`)
+        .send({ slideId: slides[1].id, negativePrompt: 'text', service: 'mock' })
+        .expect(200);
+      expect(mock.body.prompt).toBe('Watercolor. A lighthouse. 16:9 aspect ratio, presentation quality, detailed, professional.');
+      expect(mock.body.providerPrompt).toEqual({ prompt: mock.body.prompt, negativePrompt: 'text' });
+
+      const saved = await request(app).get(`/api/decks/${deck.id}`).expect(200);
+      expect(saved.body).toMatchObject({ promptTemplate: null, negativePrompt: '' });
+    });
+
+    test('reports slides that cannot be previewed', async () => {
+      const { deck, slides } = await createDeck(app, { visualStyle: '', slides: [{ speakerNotes: 'No description' }] });
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/prompt-preview`)
+        .send({ slideId: slides[0].id })
+        .expect(400);
+      expect(res.body.error).toContain('empty');
+
+      await request(app).post(`/api/decks/${deck.id}/prompt-preview`).send({ slideId: 'slide-999' }).expect(404);
+    });
+  });
+
+  describe('image-format', () => {
+    test('defaults to 16:9 at 2K', async () => {
+      const { deck } = await createDeck(app);
+      expect(deck).toMatchObject({ aspectRatio: '16:9', resolution: '2K' });
+    });
+
+    test('accepts a format on create and update', async () => {
+      const created = await request(app)
+        .post('/api/decks')
+        .send({ name: 'Projector Deck', aspectRatio: '4:3', resolution: '4K', isTest: true })
+        .expect(201);
+      expect(created.body).toMatchObject({ aspectRatio: '4:3', resolution: '4K' });
+
+      const updated = await request(app)
+        .put(`/api/decks/${created.body.id}`)
+        .send({ aspectRatio: '9:16', resolution: '1K' })
+        .expect(200);
+      expect(updated.body).toMatchObject({ aspectRatio: '9:16', resolution: '1K' });
+    });
+
+    test('rejects unsupported formats', async () => {
+      const { deck } = await createDeck(app);
+      const res = await request(app).put(`/api/decks/${deck.id}`).send({ aspectRatio: '5:4' }).expect(400);
+      expect(res.body.error).toMatch(/^Aspect ratio must be one of:/);
+      await request(app).put(`/api/decks/${deck.id}`).send({ resolution: '8K' }).expect(400);
+    });
+  });
+
+  describe('delete-deck', () => {
+    test('deletes the deck', async () => {
+      const { deck } = await createDeck(app);
+      await request(app).delete(`/api/decks/${deck.id}`).expect(200, { success: true });
+      await request(app).get(`/api/decks/${deck.id}`).expect(404);
+    });
+  });
+
+  describe('duplicate-deck', () => {
+    async function createSourceDeck() {
+      const { deck, slides } = await createDeck(app, {
+        name: 'Original',
+        slides: [{ speakerNotes: 'One', imageDescription: '@Hero waves' }, { speakerNotes: 'Two' }]
+      });
+      await request(app)
+        .post(`/api/decks/${deck.id}/entities`)
+        .field('entityName', 'Hero')
+        .attach('image', await createTestImage(), { filename: 'hero.png', contentType: 'image/png' })
+        .expect(201);
+      await request(app)
+        .post(`/api/decks/${deck.id}/theme-images`)
+        .attach('image', await createTestImage(), { filename: 'theme.png', contentType: 'image/png' })
+        .expect(201);
+      await request(app)
+        .post(`/api/decks/${deck.id}/slides/${slides[0].id}/generate`)
+        .send({ count: 2, service: 'mock' })
+        .expect(200);
+      return { deck, slides };
+    }
+
+    test('copies slides, pinned images, entities and theme images', async () => {
+      const { deck, slides } = await createSourceDeck();
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/duplicate`)
+        .send({ visualStyle: 'Watercolor' })
+        .expect(201);
+
+      expect(res.body.id).not.toBe(deck.id);
+      expect(res.body).toMatchObject({ name: 'Original (Copy)', visualStyle: 'Watercolor', slides: slides.map(s => s.id) });
+      expect(res.body.entities.Hero).toEqual({ name: 'Hero', images: ['Hero.png'] });
+      expect(res.body.themeImages).toHaveLength(1);
+
+      const copy = await request(app).get(`/api/decks/${res.body.id}/slides/${slides[0].id}`).expect(200);
+      expect(copy.body.speakerNotes).toBe('One');
+      expect(copy.body.generatedImages).toHaveLength(1);
+      expect(copy.body.generatedImages[0].isPinned).toBe(true);
+
+      const imageUrl = `/api/decks/${res.body.id}/slides/${slides[0].id}/images/${copy.body.generatedImages[0].id}`;
+      await request(app).get(imageUrl).expect(200);
+      await request(app).get(`${imageUrl}/original`).expect(200);
+      await request(app).get(`/api/decks/${res.body.id}/entities/Hero/Hero.png`).expect(200);
+
+      // The source deck is untouched
+      const source = await request(app).get(`/api/decks/${deck.id}`).expect(200);
+      expect(source.body.visualStyle).toBe('Flat illustration');
+    });
+
+    test('copies all images or none on request', async () => {
+      const { deck, slides } = await createSourceDeck();
+
+      const all = await request(app).post(`/api/decks/${deck.id}/duplicate`).send({ images: 'all' }).expect(201);
+      const allSlide = await request(app).get(`/api/decks/${all.body.id}/slides/${slides[0].id}`).expect(200);
+      expect(allSlide.body.generatedImages).toHaveLength(2);
+      expect(allSlide.body.generatedImages.filter(img => img.isPinned)).toHaveLength(1);
+
+      const none = await request(app)
+        .post(`/api/decks/${deck.id}/duplicate`)
+        .send({ name: 'Text only', images: 'none', entities: false, themeImages: false })
+        .expect(201);
+      expect(none.body).toMatchObject({ name: 'Text only', entities: {}, themeImages: [] });
+      const noneSlide = await request(app).get(`/api/decks/${none.body.id}/slides/${slides[0].id}`).expect(200);
+      expect(noneSlide.body.generatedImages).toEqual([]);
+    });
+
+    test('can copy the deck settings without slides', async () => {
+      const { deck } = await createSourceDeck();
+
+      const res = await request(app).post(`/api/decks/${deck.id}/duplicate`).send({ slides: false }).expect(201);
+      expect(res.body.slides).toEqual([]);
+
+      const slides = await request(app).get(`/api/decks/${res.body.id}/slides`).expect(200);
+      expect(slides.body).toEqual([]);
+    });
+
+    test('validates options and the source deck', async () => {
+      const { deck } = await createDeck(app);
+      await request(app).post(`/api/decks/${deck.id}/duplicate`).send({ images: 'some' }).expect(400);
+      await request(app).post('/api/decks/00000000-0000-4000-8000-000000000000/duplicate').send({}).expect(404);
+    });
+  });
+
+  describe('add-entity', () => {
+    test('uploads an entity image', async () => {
+      const { deck } = await createDeck(app);
+      const image = await createTestImage();
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/entities`)
+        .field('entityName', 'Hero')
+        .attach('image', image, { filename: 'hero.png', contentType: 'image/png' })
+        .expect(201);
+
+      expect(res.body.entities.Hero).toEqual({ name: 'Hero', images: ['Hero.png'] });
+
+      const file = await request(app).get(`/api/decks/${deck.id}/entities/Hero/Hero.png`).expect(200);
+      expect(file.headers['content-type']).toBe('image/png');
+    });
+
+    test('rejects duplicates and invalid names', async () => {
+      const { deck } = await createDeck(app);
+      const image = await createTestImage();
+      const upload = name => request(app)
+        .post(`/api/decks/${deck.id}/entities`)
+        .field('entityName', name)
+        .attach('image', image, { filename: 'e.png', contentType: 'image/png' });
+
+      await upload('Office').expect(201);
+      await upload('Office').expect(409);
+      await upload('The Office').expect(400);
+    });
+
+    test('requires an image', async () => {
+      const { deck } = await createDeck(app);
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/entities`)
+        .field('entityName', 'Hero')
+        .expect(400);
+      expect(res.body.error).toBe('Image file is required');
+    });
+  });
+
+  describe('remove-entity', () => {
+    test('removes the entity', async () => {
+      const { deck } = await createDeck(app);
+      await request(app)
+        .post(`/api/decks/${deck.id}/entities`)
+        .field('entityName', 'Hero')
+        .attach('image', await createTestImage(), { filename: 'hero.png', contentType: 'image/png' })
+        .expect(201);
+
+      const res = await request(app).delete(`/api/decks/${deck.id}/entities/Hero`).expect(200);
+      expect(res.body.entities).toEqual({});
+
+      await request(app).delete(`/api/decks/${deck.id}/entities/Hero`).expect(404);
+    });
+  });
+
+  describe('entity-details', () => {
+    async function createEntities(names) {
+      const { deck } = await createDeck(app);
+      for (const name of names) {
+        await request(app)
+          .post(`/api/decks/${deck.id}/entities`)
+          .field('entityName', name)
+          .attach('image', await createTestImage(), { filename: 'e.png', contentType: 'image/png' })
+          .expect(201);
+      }
+      return deck;
+    }
+
+    test('updates aliases, description and image mode', async () => {
+      const deck = await createEntities(['Robert-Smith', 'Alice']);
+      const url = `/api/decks/${deck.id}/entities/Robert-Smith`;
+
+      const res = await request(app)
+        .put(url)
+        .send({ aliases: ['Bob', 'bob', 'Robert-Smith'], description: ' A tall man ', imageMode: 'best' })
+        .expect(200);
+      expect(res.body.entities['Robert-Smith']).toMatchObject({
+        aliases: ['Bob'],
+        description: 'A tall man',
+        imageMode: 'best'
+      });
+
+      const conflict = await request(app).put(url).send({ aliases: ['alice'] }).expect(409);
+      expect(conflict.body.error).toBe("Alias 'alice' already exists on entity 'Alice'");
+      await request(app)
+        .post(`/api/decks/${deck.id}/entities`)
+        .field('entityName', 'Bob')
+        .attach('image', await createTestImage(), { filename: 'e.png', contentType: 'image/png' })
+        .expect(409);
+
+      await request(app).put(url).send({ imageMode: 'random' }).expect(400);
+      await request(app).put(url).send({ aliases: ['Bob Smith'] }).expect(400);
+      await request(app).put(`/api/decks/${deck.id}/entities/Nobody`).send({ description: 'x' }).expect(404);
+    });
+
+    test('adds, labels, reorders and removes entity images', async () => {
+      const deck = await createEntities(['Robot']);
+      const url = `/api/decks/${deck.id}/entities/Robot/images`;
+      const image = await createTestImage();
+      const addImage = label => request(app)
+        .post(url)
+        .field('label', label)
+        .attach('image', image, { filename: 'side.png', contentType: 'image/png' });
+
+      const added = await addImage('side-profile').expect(201);
+      const [primary, side] = added.body.entities.Robot.images;
+      expect(primary).toBe('Robot.png');
+      expect(added.body.entities.Robot.imageLabels).toEqual({ [side]: 'side-profile' });
+      await request(app).get(`/api/decks/${deck.id}/entities/Robot/${side}`).expect(200);
+
+      await addImage('Side-Profile').expect(409);
+      await addImage('side profile').expect(400);
+
+      const reordered = await request(app).put(`${url}/${side}`).send({ primary: true, label: 'profile' }).expect(200);
+      expect(reordered.body.entities.Robot).toMatchObject({ images: [side, primary], imageLabels: { [side]: 'profile' } });
+
+      const removed = await request(app).delete(`${url}/${side}`).expect(200);
+      expect(removed.body.entities.Robot).toMatchObject({ images: [primary], imageLabels: {} });
+      await request(app).get(`/api/decks/${deck.id}/entities/Robot/${side}`).expect(404);
+
+      const last = await request(app).delete(`${url}/${primary}`).expect(400);
+      expect(last.body.error).toBe('Cannot remove the only image of an entity');
+      await request(app).delete(`${url}/other.png`).expect(404);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import request from 'supertest';
+import app from '../../../backend/src/app.js';
+import { createDeck } from '../helpers.js';
+
+function binaryParser(response, callback) {
+  const chunks = [];
+  response.on('data', chunk => chunks.push(chunk));
+  response.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Export API', () => {
+  describe('export-pptx', () => {
+    test('downloads a PowerPoint file with one slide per deck slide', async () => {
+      const { deck, slides } = await createDeck(app, {
+        name: 'Quarterly Review',
+        slides: [{ speakerNotes: 'First', imageDescription: 'A chart' }, { speakerNotes: 'Second' }]
+      });
+      await request(app)
+        .post(`/api/decks/${deck.id}/slides/${slides[0].id}/generate`)
+        .send({ count: 1, service: 'mock' })
+        .expect(200);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/export-pptx`)
+        .send({})
+        .buffer(true)
+        .parse(binaryParser)
+        .expect(200);
+
+      expect(res.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.presentationml.presentation');
+      expect(res.headers['content-disposition']).toContain('.pptx');
+
+      // .pptx is a zip; entry names are stored uncompressed
+      const entries = res.body.toString('latin1');
+      expect(entries.startsWith('PK')).toBe(true);
+      expect(new Set(entries.match(/ppt\/slides\/slide\d+\.xml/g))).toEqual(
+        new Set(['ppt/slides/slide1.xml', 'ppt/slides/slide2.xml'])
+      );
+      expect(entries).toMatch(/ppt\/media\/image/);
+    });
+
+    test('validates the request body', async () => {
+      const { deck } = await createDeck(app);
+      await request(app)
+        .post(`/api/decks/${deck.id}/export-pptx`)
+        .send({ fromSlideIndex: -1 })
+        .expect(400);
+    });
+  });
+
+  describe('export-to-slides', () => {
+    test('requires a template slide URL', async () => {
+      const { deck } = await createDeck(app, { slides: [{ speakerNotes: 'First' }] });
+
+      const res = await request(app).post(`/api/decks/${deck.id}/export`).send({}).expect(400);
+      expect(res.body.error).toBe('Template slide URL not configured. Please add it in settings.');
+    });
+  });
+});
@@ -0,0 +1,671 @@
+import request from 'supertest';
+import sharp from 'sharp';
+import app from '../../../backend/src/app.js';
+import { registerProvider } from '../../../backend/src/services/imageProviders/index.js';
+import { mockProvider } from '../../../backend/src/services/imageProviders/mock.js';
+import { createDeck, waitForJob } from '../helpers.js';
+
+// All generation goes through the offline mock provider
+const SERVICE = 'mock';
+
+async function generate(deckId, slideId, count = 1) {
+  const res = await request(app)
+    .post(`/api/decks/${deckId}/slides/${slideId}/generate`)
+    .send({ count, service: SERVICE })
+    .expect(200);
+  return res.body;
+}
+
+async function getImageFile(deckId, slideId, imageId) {
+  const res = await request(app)
+    .get(`/api/decks/${deckId}/slides/${slideId}/images/${imageId}`)
+    .buffer(true)
+    .parse((response, callback) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => callback(null, Buffer.concat(chunks)));
+    })
+    .expect(200);
+  return res.body;
+}
+
+/**
+ * Register a mock provider whose requests wait until the test releases them
+ * Keeps a bulk job running (or in flight) for as long as a test needs
+ */
+function registerGatedProvider(id) {
+  const gate = { started: 0, waiting: [], autoRelease: false };
+  gate.release = () => {
+    gate.waiting.splice(0).forEach(release => release());
+  };
+
+  registerProvider({
+    ...mockProvider,
+    id,
+    generate: (prompt, options) => {
+      gate.started++;
+      return new Promise(resolve => {
+        gate.waiting.push(() => resolve(mockProvider.generate(prompt, options)));
+        if (gate.autoRelease) gate.release();
+      });
+    }
+  });
+  return gate;
+}
+
+/**
+ * Poll until a condition holds
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+async function getJob(jobId) {
+  return (await request(app).get(`/api/jobs/${jobId}`).expect(200)).body;
+}
+
+describe('Images API', () => {
+  describe('list-providers', () => {
+    test('includes the mock provider', async () => {
+      const res = await request(app).get('/api/providers').expect(200);
+      expect(res.body).toContainEqual(expect.objectContaining({ id: 'mock', configured: true }));
+    });
+  });
+
+  describe('generate-images', () => {
+    test('generates images with the full prompt', async () => {
+      const { deck, slides } = await createDeck(app, {
+        visualStyle: 'Flat illustration',
+        slides: [{ imageDescription: 'A cat on @Roof' }]
+      });
+
+      const body = await generate(deck.id, slides[0].id, 2);
+
+      expect(body.images).toHaveLength(2);
+      expect(body.images[0]).toMatchObject({ service: SERVICE });
+      expect(new Set(body.images.map(img => img.filename)).size).toBe(2);
+      expect(body.prompt).toContain('Flat illustration');
+      expect(body.prompt).toContain('A cat on @Roof');
+      expect(body.unknownEntities).toEqual(['Roof']);
+
+      // Parallel variants are all saved and the first image is pinned
+      const slide = await request(app).get(`/api/decks/${deck.id}/slides/${slides[0].id}`).expect(200);
+      expect(slide.body.generatedImages.map(img => img.id).sort()).toEqual(body.images.map(img => img.id).sort());
+      expect(slide.body.generatedImages.filter(img => img.isPinned)).toHaveLength(1);
+    });
+
+    test('rejects unknown services', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides/${slides[0].id}/generate`)
+        .send({ count: 1, service: 'nope' })
+        .expect(400);
+      expect(res.body.error).toMatch(/^Service must be one of:/);
+    });
+
+    test('refuses slides marked as no images', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+      await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[0].id}`)
+        .send({ noImages: true })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/decks/${deck.id}/slides/${slides[0].id}/generate`)
+        .send({ count: 1, service: SERVICE })
+        .expect(400);
+    });
+  });
+
+  describe('prompt-template', () => {
+    test('builds the prompt from the deck template and records the negative prompt', async () => {
+      const { deck, slides } = await createDeck(app, {
+        visualStyle: 'Ink drawing',
+        slides: [{ imageDescription: 'A fox' }]
+      });
+      await request(app)
+        .put(`/api/decks/${deck.id}`)
+        .send({ promptTemplate: '{description}, drawn as {style}', negativePrompt: 'text, watermarks' })
+        .expect(200);
+
+      const body = await generate(deck.id, slides[0].id, 1);
+      expect(body.prompt).toBe('A fox, drawn as Ink drawing');
+      expect(body.negativePrompt).toBe('text, watermarks');
+      expect(body.images[0]).toMatchObject({ prompt: 'A fox, drawn as Ink drawing', negativePrompt: 'text, watermarks' });
+    });
+  });
+
+  describe('prompt-length', () => {
+    const longStyle = 'Ornate baroque painting, '.repeat(10);
+    const longDescription = 'A very long scene. '.repeat(95);
+
+    test('shortens the style of prompts over the service limit and warns', async () => {
+      const { deck, slides } = await createDeck(app, {
+        visualStyle: longStyle,
+        slides: [{ imageDescription: longDescription }]
+      });
+
+      const body = await generate(deck.id, slides[0].id, 1);
+      expect(body.prompt.length).toBeLessThanOrEqual(2000);
+      expect(body.prompt).toContain(longDescription.trim().replace(/\.$/, ''));
+      expect(body.warnings).toEqual([expect.stringMatching(/^Prompt shortened from \d+ to \d+ characters \(max 2000\) by cutting the style$/)]);
+      expect(body.images[0].prompt).toBe(body.prompt);
+    });
+
+    test('leaves room for negative prompts appended to the prompt', async () => {
+      // Like gemini: no separate negative prompt, so it is appended as "Avoid: ..."
+      const sentPrompts = [];
+      registerProvider({
+        ...mockProvider,
+        id: 'mock-no-negative',
+        capabilities: { ...mockProvider.capabilities, negativePrompt: false },
+        generate: (prompt, options) => {
+          sentPrompts.push(prompt);
+          return mockProvider.generate(prompt, options);
+        }
+      });
+      const { deck, slides } = await createDeck(app, {
+        visualStyle: longStyle,
+        slides: [{ imageDescription: longDescription }]
+      });
+      const negativePrompt = Array(35).fill('blurry text').join(', ');
+      await request(app).put(`/api/decks/${deck.id}`).send({ negativePrompt }).expect(200);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides/${slides[0].id}/generate`)
+        .send({ count: 1, service: 'mock-no-negative' })
+        .expect(200);
+      expect(res.body.warnings).toHaveLength(1);
+      expect(sentPrompts).toHaveLength(1);
+      expect(sentPrompts[0].length).toBeLessThanOrEqual(2000);
+      expect(sentPrompts[0]).toMatch(/ Avoid: (blurry text, )+blurry text\.$/);
+
+      const preview = await request(app)
+        .get(`/api/decks/${deck.id}/slides/${slides[0].id}/prompt-preview`)
+        .query({ service: 'mock-no-negative' })
+        .expect(200);
+      expect(preview.body.providerPrompt).toEqual({ prompt: sentPrompts[0], negativePrompt: null });
+      expect(preview.body.length).toBe(sentPrompts[0].length);
+      expect(preview.body.originalLength).toBeGreaterThan(2000);
+    });
+
+    test('summarizes long styles when enabled', async () => {
+      const { deck, slides } = await createDeck(app, {
+        visualStyle: longStyle,
+        slides: [{ imageDescription: longDescription }]
+      });
+      await request(app).put('/api/settings').send({ summarizeLongStyles: true }).expect(200);
+
+      try {
+        const body = await generate(deck.id, slides[0].id, 1);
+        expect(body.prompt.length).toBeLessThanOrEqual(2000);
+        // The mock summary keeps whole parts of the style
+        expect(body.prompt).toMatch(/^Ornate baroque painting(, Ornate baroque painting)*\. A very long scene/);
+        expect(body.warnings).toEqual([expect.stringMatching(/^Visual style summarized from 250 to \d+ characters/)]);
+      } finally {
+        await request(app).put('/api/settings').send({ summarizeLongStyles: false }).expect(200);
+      }
+    });
+  });
+
+  describe('style-presets', () => {
+    async function createPreset(name, style, preferredService = null) {
+      const res = await request(app)
+        .post('/api/settings/style-presets')
+        .send({ name, style, preferredService })
+        .expect(201);
+      return res.body;
+    }
+
+    test('resolves deck, scene and slide presets in the prompt', async () => {
+      const deckPreset = await createPreset('Deck Preset', 'Pastel storybook');
+      const scenePreset = await createPreset('Scene Preset', 'Neon cyberpunk');
+      const { deck, slides } = await createDeck(app, {
+        visualStyle: 'Ignored text',
+        slides: [{ imageDescription: 'A cat' }, { imageDescription: 'A dog' }, { imageDescription: 'A bird' }]
+      });
+      await request(app).put(`/api/decks/${deck.id}`).send({ stylePresetId: deckPreset.id }).expect(200);
+      await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[1].id}`)
+        .send({ sceneStart: true, sceneStylePresetId: scenePreset.id })
+        .expect(200);
+
+      expect((await generate(deck.id, slides[0].id)).prompt).toContain('Pastel storybook');
+      expect((await generate(deck.id, slides[2].id)).prompt).toContain('Neon cyberpunk');
+
+      // Editing the preset changes every deck using it
+      await request(app)
+        .put(`/api/settings/style-presets/${deckPreset.id}`)
+        .send({ style: 'Charcoal sketch' })
+        .expect(200);
+      const body = await generate(deck.id, slides[0].id);
+      expect(body.prompt).toContain('Charcoal sketch');
+      expect(body.prompt).not.toContain('Ignored text');
+    });
+
+    test('uses the preferred service when none is requested', async () => {
+      const preset = await createPreset('Mock Preset', 'Line art', SERVICE);
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+      await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[0].id}`)
+        .send({ overrideStylePresetId: preset.id })
+        .expect(200);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides/${slides[0].id}/generate`)
+        .send({ count: 1 })
+        .expect(200);
+      expect(res.body.images[0].service).toBe(SERVICE);
+      expect(res.body.prompt).toContain('Line art');
+    });
+
+    test('rejects references to unknown presets', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+      const unknownId = '00000000-0000-4000-8000-000000000000';
+
+      await request(app).put(`/api/decks/${deck.id}`).send({ stylePresetId: unknownId }).expect(404);
+      await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[0].id}`)
+        .send({ overrideStylePresetId: unknownId })
+        .expect(404);
+      await request(app).put(`/api/decks/${deck.id}`).send({ stylePresetId: 'not-a-uuid' }).expect(400);
+    });
+  });
+
+  describe('tweak-image', () => {
+    test('creates variants linked to the source image', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+      const { images: [source] } = await generate(deck.id, slides[0].id);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides/${slides[0].id}/tweak`)
+        .send({ imageId: source.id, prompt: 'Make it night', count: 1 })
+        .expect(200);
+
+      expect(res.body.images).toHaveLength(1);
+      expect(res.body.images[0]).toMatchObject({
+        service: SERVICE,
+        prompt: 'Make it night',
+        sourceImageId: source.id
+      });
+    });
+
+    test('returns 404 for an unknown source image', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+
+      await request(app)
+        .post(`/api/decks/${deck.id}/slides/${slides[0].id}/tweak`)
+        .send({ imageId: '00000000-0000-4000-8000-000000000000', prompt: 'Make it night' })
+        .expect(404);
+    });
+  });
+
+  describe('pin-image', () => {
+    test('pins exactly one image', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+      const { images } = await generate(deck.id, slides[0].id, 2);
+
+      await request(app).put(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${images[0].id}/pin`).expect(200);
+      const res = await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${images[1].id}/pin`)
+        .expect(200);
+
+      const pinned = res.body.generatedImages.filter(img => img.isPinned).map(img => img.id);
+      expect(pinned).toEqual([images[1].id]);
+    });
+  });
+
+  describe('delete-image', () => {
+    test('removes the image and its file', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+      const { images: [image] } = await generate(deck.id, slides[0].id);
+
+      const res = await request(app)
+        .delete(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${image.id}`)
+        .expect(200);
+      expect(res.body.generatedImages).toEqual([]);
+
+      await request(app).get(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${image.id}`).expect(404);
+    });
+  });
+
+  describe('get-image-file', () => {
+    test('serves a 16:9 image', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+      const { images: [image] } = await generate(deck.id, slides[0].id);
+
+      const file = await getImageFile(deck.id, slides[0].id, image.id);
+      const { width, height } = await sharp(file).metadata();
+      expect(width / height).toBeCloseTo(16 / 9, 2);
+    });
+
+    test('follows the deck aspect ratio and resolution', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+      await request(app).put(`/api/decks/${deck.id}`).send({ aspectRatio: '9:16', resolution: '1K' }).expect(200);
+
+      const { images: [image], prompt } = await generate(deck.id, slides[0].id);
+      expect(prompt).toContain('9:16 aspect ratio');
+
+      const file = await getImageFile(deck.id, slides[0].id, image.id);
+      expect(await sharp(file).metadata()).toMatchObject({ width: 720, height: 1280 });
+    });
+  });
+
+  describe('crop-image', () => {
+    test('keeps the original and re-crops around a focal point', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+      const { images: [image] } = await generate(deck.id, slides[0].id);
+
+      expect(image.originalFilename).toMatch(/^image-\d{3}-original\.png$/);
+      expect(image.crop).toEqual({ strategy: 'center', focalPoint: null });
+
+      const original = await request(app)
+        .get(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${image.id}/original`)
+        .expect(200);
+      expect(original.headers['content-type']).toBe('image/png');
+
+      // Switch the deck to square and re-derive the image from the 16:9 original
+      await request(app).put(`/api/decks/${deck.id}`).send({ aspectRatio: '1:1' }).expect(200);
+      const cropUrl = `/api/decks/${deck.id}/slides/${slides[0].id}/images/${image.id}/crop`;
+
+      await request(app).put(cropUrl).send({ focalPoint: { x: 1, y: 0.5 } }).expect(200);
+      const rightCrop = await getImageFile(deck.id, slides[0].id, image.id);
+
+      const res = await request(app).put(cropUrl).send({ focalPoint: { x: 0, y: 0.5 } }).expect(200);
+      const updated = res.body.generatedImages.find(img => img.id === image.id);
+      expect(updated.crop).toEqual({ strategy: 'center', focalPoint: { x: 0, y: 0.5 } });
+      expect(updated.updatedAt).toEqual(expect.any(String));
+
+      const leftCrop = await getImageFile(deck.id, slides[0].id, image.id);
+      expect(leftCrop.equals(rightCrop)).toBe(false);
+      expect(await sharp(leftCrop).metadata()).toMatchObject({ width: 1080, height: 1080 });
+    });
+
+    test('supports smart crop strategies', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+      const { images: [image] } = await generate(deck.id, slides[0].id);
+      await request(app).put(`/api/decks/${deck.id}`).send({ aspectRatio: '4:3' }).expect(200);
+
+      const res = await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${image.id}/crop`)
+        .send({ strategy: 'attention' })
+        .expect(200);
+      expect(res.body.generatedImages[0].crop).toEqual({ strategy: 'attention', focalPoint: null });
+    });
+
+    test('validates the crop request', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+      const { images: [image] } = await generate(deck.id, slides[0].id);
+      const url = `/api/decks/${deck.id}/slides/${slides[0].id}/images/${image.id}/crop`;
+
+      await request(app).put(url).send({ strategy: 'random' }).expect(400);
+      await request(app).put(url).send({ focalPoint: { x: 2, y: 0 } }).expect(400);
+    });
+
+    test('deletes the original with the image', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+      const { images: [image] } = await generate(deck.id, slides[0].id);
+
+      await request(app).delete(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${image.id}`).expect(200);
+      await request(app).get(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${image.id}/original`).expect(404);
+    });
+  });
+
+  describe('generate-all', () => {
+    test('runs a job over every slide that takes images', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ imageDescription: 'One' }, { imageDescription: 'Two' }, { speakerNotes: 'Scene' }]
+      });
+      await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[2].id}`)
+        .send({ noImages: true })
+        .expect(200);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/generate-all`)
+        .send({ count: 1, service: SERVICE })
+        .expect(200);
+
+      const job = await waitForJob(app, res.body.jobId);
+      expect(job.status).toBe('completed');
+      expect(job.progress).toMatchObject({ total: 2, completed: 2, failed: 0 });
+
+      const list = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(list.body.map(s => s.generatedImages.length)).toEqual([1, 1, 0]);
+    });
+
+    test('returns 404 for an unknown deck', async () => {
+      await request(app)
+        .post('/api/decks/00000000-0000-4000-8000-000000000000/generate-all')
+        .send({ count: 1, service: SERVICE })
+        .expect(404);
+    });
+  });
+
+  describe('generate-missing', () => {
+    test('only generates for slides without images', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ imageDescription: 'One' }, { imageDescription: 'Two' }]
+      });
+      await generate(deck.id, slides[0].id);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/generate-missing`)
+        .send({ count: 1, service: SERVICE })
+        .expect(200);
+
+      const job = await waitForJob(app, res.body.jobId);
+      expect(job.slides.map(s => s.slideId)).toEqual([slides[1].id]);
+
+      const again = await request(app)
+        .post(`/api/decks/${deck.id}/generate-missing`)
+        .send({ count: 1, service: SERVICE })
+        .expect(200);
+      expect(again.body.message).toBe('All slides already have images');
+    });
+  });
+
+  describe('check-job-status', () => {
+    test('reports per-slide results', async () => {
+      const { deck, slides } = await createDeck(app, {
+        visualStyle: '',
+        slides: [{ imageDescription: 'One' }, { speakerNotes: 'No description' }]
+      });
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/generate-all`)
+        .send({ count: 1, service: SERVICE })
+        .expect(200);
+
+      const job = await waitForJob(app, res.body.jobId);
+      expect(job.results).toEqual([
+        { slideId: slides[0].id, status: 'success', imageCount: 1 },
+        { slideId: slides[1].id, status: 'failed', error: expect.stringContaining('empty') }
+      ]);
+
+      const listed = await request(app).get(`/api/decks/${deck.id}/jobs`).expect(200);
+      expect(listed.body.map(j => j.jobId)).toContain(job.jobId);
+    });
+
+    test('returns 404 for unknown jobs', async () => {
+      const res = await request(app).get('/api/jobs/unknown-job').expect(404);
+      expect(res.body.error).toBe('Job not found or expired');
+    });
+
+    test('rejects controls on finished jobs', async () => {
+      const { deck } = await createDeck(app, { slides: [{ imageDescription: 'One' }] });
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/generate-all`)
+        .send({ count: 1, service: SERVICE })
+        .expect(200);
+      await waitForJob(app, res.body.jobId);
+
+      await request(app).post(`/api/jobs/${res.body.jobId}/pause`).expect(400);
+      await request(app).post(`/api/jobs/${res.body.jobId}/cancel`).expect(400);
+    });
+  });
+
+  describe('job-controls', () => {
+    async function startGatedJob(service) {
+      const { deck } = await createDeck(app, {
+        slides: [{ imageDescription: 'One' }, { imageDescription: 'Two' }, { imageDescription: 'Three' }]
+      });
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/generate-all`)
+        .send({ count: 1, service })
+        .expect(200);
+      return { deck, jobId: res.body.jobId };
+    }
+
+    test('pauses a running job until it is resumed', async () => {
+      const gate = registerGatedProvider('mock-gated-pause');
+      const { jobId } = await startGatedJob('mock-gated-pause');
+      await waitFor(() => gate.started === 1);
+
+      const paused = await request(app).post(`/api/jobs/${jobId}/pause`).expect(200);
+      expect(paused.body.status).toBe('paused');
+
+      // The request already sent finishes, no new one starts
+      gate.release();
+      await waitFor(async () => (await getJob(jobId)).progress.completed === 1);
+      await new Promise(resolve => setTimeout(resolve, 200));
+      const job = await getJob(jobId);
+      expect(gate.started).toBe(1);
+      expect(job.status).toBe('paused');
+      expect(job.slides.map(s => s.status)).toEqual(['success', 'pending', 'pending']);
+
+      gate.autoRelease = true;
+      const resumed = await request(app).post(`/api/jobs/${jobId}/resume`).expect(200);
+      expect(resumed.body.status).toBe('running');
+      await request(app).post(`/api/jobs/${jobId}/resume`).expect(400);
+
+      const finished = await waitForJob(app, jobId);
+      expect(finished.status).toBe('completed');
+      expect(finished.progress).toMatchObject({ total: 3, completed: 3, failed: 0 });
+      expect(gate.started).toBe(3);
+    });
+
+    test('cancels the remaining slides of a running job', async () => {
+      const gate = registerGatedProvider('mock-gated-cancel');
+      const { deck, jobId } = await startGatedJob('mock-gated-cancel');
+      await waitFor(() => gate.started === 1);
+
+      const cancelling = await request(app).post(`/api/jobs/${jobId}/cancel`).expect(200);
+      expect(cancelling.body.status).toBe('cancelling');
+      gate.release();
+
+      const job = await waitForJob(app, jobId);
+      expect(job.status).toBe('cancelled');
+      expect(job.slides.map(s => s.status)).toEqual(['success', 'cancelled', 'cancelled']);
+      expect(job.progress).toMatchObject({ completed: 1, cancelled: 2 });
+      expect(gate.started).toBe(1);
+
+      // Images generated before the cancel are kept
+      const slides = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(slides.body.map(s => s.generatedImages.length)).toEqual([1, 0, 0]);
+    });
+
+    test('cancels a paused job', async () => {
+      const gate = registerGatedProvider('mock-gated-paused-cancel');
+      const { jobId } = await startGatedJob('mock-gated-paused-cancel');
+      await waitFor(() => gate.started === 1);
+      await request(app).post(`/api/jobs/${jobId}/pause`).expect(200);
+      gate.release();
+      await waitFor(async () => (await getJob(jobId)).progress.completed === 1);
+
+      await request(app).post(`/api/jobs/${jobId}/cancel`).expect(200);
+      const job = await waitForJob(app, jobId);
+      expect(job.status).toBe('cancelled');
+      expect(job.slides.map(s => s.status)).toEqual(['success', 'cancelled', 'cancelled']);
+      expect(gate.started).toBe(1);
+    });
+  });
+
+  describe('job-events', () => {
+    /**
+     * Read a job's event stream to the end as [{ type, data }]
+     * onText is called with the text received so far
+     */
+    async function readEvents(jobId, onText = () => {}) {
+      const res = await request(app)
+        .get(`/api/jobs/${jobId}/events`)
+        .buffer(true)
+        .parse((response, callback) => {
+          let text = '';
+          response.setEncoding('utf8');
+          response.on('data', chunk => {
+            text += chunk;
+            onText(text);
+          });
+          response.on('end', () => callback(null, text));
+        })
+        .expect(200)
+        .expect('Content-Type', /text\/event-stream/);
+
+      return res.body.split('\n\n').filter(block => block.startsWith('event: ')).map(block => {
+        const [, type, data] = block.match(/^event: (.+)\ndata: (.*)$/);
+        return { type, data: JSON.parse(data) };
+      });
+    }
+
+    test('streams a snapshot, per-slide events and done', async () => {
+      const gate = registerGatedProvider('mock-gated-events');
+      const { deck } = await createDeck(app, {
+        slides: [{ imageDescription: 'One' }, { imageDescription: 'Two' }]
+      });
+      const started = await request(app)
+        .post(`/api/decks/${deck.id}/generate-all`)
+        .send({ count: 1, service: 'mock-gated-events' })
+        .expect(200);
+      const { jobId } = started.body;
+      await waitFor(() => gate.started === 1);
+
+      // Let the job go on once the stream is attached
+      const events = await readEvents(jobId, text => {
+        if (text.includes('event: snapshot') && !gate.autoRelease) {
+          gate.autoRelease = true;
+          gate.release();
+        }
+      });
+
+      expect(events[0].type).toBe('snapshot');
+      expect(events[0].data).toMatchObject({ jobId, status: 'running' });
+      expect(events.slice(1).map(event => [event.type, event.data.slideId])).toEqual([
+        ['slide-completed', 'slide-001'],
+        ['slide-started', 'slide-002'],
+        ['slide-completed', 'slide-002'],
+        ['done', undefined]
+      ]);
+      for (const { data } of events.slice(1)) {
+        expect(data).toMatchObject({ jobId, status: expect.any(String), progress: expect.any(Object) });
+      }
+      expect(events[1].data.images).toHaveLength(1);
+      expect(events[4].data).toMatchObject({ status: 'completed', progress: { completed: 2 } });
+    });
+
+    test('sends only the snapshot for finished jobs', async () => {
+      const { deck } = await createDeck(app, { slides: [{ imageDescription: 'One' }] });
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/generate-all`)
+        .send({ count: 1, service: SERVICE })
+        .expect(200);
+      await waitForJob(app, res.body.jobId);
+
+      const events = await readEvents(res.body.jobId);
+      expect(events.map(event => event.type)).toEqual(['snapshot']);
+      expect(events[0].data.status).toBe('completed');
+    });
+
+    test('returns 404 for unknown jobs', async () => {
+      const res = await request(app).get('/api/jobs/unknown-job/events').expect(404);
+      expect(res.body.error).toBe('Job not found or expired');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import JSZip from 'jszip';
+import PptxGenJS from 'pptxgenjs';
+import request from 'supertest';
+import app from '../../../backend/src/app.js';
+import { slideSchema } from '../../../backend/src/models/Slide.js';
+import { createTestImage } from '../helpers.js';
+
+// Presentation with notes, slide text and pictures (one too small to use)
+async function createPresentation({ layout = 'LAYOUT_16x9', title = 'Quarterly Review' } = {}) {
+  const pptx = new PptxGenJS();
+  pptx.layout = layout;
+  pptx.title = title;
+
+  const photo = await createTestImage(1600, 900, '#ff0000');
+  const icon = await createTestImage(64, 64, '#0000ff');
+
+  const first = pptx.addSlide();
+  first.addText('Welcome', { x: 1, y: 1, w: 8, h: 1 });
+  first.addImage({ data: `image/png;base64,${photo.toString('base64')}`, x: 0, y: 2, w: 4, h: 2.25 });
+  first.addImage({ data: `image/png;base64,${icon.toString('base64')}`, x: 5, y: 2, w: 1, h: 1 });
+  first.addNotes('Meet Captain Nova & the crew of The Office');
+
+  const second = pptx.addSlide();
+  second.addText('Agenda', { x: 1, y: 1, w: 8, h: 1 });
+  second.addText('Budget and hiring', { x: 1, y: 2, w: 8, h: 1 });
+
+  return pptx.write({ outputType: 'nodebuffer' });
+}
+
+async function setGlobalEntity(entityName) {
+  await request(app).delete(`/api/settings/global-entities/${entityName}`);
+  const image = await createTestImage(64, 64, '#00ff00');
+  await request(app)
+    .post('/api/settings/global-entities')
+    .send({ entityName, imageData: image.toString('base64') })
+    .expect(201);
+}
+
+function importPptx(buffer, fields = {}, filename = 'review.pptx') {
+  const req = request(app).post('/api/decks/import-pptx');
+  for (const [key, value] of Object.entries(fields)) {
+    req.field(key, value);
+  }
+  return req.attach('file', buffer, { filename, contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation' });
+}
+
+describe('PowerPoint Import', () => {
+  describe('import-pptx', () => {
+    test('creates one slide per page with notes and pinned pictures', async () => {
+      const res = await importPptx(await createPresentation()).expect(201);
+      const { deck, slides, skippedImages } = res.body;
+
+      expect(deck.name).toBe('Quarterly Review');
+      expect(deck.aspectRatio).toBe('16:9');
+      expect(deck.slides).toEqual(['slide-001', 'slide-002']);
+
+      expect(slides[0].speakerNotes).toBe('Meet Captain Nova & the crew of The Office');
+      expect(slides[0].generatedImages).toHaveLength(1);
+      expect(slides[0].generatedImages[0]).toMatchObject({ source: 'import', service: null, prompt: null, isPinned: true });
+      expect(slideSchema.validate(slides[0]).error).toBeUndefined();
+      expect(skippedImages).toEqual([
+        expect.objectContaining({ slideId: 'slide-001', reason: expect.stringContaining('too small') })
+      ]);
+
+      // Pages without notes use their own text
+      expect(slides[1].speakerNotes).toBe('Agenda\nBudget and hiring');
+      expect(slides[1].generatedImages).toEqual([]);
+
+      const imageUrl = `/api/decks/${deck.id}/slides/slide-001/images/${slides[0].generatedImages[0].id}`;
+      await request(app).get(imageUrl).expect(200);
+      await request(app).get(`${imageUrl}/original`).expect(200);
+
+      const list = await request(app).get('/api/decks').expect(200);
+      expect(list.body.some(d => d.id === deck.id)).toBe(true);
+    });
+
+    test('names kept originals by their content, not their name in the file', async () => {
+      const zip = await JSZip.loadAsync(await createPresentation());
+      for (const name of Object.keys(zip.files).filter(name => /^ppt\/media\/.+\.png$/.test(name))) {
+        zip.file(name.replace(/\.png$/, '.jpeg'), await zip.file(name).async('nodebuffer'));
+        zip.remove(name);
+      }
+      for (const name of Object.keys(zip.files).filter(name => name.endsWith('.rels'))) {
+        zip.file(name, (await zip.file(name).async('string')).replace(/(media\/[^"]+)\.png/g, '$1.jpeg'));
+      }
+
+      const res = await importPptx(await zip.generateAsync({ type: 'nodebuffer' })).expect(201);
+      const { deck, slides } = res.body;
+      expect(slides[0].generatedImages[0].originalFilename).toBe('image-001-original.png');
+      expect(slideSchema.validate(slides[0]).error).toBeUndefined();
+      await request(app).get(`/api/decks/${deck.id}/slides/slide-001/images/${slides[0].generatedImages[0].id}/original`).expect(200);
+    });
+
+    test('refuses to tweak imported pictures', async () => {
+      const res = await importPptx(await createPresentation()).expect(201);
+      const { deck, slides } = res.body;
+
+      const tweak = await request(app)
+        .post(`/api/decks/${deck.id}/slides/slide-001/tweak`)
+        .send({ imageId: slides[0].generatedImages[0].id, prompt: 'warmer lighting', count: 1 })
+        .expect(400);
+      expect(tweak.body.error).toBe('Imported images cannot be tweaked');
+    });
+
+    test('converts names of existing entities into references', async () => {
+      await setGlobalEntity('Captain-Nova');
+      await setGlobalEntity('The-Office');
+
+      const res = await importPptx(await createPresentation()).expect(201);
+      expect(res.body.slides[0].speakerNotes).toBe('Meet @Captain-Nova & the crew of @The-Office');
+
+      await request(app).delete('/api/settings/global-entities/Captain-Nova').expect(200);
+      await request(app).delete('/api/settings/global-entities/The-Office').expect(200);
+    });
+
+    test('uses the given options and the slide size', async () => {
+      const presentation = await createPresentation({ layout: 'LAYOUT_4x3', title: '' });
+
+      const defaults = await importPptx(presentation, {}, 'Team Offsite.pptx').expect(201);
+      expect(defaults.body.deck).toMatchObject({ name: 'Team Offsite', aspectRatio: '4:3' });
+
+      const custom = await importPptx(presentation, { name: 'Offsite', aspectRatio: '1:1', visualStyle: 'Watercolor' })
+        .expect(201);
+      expect(custom.body.deck).toMatchObject({ name: 'Offsite', aspectRatio: '1:1', visualStyle: 'Watercolor' });
+    });
+
+    test('rejects missing and invalid files', async () => {
+      await request(app).post('/api/decks/import-pptx').expect(400);
+
+      const notZip = await importPptx(Buffer.from('not a zip')).expect(400);
+      expect(notZip.body.error).toBe('Invalid PowerPoint file: not a zip archive');
+
+      const zip = new JSZip();
+      zip.file('word/document.xml', '<w:document/>');
+      const notPptx = await importPptx(await zip.generateAsync({ type: 'nodebuffer' })).expect(400);
+      expect(notPptx.body.error).toBe('Invalid PowerPoint file: ppt/presentation.xml is missing');
+
+      await importPptx(await createPresentation(), { aspectRatio: '5:4' }).expect(400);
+    });
+  });
+});
@@ -0,0 +1,295 @@
+import request from 'supertest';
+import app from '../../../backend/src/app.js';
+import * as fileSystem from '../../../backend/src/services/fileSystem.js';
+import { pruneOriginalsFromSettings } from '../../../backend/src/services/storageMaintenance.js';
+import { createDeck, createTestImage } from '../helpers.js';
+
+// Two mock images: the first is pinned, the second is not
+async function generateTwo() {
+  const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: 'A cat' }] });
+  const res = await request(app)
+    .post(`/api/decks/${deck.id}/slides/${slides[0].id}/generate`)
+    .send({ count: 2, service: 'mock' })
+    .expect(200);
+  const pinned = res.body.images.find(img => img.isPinned);
+  const unpinned = res.body.images.find(img => !img.isPinned);
+  return { deckId: deck.id, slideId: slides[0].id, pinned, unpinned };
+}
+
+describe('Settings API', () => {
+  describe('get-settings', () => {
+    test('returns defaults with masked Google credentials', async () => {
+      const res = await request(app).get('/api/settings').expect(200);
+
+      expect(res.body).toMatchObject({
+        defaultService: 'gemini-pro',
+        defaultVariantCount: 2,
+        googleSlides: { connected: false, email: null },
+        powerPoint: { templateFilename: null, templateSlideIndex: 1 }
+      });
+    });
+  });
+
+  describe('update-settings', () => {
+    test('updates defaults', async () => {
+      const res = await request(app)
+        .put('/api/settings')
+        .send({ defaultService: 'mock', defaultVariantCount: 4, powerPointTemplateIndex: 2 })
+        .expect(200);
+
+      expect(res.body).toMatchObject({
+        defaultService: 'mock',
+        defaultVariantCount: 4,
+        powerPoint: { templateSlideIndex: 2 }
+      });
+
+      const reloaded = await request(app).get('/api/settings').expect(200);
+      expect(reloaded.body.defaultVariantCount).toBe(4);
+    });
+
+    test('rejects unknown services and out of range counts', async () => {
+      const service = await request(app).put('/api/settings').send({ defaultService: 'nope' }).expect(400);
+      expect(service.body.error).toMatch(/^Default service must be one of:/);
+
+      const count = await request(app).put('/api/settings').send({ defaultVariantCount: 11 }).expect(400);
+      expect(count.body.error).toBe('Default variant count must not exceed 10');
+    });
+  });
+
+  describe('storage-settings', () => {
+    test('stores the originals retention period', async () => {
+      const res = await request(app)
+        .put('/api/settings')
+        .send({ pruneOriginalsAfterDays: 30 })
+        .expect(200);
+      expect(res.body.storage).toEqual({ pruneOriginalsAfterDays: 30, trashRetentionDays: 30 });
+
+      const cleared = await request(app).put('/api/settings').send({ pruneOriginalsAfterDays: null }).expect(200);
+      expect(cleared.body.storage).toEqual({ pruneOriginalsAfterDays: null, trashRetentionDays: 30 });
+
+      const invalid = await request(app).put('/api/settings').send({ pruneOriginalsAfterDays: -1 }).expect(400);
+      expect(invalid.body.error).toBe('Prune originals after days must be at least 0');
+    });
+
+    test('stores the trash retention period', async () => {
+      const res = await request(app).put('/api/settings').send({ trashRetentionDays: 7 }).expect(200);
+      expect(res.body.storage.trashRetentionDays).toBe(7);
+
+      const forever = await request(app).put('/api/settings').send({ trashRetentionDays: null }).expect(200);
+      expect(forever.body.storage.trashRetentionDays).toBeNull();
+
+      const invalid = await request(app).put('/api/settings').send({ trashRetentionDays: -1 }).expect(400);
+      expect(invalid.body.error).toBe('Trash retention days must be at least 0');
+
+      await request(app).put('/api/settings').send({ trashRetentionDays: 30 }).expect(200);
+    });
+  });
+
+  describe('prompt-settings', () => {
+    test('stores whether long styles are summarized', async () => {
+      const res = await request(app).put('/api/settings').send({ summarizeLongStyles: true }).expect(200);
+      expect(res.body.prompts).toEqual({ summarizeLongStyles: true });
+
+      const invalid = await request(app).put('/api/settings').send({ summarizeLongStyles: 'sometimes' }).expect(400);
+      expect(invalid.body.error).toBe('Summarize long styles must be true or false');
+
+      await request(app).put('/api/settings').send({ summarizeLongStyles: false }).expect(200);
+    });
+  });
+
+  describe('prune-originals', () => {
+    test('removes originals of unpinned images only', async () => {
+      const { deckId, slideId, pinned, unpinned } = await generateTwo();
+      expect(pinned.originalFilename).toBeTruthy();
+      expect(unpinned.originalFilename).toBeTruthy();
+
+      const before = await request(app).get('/api/settings/originals').expect(200);
+      expect(before.body.unpinned.images).toBeGreaterThanOrEqual(1);
+      expect(before.body.total.bytes).toBeGreaterThan(0);
+
+      const res = await request(app).post('/api/settings/originals/prune').send({}).expect(200);
+      expect(res.body.pruned.images).toBe(before.body.unpinned.images);
+      expect(res.body.usage.unpinned).toEqual({ images: 0, bytes: 0 });
+      expect(res.body.usage.total.images).toBe(before.body.total.images - before.body.unpinned.images);
+
+      const slide = await fileSystem.getSlide(deckId, slideId);
+      const prunedImage = slide.generatedImages.find(img => img.id === unpinned.id);
+      expect(prunedImage.originalFilename).toBeNull();
+      expect(prunedImage.originalPrunedAt).toBeTruthy();
+
+      const imagesUrl = `/api/decks/${deckId}/slides/${slideId}/images`;
+      await request(app).get(`${imagesUrl}/${pinned.id}/original`).expect(200);
+      await request(app).get(`${imagesUrl}/${unpinned.id}/original`).expect(404);
+      // The processed image stays
+      await request(app).get(`${imagesUrl}/${unpinned.id}`).expect(200);
+    });
+
+    test('keeps originals newer than olderThanDays', async () => {
+      await generateTwo();
+
+      const res = await request(app).post('/api/settings/originals/prune').send({ olderThanDays: 1 }).expect(200);
+      expect(res.body.pruned).toEqual({ images: 0, bytes: 0 });
+      expect(res.body.usage.unpinned.images).toBeGreaterThanOrEqual(1);
+
+      await request(app).post('/api/settings/originals/prune').send({ olderThanDays: -1 }).expect(400);
+    });
+
+    test('applies the retention setting', async () => {
+      await generateTwo();
+
+      await request(app).put('/api/settings').send({ pruneOriginalsAfterDays: null }).expect(200);
+      expect(await pruneOriginalsFromSettings()).toBeNull();
+
+      await request(app).put('/api/settings').send({ pruneOriginalsAfterDays: 0 }).expect(200);
+      const pruned = await pruneOriginalsFromSettings();
+      expect(pruned.images).toBeGreaterThanOrEqual(1);
+    });
+  });
+
+  describe('style-presets', () => {
+    test('creates, lists, updates and validates presets', async () => {
+      const created = await request(app)
+        .post('/api/settings/style-presets')
+        .send({ name: 'Watercolor', style: 'Soft watercolor, muted palette' })
+        .expect(201);
+      expect(created.body).toMatchObject({
+        name: 'Watercolor',
+        style: 'Soft watercolor, muted palette',
+        themeImages: [],
+        preferredService: null
+      });
+
+      const list = await request(app).get('/api/settings/style-presets').expect(200);
+      expect(list.body.map(preset => preset.id)).toContain(created.body.id);
+
+      const updated = await request(app)
+        .put(`/api/settings/style-presets/${created.body.id}`)
+        .send({ style: 'Bold watercolor', preferredService: 'mock' })
+        .expect(200);
+      expect(updated.body).toMatchObject({ name: 'Watercolor', style: 'Bold watercolor', preferredService: 'mock' });
+
+      await request(app).post('/api/settings/style-presets').send({ name: 'watercolor', style: 'Other' }).expect(409);
+      await request(app).post('/api/settings/style-presets').send({ name: 'No style' }).expect(400);
+      await request(app).post('/api/settings/style-presets').send({ name: 'Bad', style: 'x', preferredService: 'nope' }).expect(400);
+      await request(app).get('/api/settings/style-presets/00000000-0000-4000-8000-000000000000').expect(404);
+    });
+
+    test('stores reference images', async () => {
+      const preset = await request(app)
+        .post('/api/settings/style-presets')
+        .send({ name: 'Blueprint', style: 'Technical blueprint drawing' })
+        .expect(201);
+      const url = `/api/settings/style-presets/${preset.body.id}/images`;
+
+      const withImage = await request(app)
+        .post(url)
+        .attach('image', await createTestImage(), { filename: 'ref.png', contentType: 'image/png' })
+        .expect(201);
+      expect(withImage.body.themeImages).toHaveLength(1);
+
+      const [filename] = withImage.body.themeImages;
+      await request(app).get(`${url}/${filename}`).expect(200);
+      await request(app).get(`${url}/other.png`).expect(404);
+
+      const removed = await request(app).delete(`${url}/${filename}`).expect(200);
+      expect(removed.body.themeImages).toEqual([]);
+    });
+
+    test('keeps the style of decks and slides when a preset is deleted', async () => {
+      const preset = await request(app)
+        .post('/api/settings/style-presets')
+        .send({ name: 'Noir', style: 'Film noir, high contrast' })
+        .expect(201);
+      const { deck, slides } = await createDeck(app, { visualStyle: 'Old style', slides: [{ speakerNotes: 'One' }] });
+      await request(app).put(`/api/decks/${deck.id}`).send({ stylePresetId: preset.body.id }).expect(200);
+      await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[0].id}`)
+        .send({ sceneStart: true, sceneStylePresetId: preset.body.id })
+        .expect(200);
+
+      const res = await request(app).delete(`/api/settings/style-presets/${preset.body.id}`).expect(200);
+      expect(res.body.detached).toEqual({ decks: 1, slides: 1 });
+
+      const reloaded = await request(app).get(`/api/decks/${deck.id}`).expect(200);
+      expect(reloaded.body).toMatchObject({ visualStyle: 'Film noir, high contrast', stylePresetId: null });
+      const slide = await request(app).get(`/api/decks/${deck.id}/slides/${slides[0].id}`).expect(200);
+      expect(slide.body).toMatchObject({ sceneVisualStyle: 'Film noir, high contrast', sceneStylePresetId: null });
+      await request(app).get(`/api/settings/style-presets/${preset.body.id}`).expect(404);
+    });
+  });
+
+  describe('global-entities', () => {
+    beforeEach(async () => {
+      for (const name of ['Mascot', 'Logo']) {
+        await request(app).delete(`/api/settings/global-entities/${name}`);
+        await request(app)
+          .post('/api/settings/global-entities')
+          .send({ entityName: name, imageData: (await createTestImage()).toString('base64') })
+          .expect(201);
+      }
+    });
+
+    test('updates aliases, description and image mode', async () => {
+      const res = await request(app)
+        .put('/api/settings/global-entities/Mascot')
+        .send({ aliases: ['Buddy'], description: 'A friendly orange fox', imageMode: 'all' })
+        .expect(200);
+      expect(res.body.Mascot).toMatchObject({ aliases: ['Buddy'], description: 'A friendly orange fox', imageMode: 'all' });
+
+      await request(app).put('/api/settings/global-entities/Logo').send({ aliases: ['buddy'] }).expect(409);
+      await request(app).put('/api/settings/global-entities/Mascot').send({}).expect(400);
+      await request(app).put('/api/settings/global-entities/Nobody').send({ description: 'x' }).expect(404);
+    });
+
+    test('adds, labels and removes images', async () => {
+      const url = '/api/settings/global-entities/Mascot/images';
+      const added = await request(app)
+        .post(url)
+        .send({ imageData: (await createTestImage()).toString('base64'), label: 'waving' })
+        .expect(201);
+      const [primary, waving] = added.body.Mascot.images;
+      expect(added.body.Mascot.imageLabels).toEqual({ [waving]: 'waving' });
+      await request(app).get(`/api/settings/global-entities/Mascot/${waving}`).expect(200);
+      await request(app).post(url).send({ label: 'no-image' }).expect(400);
+
+      const updated = await request(app).put(`${url}/${waving}`).send({ primary: true, label: '' }).expect(200);
+      expect(updated.body.Mascot).toMatchObject({ images: [waving, primary], imageLabels: {} });
+
+      const removed = await request(app).delete(`${url}/${primary}`).expect(200);
+      expect(removed.body.Mascot.images).toEqual([waving]);
+      await request(app).delete(`${url}/${waving}`).expect(400);
+    });
+  });
+
+  describe('oauth-initiate', () => {
+    test('is not implemented yet', async () => {
+      await request(app).get('/api/settings/auth/google').expect(501);
+    });
+  });
+
+  describe('oauth-callback', () => {
+    test('requires an authorization code', async () => {
+      const res = await request(app).get('/api/settings/auth/google/callback').expect(400);
+      expect(res.text).toContain('No authorization code received');
+    });
+  });
+
+  describe('disconnect-google', () => {
+    test('clears stored credentials', async () => {
+      const settings = await fileSystem.getSettings();
+      await fileSystem.saveSettings({
+        ...settings,
+        googleSlides: { ...settings.googleSlides, credentials: { email: 'me@example.com' } }
+      });
+
+      const connected = await request(app).get('/api/settings').expect(200);
+      expect(connected.body.googleSlides).toMatchObject({ connected: true, email: 'me@example.com' });
+      expect(connected.body.googleSlides.credentials).toBeUndefined();
+
+      await request(app).post('/api/settings/auth/google/disconnect').expect(200, { success: true });
+
+      const res = await request(app).get('/api/settings').expect(200);
+      expect(res.body.googleSlides.connected).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,522 @@
+import request from 'supertest';
+import app from '../../../backend/src/app.js';
+import { createDeck, createTestImage } from '../helpers.js';
+
+describe('Slides API', () => {
+  describe('list-slides', () => {
+    test('lists slides in order', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One' }, { speakerNotes: 'Two' }]
+      });
+
+      const res = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(res.body.map(s => s.id)).toEqual(slides.map(s => s.id));
+      expect(res.headers['cache-control']).toContain('no-store');
+    });
+  });
+
+  describe('create-slide', () => {
+    test('creates a slide and appends it to the deck', async () => {
+      const { deck } = await createDeck(app);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides`)
+        .send({ speakerNotes: 'Hello', imageDescription: 'A sunrise' })
+        .expect(201);
+
+      expect(res.body).toMatchObject({
+        speakerNotes: 'Hello',
+        imageDescription: 'A sunrise',
+        generatedImages: []
+      });
+
+      const updated = await request(app).get(`/api/decks/${deck.id}`).expect(200);
+      expect(updated.body.slides).toEqual([res.body.id]);
+    });
+
+    test('returns 404 for an unknown deck', async () => {
+      await request(app)
+        .post('/api/decks/00000000-0000-4000-8000-000000000000/slides')
+        .send({ speakerNotes: 'Hello' })
+        .expect(404);
+    });
+  });
+
+  describe('get-slide', () => {
+    test('returns the slide', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ speakerNotes: 'One' }] });
+      const res = await request(app).get(`/api/decks/${deck.id}/slides/${slides[0].id}`).expect(200);
+      expect(res.body.speakerNotes).toBe('One');
+    });
+
+    test('returns 404 for an unknown slide', async () => {
+      const { deck } = await createDeck(app);
+      await request(app).get(`/api/decks/${deck.id}/slides/slide-999`).expect(404);
+    });
+  });
+
+  describe('update-slide', () => {
+    test('updates slide fields', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ speakerNotes: 'One' }] });
+
+      const res = await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[0].id}`)
+        .send({ imageDescription: 'A lighthouse', noImages: true })
+        .expect(200);
+
+      expect(res.body).toMatchObject({ speakerNotes: 'One', imageDescription: 'A lighthouse', noImages: true });
+    });
+
+    test('rejects descriptions over the limit', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ speakerNotes: 'One' }] });
+
+      const res = await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[0].id}`)
+        .send({ imageDescription: 'x'.repeat(2001) })
+        .expect(400);
+      expect(res.body.error).toBe('Image description must not exceed 2000 characters');
+    });
+  });
+
+  describe('delete-slide', () => {
+    test('deletes the slide and removes it from the deck', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One' }, { speakerNotes: 'Two' }]
+      });
+
+      await request(app).delete(`/api/decks/${deck.id}/slides/${slides[0].id}`).expect(200, { success: true });
+
+      const res = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(res.body.map(s => s.id)).toEqual([slides[1].id]);
+    });
+  });
+
+  describe('reorder-slides', () => {
+    test('reorders slides', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One' }, { speakerNotes: 'Two' }, { speakerNotes: 'Three' }]
+      });
+      const reversed = slides.map(s => s.id).reverse();
+
+      await request(app)
+        .post(`/api/decks/${deck.id}/slides/reorder`)
+        .send({ slideIds: reversed })
+        .expect(200, { success: true });
+
+      const res = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(res.body.map(s => s.speakerNotes)).toEqual(['Three', 'Two', 'One']);
+    });
+
+    test('rejects an incomplete slide list', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One' }, { speakerNotes: 'Two' }]
+      });
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides/reorder`)
+        .send({ slideIds: [slides[0].id] });
+      expect(res.status).toBeGreaterThanOrEqual(400);
+
+      const list = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(list.body.map(s => s.speakerNotes)).toEqual(['One', 'Two']);
+    });
+  });
+
+  describe('batch-slides', () => {
+    async function createFourSlides() {
+      return createDeck(app, {
+        slides: [{ speakerNotes: 'One' }, { speakerNotes: 'Two' }, { speakerNotes: 'Three' }, { speakerNotes: 'Four' }]
+      });
+    }
+
+    test('applies updates, deletes and moves in order', async () => {
+      const { deck, slides } = await createFourSlides();
+      const [one, two, three, four] = slides.map(s => s.id);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides/batch`)
+        .send({
+          operations: [
+            { type: 'update', slideIds: [one, three], updates: { noImages: true, descriptionLocked: true } },
+            { type: 'update', slideIds: [four], updates: { sceneStart: true, sceneVisualStyle: 'Noir' } },
+            { type: 'delete', slideIds: [two] },
+            { type: 'move', slideIds: [four, one], afterSlideId: three }
+          ]
+        })
+        .expect(200);
+
+      expect(res.body.slides.map(s => s.speakerNotes)).toEqual(['Three', 'One', 'Four']);
+      expect(res.body.slides.map(s => s.order)).toEqual([0, 1, 2]);
+      expect(res.body.slides[0]).toMatchObject({ noImages: true, descriptionLocked: true });
+      expect(res.body.slides[1]).toMatchObject({ noImages: true, descriptionLocked: true });
+      expect(res.body.slides[2]).toMatchObject({ noImages: false, sceneStart: true, sceneVisualStyle: 'Noir' });
+
+      const trash = await request(app).get('/api/trash').expect(200);
+      expect(trash.body.items.some(item => item.deckId === deck.id && item.slideId === two)).toBe(true);
+    });
+
+    test('moves slides to the start without afterSlideId', async () => {
+      const { deck, slides } = await createFourSlides();
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides/batch`)
+        .send({ operations: [{ type: 'move', slideIds: [slides[3].id, slides[2].id] }] })
+        .expect(200);
+
+      expect(res.body.slides.map(s => s.speakerNotes)).toEqual(['Three', 'Four', 'One', 'Two']);
+    });
+
+    test('leaves the deck unchanged when an operation is invalid', async () => {
+      const { deck, slides } = await createFourSlides();
+      const [one, two] = slides.map(s => s.id);
+
+      await request(app)
+        .post(`/api/decks/${deck.id}/slides/batch`)
+        .send({
+          operations: [
+            { type: 'delete', slideIds: [one] },
+            { type: 'update', slideIds: [one, two], updates: { noImages: true } }
+          ]
+        })
+        .expect(404);
+
+      await request(app)
+        .post(`/api/decks/${deck.id}/slides/batch`)
+        .send({ operations: [{ type: 'move', slideIds: [one, two], afterSlideId: two }] })
+        .expect(400);
+
+      const list = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(list.body.map(s => s.speakerNotes)).toEqual(['One', 'Two', 'Three', 'Four']);
+      expect(list.body.every(s => !s.noImages)).toBe(true);
+    });
+
+    test('validates operations', async () => {
+      const { deck, slides } = await createFourSlides();
+      const url = `/api/decks/${deck.id}/slides/batch`;
+
+      await request(app).post(url).send({ operations: [] }).expect(400);
+      await request(app).post(url).send({ operations: [{ type: 'rename', slideIds: [slides[0].id] }] }).expect(400);
+      await request(app).post(url).send({ operations: [{ type: 'update', slideIds: [slides[0].id] }] }).expect(400);
+      await request(app)
+        .post(url)
+        .send({ operations: [{ type: 'update', slideIds: [slides[0].id], updates: { order: 3 } }] })
+        .expect(400);
+      await request(app)
+        .post(url)
+        .send({ operations: [{ type: 'delete', slideIds: [slides[0].id], afterSlideId: null }] })
+        .expect(400);
+    });
+  });
+
+  describe('insert-slides-from-text', () => {
+    test('inserts parsed slides after a slide and renumbers orders', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One' }, { speakerNotes: 'Two' }]
+      });
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides/from-text`)
+        .send({ text: 'New scene\n- Inserted A\n- Inserted B', afterSlideId: slides[0].id })
+        .expect(201);
+      expect(res.body.slides.map(s => s.speakerNotes)).toEqual(['New scene', 'Inserted A', 'Inserted B']);
+      expect(res.body.slides[0]).toMatchObject({ sceneStart: true, noImages: true });
+
+      const list = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(list.body.map(s => s.speakerNotes)).toEqual(['One', 'New scene', 'Inserted A', 'Inserted B', 'Two']);
+      expect(list.body.map(s => s.order)).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    test('appends at the end and supports Markdown', async () => {
+      const { deck } = await createDeck(app, { slides: [{ speakerNotes: 'One' }] });
+
+      await request(app)
+        .post(`/api/decks/${deck.id}/slides/from-text`)
+        .send({ text: '# Later\n- Extra\n  > A lighthouse', format: 'markdown' })
+        .expect(201);
+
+      const list = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(list.body.map(s => s.speakerNotes)).toEqual(['One', 'Later', 'Extra']);
+      expect(list.body[2].imageDescription).toBe('A lighthouse');
+    });
+
+    test('reports referenced entities without images', async () => {
+      const { deck } = await createDeck(app);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides/from-text`)
+        .send({ text: '- ~Captain meets ~Robot\n- ~Captain again' })
+        .expect(201);
+      expect(res.body.slides[0].speakerNotes).toBe('@Captain meets @Robot');
+      expect(res.body.missingEntities).toEqual(['Captain', 'Robot']);
+    });
+
+    test('validates the text and the insert position', async () => {
+      const { deck } = await createDeck(app, { slides: [{ speakerNotes: 'One' }] });
+
+      await request(app).post(`/api/decks/${deck.id}/slides/from-text`).send({ text: '' }).expect(400);
+      await request(app)
+        .post(`/api/decks/${deck.id}/slides/from-text`)
+        .send({ text: '- A', afterSlideId: 'slide-999' })
+        .expect(404);
+
+      const list = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(list.body).toHaveLength(1);
+    });
+  });
+
+  describe('sync-text', () => {
+    const original = '- Welcome to the launch\n- Our product solves scheduling for small teams\n- Pricing starts at ten dollars';
+    const edited = '- Welcome to the launch\n- A new roadmap slide\n- Our product solves scheduling for growing teams';
+
+    async function createTextDeck() {
+      const res = await request(app)
+        .post('/api/decks/from-text')
+        .send({ name: 'Sync Deck', text: original, isTest: true })
+        .expect(201);
+      const slides = await request(app).get(`/api/decks/${res.body.deck.id}/slides`).expect(200);
+      return { deck: res.body.deck, slides: slides.body };
+    }
+
+    test('previews the changes without applying them', async () => {
+      const { deck } = await createTextDeck();
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides/sync-text/preview`)
+        .send({ text: edited })
+        .expect(200);
+      expect(res.body.summary).toEqual({ unchanged: 1, updated: 1, inserted: 1, removed: 1 });
+
+      const list = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(list.body.map(s => s.speakerNotes)).toEqual(original.split('\n').map(line => line.slice(2)));
+    });
+
+    test('updates changed slides and keeps their images', async () => {
+      const { deck, slides } = await createTextDeck();
+      for (const slide of slides) {
+        await request(app)
+          .put(`/api/decks/${deck.id}/slides/${slide.id}`)
+          .send({ imageDescription: 'A scene', descriptionLocked: true })
+          .expect(200);
+      }
+      const generated = await request(app)
+        .post(`/api/decks/${deck.id}/slides/${slides[1].id}/generate`)
+        .send({ count: 1, service: 'mock' })
+        .expect(200);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides/sync-text`)
+        .send({ text: edited })
+        .expect(200);
+      expect(res.body.summary).toEqual({ unchanged: 1, updated: 1, inserted: 1, removed: 1 });
+
+      const list = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(list.body.map(s => s.speakerNotes)).toEqual(edited.split('\n').map(line => line.slice(2)));
+      expect(list.body.map(s => s.order)).toEqual([0, 1, 2]);
+      expect(list.body[0]).toMatchObject({ id: slides[0].id, descriptionLocked: true });
+      expect(list.body[2]).toMatchObject({ id: slides[1].id, descriptionLocked: false });
+      expect(list.body[2].generatedImages.map(img => img.id)).toEqual(generated.body.images.map(img => img.id));
+
+      // Removed slides go to the trash and the previous state is snapshotted
+      const trash = await request(app).get('/api/trash').expect(200);
+      expect(trash.body.items.some(item => item.deckId === deck.id && item.type === 'slide')).toBe(true);
+      const snapshots = await request(app).get(`/api/decks/${deck.id}/snapshots`).expect(200);
+      expect(snapshots.body.map(s => s.trigger)).toEqual(['sync-text']);
+    });
+
+    test('updates changed slides with the parsed scene start, images and description', async () => {
+      const { deck, slides } = await createTextDeck();
+      const markdown = [
+        '# Welcome to the big launch',
+        '<!-- style: Neon poster -->',
+        '- Our product solves scheduling for growing teams',
+        '> A team around a wall calendar',
+        '- Pricing starts at ten dollars',
+        '<!-- no-images -->'
+      ].join('\n');
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/slides/sync-text`)
+        .send({ text: markdown, format: 'markdown' })
+        .expect(200);
+      expect(res.body.summary).toEqual({ unchanged: 1, updated: 2, inserted: 0, removed: 0 });
+      expect(res.body.changes[1].slide).toMatchObject({ imageDescription: 'A team around a wall calendar' });
+
+      const list = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(list.body[0]).toMatchObject({
+        id: slides[0].id,
+        sceneStart: true,
+        sceneVisualStyle: 'Neon poster',
+        noImages: true
+      });
+      expect(list.body[1]).toMatchObject({
+        id: slides[1].id,
+        imageDescription: 'A team around a wall calendar',
+        sceneStart: false,
+        noImages: false
+      });
+      // Unchanged notes: the no-images comment is not applied
+      expect(list.body[2]).toMatchObject({ id: slides[2].id, noImages: false });
+    });
+
+    test('cancels bulk jobs of the deck before syncing', async () => {
+      const { deck, slides } = await createTextDeck();
+      for (const slide of slides) {
+        await request(app)
+          .put(`/api/decks/${deck.id}/slides/${slide.id}`)
+          .send({ imageDescription: 'A scene' })
+          .expect(200);
+      }
+      const started = await request(app)
+        .post(`/api/decks/${deck.id}/generate-all`)
+        .send({ count: 2, service: 'mock' })
+        .expect(200);
+      await request(app).post(`/api/jobs/${started.body.jobId}/pause`).expect(200);
+
+      await request(app).post(`/api/decks/${deck.id}/slides/sync-text`).send({ text: edited }).expect(200);
+      const job = await request(app).get(`/api/jobs/${started.body.jobId}`).expect(200);
+      expect(job.body.status).toBe('cancelled');
+    });
+
+    test('rejects text without slides', async () => {
+      const { deck } = await createTextDeck();
+      await request(app).post(`/api/decks/${deck.id}/slides/sync-text`).send({ text: '\n\n' }).expect(400);
+      await request(app).post(`/api/decks/${deck.id}/slides/sync-text`).send({}).expect(400);
+    });
+  });
+
+  describe('prompt-preview', () => {
+    test('reports which layer the visual style comes from', async () => {
+      const { deck, slides } = await createDeck(app, {
+        visualStyle: 'Watercolor',
+        slides: [{ imageDescription: 'A cat' }, { imageDescription: 'A dog' }, { imageDescription: 'A bird' }]
+      });
+      await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[1].id}`)
+        .send({ sceneStart: true, sceneVisualStyle: 'Neon cyberpunk' })
+        .expect(200);
+      await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[2].id}`)
+        .send({ overrideVisualStyle: 'Charcoal sketch' })
+        .expect(200);
+
+      const preview = async (slide) =>
+        (await request(app).get(`/api/decks/${deck.id}/slides/${slide.id}/prompt-preview`).expect(200)).body;
+
+      const first = await preview(slides[0]);
+      expect(first).toMatchObject({
+        slideId: slides[0].id,
+        style: { visualStyle: 'Watercolor', source: 'deck', stylePreset: null },
+        description: 'A cat',
+        prompt: 'Watercolor. A cat. 16:9 aspect ratio, presentation quality, detailed, professional.',
+        service: 'gemini-pro',
+        maxLength: 8000,
+        truncation: null,
+        warnings: [],
+        unknownEntities: [],
+        referenceImages: []
+      });
+      expect(first.length).toBe(first.prompt.length);
+      expect((await preview(slides[1])).style).toMatchObject({ visualStyle: 'Neon cyberpunk', source: 'scene' });
+      expect((await preview(slides[2])).style).toMatchObject({ visualStyle: 'Charcoal sketch', source: 'slide' });
+    });
+
+    test('lists entity and theme reference images and unknown entities', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ imageDescription: '@Hero meets @Stranger' }] });
+      await request(app)
+        .post(`/api/decks/${deck.id}/entities`)
+        .field('entityName', 'Hero')
+        .attach('image', await createTestImage(), { filename: 'hero.png', contentType: 'image/png' })
+        .expect(201);
+      await request(app)
+        .post(`/api/decks/${deck.id}/theme-images`)
+        .attach('image', await createTestImage(), { filename: 'theme.png', contentType: 'image/png' })
+        .expect(201);
+
+      const res = await request(app)
+        .get(`/api/decks/${deck.id}/slides/${slides[0].id}/prompt-preview`)
+        .query({ service: 'mock' })
+        .expect(200);
+      expect(res.body).toMatchObject({
+        description: 'Hero meets @Stranger',
+        unknownEntities: ['Stranger'],
+        service: 'mock',
+        referenceImagesSupported: true
+      });
+      expect(res.body.referenceImages).toEqual([
+        expect.objectContaining({ type: 'entity', name: 'Hero', label: 'Hero', source: 'deck' }),
+        expect.objectContaining({ type: 'theme', source: 'deck' })
+      ]);
+      expect(res.body.referenceImages[0]).not.toHaveProperty('path');
+    });
+
+    test('picks entity images by image mode and label', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ imageDescription: '@Bob waves' }, { imageDescription: '@Robot:side-profile waves' }]
+      });
+      await request(app)
+        .post(`/api/decks/${deck.id}/entities`)
+        .field('entityName', 'Robot')
+        .attach('image', await createTestImage(), { filename: 'robot.png', contentType: 'image/png' })
+        .expect(201);
+      const added = await request(app)
+        .post(`/api/decks/${deck.id}/entities/Robot/images`)
+        .field('label', 'side-profile')
+        .attach('image', await createTestImage(), { filename: 'side.png', contentType: 'image/png' })
+        .expect(201);
+      const [, side] = added.body.entities.Robot.images;
+      await request(app)
+        .put(`/api/decks/${deck.id}/entities/Robot`)
+        .send({ aliases: ['Bob'], description: 'a small silver robot', imageMode: 'all' })
+        .expect(200);
+
+      const preview = async (slide) =>
+        (await request(app).get(`/api/decks/${deck.id}/slides/${slide.id}/prompt-preview`).expect(200)).body;
+
+      const all = await preview(slides[0]);
+      expect(all.description).toBe('Robot (a small silver robot) waves');
+      expect(all.referenceImages).toEqual([
+        expect.objectContaining({ name: 'Robot', filename: 'Robot.png', label: 'Robot' }),
+        expect.objectContaining({ name: 'Robot', filename: side, label: 'Robot (side profile)' })
+      ]);
+
+      const labelled = await preview(slides[1]);
+      expect(labelled.referenceImages).toEqual([
+        expect.objectContaining({ filename: side, imageLabel: 'side-profile' })
+      ]);
+    });
+
+    test('shows prompts over the service limit shortened', async () => {
+      const { deck, slides } = await createDeck(app, {
+        visualStyle: 'Ornate baroque painting, '.repeat(10),
+        slides: [{ imageDescription: 'A very long scene. '.repeat(100) }]
+      });
+
+      const res = await request(app)
+        .get(`/api/decks/${deck.id}/slides/${slides[0].id}/prompt-preview`)
+        .query({ service: 'mock' })
+        .expect(200);
+      expect(res.body).toMatchObject({ maxLength: 2000, truncation: { shortened: ['style'] } });
+      expect(res.body.length).toBeLessThanOrEqual(2000);
+      expect(res.body.originalLength).toBeGreaterThan(2000);
+      expect(res.body.warnings).toHaveLength(1);
+
+      // Gemini allows longer prompts
+      const gemini = await request(app)
+        .get(`/api/decks/${deck.id}/slides/${slides[0].id}/prompt-preview`)
+        .query({ service: 'gemini-pro' })
+        .expect(200);
+      expect(gemini.body).toMatchObject({ maxLength: 8000, truncation: null, warnings: [] });
+      expect(gemini.body.length).toBe(res.body.originalLength);
+    });
+
+    test('rejects slides without a style or description', async () => {
+      const { deck, slides } = await createDeck(app, { visualStyle: '', slides: [{ speakerNotes: 'Hello' }] });
+
+      const res = await request(app).get(`/api/decks/${deck.id}/slides/${slides[0].id}/prompt-preview`).expect(400);
+      expect(res.body.error).toContain('empty');
+
+      await request(app).get(`/api/decks/${deck.id}/slides/slide-999/prompt-preview`).expect(404);
+      await request(app).get(`/api/decks/${deck.id}/slides/${slides[0].id}/prompt-preview?service=unknown`).expect(400);
+    });
+  });
+});
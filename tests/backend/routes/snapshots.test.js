@@ -0,0 +1,262 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import request from 'supertest';
+import app from '../../../backend/src/app.js';
+import { getStorageDir } from '../../../backend/src/services/fileSystem.js';
+import { createDeck, waitForJob } from '../helpers.js';
+
+async function createSnapshot(deckId, name) {
+  const res = await request(app)
+    .post(`/api/decks/${deckId}/snapshots`)
+    .send({ name })
+    .expect(201);
+  return res.body;
+}
+
+async function generate(deckId, slideId, count = 1) {
+  const res = await request(app)
+    .post(`/api/decks/${deckId}/slides/${slideId}/generate`)
+    .send({ count, service: 'mock' })
+    .expect(200);
+  return res.body;
+}
+
+describe('Snapshots API', () => {
+  describe('create-snapshot', () => {
+    test('creates and lists named snapshots', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One', imageDescription: 'A cat' }]
+      });
+      await generate(deck.id, slides[0].id);
+
+      const snapshot = await createSnapshot(deck.id, '  First draft ');
+      expect(snapshot).toMatchObject({
+        deckId: deck.id,
+        name: 'First draft',
+        trigger: 'manual',
+        slideCount: 1,
+        imageCount: 1
+      });
+      expect(snapshot.deck).toBeUndefined();
+
+      await createSnapshot(deck.id, 'Second draft');
+      const list = await request(app).get(`/api/decks/${deck.id}/snapshots`).expect(200);
+      expect(list.body.map(s => s.name)).toEqual(['Second draft', 'First draft']);
+    });
+
+    test('validates the name and the deck', async () => {
+      const { deck } = await createDeck(app);
+      await request(app).post(`/api/decks/${deck.id}/snapshots`).send({ name: '  ' }).expect(400);
+      await request(app)
+        .post('/api/decks/00000000-0000-4000-8000-000000000000/snapshots')
+        .send({ name: 'Draft' })
+        .expect(404);
+    });
+  });
+
+  describe('restore-snapshot', () => {
+    test('restores text, slide order and removed slides', async () => {
+      const { deck, slides } = await createDeck(app, {
+        name: 'Before',
+        slides: [
+          { speakerNotes: 'One', imageDescription: 'A cat' },
+          { speakerNotes: 'Two', imageDescription: 'A dog' }
+        ]
+      });
+      const snapshot = await createSnapshot(deck.id, 'Draft');
+
+      await request(app).put(`/api/decks/${deck.id}`).send({ name: 'After' }).expect(200);
+      await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[0].id}`)
+        .send({ speakerNotes: 'Changed' })
+        .expect(200);
+      const added = await request(app)
+        .post(`/api/decks/${deck.id}/slides`)
+        .send({ speakerNotes: 'Added' })
+        .expect(201);
+      await request(app)
+        .post(`/api/decks/${deck.id}/slides/reorder`)
+        .send({ slideIds: [added.body.id, slides[1].id, slides[0].id] })
+        .expect(200);
+      await request(app).delete(`/api/decks/${deck.id}/slides/${slides[1].id}`).expect(200);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/snapshots/${snapshot.id}/restore`)
+        .expect(200);
+      expect(res.body.deck.name).toBe('Before');
+      expect(res.body.backup).toMatchObject({ trigger: 'restore', name: 'Before restoring "Draft"' });
+      expect(res.body.missingImages).toBe(0);
+
+      const current = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(current.body.map(s => s.id)).toEqual(slides.map(s => s.id));
+      expect(current.body.map(s => s.speakerNotes)).toEqual(['One', 'Two']);
+      await request(app).get(`/api/decks/${deck.id}/slides/${added.body.id}`).expect(404);
+
+      // The backup undoes the restore
+      await request(app)
+        .post(`/api/decks/${deck.id}/snapshots/${res.body.backup.id}/restore`)
+        .expect(200);
+      const undone = await request(app).get(`/api/decks/${deck.id}`).expect(200);
+      expect(undone.body.name).toBe('After');
+    });
+
+    test('keeps images generated after the snapshot', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One', imageDescription: 'A cat' }]
+      });
+      const [first] = (await generate(deck.id, slides[0].id)).images;
+      const snapshot = await createSnapshot(deck.id, 'One image');
+
+      const [second] = (await generate(deck.id, slides[0].id)).images;
+      await request(app)
+        .put(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${second.id}/pin`)
+        .expect(200);
+
+      await request(app).post(`/api/decks/${deck.id}/snapshots/${snapshot.id}/restore`).expect(200);
+
+      const slide = await request(app).get(`/api/decks/${deck.id}/slides/${slides[0].id}`).expect(200);
+      expect(slide.body.generatedImages.map(img => img.id)).toEqual([first.id, second.id]);
+      expect(slide.body.generatedImages.filter(img => img.isPinned).map(img => img.id)).toEqual([first.id]);
+    });
+
+    test('drops images whose files were deleted', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One', imageDescription: 'A cat' }]
+      });
+      const [image] = (await generate(deck.id, slides[0].id)).images;
+      const snapshot = await createSnapshot(deck.id, 'With image');
+
+      await request(app)
+        .delete(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${image.id}`)
+        .expect(200);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/snapshots/${snapshot.id}/restore`)
+        .expect(200);
+      expect(res.body.missingImages).toBe(1);
+      expect(res.body.slides[0].generatedImages).toEqual([]);
+    });
+
+    test('never reuses the file name of a deleted image', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One', imageDescription: 'A cat' }]
+      });
+      const [first, second] = (await generate(deck.id, slides[0].id, 2)).images
+        .sort((a, b) => a.filename.localeCompare(b.filename));
+      const snapshot = await createSnapshot(deck.id, 'Two images');
+
+      await request(app)
+        .delete(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${second.id}`)
+        .expect(200);
+      const [third] = (await generate(deck.id, slides[0].id)).images;
+      expect(third.filename).toBe('image-003.jpg');
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/snapshots/${snapshot.id}/restore`)
+        .expect(200);
+      expect(res.body.missingImages).toBe(1);
+      expect(res.body.slides[0].generatedImages.map(img => img.id)).toEqual([first.id, third.id]);
+
+      // Numbers used after the snapshot stay taken once it is restored
+      const [fourth] = (await generate(deck.id, slides[0].id)).images;
+      expect(fourth.filename).toBe('image-004.jpg');
+    });
+
+    test('skips snapshot images whose file name is now used by another image', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One', imageDescription: 'A cat' }]
+      });
+      const [first, second] = (await generate(deck.id, slides[0].id, 2)).images
+        .sort((a, b) => a.filename.localeCompare(b.filename));
+      const snapshot = await createSnapshot(deck.id, 'Two images');
+      await request(app)
+        .delete(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${second.id}`)
+        .expect(200);
+
+      // Slides saved before image numbers were recorded reuse the freed number
+      const slidePath = path.join(getStorageDir(), `deck-${deck.id}`, slides[0].id, 'slide.json');
+      const { lastImageNumber, ...legacySlide } = JSON.parse(await fs.readFile(slidePath, 'utf8'));
+      await fs.writeFile(slidePath, JSON.stringify(legacySlide));
+      const [reused] = (await generate(deck.id, slides[0].id)).images;
+      expect(reused.filename).toBe(second.filename);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/snapshots/${snapshot.id}/restore`)
+        .expect(200);
+      expect(res.body.missingImages).toBe(1);
+      expect(res.body.slides[0].generatedImages.map(img => img.id)).toEqual([first.id, reused.id]);
+    });
+
+    test('cancels bulk jobs of the deck before restoring', async () => {
+      const { deck } = await createDeck(app, {
+        slides: [{ imageDescription: 'One' }, { imageDescription: 'Two' }, { imageDescription: 'Three' }]
+      });
+      const snapshot = await createSnapshot(deck.id, 'Before generating');
+      const started = await request(app)
+        .post(`/api/decks/${deck.id}/generate-all`)
+        .send({ count: 2, service: 'mock' })
+        .expect(200);
+      await request(app).post(`/api/jobs/${started.body.jobId}/pause`).expect(200);
+
+      await request(app).post(`/api/decks/${deck.id}/snapshots/${snapshot.id}/restore`).expect(200);
+      const job = await request(app).get(`/api/jobs/${started.body.jobId}`).expect(200);
+      expect(job.body.status).toBe('cancelled');
+
+      // Nothing is added after the restore
+      const before = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      await new Promise(resolve => setTimeout(resolve, 200));
+      const after = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(after.body).toEqual(before.body);
+    });
+
+    test('returns 404 for unknown snapshots', async () => {
+      const { deck } = await createDeck(app);
+      await request(app)
+        .post(`/api/decks/${deck.id}/snapshots/00000000-0000-4000-8000-000000000000/restore`)
+        .expect(404);
+    });
+  });
+
+  describe('automatic-snapshots', () => {
+    test('snapshots before regenerating descriptions', async () => {
+      const { deck } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One', imageDescription: 'A cat' }]
+      });
+
+      await request(app).post(`/api/decks/${deck.id}/regenerate-descriptions`).expect(200);
+
+      const list = await request(app).get(`/api/decks/${deck.id}/snapshots`).expect(200);
+      expect(list.body).toHaveLength(1);
+      expect(list.body[0]).toMatchObject({ trigger: 'regenerate-descriptions', name: 'Before regenerating descriptions' });
+    });
+
+    test('snapshots before bulk image generation', async () => {
+      const { deck } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One', imageDescription: 'A cat' }]
+      });
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/generate-missing`)
+        .send({ count: 1, service: 'mock' })
+        .expect(200);
+      await waitForJob(app, res.body.jobId);
+
+      const list = await request(app).get(`/api/decks/${deck.id}/snapshots`).expect(200);
+      expect(list.body.map(s => s.trigger)).toEqual(['generate-missing']);
+      expect(list.body[0].imageCount).toBe(0);
+    });
+  });
+
+  describe('delete-snapshot', () => {
+    test('deletes a snapshot', async () => {
+      const { deck } = await createDeck(app);
+      const snapshot = await createSnapshot(deck.id, 'Draft');
+
+      await request(app).delete(`/api/decks/${deck.id}/snapshots/${snapshot.id}`).expect(200);
+      const list = await request(app).get(`/api/decks/${deck.id}/snapshots`).expect(200);
+      expect(list.body).toEqual([]);
+
+      await request(app).delete(`/api/decks/${deck.id}/snapshots/${snapshot.id}`).expect(404);
+    });
+  });
+});
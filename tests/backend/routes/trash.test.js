@@ -0,0 +1,191 @@
+import request from 'supertest';
+import app from '../../../backend/src/app.js';
+import { purgeTrashFromSettings } from '../../../backend/src/services/storageMaintenance.js';
+import { createDeck } from '../helpers.js';
+
+async function generate(deckId, slideId, count = 1) {
+  const res = await request(app)
+    .post(`/api/decks/${deckId}/slides/${slideId}/generate`)
+    .send({ count, service: 'mock' })
+    .expect(200);
+  return res.body.images;
+}
+
+async function findTrashItem(predicate) {
+  const res = await request(app).get('/api/trash').expect(200);
+  return res.body.items.find(predicate);
+}
+
+describe('Trash API', () => {
+  beforeEach(async () => {
+    await request(app).delete('/api/trash').expect(200);
+  });
+
+  describe('list-trash', () => {
+    test('lists deleted items with metadata, newest first', async () => {
+      const { deck, slides } = await createDeck(app, {
+        name: 'Trash Deck',
+        slides: [{ speakerNotes: 'First slide', imageDescription: 'A cat' }, { speakerNotes: 'Second' }]
+      });
+      const [image] = await generate(deck.id, slides[0].id);
+
+      await request(app).delete(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${image.id}`).expect(200);
+      await request(app).delete(`/api/decks/${deck.id}/slides/${slides[1].id}`).expect(200);
+
+      const res = await request(app).get('/api/trash').expect(200);
+      expect(res.body.retentionDays).toBe(30);
+      expect(res.body.items.map(item => item.type)).toEqual(['slide', 'image']);
+      expect(res.body.items[0]).toMatchObject({
+        deckId: deck.id,
+        deckName: 'Trash Deck',
+        slideId: slides[1].id,
+        position: 1,
+        label: 'Slide 2: Second'
+      });
+      expect(res.body.items[1]).toMatchObject({ imageId: image.id, label: 'Image on slide 1' });
+      expect(res.body.items[1].bytes).toBeGreaterThan(0);
+    });
+  });
+
+  describe('restore-trash-item', () => {
+    test('restores a deleted deck', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ speakerNotes: 'One' }] });
+      await request(app).delete(`/api/decks/${deck.id}`).expect(200);
+      await request(app).get(`/api/decks/${deck.id}`).expect(404);
+
+      const item = await findTrashItem(i => i.deckId === deck.id);
+      expect(item).toMatchObject({ type: 'deck', slideCount: 1 });
+
+      const res = await request(app).post(`/api/trash/${item.id}/restore`).expect(200);
+      expect(res.body.restored).toEqual({ deckId: deck.id });
+
+      const slide = await request(app).get(`/api/decks/${deck.id}/slides/${slides[0].id}`).expect(200);
+      expect(slide.body.speakerNotes).toBe('One');
+      expect(await findTrashItem(i => i.id === item.id)).toBeUndefined();
+    });
+
+    test('restores a deck that was deleted while a bulk job was paused', async () => {
+      const { deck } = await createDeck(app, {
+        slides: [{ imageDescription: 'One' }, { imageDescription: 'Two' }, { imageDescription: 'Three' }]
+      });
+      const started = await request(app)
+        .post(`/api/decks/${deck.id}/generate-all`)
+        .send({ count: 2, service: 'mock' })
+        .expect(200);
+      await request(app).post(`/api/jobs/${started.body.jobId}/pause`).expect(200);
+
+      await request(app).delete(`/api/decks/${deck.id}`).expect(200);
+      const job = await request(app).get(`/api/jobs/${started.body.jobId}`).expect(200);
+      expect(job.body.status).toBe('cancelled');
+
+      const item = await findTrashItem(i => i.deckId === deck.id);
+      await request(app).post(`/api/trash/${item.id}/restore`).expect(200);
+      await request(app).get(`/api/decks/${deck.id}`).expect(200);
+    });
+
+    test('restores a deleted slide at its position', async () => {
+      const { deck, slides } = await createDeck(app, {
+        slides: [{ speakerNotes: 'One' }, { speakerNotes: 'Two', imageDescription: 'A dog' }, { speakerNotes: 'Three' }]
+      });
+      await generate(deck.id, slides[1].id);
+      await request(app).delete(`/api/decks/${deck.id}/slides/${slides[1].id}`).expect(200);
+
+      const item = await findTrashItem(i => i.slideId === slides[1].id);
+      expect(item.imageCount).toBe(1);
+      await request(app).post(`/api/trash/${item.id}/restore`).expect(200);
+
+      const res = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(res.body.map(s => s.speakerNotes)).toEqual(['One', 'Two', 'Three']);
+      expect(res.body.map(s => s.order)).toEqual([0, 1, 2]);
+      expect(res.body[1].generatedImages).toHaveLength(1);
+    });
+
+    test('gives a restored slide a new ID if its old one is taken', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ speakerNotes: 'Old' }] });
+      await request(app).delete(`/api/decks/${deck.id}/slides/${slides[0].id}`).expect(200);
+      const item = await findTrashItem(i => i.slideId === slides[0].id);
+
+      const created = await request(app).post(`/api/decks/${deck.id}/slides`).send({ speakerNotes: 'New' }).expect(201);
+      expect(created.body.id).toBe(slides[0].id);
+
+      const res = await request(app).post(`/api/trash/${item.id}/restore`).expect(200);
+      expect(res.body.restored.slideId).toBe('slide-002');
+
+      const list = await request(app).get(`/api/decks/${deck.id}/slides`).expect(200);
+      expect(list.body.map(s => [s.id, s.speakerNotes])).toEqual([['slide-002', 'Old'], ['slide-001', 'New']]);
+    });
+
+    test('restores a deleted image with its original', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ speakerNotes: 'One', imageDescription: 'A cat' }] });
+      const [first] = await generate(deck.id, slides[0].id);
+      const [second] = await generate(deck.id, slides[0].id);
+      await request(app).put(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${second.id}/pin`).expect(200);
+      await request(app).delete(`/api/decks/${deck.id}/slides/${slides[0].id}/images/${first.id}`).expect(200);
+
+      // A newer image takes the next file number
+      await generate(deck.id, slides[0].id);
+
+      const item = await findTrashItem(i => i.imageId === first.id);
+      await request(app).post(`/api/trash/${item.id}/restore`).expect(200);
+
+      const slide = await request(app).get(`/api/decks/${deck.id}/slides/${slides[0].id}`).expect(200);
+      const restored = slide.body.generatedImages.find(img => img.id === first.id);
+      expect(restored.filename).toBe('image-004.jpg');
+      expect(restored.isPinned).toBe(false);
+      expect(slide.body.generatedImages.find(img => img.id === second.id).isPinned).toBe(true);
+
+      const imageUrl = `/api/decks/${deck.id}/slides/${slides[0].id}/images/${first.id}`;
+      await request(app).get(imageUrl).expect(200);
+      await request(app).get(`${imageUrl}/original`).expect(200);
+    });
+
+    test('refuses to restore a slide of a deleted deck', async () => {
+      const { deck, slides } = await createDeck(app, { slides: [{ speakerNotes: 'One' }] });
+      await request(app).delete(`/api/decks/${deck.id}/slides/${slides[0].id}`).expect(200);
+      await request(app).delete(`/api/decks/${deck.id}`).expect(200);
+
+      const item = await findTrashItem(i => i.type === 'slide' && i.deckId === deck.id);
+      await request(app).post(`/api/trash/${item.id}/restore`).expect(404);
+    });
+
+    test('returns 404 for unknown items', async () => {
+      await request(app).post('/api/trash/00000000-0000-4000-8000-000000000000/restore').expect(404);
+    });
+  });
+
+  describe('purge-trash', () => {
+    test('purges single items and empties the trash', async () => {
+      const { deck: first } = await createDeck(app);
+      const { deck: second } = await createDeck(app);
+      await request(app).delete(`/api/decks/${first.id}`).expect(200);
+      await request(app).delete(`/api/decks/${second.id}`).expect(200);
+
+      const item = await findTrashItem(i => i.deckId === first.id);
+      await request(app).delete(`/api/trash/${item.id}`).expect(200);
+      await request(app).delete(`/api/trash/${item.id}`).expect(404);
+
+      const res = await request(app).delete('/api/trash').expect(200);
+      expect(res.body.purged.items).toBe(1);
+      const list = await request(app).get('/api/trash').expect(200);
+      expect(list.body.items).toEqual([]);
+    });
+
+    test('purges items older than the retention period', async () => {
+      const { deck } = await createDeck(app);
+      await request(app).delete(`/api/decks/${deck.id}`).expect(200);
+
+      await request(app).put('/api/settings').send({ trashRetentionDays: null }).expect(200);
+      expect(await purgeTrashFromSettings()).toBeNull();
+
+      await request(app).put('/api/settings').send({ trashRetentionDays: 1 }).expect(200);
+      expect(await purgeTrashFromSettings()).toEqual({ items: 0, bytes: 0 });
+
+      await request(app).put('/api/settings').send({ trashRetentionDays: 0 }).expect(200);
+      const purged = await purgeTrashFromSettings();
+      expect(purged.items).toBe(1);
+      expect(await findTrashItem(i => i.deckId === deck.id)).toBeUndefined();
+
+      await request(app).put('/api/settings').send({ trashRetentionDays: 30 }).expect(200);
+    });
+  });
+});
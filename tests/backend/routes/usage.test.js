@@ -0,0 +1,106 @@
+import request from 'supertest';
+import app from '../../../backend/src/app.js';
+import { createDeck } from '../helpers.js';
+
+const today = new Date().toISOString().slice(0, 10);
+
+describe('Usage API', () => {
+  let deck;
+  let slides;
+
+  beforeAll(async () => {
+    ({ deck, slides } = await createDeck(app, {
+      name: 'Usage Deck',
+      slides: [{ speakerNotes: 'Quarterly results', imageDescription: 'A rising chart' }]
+    }));
+
+    await request(app)
+      .post(`/api/decks/${deck.id}/slides/${slides[0].id}/generate`)
+      .send({ count: 2, service: 'mock' })
+      .expect(200);
+    await request(app)
+      .post(`/api/decks/${deck.id}/slides/${slides[0].id}/generate-description`)
+      .send({})
+      .expect(200);
+  });
+
+  describe('record-usage', () => {
+    test('records image and description calls', async () => {
+      const res = await request(app).get(`/api/usage?deckId=${deck.id}`).expect(200);
+
+      expect(res.body.totals).toMatchObject({ calls: 3, failed: 0, images: 2, descriptions: 1 });
+      expect(res.body.byService.mock).toMatchObject({ calls: 3, images: 2, descriptions: 1 });
+      expect(res.body.byDeck).toEqual([expect.objectContaining({ deckId: deck.id, name: 'Usage Deck', calls: 3 })]);
+      expect(res.body.byDay).toEqual([expect.objectContaining({ date: today, images: 2 })]);
+    });
+
+    test('filters by deck and date range', async () => {
+      const other = await createDeck(app, { slides: [{ imageDescription: 'A boat' }] });
+      await request(app)
+        .post(`/api/decks/${other.deck.id}/slides/${other.slides[0].id}/generate`)
+        .send({ count: 1, service: 'mock' })
+        .expect(200);
+
+      const all = await request(app).get('/api/usage').expect(200);
+      expect(all.body.byDeck.map(d => d.deckId)).toEqual(expect.arrayContaining([deck.id, other.deck.id]));
+
+      const filtered = await request(app).get(`/api/usage?deckId=${other.deck.id}`).expect(200);
+      expect(filtered.body.totals.images).toBe(1);
+
+      const past = await request(app).get('/api/usage?from=2000-01-01&to=2000-01-31').expect(200);
+      expect(past.body.totals.calls).toBe(0);
+      expect(past.body.byDay).toEqual([]);
+    });
+
+    test('validates the query', async () => {
+      await request(app).get('/api/usage?from=yesterday').expect(400);
+      await request(app).get('/api/usage?from=2024-02-01&to=2024-01-01').expect(400);
+
+      // Well-formed but not real calendar days
+      const res = await request(app).get('/api/usage?to=2026-13-45').expect(400);
+      expect(res.body.error).toContain('to must be a date in YYYY-MM-DD format');
+      await request(app).get('/api/usage?from=2026-02-30').expect(400);
+      await request(app).get('/api/usage?from=2024-02-29&to=2024-03-01').expect(200);
+    });
+  });
+
+  describe('daily-budget', () => {
+    afterEach(async () => {
+      await request(app)
+        .put('/api/settings')
+        .send({ dailyImageBudget: null, dailyDescriptionBudget: null })
+        .expect(200);
+    });
+
+    test('blocks generate-all when the image budget would be exceeded', async () => {
+      const usage = await request(app).get('/api/usage').expect(200);
+      const used = usage.body.budget.images.used;
+
+      const settings = await request(app)
+        .put('/api/settings')
+        .send({ dailyImageBudget: used + 1 })
+        .expect(200);
+      expect(settings.body.usageBudgets).toEqual({ dailyImages: used + 1, dailyDescriptions: null });
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/generate-all`)
+        .send({ count: 2, service: 'mock' })
+        .expect(429);
+      expect(res.body.error).toMatch(/^Daily image budget exceeded/);
+      expect(res.body.budget).toMatchObject({ used, limit: used + 1, planned: 2 });
+    });
+
+    test('blocks description regeneration when the description budget is used up', async () => {
+      await request(app).put('/api/settings').send({ dailyDescriptionBudget: 0 }).expect(200);
+
+      const res = await request(app)
+        .post(`/api/decks/${deck.id}/regenerate-descriptions`)
+        .expect(429);
+      expect(res.body.error).toMatch(/^Daily description budget exceeded/);
+    });
+
+    test('rejects negative budgets', async () => {
+      await request(app).put('/api/settings').send({ dailyImageBudget: -1 }).expect(400);
+    });
+  });
+});
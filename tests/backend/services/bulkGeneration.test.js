@@ -0,0 +1,89 @@
+import { v4 as uuidv4 } from 'uuid';
+import * as bulkGeneration from '../../../backend/src/services/bulkGeneration.js';
+import * as fileSystem from '../../../backend/src/services/fileSystem.js';
+import * as jobManager from '../../../backend/src/services/jobManager.js';
+
+async function createDeckWithSlides(count) {
+  const deck = await fileSystem.createDeck('Resume Deck', 'Flat illustration', true);
+  const slides = [];
+  for (let i = 0; i < count; i++) {
+    slides.push(await fileSystem.createSlide(deck.id, `Slide ${i + 1}`, `Scene ${i + 1}`));
+  }
+  return { deck, slides };
+}
+
+/**
+ * Write a job to disk only, as if a previous server process had left it there
+ */
+async function savePersistedJob(deckId, status, slides) {
+  const job = {
+    jobId: uuidv4(),
+    deckId,
+    type: 'generate-all',
+    status,
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    config: { count: 1, service: 'mock' },
+    progress: null,
+    slides,
+    results: slides
+      .filter(entry => entry.status === 'success')
+      .map(entry => ({ slideId: entry.slideId, status: 'success', imageCount: 1 }))
+  };
+  await fileSystem.saveJobState(job);
+  return job.jobId;
+}
+
+async function waitForFinish(jobId, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!jobManager.getJob(jobId)?.completedAt) {
+    if (Date.now() > deadline) {
+      throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return jobManager.getJob(jobId);
+}
+
+describe('bulkGeneration', () => {
+  describe('resume-interrupted-jobs', () => {
+    test('retries interrupted slides and skips finished ones', async () => {
+      const { deck, slides } = await createDeckWithSlides(3);
+      const jobId = await savePersistedJob(deck.id, 'running', [
+        { slideId: slides[0].id, status: 'success' },
+        { slideId: slides[1].id, status: 'running' },
+        { slideId: slides[2].id, status: 'pending' }
+      ]);
+
+      await bulkGeneration.resumeInterruptedJobs();
+      const resumed = jobManager.getJob(jobId);
+      expect(resumed.resumedAt).toEqual(expect.any(String));
+      // The runner has not picked a slide yet: the interrupted one is pending again
+      expect(resumed.slides.map(entry => entry.status)).toEqual(['success', 'pending', 'pending']);
+
+      const job = await waitForFinish(jobId);
+      expect(job.status).toBe('completed');
+      expect(job.slides.map(entry => entry.status)).toEqual(['success', 'success', 'success']);
+
+      // The slide that had finished before the restart is not generated again
+      const saved = await fileSystem.getSlides(deck.id);
+      expect(saved.map(slide => slide.generatedImages.length)).toEqual([0, 1, 1]);
+    });
+
+    test('finishes jobs that were being cancelled as cancelled', async () => {
+      const { deck, slides } = await createDeckWithSlides(2);
+      const jobId = await savePersistedJob(deck.id, 'cancelling', [
+        { slideId: slides[0].id, status: 'success' },
+        { slideId: slides[1].id, status: 'running' }
+      ]);
+
+      await bulkGeneration.resumeInterruptedJobs();
+
+      const job = jobManager.getJob(jobId);
+      expect(job.status).toBe('cancelled');
+      expect(job.slides.map(entry => entry.status)).toEqual(['success', 'cancelled']);
+      const saved = await fileSystem.getSlides(deck.id);
+      expect(saved.map(slide => slide.generatedImages.length)).toEqual([0, 0]);
+    });
+  });
+});
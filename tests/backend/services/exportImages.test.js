@@ -0,0 +1,38 @@
+import sharp from 'sharp';
+import * as fileSystem from '../../../backend/src/services/fileSystem.js';
+import { loadExportImage } from '../../../backend/src/services/exportImages.js';
+import { processImage } from '../../../backend/src/services/imageProcessor.js';
+import { createTestImage } from '../helpers.js';
+
+describe('exportImages', () => {
+  async function addImage(originalBuffer) {
+    const deck = await fileSystem.createDeck('Export Images', 'Flat', true);
+    const slide = await fileSystem.createSlide(deck.id, 'One', 'A cat');
+    const processed = await processImage(originalBuffer, { aspectRatio: '16:9', resolution: '1K' });
+    const image = await fileSystem.addGeneratedImage(deck.id, slide.id, processed, {
+      id: `image-${Date.now()}`,
+      service: 'mock',
+      prompt: 'A cat',
+      crop: { strategy: 'center', focalPoint: null }
+    }, originalBuffer);
+    return { deckId: deck.id, slideId: slide.id, image };
+  }
+
+  test('uses the full-resolution original when it is kept', async () => {
+    const { deckId, slideId, image } = await addImage(await createTestImage(2560, 1920));
+
+    const output = await loadExportImage(fileSystem.getStorageDir(), deckId, slideId, image, '16:9');
+    const { width, height, format } = await sharp(output).metadata();
+    expect(format).toBe('jpeg');
+    expect(width).toBe(2560);
+    expect(width / height).toBeCloseTo(16 / 9, 2);
+  });
+
+  test('falls back to the processed image without an original', async () => {
+    const { deckId, slideId, image } = await addImage(await createTestImage(2560, 1920));
+
+    const output = await loadExportImage(fileSystem.getStorageDir(), deckId, slideId, { ...image, originalFilename: null }, '16:9');
+    const { width } = await sharp(output).metadata();
+    expect(width).toBe(1280);
+  });
+});
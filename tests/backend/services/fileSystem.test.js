@@ -0,0 +1,92 @@
+import * as fileSystem from '../../../backend/src/services/fileSystem.js';
+import { deckSchema } from '../../../backend/src/models/Deck.js';
+import { slideSchema } from '../../../backend/src/models/Slide.js';
+import { createTestImage } from '../helpers.js';
+
+async function createDeckWithSlide() {
+  const deck = await fileSystem.createDeck('File System Deck', 'Flat illustration', true);
+  const slide = await fileSystem.createSlide(deck.id, 'Notes', 'A cat');
+  return { deck, slide };
+}
+
+describe('fileSystem', () => {
+  describe('deck-crud', () => {
+    test('creates, reads, updates and deletes a deck', async () => {
+      const deck = await fileSystem.createDeck('CRUD Deck', 'Watercolor', true, { aspectRatio: '4:3' });
+      expect(deckSchema.validate(deck).error).toBeUndefined();
+      expect(deck).toMatchObject({ name: 'CRUD Deck', visualStyle: 'Watercolor', aspectRatio: '4:3', slides: [], isTest: true });
+      expect(await fileSystem.getDeck(deck.id)).toEqual(deck);
+      expect((await fileSystem.getAllDecks(true)).map(d => d.id)).toContain(deck.id);
+      // Test decks are hidden unless asked for
+      expect((await fileSystem.getAllDecks()).map(d => d.id)).not.toContain(deck.id);
+
+      const updated = await fileSystem.updateDeck(deck.id, { name: 'Renamed', promptTemplate: '' });
+      expect(updated).toMatchObject({ name: 'Renamed', visualStyle: 'Watercolor', promptTemplate: null });
+      expect(await fileSystem.getDeck(deck.id)).toEqual(updated);
+
+      await fileSystem.deleteDeck(deck.id);
+      await expect(fileSystem.getDeck(deck.id)).rejects.toThrow(`Deck not found: ${deck.id}`);
+      await expect(fileSystem.updateDeck(deck.id, { name: 'Gone' })).rejects.toThrow('not found');
+    });
+  });
+
+  describe('slide-crud', () => {
+    test('creates, reads, updates and deletes slides', async () => {
+      const { deck, slide } = await createDeckWithSlide();
+      const second = await fileSystem.createSlide(deck.id, 'Second', '', true);
+      expect(slideSchema.validate(slide).error).toBeUndefined();
+      expect([slide.id, second.id]).toEqual(['slide-001', 'slide-002']);
+      expect(second).toMatchObject({ order: 1, speakerNotes: 'Second', noImages: true });
+      expect((await fileSystem.getDeck(deck.id)).slides).toEqual([slide.id, second.id]);
+      expect(await fileSystem.getSlides(deck.id)).toEqual([slide, second]);
+
+      const updated = await fileSystem.updateSlide(deck.id, slide.id, { imageDescription: 'A dog', sceneStart: true });
+      expect(updated).toMatchObject({ speakerNotes: 'Notes', imageDescription: 'A dog', sceneStart: true });
+      expect(await fileSystem.getSlide(deck.id, slide.id)).toEqual(updated);
+
+      await fileSystem.deleteSlide(deck.id, slide.id);
+      expect((await fileSystem.getDeck(deck.id)).slides).toEqual([second.id]);
+      expect(await fileSystem.getSlide(deck.id, second.id)).toMatchObject({ order: 0 });
+      await expect(fileSystem.getSlide(deck.id, slide.id)).rejects.toThrow('not found');
+      await expect(fileSystem.deleteSlide(deck.id, slide.id)).rejects.toThrow('Slide not found in deck');
+    });
+  });
+
+  describe('slide-lock', () => {
+    test('keeps images saved while the slide is updated or reordered', async () => {
+      const { deck, slide } = await createDeckWithSlide();
+      const other = await fileSystem.createSlide(deck.id, 'Other');
+      const image = await createTestImage();
+
+      await Promise.all([
+        ...Array.from({ length: 5 }, () => fileSystem.addGeneratedImage(deck.id, slide.id, image, { service: 'mock', prompt: 'A cat' })),
+        fileSystem.updateSlide(deck.id, slide.id, { speakerNotes: 'Updated notes' }),
+        fileSystem.reorderSlides(deck.id, [other.id, slide.id]),
+        fileSystem.updateSlide(deck.id, slide.id, { imageDescription: 'A dog' })
+      ]);
+
+      const saved = await fileSystem.getSlide(deck.id, slide.id);
+      expect(saved).toMatchObject({ speakerNotes: 'Updated notes', imageDescription: 'A dog', order: 1 });
+      expect(saved.generatedImages).toHaveLength(5);
+      expect(new Set(saved.generatedImages.map(img => img.filename)).size).toBe(5);
+    });
+
+    test('keeps images saved while slides are inserted or deleted before them', async () => {
+      const { deck, slide: first } = await createDeckWithSlide();
+      const last = await fileSystem.createSlide(deck.id, 'Last');
+      const image = await createTestImage();
+
+      const saveImages = () => Array.from({ length: 3 }, () =>
+        fileSystem.addGeneratedImage(deck.id, last.id, image, { service: 'mock', prompt: 'A cat' })
+      );
+
+      await Promise.all([...saveImages(), fileSystem.insertSlides(deck.id, [{ speakerNotes: 'Inserted' }])]);
+      await Promise.all([...saveImages(), fileSystem.insertSlides(deck.id, [{ speakerNotes: 'Inserted first' }], first.id)]);
+      await Promise.all([...saveImages(), fileSystem.deleteSlide(deck.id, first.id)]);
+
+      const saved = await fileSystem.getSlide(deck.id, last.id);
+      expect(saved.generatedImages).toHaveLength(9);
+      expect(saved.order).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import * as fileSystem from '../../../backend/src/services/fileSystem.js';
+import { importFromGoogleSlides } from '../../../backend/src/services/googleSlidesImport.js';
+
+const URL = 'https://docs.google.com/presentation/d/abc-123_XYZ/edit#slide=id.p';
+
+function textShape(objectId, text, placeholderType = null) {
+  return {
+    objectId,
+    shape: {
+      ...(placeholderType && { placeholder: { type: placeholderType } }),
+      text: { textElements: text.split(/(?<=\n)/).map(content => ({ textRun: { content } })) }
+    }
+  };
+}
+
+function page(pageElements, notes = null) {
+  return {
+    pageElements,
+    slideProperties: {
+      notesPage: {
+        notesProperties: { speakerNotesObjectId: 'notes' },
+        pageElements: [
+          textShape('thumbnail', 'Slide image', 'SLIDE_IMAGE'),
+          ...(notes !== null ? [textShape('notes', notes, 'BODY')] : [])
+        ]
+      }
+    }
+  };
+}
+
+// Slides API client stub returning a fixed presentation
+function stubClient(presentation) {
+  const calls = [];
+  return {
+    calls,
+    presentations: {
+      get: async (params) => {
+        calls.push(params);
+        return { data: presentation };
+      }
+    }
+  };
+}
+
+const presentation = {
+  title: 'Product Launch',
+  pageSize: { width: { magnitude: 9144000, unit: 'EMU' }, height: { magnitude: 6858000, unit: 'EMU' } },
+  slides: [
+    page([textShape('title', 'Launch\n', 'TITLE'), textShape('number', '1\n', 'SLIDE_NUMBER')], 'Captain Nova opens the show\n'),
+    page([
+      textShape('title', 'Agenda\n', 'TITLE'),
+      { objectId: 'group', elementGroup: { children: [textShape('body', 'Pricing\nRoadmap\n')] } }
+    ])
+  ]
+};
+
+describe('googleSlidesImport', () => {
+  beforeAll(async () => {
+    await fileSystem.addGlobalEntity('Captain-Nova', Buffer.from('image'), 'jpg');
+  });
+
+  afterAll(async () => {
+    await fileSystem.removeGlobalEntity('Captain-Nova');
+  });
+
+  test('creates one slide per page with speaker notes', async () => {
+    const slidesClient = stubClient(presentation);
+
+    const { deck, slides } = await importFromGoogleSlides(URL, { slidesClient });
+
+    expect(slidesClient.calls).toEqual([{ presentationId: 'abc-123_XYZ' }]);
+    expect(deck).toMatchObject({ name: 'Product Launch', aspectRatio: '4:3' });
+    expect(deck.slides).toEqual(slides.map(slide => slide.id));
+    expect(slides.map(slide => slide.speakerNotes)).toEqual([
+      '@Captain-Nova opens the show',
+      // Pages without notes use their own text
+      'Agenda\nPricing\nRoadmap'
+    ]);
+
+    // Stored as returned
+    expect(await fileSystem.getDeck(deck.id)).toEqual(deck);
+    expect(await fileSystem.getSlides(deck.id)).toEqual(slides);
+  });
+
+  test('uses the given options', async () => {
+    const { deck } = await importFromGoogleSlides(URL, {
+      slidesClient: stubClient(presentation),
+      name: 'Launch Deck',
+      visualStyle: 'Watercolor',
+      aspectRatio: '16:9'
+    });
+
+    expect(deck).toMatchObject({ name: 'Launch Deck', visualStyle: 'Watercolor', aspectRatio: '16:9' });
+  });
+
+  test('reports presentations that cannot be read', async () => {
+    const slidesClient = {
+      presentations: {
+        get: async () => {
+          const error = new Error('Requested entity was not found.');
+          error.code = 404;
+          throw error;
+        }
+      }
+    };
+
+    await expect(importFromGoogleSlides(URL, { slidesClient })).rejects.toMatchObject({ status: 404 });
+    await expect(importFromGoogleSlides(URL, { slidesClient: stubClient({ slides: [] }) }))
+      .rejects.toMatchObject({ status: 400, message: 'The presentation has no slides' });
+  });
+});
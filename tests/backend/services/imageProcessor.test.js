@@ -0,0 +1,81 @@
+import sharp from 'sharp';
+import { processImage, validateImage } from '../../../backend/src/services/imageProcessor.js';
+import { getImageDimensions } from '../../../backend/src/utils/imageFormat.js';
+import { createTestImage } from '../helpers.js';
+
+describe('imageProcessor', () => {
+  describe('enforce-aspect-ratio', () => {
+    test('center-crops to 16:9 by default', async () => {
+      const output = await processImage(await createTestImage(2000, 2000));
+      const { width, height } = await sharp(output).metadata();
+      expect(width / height).toBeCloseTo(16 / 9, 2);
+    });
+
+    test('crops to the requested aspect ratio', async () => {
+      const source = await createTestImage(1920, 1080);
+
+      for (const [aspectRatio, expected] of [['4:3', 4 / 3], ['1:1', 1], ['9:16', 9 / 16]]) {
+        const output = await processImage(source, { aspectRatio });
+        const { width, height } = await sharp(output).metadata();
+        expect(width / height).toBeCloseTo(expected, 2);
+      }
+    });
+
+    test('keeps the focal point in frame', async () => {
+      // Left half red, right half blue
+      const source = await sharp({
+        create: { width: 1600, height: 900, channels: 3, background: '#ff0000' }
+      })
+        .composite([{ input: await createTestImage(800, 900, '#0000ff'), left: 800, top: 0 }])
+        .png()
+        .toBuffer();
+
+      const left = await processImage(source, { aspectRatio: '1:1', focalPoint: { x: 0, y: 0.5 } });
+      const right = await processImage(source, { aspectRatio: '1:1', focalPoint: { x: 1, y: 0.5 } });
+
+      const { dominant: leftColor } = await sharp(left).stats();
+      const { dominant: rightColor } = await sharp(right).stats();
+      expect(leftColor.r).toBeGreaterThan(leftColor.b);
+      expect(rightColor.b).toBeGreaterThan(rightColor.r);
+    });
+
+    test('supports smart crop strategies', async () => {
+      const output = await processImage(await createTestImage(1920, 1080), { aspectRatio: '1:1', cropStrategy: 'attention' });
+      expect(await sharp(output).metadata()).toMatchObject({ width: 1080, height: 1080 });
+    });
+
+    test('fits the target resolution without upscaling', async () => {
+      const large = await processImage(await createTestImage(3000, 3000), { aspectRatio: '1:1', resolution: '2K' });
+      expect(await sharp(large).metadata()).toMatchObject({ width: 1920, height: 1920 });
+
+      const small = await processImage(await createTestImage(1024, 1024), { aspectRatio: '1:1', resolution: '4K' });
+      expect(await sharp(small).metadata()).toMatchObject({ width: 1024, height: 1024 });
+    });
+
+    test('uses the long edge for portrait dimensions', () => {
+      expect(getImageDimensions('16:9', '2K')).toEqual({ width: 1920, height: 1080 });
+      expect(getImageDimensions('9:16', '2K')).toEqual({ width: 1080, height: 1920 });
+      expect(getImageDimensions('4:3', '1K')).toEqual({ width: 1280, height: 960 });
+    });
+  });
+
+  describe('format-conversion', () => {
+    test('converts PNG input to JPEG', async () => {
+      const output = await processImage(await createTestImage(1280, 720));
+      expect((await sharp(output).metadata()).format).toBe('jpeg');
+    });
+  });
+
+  describe('validation', () => {
+    test('rejects images below the minimum short edge', async () => {
+      await expect(processImage(await createTestImage(1920, 600))).rejects.toThrow(/too small/);
+    });
+
+    test('validates dimensions', async () => {
+      expect(await validateImage(await createTestImage(768, 1344))).toBe(true);
+      expect(await validateImage(await createTestImage(640, 480))).toBe(false);
+      expect(await validateImage(await createTestImage(4000, 2000))).toBe(false);
+      expect(await validateImage(Buffer.from('not an image'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import * as jobManager from '../../../backend/src/services/jobManager.js';
+import { getStorageDir } from '../../../backend/src/services/fileSystem.js';
+
+const DECK_ID = '11111111-1111-4111-8111-111111111111';
+
+function jobPath(jobId) {
+  return path.join(getStorageDir(), `deck-${DECK_ID}`, 'jobs', `${jobId}.json`);
+}
+
+async function readJobFile(jobId) {
+  return JSON.parse(await fs.readFile(jobPath(jobId), 'utf8'));
+}
+
+describe('jobManager', () => {
+  describe('create-job', () => {
+    test('creates a running job and persists it', async () => {
+      const job = await jobManager.createJob(DECK_ID, 'generate-all', { count: 2, service: 'mock' }, ['slide-001', 'slide-002']);
+
+      expect(job).toMatchObject({
+        deckId: DECK_ID,
+        type: 'generate-all',
+        status: 'running',
+        completedAt: null,
+        progress: { total: 2, completed: 0, failed: 0, cancelled: 0, pending: 2 },
+        slides: [
+          { slideId: 'slide-001', status: 'pending' },
+          { slideId: 'slide-002', status: 'pending' }
+        ],
+        results: []
+      });
+      expect(jobManager.getJob(job.jobId)).toBe(job);
+      expect((await readJobFile(job.jobId)).jobId).toBe(job.jobId);
+    });
+  });
+
+  describe('update-progress', () => {
+    test('tracks slide results, progress and events', async () => {
+      const job = await jobManager.createJob(DECK_ID, 'generate-all', { count: 1, service: 'mock' }, ['slide-001', 'slide-002']);
+      const events = [];
+      const unsubscribe = jobManager.subscribeToJob(job.jobId, event => events.push(event.type));
+
+      await jobManager.updateSlideStatus(job, 'slide-001', { status: 'running' });
+      await jobManager.updateSlideStatus(job, 'slide-001', { status: 'success', imageCount: 1 });
+      await jobManager.updateSlideStatus(job, 'slide-002', { status: 'failed', error: 'boom' });
+      await jobManager.finishJob(job, 'completed');
+      unsubscribe();
+
+      expect(job.progress).toEqual({ total: 2, completed: 1, failed: 1, cancelled: 0, pending: 0 });
+      expect(job.results).toEqual([
+        { slideId: 'slide-001', status: 'success', imageCount: 1 },
+        { slideId: 'slide-002', status: 'failed', error: 'boom' }
+      ]);
+      expect(events).toEqual(['slide-started', 'slide-completed', 'slide-failed', 'done']);
+
+      const saved = await readJobFile(job.jobId);
+      expect(saved.status).toBe('completed');
+      expect(saved.completedAt).toEqual(expect.any(String));
+    });
+
+    test('rejects slides that are not part of the job', async () => {
+      const job = await jobManager.createJob(DECK_ID, 'generate-all', { count: 1, service: 'mock' }, ['slide-001']);
+      await expect(jobManager.updateSlideStatus(job, 'slide-999', { status: 'running' }))
+        .rejects.toThrow('Slide not found in job: slide-999');
+    });
+  });
+
+  describe('cleanup', () => {
+    test('removes jobs finished more than an hour ago', async () => {
+      const oldJob = await jobManager.createJob(DECK_ID, 'generate-all', { count: 1, service: 'mock' }, ['slide-001']);
+      const recentJob = await jobManager.createJob(DECK_ID, 'generate-all', { count: 1, service: 'mock' }, ['slide-001']);
+      await jobManager.finishJob(oldJob, 'completed');
+      await jobManager.finishJob(recentJob, 'completed');
+      oldJob.completedAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+      await jobManager.pruneJobs();
+
+      expect(jobManager.getJob(oldJob.jobId)).toBeNull();
+      await expect(fs.access(jobPath(oldJob.jobId))).rejects.toThrow();
+      expect(jobManager.getJob(recentJob.jobId)).toBe(recentJob);
+    });
+
+    test('loadJobs returns jobs interrupted while running', async () => {
+      const running = await jobManager.createJob(DECK_ID, 'generate-missing', { count: 1, service: 'mock' }, ['slide-001']);
+
+      const interrupted = await jobManager.loadJobs();
+      expect(interrupted.map(job => job.jobId)).toContain(running.jobId);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { diffSlides, getTextSimilarity } from '../../../backend/src/services/textSync.js';
+
+const current = (id, speakerNotes, images = 0) => ({
+  id,
+  speakerNotes,
+  generatedImages: Array.from({ length: images }, (_, index) => ({ id: `img-${index}` }))
+});
+
+describe('textSync', () => {
+  describe('text-similarity', () => {
+    test('compares words regardless of case and punctuation', () => {
+      expect(getTextSimilarity('The cat sat.', 'the cat sat')).toBe(1);
+      expect(getTextSimilarity('The cat sat', 'The dog ran')).toBeCloseTo(1 / 3);
+      expect(getTextSimilarity('', '')).toBe(1);
+      expect(getTextSimilarity('Hello', '')).toBe(0);
+    });
+  });
+
+  describe('diff-slides', () => {
+    test('matches edited slides and finds inserts and removals', () => {
+      const changes = diffSlides(
+        [
+          current('slide-001', 'Welcome to the launch'),
+          current('slide-002', 'Our product solves scheduling for small teams', 2),
+          current('slide-003', 'Pricing starts at ten dollars'),
+          current('slide-004', 'Thank you for listening')
+        ],
+        [
+          { speakerNotes: 'Welcome  to the launch' },
+          { speakerNotes: 'A brand new roadmap section' },
+          { speakerNotes: 'Our product solves scheduling for growing teams' },
+          { speakerNotes: 'Thank you for listening' }
+        ]
+      );
+
+      expect(changes.map(change => [change.type, change.slideId])).toEqual([
+        ['unchanged', 'slide-001'],
+        ['insert', undefined],
+        ['update', 'slide-002'],
+        ['remove', 'slide-003'],
+        ['unchanged', 'slide-004']
+      ]);
+      expect(changes[1].slide.speakerNotes).toBe('A brand new roadmap section');
+      expect(changes[2]).toMatchObject({
+        before: 'Our product solves scheduling for small teams',
+        after: 'Our product solves scheduling for growing teams'
+      });
+      expect(changes[2].rewritten).toBeUndefined();
+    });
+
+    test('updates a slide rewritten at the same position', () => {
+      const changes = diffSlides(
+        [
+          current('slide-001', 'Welcome to the launch'),
+          current('slide-002', 'Pricing starts at ten dollars', 2),
+          current('slide-003', 'Thank you for listening')
+        ],
+        [
+          { speakerNotes: 'Welcome to the launch' },
+          { speakerNotes: 'Plans cost less than a lunch per month' },
+          { speakerNotes: 'Thank you for listening' },
+          { speakerNotes: 'Questions?' }
+        ]
+      );
+
+      expect(changes.map(change => [change.type, change.slideId])).toEqual([
+        ['unchanged', 'slide-001'],
+        ['update', 'slide-002'],
+        ['unchanged', 'slide-003'],
+        ['insert', undefined]
+      ]);
+      expect(changes[1]).toMatchObject({
+        before: 'Pricing starts at ten dollars',
+        after: 'Plans cost less than a lunch per month',
+        rewritten: true
+      });
+    });
+
+    test('keeps slides matched in order when slides move', () => {
+      const changes = diffSlides(
+        [current('slide-001', 'Alpha intro text'), current('slide-002', 'Beta details text')],
+        [{ speakerNotes: 'Beta details text' }, { speakerNotes: 'Alpha intro text' }]
+      );
+
+      // Moving a slide is a removal plus an insert: only one of the two can stay matched
+      expect(changes.filter(change => change.type === 'unchanged')).toHaveLength(1);
+      expect(changes.filter(change => change.type === 'insert')).toHaveLength(1);
+      expect(changes.filter(change => change.type === 'remove')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,25 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+/**
+ * Test setup (runs once per test file)
+ * Points STORAGE_PATH at a fresh temp directory and makes sure no test
+ * ever calls a real AI service
+ */
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-image-decks-test-'));
+process.env.STORAGE_PATH = storageDir;
+process.env.MOCK_DESCRIPTIONS = 'true';
+delete process.env.GEMINI_API_KEY;
+delete process.env.OPENAI_API_KEY;
+
+// Routes log heavily; keep test output readable
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+afterAll(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
@@ -0,0 +1,94 @@
+import {
+  executeInParallel,
+  executeWithProgress,
+  generateImagesForSlides
+} from '../../../backend/src/utils/asyncPool.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('asyncPool', () => {
+  describe('parallel-execution', () => {
+    test('runs tasks and keeps results in input order', async () => {
+      const tasks = [30, 10, 20].map((ms, i) => async () => {
+        await delay(ms);
+        return i;
+      });
+
+      const results = await executeInParallel(tasks, 3);
+      expect(results.map(r => r.data)).toEqual([0, 1, 2]);
+      expect(results.every(r => r.status === 'success')).toBe(true);
+    });
+  });
+
+  describe('concurrency-limit', () => {
+    test('never runs more tasks than the limit', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const tasks = Array.from({ length: 8 }, () => async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay(5);
+        running--;
+      });
+
+      await executeInParallel(tasks, 2);
+      expect(maxRunning).toBe(2);
+    });
+  });
+
+  describe('partial-failures', () => {
+    test('reports failures without stopping other tasks', async () => {
+      const tasks = [
+        async () => 'ok',
+        async () => { throw new Error('API rate limit exceeded'); },
+        async () => 'also ok'
+      ];
+
+      const results = await executeInParallel(tasks, 2);
+      expect(results.map(r => r.status)).toEqual(['success', 'failed', 'success']);
+      expect(results[1].error).toBe('API rate limit exceeded');
+    });
+
+    test('skips tasks when shouldRun resolves false', async () => {
+      let started = 0;
+      const tasks = Array.from({ length: 3 }, () => async () => { started++; });
+      let allowed = 1;
+
+      const results = await executeInParallel(tasks, 1, { shouldRun: async () => allowed-- > 0 });
+      expect(started).toBe(1);
+      expect(results.map(r => r.status)).toEqual(['success', 'cancelled', 'cancelled']);
+    });
+
+    test('reports progress for every task', async () => {
+      const progress = [];
+      await executeWithProgress(
+        [async () => 1, async () => { throw new Error('nope'); }],
+        (completed, total) => progress.push(`${completed}/${total}`),
+        1
+      );
+      expect(progress).toEqual(['1/2', '2/2']);
+    });
+  });
+
+  describe('bulk-generation', () => {
+    test('groups results by slide', async () => {
+      const slides = [{ id: 'slide-001' }, { id: 'slide-002' }];
+      const summary = await generateImagesForSlides(slides, async slideId => {
+        if (slideId === 'slide-002') {
+          throw new Error('No description provided');
+        }
+        return ['image-001.jpg'];
+      });
+
+      expect(summary).toEqual({
+        total: 2,
+        successful: 1,
+        failed: 1,
+        results: [
+          { slideId: 'slide-001', status: 'success', images: ['image-001.jpg'], error: null },
+          { slideId: 'slide-002', status: 'failed', images: null, error: 'No description provided' }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,252 @@
+import {
+  parseEntityReferences,
+  buildFullPrompt,
+  renderPromptTemplate,
+  truncateAtWord,
+  getUnknownPlaceholders,
+  extractEntityReferences,
+  addEntityReferences,
+  validateEntityReferences,
+  suggestEntities,
+  findEntity,
+  getReferencedEntityImages
+} from '../../../backend/src/utils/promptParser.js';
+
+const entities = {
+  'The-Office': { name: 'The-Office', images: ['The-Office.png'] },
+  Hero: { name: 'Hero', images: ['Hero.jpg', 'Hero-2.jpg'] },
+  Herald: { name: 'Herald', images: ['Herald.png'] }
+};
+
+describe('promptParser', () => {
+  describe('parse-entity-references', () => {
+    test('replaces a reference with a readable name', () => {
+      const result = parseEntityReferences('Inside @The-Office at night', entities);
+      expect(result).toEqual({ parsedText: 'Inside The Office at night', unknownEntities: [] });
+    });
+
+    test('matches entity names case-insensitively', () => {
+      expect(parseEntityReferences('@hero waves', entities).parsedText).toBe('Hero waves');
+    });
+
+    test('handles empty text', () => {
+      expect(parseEntityReferences('', entities)).toEqual({ parsedText: '', unknownEntities: [] });
+    });
+  });
+
+  describe('multiple-references', () => {
+    test('replaces every reference', () => {
+      const { parsedText } = parseEntityReferences('@Hero and @Herald in @The-Office, @Hero smiles', entities);
+      expect(parsedText).toBe('Hero and Herald in The Office, Hero smiles');
+    });
+
+    test('extracts unique references in order', () => {
+      expect(extractEntityReferences('@Hero, @Herald and @Hero')).toEqual(['Hero', 'Herald']);
+    });
+  });
+
+  describe('unknown-entity', () => {
+    test('keeps unknown references and reports them once', () => {
+      const result = parseEntityReferences('@Villain meets @Hero and @Villain', entities);
+      expect(result.parsedText).toBe('@Villain meets Hero and @Villain');
+      expect(result.unknownEntities).toEqual(['Villain']);
+    });
+
+    test('validateEntityReferences lists unknown names', () => {
+      expect(validateEntityReferences('@Hero @Ghost', entities)).toEqual(['Ghost']);
+    });
+  });
+
+  describe('build-full-prompt', () => {
+    test('joins style, description and format guidance', () => {
+      const { prompt, unknownEntities } = buildFullPrompt('Watercolor', '@Hero on a hill', entities);
+      expect(prompt).toBe('Watercolor. Hero on a hill. 16:9 aspect ratio, presentation quality, detailed, professional.');
+      expect(unknownEntities).toEqual([]);
+    });
+
+    test('uses the deck aspect ratio', () => {
+      const { prompt } = buildFullPrompt('Watercolor', 'A hill', {}, [], { aspectRatio: '9:16' });
+      expect(prompt).toBe('Watercolor. A hill. 9:16 aspect ratio, presentation quality, detailed, professional.');
+    });
+
+    test('mentions theme images', () => {
+      const { prompt } = buildFullPrompt('', 'A hill', {}, ['theme-1.png', 'theme-2.png']);
+      expect(prompt).toContain('(2 theme images available)');
+    });
+
+    test('throws when style and description are empty', () => {
+      expect(() => buildFullPrompt('  ', '', {})).toThrow('both visual style and image description are empty');
+      expect(() => buildFullPrompt('', '', {}, ['theme.png'])).toThrow('both visual style and image description are empty');
+    });
+
+    test('shortens the style first when the prompt is too long', () => {
+      const style = 'Ornate baroque oil painting with gilded frames, '.repeat(50);
+      const { prompt, truncation, warnings } = buildFullPrompt(style, 'A lighthouse at dusk', {});
+      expect(prompt.length).toBeLessThanOrEqual(2000);
+      expect(prompt).toMatch(/^Ornate baroque/);
+      expect(prompt).toContain('. A lighthouse at dusk. 16:9 aspect ratio');
+      expect(truncation).toEqual({ originalLength: expect.any(Number), maxLength: 2000, shortened: ['style'] });
+      expect(truncation.originalLength).toBeGreaterThan(2000);
+      expect(warnings).toEqual([expect.stringMatching(/^Prompt shortened from \d+ to \d+ characters \(max 2000\)/)]);
+    });
+
+    test('shortens the description after the style and honors custom limits', () => {
+      const { prompt, truncation } = buildFullPrompt('Watercolor', 'word '.repeat(100), {}, [], { maxLength: 200 });
+      expect(prompt.length).toBeLessThanOrEqual(200);
+      expect(truncation.shortened).toEqual(['style', 'description']);
+      expect(prompt).toMatch(/^word word/);
+
+      const unlimited = buildFullPrompt('x'.repeat(1000), 'y'.repeat(1000), {}, [], { maxLength: null });
+      expect(unlimited.prompt.length).toBeGreaterThan(2000);
+      expect(unlimited.truncation).toBeNull();
+      expect(unlimited.warnings).toEqual([]);
+    });
+
+    test('fills a custom template', () => {
+      const { prompt, negativePrompt } = buildFullPrompt('Watercolor', '@Hero in @The-Office', entities, [], {
+        template: 'Scene: {scene}. {description}. {entities}. Style: {style}',
+        sceneStyle: 'Night city.',
+        negativePrompt: '  text, watermarks  '
+      });
+      expect(prompt).toBe(
+        'Scene: Night city. Hero in The Office. Keep the appearance of Hero, The Office consistent with the provided reference images. Style: Watercolor'
+      );
+      expect(negativePrompt).toBe('text, watermarks');
+    });
+  });
+
+  describe('truncate-at-word', () => {
+    test('cuts at a word boundary without trailing punctuation', () => {
+      expect(truncateAtWord('Soft pastel colors, loose brush strokes', 22)).toBe('Soft pastel colors');
+      expect(truncateAtWord('Short', 10)).toBe('Short');
+      expect(truncateAtWord('x'.repeat(20), 5)).toBe('xxxxx');
+      expect(truncateAtWord('Anything', -3)).toBe('');
+    });
+  });
+
+  describe('prompt-template', () => {
+    test('drops empty placeholders with their separator', () => {
+      const template = '{style}. {theme}. {description}. Done.';
+      expect(renderPromptTemplate(template, { style: '', theme: '', description: 'A hill.' })).toBe('A hill. Done.');
+      expect(renderPromptTemplate('{description}, {scene}', { description: 'A hill', scene: '' })).toBe('A hill');
+    });
+
+    test('lists unknown placeholders', () => {
+      expect(getUnknownPlaceholders('{style} {mood} {Style} {mood}')).toEqual(['mood', 'Style']);
+      expect(getUnknownPlaceholders(null)).toEqual([]);
+    });
+  });
+
+  describe('add-entity-references', () => {
+    test('turns plain entity names into references', () => {
+      expect(addEntityReferences('Hero walks into The Office', entities))
+        .toBe('@Hero walks into @The-Office');
+      expect(addEntityReferences('Welcome to The Office, Herald!', entities))
+        .toBe('Welcome to @The-Office, @Herald!');
+    });
+
+    test('leaves other casings, existing references and partial words alone', () => {
+      expect(addEntityReferences('the hero walks into the office', entities))
+        .toBe('the hero walks into the office');
+      expect(addEntityReferences('@Hero meets Heroes and Hero-like people', entities))
+        .toBe('@Hero meets Heroes and Hero-like people');
+      expect(addEntityReferences('', entities)).toBe('');
+      expect(addEntityReferences('Hero', {})).toBe('Hero');
+    });
+  });
+
+  describe('suggest-entities', () => {
+    test('ranks exact and prefix matches first', () => {
+      expect(suggestEntities('her', entities).map(s => s.name)).toEqual(['Herald', 'Hero']);
+      expect(suggestEntities('hero', entities)[0]).toEqual({ name: 'Hero', displayName: 'Hero' });
+      expect(suggestEntities('', entities)).toHaveLength(3);
+    });
+  });
+
+  describe('referenced-entity-images', () => {
+    test('returns the first image of each known entity', () => {
+      expect(getReferencedEntityImages('@the-office with @Hero and @Ghost', entities, 'deck-1')).toEqual([
+        { entityName: 'The-Office', imageFilename: 'The-Office.png', imageLabel: null, displayName: 'The Office' },
+        { entityName: 'Hero', imageFilename: 'Hero.jpg', imageLabel: null, displayName: 'Hero' }
+      ]);
+    });
+  });
+
+  describe('entity-aliases', () => {
+    const people = {
+      'Robert-Smith': {
+        name: 'Robert-Smith',
+        images: ['Robert-Smith.jpg'],
+        aliases: ['Bob', 'Bobby'],
+        description: 'a tall man with a grey beard'
+      },
+      Bob: { name: 'Bob', images: ['Bob.jpg'] }
+    };
+
+    test('resolves an alias to the entity', () => {
+      expect(findEntity('bobby', people).key).toBe('Robert-Smith');
+      expect(findEntity('Robert-Smith', people).key).toBe('Robert-Smith');
+    });
+
+    test('prefers an entity name over an alias', () => {
+      expect(findEntity('Bob', people).key).toBe('Bob');
+    });
+
+    test('adds the description to the first mention only', () => {
+      const { parsedText } = parseEntityReferences('@Bobby meets @Robert-Smith', people);
+      expect(parsedText).toBe('Robert Smith (a tall man with a grey beard) meets Robert Smith');
+    });
+
+    test('lists an entity referenced by name and alias once', () => {
+      const result = buildFullPrompt('', '@Bobby and @Robert-Smith', people, [], { template: '{description}. {entities}' });
+      expect(result.prompt).toBe(
+        'Robert Smith (a tall man with a grey beard) and Robert Smith. ' +
+        'Keep the appearance of Robert Smith consistent with the provided reference images'
+      );
+    });
+
+    test('turns plain mentions of aliases into references', () => {
+      expect(addEntityReferences('Bobby said hi', people)).toBe('@Bobby said hi');
+    });
+
+    test('suggests aliases with the entity name', () => {
+      expect(suggestEntities('bobb', people)).toEqual([{ name: 'Bobby', displayName: 'Bobby (Robert Smith)' }]);
+    });
+  });
+
+  describe('entity-image-modes', () => {
+    const robot = {
+      name: 'Robot',
+      images: ['front.jpg', 'side.jpg', 'back.jpg'],
+      imageLabels: { 'side.jpg': 'side-profile', 'back.jpg': 'from-behind' }
+    };
+    const filenames = (text, entity) => getReferencedEntityImages(text, { Robot: entity }).map(image => image.imageFilename);
+
+    test('uses the first image by default', () => {
+      expect(filenames('@Robot waves', robot)).toEqual(['front.jpg']);
+    });
+
+    test('uses every image in "all" mode', () => {
+      expect(filenames('@Robot waves', { ...robot, imageMode: 'all' })).toEqual(['front.jpg', 'side.jpg', 'back.jpg']);
+    });
+
+    test('picks the image whose label matches the text in "best" mode', () => {
+      const best = { ...robot, imageMode: 'best' };
+      expect(filenames('@Robot walking away, seen from behind', best)).toEqual(['back.jpg']);
+      expect(filenames('@Robot waves', best)).toEqual(['front.jpg']);
+    });
+
+    test('picks a labelled image from the reference', () => {
+      const images = getReferencedEntityImages('@Robot:Side-Profile looks on', { Robot: { ...robot, imageMode: 'all' } });
+      expect(images).toEqual([
+        { entityName: 'Robot', imageFilename: 'side.jpg', imageLabel: 'side-profile', displayName: 'Robot' }
+      ]);
+      expect(parseEntityReferences('@Robot:side-profile looks on', { Robot: robot }).parsedText).toBe('Robot looks on');
+    });
+
+    test('falls back to the image mode for an unknown label', () => {
+      expect(filenames('@Robot:top-down', robot)).toEqual(['front.jpg']);
+      expect(extractEntityReferences('@Robot:top-down')).toEqual(['Robot']);
+    });
+  });
+});
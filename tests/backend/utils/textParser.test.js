@@ -0,0 +1,128 @@
+import { parseTextToSlides, parseMarkdownToSlides, parseSlides, extractEntityNames } from '../../../backend/src/utils/textParser.js';
+
+describe('textParser', () => {
+  describe('parse-text-to-slides', () => {
+    test('bullets become image slides, plain lines become scene starts', () => {
+      expect(parseTextToSlides('Act one\n- The hero wakes up\n* Coffee\n\nAct two')).toEqual([
+        { text: 'Act one', noImages: true, sceneStart: true },
+        { text: 'The hero wakes up', noImages: false, sceneStart: false },
+        { text: 'Coffee', noImages: false, sceneStart: false },
+        { text: 'Act two', noImages: true, sceneStart: true }
+      ]);
+    });
+
+    test('strips numbered list markers', () => {
+      expect(parseTextToSlides('1. First\n2) Second').map(s => s.text)).toEqual(['First', 'Second']);
+    });
+
+    test('converts ~name to @name', () => {
+      expect(parseTextToSlides('- ~Hero meets ~The-Office')[0].text).toBe('@Hero meets @The-Office');
+    });
+
+    test('returns an empty list for empty input', () => {
+      expect(parseTextToSlides('')).toEqual([]);
+      expect(parseTextToSlides(null)).toEqual([]);
+      expect(parseTextToSlides('\n  \n\n')).toEqual([]);
+    });
+  });
+
+  describe('parse-markdown-to-slides', () => {
+    const slide = (fields) => ({
+      speakerNotes: '',
+      imageDescription: '',
+      noImages: false,
+      sceneStart: false,
+      sceneVisualStyle: null,
+      ...fields
+    });
+
+    test('maps headings, bullets, nested bullets and quotes', () => {
+      const markdown = [
+        '# Act one',
+        '',
+        '- The hero wakes up',
+        '  - Talk about mornings',
+        '  - Keep it short',
+        '  > A sleepy ~Hero in bed, morning light',
+        '- Coffee',
+        '',
+        '## Act two'
+      ].join('\n');
+
+      expect(parseMarkdownToSlides(markdown)).toEqual([
+        slide({ speakerNotes: 'Act one', noImages: true, sceneStart: true }),
+        slide({
+          speakerNotes: 'The hero wakes up\nTalk about mornings\nKeep it short',
+          imageDescription: 'A sleepy @Hero in bed, morning light'
+        }),
+        slide({ speakerNotes: 'Coffee' }),
+        slide({ speakerNotes: 'Act two', noImages: true, sceneStart: true })
+      ]);
+    });
+
+    test('uses comments as scene styles and image switches', () => {
+      const markdown = [
+        '<!-- style: Watercolor -->',
+        '- Opening',
+        '# Chapter',
+        '<!--',
+        'Film noir,',
+        'high contrast',
+        '-->',
+        '1. Quiet slide',
+        '<!-- no-images -->',
+        '2. Loud slide'
+      ].join('\n');
+
+      expect(parseMarkdownToSlides(markdown)).toEqual([
+        slide({ speakerNotes: 'Opening', sceneStart: true, sceneVisualStyle: 'Watercolor' }),
+        slide({ speakerNotes: 'Chapter', noImages: true, sceneStart: true, sceneVisualStyle: 'Film noir,\nhigh contrast' }),
+        slide({ speakerNotes: 'Quiet slide', noImages: true }),
+        slide({ speakerNotes: 'Loud slide' })
+      ]);
+    });
+
+    test('gives heading slides with a quote an image', () => {
+      const [heading] = parseMarkdownToSlides('# Title\n> A wide city skyline');
+      expect(heading).toMatchObject({ sceneStart: true, noImages: false, imageDescription: 'A wide city skyline' });
+    });
+
+    test('treats paragraphs as notes and skips code blocks and rules', () => {
+      const markdown = 'Welcome everyone\nThanks for coming\n\n---\n```\n- not a slide\n```\n* * *\n- Next';
+      expect(parseMarkdownToSlides(markdown).map(s => s.speakerNotes)).toEqual([
+        'Welcome everyone\nThanks for coming',
+        'Next'
+      ]);
+    });
+
+    test('handles Windows line endings', () => {
+      expect(parseMarkdownToSlides('# Intro\r\n- first\r\n  > A cat\r\n- second\r\n')).toEqual([
+        slide({ speakerNotes: 'Intro', noImages: true, sceneStart: true }),
+        slide({ speakerNotes: 'first', imageDescription: 'A cat' }),
+        slide({ speakerNotes: 'second' })
+      ]);
+    });
+
+    test('returns an empty list for empty input', () => {
+      expect(parseMarkdownToSlides('')).toEqual([]);
+      expect(parseMarkdownToSlides(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parse-slides', () => {
+    test('normalizes plain text slides', () => {
+      expect(parseSlides('Act one\n- Hero', 'text')).toEqual([
+        { speakerNotes: 'Act one', imageDescription: '', noImages: true, sceneStart: true, sceneVisualStyle: null },
+        { speakerNotes: 'Hero', imageDescription: '', noImages: false, sceneStart: false, sceneVisualStyle: null }
+      ]);
+      expect(parseSlides('# Act one', 'markdown')[0].sceneStart).toBe(true);
+    });
+  });
+
+  describe('extract-entity-names', () => {
+    test('returns unique @names', () => {
+      expect(extractEntityNames('@Hero and @Villain, then @Hero')).toEqual(['Hero', 'Villain']);
+      expect(extractEntityNames(undefined)).toEqual([]);
+    });
+  });
+});